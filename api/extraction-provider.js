@@ -0,0 +1,43 @@
+// api/extraction-provider.js
+import { readFileSync } from 'fs';
+import { OpenAIExtractionProvider } from './openai-extraction-provider.js';
+import { StubExtractionProvider } from './stub-extraction-provider.js';
+import { PHASES } from '../config/phases.js';
+
+export function createExtractionProvider(options = {}) {
+  const mode = options.mode || process.env.LLM_PROVIDER || 'openai';
+
+  if (mode === 'stub') {
+    console.log('[LLM] Using stub extraction provider');
+    const script = options.script
+      || (options.scriptPath ? JSON.parse(readFileSync(options.scriptPath, 'utf8')) : []);
+    return new StubExtractionProvider({ ...options, script });
+  }
+
+  console.log('[LLM] Using OpenAI extraction provider');
+  return new OpenAIExtractionProvider(options);
+}
+
+/**
+ * Parse per-phase model overrides ("financial_snapshot=gpt-4.1-mini,...")
+ *
+ * @param {string} value - Comma-separated phase=model pairs
+ * @returns {object} - { [phase]: model }
+ */
+export function parsePhaseModels(value) {
+  const phaseModels = {};
+  const knownPhases = Object.values(PHASES);
+
+  for (const pair of String(value || '').split(',')) {
+    const [phase, model] = pair.split('=').map(part => part?.trim());
+    if (!phase || !model) continue;
+
+    if (!knownPhases.includes(phase)) {
+      console.warn(`[LLM] Ignoring model for unknown phase "${phase}"`);
+      continue;
+    }
+    phaseModels[phase] = model;
+  }
+
+  return phaseModels;
+}
@@ -11,6 +11,12 @@ import { readFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { buildLeadPayload, buildLeadUpdatePayload } from '../lib/state-machine.js';
+import {
+  assignWithCapacity,
+  buildRoutedEventDetails,
+  buildLockRejectedEventDetails,
+} from '../firebase/functions/lib/routing-engine.js';
+import { createFirestoreRoutingAdapter } from '../firebase/functions/lib/routing.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -41,9 +47,6 @@ if (getApps().length === 0) {
 
 const db = getFirestore();
 
-// Default dealer for fallback routing
-const DEFAULT_DEALER_ID = 'home_nation';
-
 // =============================================================================
 // HELPERS
 // =============================================================================
@@ -146,12 +149,18 @@ export class FirestoreHestiaClient {
    * Update an existing lead with progressive enrichment
    */
   async updateLead(leadId, state) {
-    const updates = buildLeadUpdatePayload(state);
+    const { flags, ...updates } = buildLeadUpdatePayload(state);
     const docRef = db.collection('leads').doc(leadId);
 
+    // flags is shared with the backend (duplicate_of_lead_id, ...) - only set ours
+    const flagUpdates = Object.fromEntries(
+      Object.entries(flags || {}).map(([key, value]) => [`flags.${key}`, value])
+    );
+
     await docRef.update(sanitizeForFirestore({
       updated_at: FieldValue.serverTimestamp(),
       ...updates,
+      ...flagUpdates,
     }));
 
     this._log('updateLead', { lead_id: leadId });
@@ -169,6 +178,18 @@ export class FirestoreHestiaClient {
     return doc.data();
   }
 
+  /**
+   * Find the most recently updated lead for a phone number
+   */
+  async findRecentLeadByPhone(phoneE164, { statuses = null, since = null } = {}) {
+    let query = db.collection('leads').where('applicant.phone_e164', '==', phoneE164);
+    if (statuses) query = query.where('status', 'in', statuses);
+    if (since) query = query.where('updated_at', '>=', new Date(since));
+
+    const snapshot = await query.orderBy('updated_at', 'desc').limit(1).get();
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+
   /**
    * Set lead status with optional reason
    */
@@ -197,9 +218,35 @@ export class FirestoreHestiaClient {
     return { success: true, previous_status: previousStatus };
   }
 
+  /**
+   * Schedule a human callback (human.next_follow_up_at)
+   */
+  async scheduleCallback(leadId, { nextFollowUpAt, reason = null, window = null } = {}) {
+    await db.collection('leads').doc(leadId).update(sanitizeForFirestore({
+      'human.next_follow_up_at': nextFollowUpAt,
+      updated_at: FieldValue.serverTimestamp(),
+    }));
+
+    await this.logEvent(leadId, {
+      event_type: 'callback_scheduled',
+      actor_type: 'system',
+      details: {
+        next_follow_up_at: nextFollowUpAt,
+        reason,
+        window,
+      },
+    });
+
+    this._log('scheduleCallback', { lead_id: leadId, next_follow_up_at: nextFollowUpAt });
+    return { success: true, next_follow_up_at: nextFollowUpAt };
+  }
+
   /**
    * Route a lead to a dealer
-   * Note: In production, this is handled by the routeLeadIfNeeded Cloud Function
+   * Note: In production, this is handled by the routeLeadIfNeeded Cloud Function.
+   * Both use the shared routing engine (firebase/functions/lib/routing-engine.js)
+   * and the Cloud Function's Firestore adapter, so the assignment written is
+   * the same either way.
    */
   async routeLead(leadId) {
     const doc = await db.collection('leads').doc(leadId).get();
@@ -215,83 +262,40 @@ export class FirestoreHestiaClient {
       };
     }
 
-    let assignedDealerId = null;
-    let assignmentType = null;
-    let assignmentReason = null;
-
-    // Rule 1: Check for dealer lock
-    const lockedDealerId = lead.source?.attribution?.locked_dealer_id;
-    if (lockedDealerId) {
-      const dealerDoc = await db.collection('dealers').doc(lockedDealerId).get();
-      if (dealerDoc.exists && dealerDoc.data().status === 'active') {
-        assignedDealerId = lockedDealerId;
-        assignmentType = 'dealer_sourced';
-        assignmentReason = lead.source.attribution.locked_reason === 'dealer_phone'
-          ? 'dealer_number'
-          : 'referral_lock';
-      }
-    }
-
-    // Rule 2: Zip coverage lookup
-    if (!assignedDealerId) {
-      const state = lead.home_and_site?.property_state;
-      const zip = lead.home_and_site?.property_zip;
-      
-      if (state && zip) {
-        const coverageId = `${state}_${zip}`;
-        const coverageDoc = await db.collection('zipCoverage').doc(coverageId).get();
-        
-        if (coverageDoc.exists) {
-          const candidates = coverageDoc.data().candidates || [];
-          const sortedCandidates = [...candidates].sort((a, b) => a.priority - b.priority);
-          
-          for (const candidate of sortedCandidates) {
-            const dealerDoc = await db.collection('dealers').doc(candidate.dealer_id).get();
-            if (dealerDoc.exists && dealerDoc.data().status === 'active') {
-              assignedDealerId = candidate.dealer_id;
-              assignmentType = 'geo_routed';
-              assignmentReason = 'zip_match';
-              break;
-            }
-          }
-        }
-      }
+    // Commit the assignment and the dealer's capacity increment together
+    const decision = await assignWithCapacity(leadId, lead, createFirestoreRoutingAdapter(db));
+    if (decision.already_routed) {
+      const current = (await db.collection('leads').doc(leadId).get()).data();
+      return {
+        success: true,
+        assigned_dealer_id: current.assignment.assigned_dealer_id,
+        assignment_type: current.assignment.assignment_type,
+        already_routed: true,
+      };
     }
 
-    // Rule 3: Fallback
-    if (!assignedDealerId) {
-      assignedDealerId = DEFAULT_DEALER_ID;
-      assignmentType = 'geo_routed';
-      assignmentReason = 'fallback';
+    const lockRejected = buildLockRejectedEventDetails(decision);
+    if (lockRejected) {
+      await this.logEvent(leadId, {
+        event_type: 'dealer_assignment_failed',
+        actor_type: 'system',
+        details: lockRejected,
+      });
     }
 
-    // Update lead using dot notation for nested fields
-    await db.collection('leads').doc(leadId).update({
-      'assignment.assigned_dealer_id': assignedDealerId,
-      'assignment.assignment_type': assignmentType,
-      'assignment.assignment_reason': assignmentReason,
-      'assignment.routed_at': FieldValue.serverTimestamp(),
-      'assignment.routing_attempt_count': FieldValue.increment(1),
-      'assignment.routing_last_attempt_at': FieldValue.serverTimestamp(),
-      'updated_at': FieldValue.serverTimestamp(),
-    });
-
     await this.logEvent(leadId, {
       event_type: 'routed',
       actor_type: 'system',
-      details: {
-        assigned_dealer_id: assignedDealerId,
-        assignment_type: assignmentType,
-        assignment_reason: assignmentReason,
-      },
+      details: buildRoutedEventDetails(decision),
     });
 
-    this._log('routeLead', { lead_id: leadId, dealer_id: assignedDealerId });
+    this._log('routeLead', { lead_id: leadId, dealer_id: decision.dealer_id });
     return {
       success: true,
-      assigned_dealer_id: assignedDealerId,
-      assignment_type: assignmentType,
-      assignment_reason: assignmentReason,
+      assigned_dealer_id: decision.dealer_id,
+      assignment_type: decision.assignment_type,
+      assignment_reason: decision.assignment_reason,
+      trace: decision.trace,
     };
   }
 
@@ -363,6 +367,55 @@ export class FirestoreHestiaClient {
     return {
       dealer_id: dealerId,
       dealer_name: dealerDoc.data().dealer_name,
+      language: doc.data().language || null,
+    };
+  }
+
+  /**
+   * Look up dealer by attribution key (dealerAttributionKeys collection)
+   * 
+   * Matches the key_hash doc id first, then key_value (domain and name keys)
+   */
+  async lookupDealerByAttributionKey(key) {
+    if (!key) return null;
+
+    const normalized = String(key).trim().toLowerCase();
+
+    // Doc ids cannot contain '/', so domains with paths only match on key_value
+    let keyDoc = normalized.includes('/')
+      ? null
+      : await db.collection('dealerAttributionKeys').doc(normalized).get();
+
+    if (!keyDoc?.exists) {
+      const byValue = await db.collection('dealerAttributionKeys')
+        .where('key_value', '==', normalized)
+        .limit(1)
+        .get();
+      keyDoc = byValue.empty ? null : byValue.docs[0];
+    }
+
+    const keyData = keyDoc?.data();
+    if (!keyData || !keyData.active) {
+      return null;
+    }
+
+    const expiresAt = keyData.expires_at?.toDate ? keyData.expires_at.toDate() : keyData.expires_at;
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return null;
+    }
+
+    const dealerDoc = await db.collection('dealers').doc(keyData.dealer_id).get();
+    if (!dealerDoc.exists || dealerDoc.data().status !== 'active') {
+      return null;
+    }
+
+    return {
+      dealer_id: keyData.dealer_id,
+      dealer_name: dealerDoc.data().dealer_name,
+      key_hash: keyData.key_hash || keyDoc.id,
+      key_type: keyData.key_type,
+      key_label: keyData.key_label || null,
+      confidence: keyData.confidence ?? 100,
     };
   }
 
@@ -0,0 +1,117 @@
+/**
+ * Firestore Session Store
+ *
+ * Persists call state in the `voiceSessions` collection so any instance can
+ * serve a call's next turn, or a reconnecting ConversationRelay socket.
+ * Same interface as InMemorySessionStore.
+ *
+ * Each document holds the session as a JSON string (state contains nested
+ * arrays and undefined values Firestore cannot store as-is) plus
+ * `expires_at`. Expired sessions read as missing; sweepExpired() deletes
+ * them, and a Firestore TTL policy on `expires_at` is the backstop:
+ *   gcloud firestore fields ttls update expires_at --collection-group=voiceSessions
+ */
+
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import './firebase-client.js';   // Initializes the Firebase app
+import { DEFAULT_SESSION_TTL_MS, DEFAULT_SWEEP_INTERVAL_MS } from './memory-session-store.js';
+
+const COLLECTION = 'voiceSessions';
+const SWEEP_BATCH_SIZE = 200;
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+export class FirestoreSessionStore {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlMs - Sessions expire this long after their last set()
+   * @param {number} options.sweepIntervalMs - Background cleanup interval (0 disables)
+   * @param {boolean} options.verbose
+   */
+  constructor(options = {}) {
+    this.db = getFirestore();
+    this.ttlMs = options.ttlMs ?? DEFAULT_SESSION_TTL_MS;
+    this.verbose = options.verbose ?? false;
+
+    const sweepIntervalMs = options.sweepIntervalMs ?? DEFAULT_SWEEP_INTERVAL_MS;
+    this.sweeper = sweepIntervalMs > 0
+      ? setInterval(() => this.sweepExpired().catch(error => console.error('[SESSIONS] Sweep error:', error)), sweepIntervalMs).unref()
+      : null;
+  }
+
+  _log(operation, data) {
+    if (this.verbose) {
+      console.log(`[SESSIONS] ${operation}:`, JSON.stringify(data));
+    }
+  }
+
+  _doc(callSid) {
+    return this.db.collection(COLLECTION).doc(callSid);
+  }
+
+  async get(callSid) {
+    const doc = await this._doc(callSid).get();
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    if (data.expires_at.toMillis() <= Date.now()) {
+      return null;
+    }
+
+    return JSON.parse(data.session_json);
+  }
+
+  async set(callSid, session) {
+    await this._doc(callSid).set({
+      call_sid: callSid,
+      session_json: JSON.stringify(session),
+      updated_at: FieldValue.serverTimestamp(),
+      expires_at: new Date(Date.now() + this.ttlMs),
+    });
+  }
+
+  async delete(callSid) {
+    await this._doc(callSid).delete();
+  }
+
+  async list() {
+    const snapshot = await this.db.collection(COLLECTION)
+      .where('expires_at', '>', new Date())
+      .get();
+
+    return snapshot.docs.map(doc => [doc.id, JSON.parse(doc.data().session_json)]);
+  }
+
+  async count() {
+    const snapshot = await this.db.collection(COLLECTION)
+      .where('expires_at', '>', new Date())
+      .count()
+      .get();
+
+    return snapshot.data().count;
+  }
+
+  async sweepExpired() {
+    const snapshot = await this.db.collection(COLLECTION)
+      .where('expires_at', '<=', new Date())
+      .limit(SWEEP_BATCH_SIZE)
+      .get();
+
+    if (snapshot.empty) return 0;
+
+    const batch = this.db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    this._log('sweepExpired', { removed: snapshot.size });
+    return snapshot.size;
+  }
+
+  async close() {
+    if (this.sweeper) clearInterval(this.sweeper);
+  }
+}
+
+export default FirestoreSessionStore;
@@ -1,6 +1,7 @@
 // api/hestia-client.js
 import { MockHestiaClient } from './mock-hestia.js';
 import { FirestoreHestiaClient } from './firebase-client.js';
+import { LiveHestiaClient } from './live-hestia.js';
 
 export function createHestiaClient(options = {}) {
   const mode = options.mode || process.env.HESTIA_MODE || 'mock';
@@ -0,0 +1,467 @@
+/**
+ * Live Hestia API Client
+ *
+ * REST implementation of the Hestia API V2 surface (docs/Hestia API Schema V2.md).
+ * Implements the same interface as MockHestiaClient and FirestoreHestiaClient.
+ *
+ * Every request carries auth headers and a timeout. Mutating requests carry an
+ * Idempotency-Key header so they can be retried safely on network errors,
+ * timeouts, 429 and 5xx responses.
+ */
+
+import { randomUUID } from 'crypto';
+import { buildLeadPayload, buildLeadUpdatePayload } from '../lib/state-machine.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 250;
+
+const APPLICATION_VERSION = '2.0';
+
+// HTTP statuses that are safe to retry (the request never took effect, or
+// the server asked us to back off)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Voice state uses V1 entrypoint names; the V2 API uses lender_global_*
+const ENTRYPOINT_TO_V2 = {
+  dealer_phone: 'dealer_phone',
+  dealer_link: 'dealer_link',
+  tlc_phone: 'lender_global_phone',
+  tlc_site: 'lender_global_site',
+  unknown: 'unknown',
+};
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Error thrown for non-2xx responses and transport failures
+ */
+export class HestiaApiError extends Error {
+  constructor(message, { status = null, code = null, body = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'HestiaApiError';
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.retryable = retryable;
+  }
+}
+
+// =============================================================================
+// PAYLOAD BUILDERS
+// =============================================================================
+
+/**
+ * Build the V2 intake payload (POST /v2/leads:intake) from session state
+ */
+export function buildIntakePayload(state) {
+  const lead = buildLeadPayload(state);
+  const attribution = lead.source.attribution;
+
+  return {
+    application_version: APPLICATION_VERSION,
+    idempotency_key: `voice_${state.callSid}`,
+    source: {
+      channel: 'voice',
+      entrypoint: ENTRYPOINT_TO_V2[lead.source.entrypoint] || 'unknown',
+      referrer_url: null,
+      session_id: state.callSid,
+      tracking: {
+        dealer_id: attribution.locked_dealer_id,
+        attribution_token: attribution.attribution_token,
+        campaign_id: null,
+        utm: attribution.utm,
+      },
+    },
+    applicant: {
+      ...lead.applicant,
+      consents: {
+        contact_consent: lead.consents.contact_consent,
+        tcpa_disclosure_ack: lead.consents.tcpa_disclosure_ack,
+        privacy_policy_ack: lead.consents.privacy_policy_ack,
+        consent_language_version: lead.consents.consent_language_version,
+      },
+    },
+    home_and_site: lead.home_and_site,
+    financial_snapshot: lead.financial_snapshot,
+    notes: lead.notes,
+  };
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header (seconds) into milliseconds
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+// =============================================================================
+// CLIENT CLASS
+// =============================================================================
+
+export class LiveHestiaClient {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || process.env.HESTIA_API_URL || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey ?? process.env.HESTIA_API_KEY ?? null;
+    this.timeoutMs = options.timeoutMs ?? (Number(process.env.HESTIA_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS);
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+    this.verbose = options.verbose ?? true;
+    this.fetch = options.fetch || globalThis.fetch;
+
+    if (!this.baseUrl) {
+      throw new Error('LiveHestiaClient requires baseUrl or HESTIA_API_URL');
+    }
+  }
+
+  _log(operation, data) {
+    if (this.verbose) {
+      console.log(`[HESTIA-LIVE] ${operation}:`, JSON.stringify(data));
+    }
+  }
+
+  // ===========================================================================
+  // TRANSPORT
+  // ===========================================================================
+
+  /**
+   * Perform an HTTP request with timeout, retries and idempotency
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL (e.g. /v2/leads/lead_123)
+   * @param {object} options - { body, idempotencyKey, allowNotFound }
+   * @returns {Promise<object|null>} - Parsed JSON body (null for 404 when allowNotFound)
+   */
+  async _request(method, path, { body, idempotencyKey, allowNotFound = false } = {}) {
+    const url = `${this.baseUrl}${path}`;
+    const headers = {
+      'Accept': 'application/json',
+      'X-Request-Id': `req_${randomUUID()}`,
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    // The same key is sent on every attempt so the server can dedupe retries
+    if (method !== 'GET') {
+      headers['Idempotency-Key'] = idempotencyKey || `idem_${randomUUID()}`;
+    }
+
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        const backoff = lastError?.retryAfterMs ?? this.retryDelayMs * 2 ** (attempt - 1);
+        await sleep(backoff);
+      }
+
+      try {
+        return await this._attempt(method, url, headers, body, allowNotFound);
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable || attempt === this.maxRetries) {
+          throw error;
+        }
+        this._log('retry', { method, path, attempt: attempt + 1, reason: error.message });
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Single HTTP attempt
+   */
+  async _attempt(method, url, headers, body, allowNotFound) {
+    let response;
+
+    try {
+      response = await this.fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      throw new HestiaApiError(
+        timedOut ? `Request timed out after ${this.timeoutMs}ms` : `Network error: ${error.message}`,
+        { code: timedOut ? 'timeout' : 'network_error', retryable: true }
+      );
+    }
+
+    if (response.status === 404 && allowNotFound) {
+      return null;
+    }
+
+    const text = await response.text();
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = { raw: text };
+      }
+    }
+
+    if (!response.ok) {
+      const error = new HestiaApiError(
+        data?.error?.message || data?.message || `Hestia API responded ${response.status}`,
+        {
+          status: response.status,
+          code: data?.error?.code || data?.code || null,
+          body: data,
+          retryable: RETRYABLE_STATUSES.includes(response.status),
+        }
+      );
+      error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      throw error;
+    }
+
+    return data ?? {};
+  }
+
+  // ===========================================================================
+  // LEAD OPERATIONS
+  // ===========================================================================
+
+  /**
+   * Create (or reuse) a lead - POST /v2/leads:intake
+   */
+  async createLead(state) {
+    const payload = buildIntakePayload(state);
+
+    const data = await this._request('POST', '/v2/leads:intake', {
+      body: payload,
+      idempotencyKey: payload.idempotency_key,
+    });
+
+    this._log('createLead', { lead_id: data.lead_id, status: data.status });
+
+    return {
+      lead_id: data.lead_id,
+      status: data.status,
+      created: data.created ?? true,
+      assigned_dealer_id: data.assigned_dealer_id ?? null,
+      dealer_delivery_status: data.dealer_delivery_status ?? null,
+    };
+  }
+
+  /**
+   * Progressive enrichment - PATCH /v2/leads/{lead_id}
+   */
+  async updateLead(leadId, state) {
+    await this._request('PATCH', `/v2/leads/${encodeURIComponent(leadId)}`, {
+      body: buildLeadUpdatePayload(state),
+    });
+
+    this._log('updateLead', { lead_id: leadId });
+    return { success: true };
+  }
+
+  /**
+   * Get a lead by ID - GET /v2/leads/{lead_id}
+   */
+  async getLead(leadId) {
+    const lead = await this._request('GET', `/v2/leads/${encodeURIComponent(leadId)}`, {
+      allowNotFound: true,
+    });
+
+    if (!lead) {
+      throw new Error(`Lead not found: ${leadId}`);
+    }
+
+    return lead;
+  }
+
+  /**
+   * Find the most recently updated lead for a phone number - GET /v2/leads
+   */
+  async findRecentLeadByPhone(phoneE164, { statuses = null, since = null } = {}) {
+    const params = new URLSearchParams({ phone_e164: phoneE164, limit: '1' });
+    if (statuses) params.set('status', statuses.join(','));
+    if (since) params.set('updated_since', since);
+
+    const data = await this._request('GET', `/v2/leads?${params}`);
+    const leads = Array.isArray(data) ? data : (data?.leads || []);
+    return leads[0] || null;
+  }
+
+  /**
+   * Set lead status - POST /v2/leads/{lead_id}/status
+   */
+  async setStatus(leadId, status, statusReason = null) {
+    const data = await this._request('POST', `/v2/leads/${encodeURIComponent(leadId)}/status`, {
+      body: { status, status_reason: statusReason },
+    });
+
+    this._log('setStatus', { lead_id: leadId, status });
+    return { success: true, previous_status: data.previous_status ?? null };
+  }
+
+  /**
+   * Schedule a human callback - POST /v2/leads/{lead_id}/callback
+   */
+  async scheduleCallback(leadId, { nextFollowUpAt, reason = null, window = null } = {}) {
+    await this._request('POST', `/v2/leads/${encodeURIComponent(leadId)}/callback`, {
+      body: { next_follow_up_at: nextFollowUpAt, reason, window },
+      idempotencyKey: `callback_${leadId}_${nextFollowUpAt}`,
+    });
+
+    this._log('scheduleCallback', { lead_id: leadId, next_follow_up_at: nextFollowUpAt });
+    return { success: true, next_follow_up_at: nextFollowUpAt };
+  }
+
+  /**
+   * Route a lead - POST /v2/leads/{lead_id}/route
+   */
+  async routeLead(leadId) {
+    const data = await this._request('POST', `/v2/leads/${encodeURIComponent(leadId)}/route`, {
+      idempotencyKey: `route_${leadId}`,
+    });
+
+    this._log('routeLead', { lead_id: leadId, dealer_id: data.assigned_dealer_id });
+    return {
+      success: true,
+      assigned_dealer_id: data.assigned_dealer_id,
+      assignment_type: data.assignment_type,
+      assignment_reason: data.assignment_reason,
+      already_routed: data.already_routed ?? false,
+    };
+  }
+
+  /**
+   * Deliver a lead - POST /v2/leads/{lead_id}/deliver
+   */
+  async deliverLead(leadId) {
+    const data = await this._request('POST', `/v2/leads/${encodeURIComponent(leadId)}/deliver`, {
+      idempotencyKey: `deliver_${leadId}`,
+    });
+
+    this._log('deliverLead', { lead_id: leadId, dealer_id: data.dealer_id });
+    return {
+      success: data.success ?? true,
+      dealer_id: data.dealer_id ?? null,
+      already_delivered: data.already_delivered ?? false,
+      error: data.error,
+    };
+  }
+
+  // ===========================================================================
+  // DEALER OPERATIONS
+  // ===========================================================================
+
+  /**
+   * Look up dealer by tracking phone number (dealer_tracking_numbers)
+   */
+  async lookupDealerByTrackingNumber(phoneE164) {
+    const data = await this._request('GET', `/v2/dealer-tracking-numbers/${encodeURIComponent(phoneE164)}`, {
+      allowNotFound: true,
+    });
+
+    if (!data || !data.dealer_id || (data.status && data.status !== 'active')) {
+      return null;
+    }
+
+    return {
+      dealer_id: data.dealer_id,
+      dealer_name: data.dealer_name ?? null,
+      language: data.language ?? null,
+    };
+  }
+
+  /**
+   * Look up dealer by attribution key (referral code, domain or token key)
+   */
+  async lookupDealerByAttributionKey(key) {
+    if (!key) return null;
+
+    const data = await this._request('GET', `/v2/dealer-attribution-keys/${encodeURIComponent(String(key).trim().toLowerCase())}`, {
+      allowNotFound: true,
+    });
+
+    if (!data || !data.dealer_id || data.active === false || (data.status && data.status !== 'active')) {
+      return null;
+    }
+
+    return {
+      dealer_id: data.dealer_id,
+      dealer_name: data.dealer_name ?? null,
+      key_hash: data.key_hash ?? null,
+      key_type: data.key_type ?? null,
+      key_label: data.key_label ?? null,
+      confidence: data.confidence ?? 100,
+    };
+  }
+
+  /**
+   * Get zip coverage for routing (dealer_coverage)
+   */
+  async getZipCoverage(state, zip) {
+    const coverageId = `${state}_${zip}`;
+    return this._request('GET', `/v2/zip-coverage/${encodeURIComponent(coverageId)}`, {
+      allowNotFound: true,
+    });
+  }
+
+  /**
+   * Get a dealer by ID
+   */
+  async getDealer(dealerId) {
+    return this._request('GET', `/v2/dealers/${encodeURIComponent(dealerId)}`, {
+      allowNotFound: true,
+    });
+  }
+
+  // ===========================================================================
+  // EVENT OPERATIONS
+  // ===========================================================================
+
+  /**
+   * Append an event - POST /v2/leads/{lead_id}/events
+   */
+  async logEvent(leadId, eventData) {
+    const data = await this._request('POST', `/v2/leads/${encodeURIComponent(leadId)}/events`, {
+      body: {
+        event_type: eventData.event_type,
+        actor_type: eventData.actor_type || 'system',
+        actor_id: eventData.actor_id || null,
+        correlation_id: eventData.correlation_id || null,
+        payload_json: eventData.payload_json || eventData.details || {},
+      },
+    });
+
+    return { event_id: data.event_id ?? null };
+  }
+
+  /**
+   * List events for a lead - GET /v2/leads/{lead_id}/events
+   */
+  async getEvents(leadId) {
+    const data = await this._request('GET', `/v2/leads/${encodeURIComponent(leadId)}/events`);
+    return Array.isArray(data) ? data : (data.events || []);
+  }
+}
+
+export default LiveHestiaClient;
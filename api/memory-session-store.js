@@ -0,0 +1,94 @@
+/**
+ * In-Memory Session Store
+ *
+ * Default session store for a single instance (and for tests). Call state
+ * is lost on restart; use the Firestore store to run several instances or
+ * deploy mid-call.
+ *
+ * Session store interface (all methods async):
+ * - get(callSid)            -> session or null (expired sessions are null)
+ * - set(callSid, session)   -> persist, refreshing the TTL
+ * - delete(callSid)
+ * - list()                  -> [[callSid, session], ...] for live sessions
+ * - count()                 -> number of live sessions
+ * - sweepExpired()          -> number of expired sessions removed
+ * - close()                 -> stop the background sweeper
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const DEFAULT_SESSION_TTL_MS = 60 * 60 * 1000;
+export const DEFAULT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+export class InMemorySessionStore {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlMs - Sessions expire this long after their last set()
+   * @param {number} options.sweepIntervalMs - Background cleanup interval (0 disables)
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULT_SESSION_TTL_MS;
+    this.entries = new Map();   // callSid -> { session, expiresAt }
+
+    const sweepIntervalMs = options.sweepIntervalMs ?? DEFAULT_SWEEP_INTERVAL_MS;
+    this.sweeper = sweepIntervalMs > 0
+      ? setInterval(() => this.sweepExpired(), sweepIntervalMs).unref()
+      : null;
+  }
+
+  async get(callSid) {
+    const entry = this.entries.get(callSid);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(callSid);
+      return null;
+    }
+
+    return entry.session;
+  }
+
+  async set(callSid, session) {
+    this.entries.set(callSid, { session, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  async delete(callSid) {
+    this.entries.delete(callSid);
+  }
+
+  async list() {
+    await this.sweepExpired();
+    return Array.from(this.entries, ([callSid, entry]) => [callSid, entry.session]);
+  }
+
+  async count() {
+    await this.sweepExpired();
+    return this.entries.size;
+  }
+
+  async sweepExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [callSid, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(callSid);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  async close() {
+    if (this.sweeper) clearInterval(this.sweeper);
+  }
+}
+
+export default InMemorySessionStore;
@@ -6,6 +6,14 @@
  */
 
 import { buildLeadPayload, buildLeadUpdatePayload } from '../lib/state-machine.js';
+import {
+  assignWithCapacity,
+  buildRoutedEventDetails,
+  buildLockRejectedEventDetails,
+  canCommitAssignment,
+  nextCapacityState,
+  isCapacityStale,
+} from '../firebase/functions/lib/routing-engine.js';
 
 // =============================================================================
 // IN-MEMORY STORAGE
@@ -16,6 +24,8 @@ const leadEvents = new Map();
 const dealers = new Map();
 const dealerNumbers = new Map();
 const zipCoverage = new Map();
+const dealerCapacity = new Map();
+const dealerAttributionKeys = new Map();
 
 // =============================================================================
 // INITIALIZE TEST DATA
@@ -117,6 +127,53 @@ function initializeTestData() {
     updated_at: new Date().toISOString(),
   });
   
+  dealerNumbers.set('+18005559876', {
+    phone_e164: '+18005559876',
+    dealer_id: 'dlr_67890',
+    label: 'Texas Mobile Homes Español',
+    language: 'es',
+    active: true,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  });
+  
+  // Sample attribution keys (doc id is key_hash, as seeded by the scripts)
+  dealerAttributionKeys.set('a1b2c3d4e5f60718', {
+    key_hash: 'a1b2c3d4e5f60718',
+    key_label: 'web_default',
+    key_type: 'referral_code',
+    key_value: null,
+    dealer_id: 'dlr_12345',
+    confidence: 100,
+    active: true,
+    expires_at: null,
+    created_at: new Date().toISOString(),
+  });
+  
+  dealerAttributionKeys.set('f0e1d2c3b4a59687', {
+    key_hash: 'f0e1d2c3b4a59687',
+    key_label: 'website',
+    key_type: 'domain',
+    key_value: 'texasmobilehomes.com',
+    dealer_id: 'dlr_67890',
+    confidence: 100,
+    active: true,
+    expires_at: null,
+    created_at: new Date().toISOString(),
+  });
+  
+  dealerAttributionKeys.set('9c8b7a6f5e4d3c2b', {
+    key_hash: '9c8b7a6f5e4d3c2b',
+    key_label: 'partner_portal',
+    key_type: 'signed_token',
+    key_value: null,
+    dealer_id: 'dlr_67890',
+    confidence: 100,
+    active: true,
+    expires_at: null,
+    created_at: new Date().toISOString(),
+  });
+  
   // Sample zip coverage
   zipCoverage.set('MO_63101', {
     state: 'MO',
@@ -150,9 +207,6 @@ function generateId(prefix = 'lead') {
   return `${prefix}_${timestamp}${random}`;
 }
 
-// Default dealer for fallback
-const DEFAULT_DEALER_ID = 'home_nation';
-
 // =============================================================================
 // MOCK CLIENT CLASS
 // =============================================================================
@@ -279,6 +333,25 @@ export class MockHestiaClient {
     return lead;
   }
   
+  /**
+   * Find the most recently updated lead for a phone number
+   */
+  async findRecentLeadByPhone(phoneE164, { statuses = null, since = null } = {}) {
+    await this._maybeDelay();
+    
+    let latest = null;
+    for (const lead of leads.values()) {
+      if (lead.applicant?.phone_e164 !== phoneE164) continue;
+      if (statuses && !statuses.includes(lead.status)) continue;
+      if (since && new Date(lead.updated_at) < new Date(since)) continue;
+      if (!latest || new Date(lead.updated_at) > new Date(latest.updated_at)) {
+        latest = lead;
+      }
+    }
+    
+    return latest;
+  }
+  
   /**
    * Set lead status with optional reason
    */
@@ -312,9 +385,40 @@ export class MockHestiaClient {
     return { success: true, previous_status: previousStatus };
   }
   
+  /**
+   * Schedule a human callback (human.next_follow_up_at)
+   */
+  async scheduleCallback(leadId, { nextFollowUpAt, reason = null, window = null } = {}) {
+    await this._maybeDelay();
+    
+    const lead = leads.get(leadId);
+    if (!lead) {
+      throw new Error(`Lead not found: ${leadId}`);
+    }
+    
+    lead.human = { ...lead.human, next_follow_up_at: nextFollowUpAt };
+    lead.updated_at = new Date().toISOString();
+    
+    leads.set(leadId, lead);
+    
+    await this.logEvent(leadId, {
+      event_type: 'callback_scheduled',
+      actor_type: 'system',
+      details: {
+        next_follow_up_at: nextFollowUpAt,
+        reason,
+        window,
+      },
+    });
+    
+    this._log('scheduleCallback', { lead_id: leadId, next_follow_up_at: nextFollowUpAt });
+    
+    return { success: true, next_follow_up_at: nextFollowUpAt };
+  }
+  
   /**
    * Route a lead to a dealer
-   * Implements routing logic from TLC System Flow Diagram V1
+   * Uses the shared routing engine (firebase/functions/lib/routing-engine.js)
    */
   async routeLead(leadId) {
     await this._maybeDelay();
@@ -334,88 +438,93 @@ export class MockHestiaClient {
       };
     }
     
-    const now = new Date().toISOString();
-    let assignedDealerId = null;
-    let assignmentType = null;
-    let assignmentReason = null;
-    
-    // Rule 1: Check for dealer lock
-    const lockedDealerId = lead.source?.attribution?.locked_dealer_id;
-    if (lockedDealerId) {
-      const dealer = dealers.get(lockedDealerId);
-      if (dealer && dealer.status === 'active') {
-        assignedDealerId = lockedDealerId;
-        assignmentType = 'dealer_sourced';
-        assignmentReason = lead.source.attribution.locked_reason === 'dealer_phone' 
-          ? 'dealer_number' 
-          : 'referral_lock';
-      }
+    // Commit the assignment and the dealer's capacity increment together
+    const decision = await assignWithCapacity(leadId, lead, this._routingAdapter());
+    if (decision.already_routed) {
+      return {
+        success: true,
+        assigned_dealer_id: lead.assignment.assigned_dealer_id,
+        assignment_type: lead.assignment.assignment_type,
+        already_routed: true,
+      };
     }
     
-    // Rule 2: Zip coverage lookup
-    if (!assignedDealerId) {
-      const state = lead.home_and_site?.property_state;
-      const zip = lead.home_and_site?.property_zip;
-      
-      if (state && zip) {
-        const coverageId = `${state}_${zip}`;
-        const coverage = zipCoverage.get(coverageId);
-        
-        if (coverage && coverage.candidates?.length > 0) {
-          // Sort by priority and find first active dealer
-          const sortedCandidates = [...coverage.candidates].sort((a, b) => a.priority - b.priority);
-          
-          for (const candidate of sortedCandidates) {
-            const dealer = dealers.get(candidate.dealer_id);
-            if (dealer && dealer.status === 'active') {
-              assignedDealerId = candidate.dealer_id;
-              assignmentType = 'geo_routed';
-              assignmentReason = 'zip_match';
-              break;
-            }
-          }
-        }
-      }
+    const lockRejected = buildLockRejectedEventDetails(decision);
+    if (lockRejected) {
+      await this.logEvent(leadId, {
+        event_type: 'dealer_assignment_failed',
+        actor_type: 'system',
+        details: lockRejected,
+      });
+    }
+    
+    await this.logEvent(leadId, {
+      event_type: 'routed',
+      actor_type: 'system',
+      details: buildRoutedEventDetails(decision),
+    });
+    
+    this._log('routeLead', { lead_id: leadId, dealer_id: decision.dealer_id, type: decision.assignment_type });
+    
+    return {
+      success: true,
+      assigned_dealer_id: decision.dealer_id,
+      assignment_type: decision.assignment_type,
+      assignment_reason: decision.assignment_reason,
+      trace: decision.trace,
+    };
+  }
+  
+  /**
+   * Write an assignment and its dealerCapacity increment (synchronously -
+   * the in-memory equivalent of the Cloud Function's transaction)
+   * @returns {'committed'|'already_routed'|'over_cap'}
+   */
+  _commitAssignment(leadId, decision, nowDate) {
+    const lead = leads.get(leadId);
+    if (lead.assignment?.routed_at) {
+      return 'already_routed';
     }
     
-    // Rule 3: Fallback to default dealer
-    if (!assignedDealerId) {
-      assignedDealerId = DEFAULT_DEALER_ID;
-      assignmentType = 'geo_routed';
-      assignmentReason = 'fallback';
+    const capacity = dealerCapacity.get(decision.dealer_id) || null;
+    if (!canCommitAssignment(decision, dealers.get(decision.dealer_id), capacity, nowDate)) {
+      return 'over_cap';
     }
     
-    // Update lead assignment
+    const now = nowDate.toISOString();
+    const nextCapacity = nextCapacityState(decision.dealer_id, capacity, nowDate);
+    dealerCapacity.set(decision.dealer_id, {
+      ...capacity,
+      ...nextCapacity,
+      last_reset_at: nextCapacity.last_reset_at.toISOString(),
+      updated_at: now,
+    });
+    
     lead.assignment = {
       ...lead.assignment,
-      assigned_dealer_id: assignedDealerId,
-      assignment_type: assignmentType,
-      assignment_reason: assignmentReason,
+      assigned_dealer_id: decision.dealer_id,
+      assignment_type: decision.assignment_type,
+      assignment_reason: decision.assignment_reason,
+      routing_version: decision.routing_version,
       routed_at: now,
       routing_attempt_count: (lead.assignment?.routing_attempt_count || 0) + 1,
       routing_last_attempt_at: now,
     };
     lead.updated_at = now;
-    
     leads.set(leadId, lead);
     
-    await this.logEvent(leadId, {
-      event_type: 'routed',
-      actor_type: 'system',
-      details: {
-        assigned_dealer_id: assignedDealerId,
-        assignment_type: assignmentType,
-        assignment_reason: assignmentReason,
-      },
-    });
-    
-    this._log('routeLead', { lead_id: leadId, dealer_id: assignedDealerId, type: assignmentType });
-    
+    return 'committed';
+  }
+  
+  /**
+   * Data-access adapter for the shared routing engine
+   */
+  _routingAdapter() {
     return {
-      success: true,
-      assigned_dealer_id: assignedDealerId,
-      assignment_type: assignmentType,
-      assignment_reason: assignmentReason,
+      getDealer: async (dealerId) => dealers.get(dealerId) || null,
+      getZipCoverage: async (state, zip) => zipCoverage.get(`${state}_${zip}`) || null,
+      getDealerCapacity: async (dealerId) => dealerCapacity.get(dealerId) || null,
+      commitAssignment: async (leadId, decision, now) => this._commitAssignment(leadId, decision, now),
     };
   }
   
@@ -497,6 +606,44 @@ export class MockHestiaClient {
     return {
       dealer_id: dealer.dealer_id,
       dealer_name: dealer.dealer_name,
+      language: numberDoc.language || null,
+    };
+  }
+  
+  /**
+   * Look up dealer by attribution key (dealerAttributionKeys collection)
+   * 
+   * Matches the key_hash doc id first, then key_value (domain and name keys)
+   */
+  async lookupDealerByAttributionKey(key) {
+    await this._maybeDelay();
+    
+    if (!key) return null;
+    
+    const normalized = String(key).trim().toLowerCase();
+    const keyDoc = dealerAttributionKeys.get(normalized)
+      || Array.from(dealerAttributionKeys.values()).find(k => k.key_value === normalized);
+    
+    if (!keyDoc || !keyDoc.active) {
+      return null;
+    }
+    
+    if (keyDoc.expires_at && new Date(keyDoc.expires_at) <= new Date()) {
+      return null;
+    }
+    
+    const dealer = dealers.get(keyDoc.dealer_id);
+    if (!dealer || dealer.status !== 'active') {
+      return null;
+    }
+    
+    return {
+      dealer_id: dealer.dealer_id,
+      dealer_name: dealer.dealer_name,
+      key_hash: keyDoc.key_hash,
+      key_type: keyDoc.key_type,
+      key_label: keyDoc.key_label,
+      confidence: keyDoc.confidence ?? 100,
     };
   }
   
@@ -574,19 +721,82 @@ export class MockHestiaClient {
   clearAll() {
     leads.clear();
     leadEvents.clear();
+    dealerCapacity.clear();
+  }
+  
+  /**
+   * Set a dealer's dealerCapacity document (merged with any existing counter)
+   */
+  setDealerCapacity(dealerId, data) {
+    dealerCapacity.set(dealerId, {
+      dealer_id: dealerId,
+      ...dealerCapacity.get(dealerId),
+      ...data,
+      updated_at: new Date().toISOString(),
+    });
   }
   
-  addDealerNumber(phoneE164, dealerId, label = 'Test') {
+  getDealerCapacity(dealerId) {
+    return dealerCapacity.get(dealerId) || null;
+  }
+  
+  /**
+   * Simulate the resetDealerCapacity scheduled function
+   * @returns {string[]} Dealer IDs whose counters were reset
+   */
+  resetDailyCapacity(now = new Date()) {
+    const reset = [];
+    for (const [dealerId, capacity] of dealerCapacity) {
+      if (isCapacityStale(capacity, now)) {
+        dealerCapacity.set(dealerId, {
+          ...capacity,
+          leads_assigned_today: 0,
+          last_reset_at: now.toISOString(),
+          updated_at: now.toISOString(),
+        });
+        reset.push(dealerId);
+      }
+    }
+    return reset;
+  }
+  
+  addDealer(dealer) {
+    dealers.set(dealer.dealer_id, {
+      schema_version: 1,
+      status: 'active',
+      delivery_prefs: {},
+      routing_prefs: {},
+      ...dealer,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    });
+  }
+  
+  addDealerNumber(phoneE164, dealerId, label = 'Test', language = null) {
     dealerNumbers.set(phoneE164, {
       phone_e164: phoneE164,
       dealer_id: dealerId,
       label: label,
+      language,
       active: true,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
     });
   }
   
+  addAttributionKey(entry) {
+    dealerAttributionKeys.set(entry.key_hash, {
+      key_label: 'test',
+      key_type: 'referral_code',
+      key_value: null,
+      confidence: 100,
+      active: true,
+      expires_at: null,
+      ...entry,
+      created_at: new Date().toISOString(),
+    });
+  }
+  
   addZipCoverage(state, zip, candidates) {
     const coverageId = `${state}_${zip}`;
     zipCoverage.set(coverageId, {
@@ -608,6 +818,7 @@ export class MockHestiaClient {
       total_events: this.getAllEvents().length,
       total_dealers: dealers.size,
       total_dealer_numbers: dealerNumbers.size,
+      total_attribution_keys: dealerAttributionKeys.size,
       total_zip_coverage: zipCoverage.size,
       leads_by_status: leadsByStatus,
     };
@@ -0,0 +1,87 @@
+/**
+ * OpenAI Extraction Provider
+ *
+ * Default extraction provider: streams a chat completion with the extraction
+ * tools and assembles the result with consumeCompletionStream(). Any
+ * OpenAI-compatible API works through `baseURL`.
+ *
+ * Extraction provider interface:
+ * - extract(request)  -> { content, toolCalls, spokenText, finishReason }
+ *     request: { systemPrompt, messages, tools, phase, action, signal,
+ *                turnMetrics, onSpeech }
+ *     Throws on failure (the server then falls back to rule extraction)
+ * - describe()        -> one-line summary for the startup banner
+ */
+
+import OpenAI from 'openai';
+import { consumeCompletionStream } from '../lib/llm-stream.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const DEFAULT_OPENAI_MODEL = 'gpt-4.1-nano';
+
+export const DEFAULT_GENERATION_SETTINGS = {
+  toolChoice: 'required',   // Force the LLM to always call a tool
+  temperature: 0.3,         // Slight temperature for more natural responses
+  maxTokens: 300,
+};
+
+// =============================================================================
+// PROVIDER
+// =============================================================================
+
+export class OpenAIExtractionProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey
+   * @param {string} options.baseURL - OpenAI-compatible endpoint (optional)
+   * @param {string} options.model - Default model
+   * @param {object} options.phaseModels - { [phase]: model } overrides
+   * @param {string} options.toolChoice - 'required', 'auto', ...
+   * @param {number} options.temperature
+   * @param {number} options.maxTokens
+   * @param {object} options.client - Preconfigured OpenAI client (tests)
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.client = options.client || new OpenAI({ apiKey: options.apiKey, baseURL: options.baseURL });
+    this.model = options.model || DEFAULT_OPENAI_MODEL;
+    this.phaseModels = options.phaseModels || {};
+    this.toolChoice = options.toolChoice ?? DEFAULT_GENERATION_SETTINGS.toolChoice;
+    this.temperature = options.temperature ?? DEFAULT_GENERATION_SETTINGS.temperature;
+    this.maxTokens = options.maxTokens ?? DEFAULT_GENERATION_SETTINGS.maxTokens;
+  }
+
+  modelForPhase(phase) {
+    return this.phaseModels[phase] || this.model;
+  }
+
+  describe() {
+    const overrides = Object.entries(this.phaseModels).map(([phase, model]) => `${phase}=${model}`);
+    return overrides.length > 0
+      ? `${this.name}/${this.model} (${overrides.join(', ')})`
+      : `${this.name}/${this.model}`;
+  }
+
+  async extract({ systemPrompt, messages, tools, phase, signal, turnMetrics, onSpeech }) {
+    const stream = await this.client.chat.completions.create({
+      model: this.modelForPhase(phase),
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...messages,
+      ],
+      tools,
+      tool_choice: this.toolChoice,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal });
+
+    return consumeCompletionStream(stream, { turnMetrics, onSpeech });
+  }
+}
+
+export default OpenAIExtractionProvider;
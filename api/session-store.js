@@ -0,0 +1,15 @@
+// api/session-store.js
+import { InMemorySessionStore } from './memory-session-store.js';
+import { FirestoreSessionStore } from './firestore-session-store.js';
+
+export function createSessionStore(options = {}) {
+  const mode = options.mode || process.env.SESSION_STORE || 'memory';
+  
+  if (mode === 'firestore') {
+    console.log('[SESSIONS] Using Firestore session store');
+    return new FirestoreSessionStore(options);
+  }
+  
+  console.log('[SESSIONS] Using in-memory session store');
+  return new InMemorySessionStore(options);
+}
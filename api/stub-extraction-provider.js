@@ -0,0 +1,137 @@
+/**
+ * Stub Extraction Provider
+ *
+ * Offline, deterministic stand-in for the LLM: each extract() call takes
+ * the next scripted response and streams it through
+ * consumeCompletionStream(), exactly like a real completion. No network.
+ *
+ * Scripted responses:
+ *   { extract: { property_zip: '63110' } }        extract_fields call
+ *   { tool: 'provide_info', args: { ... } }       any other tool
+ *   { content: 'Sure!' }                          spoken assistant text
+ *   { error: 'rate limited' }                     throws, like an API error
+ *   { delayMs: 6000, extract: { ... } }           slow response (honors abort)
+ *   (request) => response                         computed from the request
+ *
+ * Once the script runs out, the answer to request.action is extracted with
+ * the rule-based extractor, so a stubbed call can run end to end.
+ */
+
+import { consumeCompletionStream } from '../lib/llm-stream.js';
+import { extractWithRules, buildRuleToolCall } from '../lib/rule-extractor.js';
+
+// =============================================================================
+// PROVIDER
+// =============================================================================
+
+export class StubExtractionProvider {
+  /**
+   * @param {object} options
+   * @param {Array} options.script - Responses returned in order
+   * @param {boolean} options.verbose
+   */
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.script = [...(options.script || [])];
+    this.requests = [];
+    this.verbose = options.verbose ?? false;
+  }
+
+  /**
+   * Queue more responses
+   */
+  respond(...responses) {
+    this.script.push(...responses);
+    return this;
+  }
+
+  describe() {
+    return `${this.name} (${this.script.length} scripted responses, then rules)`;
+  }
+
+  async extract(request) {
+    this.requests.push(request);
+
+    let response = this.script.length > 0 ? this.script.shift() : null;
+    if (typeof response === 'function') {
+      response = await response(request);
+    }
+
+    if (response?.delayMs) {
+      await sleep(response.delayMs, request.signal);
+    }
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+
+    const toolCalls = response
+      ? buildScriptedToolCalls(response, this.requests.length)
+      : [buildRuleToolCall(extractWithRules(lastUserMessage(request.messages), request.action))].filter(Boolean);
+
+    if (this.verbose) {
+      console.log(`[LLM] Stub response:`, JSON.stringify(toolCalls.map(call => call.function)));
+    }
+
+    return consumeCompletionStream(toChunks(response?.content, toolCalls), {
+      turnMetrics: request.turnMetrics,
+      onSpeech: request.onSpeech,
+    });
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function buildScriptedToolCalls(response, requestNumber) {
+  const calls = [];
+
+  if (response.extract) {
+    calls.push({ name: 'extract_fields', args: response.extract });
+  }
+  if (response.tool) {
+    calls.push({ name: response.tool, args: response.args || {} });
+  }
+
+  return calls.map(({ name, args }, i) => ({
+    id: `stub_${requestNumber}_${i}`,
+    type: 'function',
+    function: { name, arguments: JSON.stringify(args) },
+  }));
+}
+
+function lastUserMessage(messages = []) {
+  return [...messages].reverse().find(message => message.role === 'user')?.content || '';
+}
+
+/**
+ * The chunks a streamed completion with this content and these tool calls
+ * would arrive as
+ */
+async function* toChunks(content, toolCalls) {
+  if (content) {
+    yield { choices: [{ delta: { content } }] };
+  }
+
+  for (const [index, call] of toolCalls.entries()) {
+    yield {
+      choices: [{
+        delta: { tool_calls: [{ index, id: call.id, type: 'function', function: call.function }] },
+      }],
+    };
+  }
+
+  yield { choices: [{ delta: {}, finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop' }] };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('Request was aborted.'));
+    }, { once: true });
+  });
+}
+
+export default StubExtractionProvider;
@@ -0,0 +1,79 @@
+/**
+ * Eligibility Rules
+ *
+ * Declarative screens evaluated by the controller as fields are confirmed
+ * (lib/eligibility.js). A rule matches when every field in `when` has a
+ * confirmed value that matches:
+ * - an array: the value is one of these
+ * - { not_in: [...] }: the value is none of these
+ *
+ * The first matching rule ends the intake: the caller hears its
+ * `explanation` and the alternative resources, and the lead moves to
+ * `ineligible` with the rule's `status_reason`.
+ */
+
+// =============================================================================
+// LICENSING
+// =============================================================================
+
+/**
+ * States TLC is licensed to lend in (property_state) - the states its dealer
+ * network operates in (firebase/scripts/data/Dealers_Normalized_v1_data.csv).
+ * Add a state here when a new license is granted.
+ */
+export const LICENSED_STATES = [
+  'AL', 'AR', 'FL', 'GA', 'IL', 'IN', 'KY', 'LA', 'MO',
+  'MS', 'NC', 'OH', 'OK', 'PA', 'SC', 'TN', 'TX', 'WV',
+];
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+export const ELIGIBILITY_RULES = [
+  {
+    id: 'pre_hud_home',
+    status_reason: 'pre_hud_home',
+    when: { home_type: ['mobile_pre_hud'] },
+    explanation: {
+      en: "homes built before the HUD code in June nineteen seventy six don't qualify for our loan programs",
+      es: "las casas construidas antes del código HUD de junio de mil novecientos setenta y seis no califican para nuestros préstamos",
+    },
+  },
+  {
+    id: 'rented_lot',
+    status_reason: 'rented_lot',
+    when: { land_status: ['renting_lot'] },
+    explanation: {
+      en: "our loans are for homes placed on land you own, are buying, or that belongs to your family",
+      es: "nuestros préstamos son para casas en un terreno propio, que esté comprando o que sea de su familia",
+    },
+  },
+  {
+    id: 'unlicensed_state',
+    status_reason: 'state_not_licensed',
+    when: { property_state: { not_in: LICENSED_STATES } },
+    explanation: {
+      en: "we aren't licensed to lend in that state yet",
+      es: "todavía no tenemos licencia para prestar en ese estado",
+    },
+  },
+  {
+    id: 'recent_bankruptcy',
+    status_reason: 'recent_bankruptcy',
+    when: { has_recent_bankruptcy: [true] },
+    explanation: {
+      en: "our loan programs need a few years to have passed since a bankruptcy",
+      es: "nuestros préstamos requieren que hayan pasado algunos años desde una bancarrota",
+    },
+  },
+  {
+    id: 'credit_below_minimum',
+    status_reason: 'credit_below_minimum',
+    when: { credit: ['under_580'] },
+    explanation: {
+      en: "our loan programs need a credit score of at least five eighty",
+      es: "nuestros préstamos requieren un puntaje de crédito de al menos quinientos ochenta",
+    },
+  },
+];
@@ -60,6 +60,9 @@ export const ENUMS = {
   // Preferred contact method
   preferred_contact_method: ['phone', 'email'],
 
+  // Language the applicant spoke on the call
+  preferred_language: ['en', 'es'],
+
   // Best time to contact
   best_time_to_contact: [
     'anytime',
@@ -262,10 +265,86 @@ export function isValidEnum(enumName, value) {
   return allowed.includes(value);
 }
 
+/**
+ * Spanish versions of the spoken enum values
+ */
+const SPANISH_ENUM_SPEECH = {
+  land_status: {
+    own: 'usted es dueño del terreno',
+    buying: 'está comprando el terreno',
+    family_land: 'es terreno de la familia',
+    gifted_land: 'le van a regalar el terreno',
+    renting_lot: 'va a rentar un lote',
+    not_sure: 'todavía no está seguro del terreno',
+  },
+  timeline: {
+    '0_3_months': 'de cero a tres meses',
+    '3_6_months': 'de tres a seis meses',
+    '6_12_months': 'de seis a doce meses',
+    '12_plus': 'de más de doce meses',
+    'not_sure': 'todavía sin fecha',
+  },
+  credit_band_self_reported: {
+    under_580: 'menos de quinientos ochenta',
+    '580_619': 'de quinientos ochenta a seiscientos diecinueve',
+    '620_679': 'de seiscientos veinte a seiscientos setenta y nueve',
+    '680_719': 'de seiscientos ochenta a setecientos diecinueve',
+    '720_plus': 'setecientos veinte o más',
+    prefer_not_to_say: 'prefiere no decir',
+  },
+  land_value_band: {
+    '0_25k': 'menos de veinticinco mil dólares',
+    '25k_50k': 'de veinticinco a cincuenta mil dólares',
+    '50k_100k': 'de cincuenta a cien mil dólares',
+    '100k_200k': 'de cien a doscientos mil dólares',
+    '200k_plus': 'más de doscientos mil dólares',
+    'not_sure': 'no está seguro',
+  },
+  home_type: {
+    manufactured: 'casa manufacturada',
+    mobile_pre_hud: 'casa móvil construida antes de mil novecientos setenta y seis',
+    modular: 'casa modular',
+    single_wide: 'casa de una sección',
+    double_wide: 'casa de doble sección',
+    not_sure: 'casa, todavía sin decidir el tipo',
+  },
+  best_time_to_contact: {
+    morning: 'en la mañana',
+    afternoon: 'en la tarde',
+    evening: 'en la noche',
+    weekday_morning: 'entre semana en la mañana',
+    weekday_evening: 'entre semana en la noche',
+    weekend: 'el fin de semana',
+  },
+  preferred_contact_method: {
+    phone: 'teléfono',
+    email: 'correo electrónico',
+  },
+  site_work_needed: {
+    foundation: 'cimientos',
+    utilities: 'conexión de servicios',
+    septic: 'fosa séptica',
+    well: 'pozo',
+    driveway: 'entrada de autos',
+    grading: 'nivelación',
+    deck: 'terraza',
+    skirting: 'faldón',
+    not_sure: 'todavía no sabe',
+  },
+};
+
 /**
  * Get a human-readable version of an enum value
+ * 
+ * @param {string} enumName
+ * @param {string} value
+ * @param {string} language - 'en' (default) or 'es'
  */
-export function formatEnumForSpeech(enumName, value) {
+export function formatEnumForSpeech(enumName, value, language = 'en') {
+  if (language === 'es' && SPANISH_ENUM_SPEECH[enumName]?.[value]) {
+    return SPANISH_ENUM_SPEECH[enumName][value];
+  }
+  
   const formatters = {
     land_status: {
       own: 'you own the land',
@@ -336,6 +415,25 @@ export const US_STATES = [
   'DC', 'PR', 'VI', 'GU', 'AS', 'MP',
 ];
 
+/**
+ * State name to abbreviation mapping
+ */
+export const STATE_NAME_TO_ABBREV = {
+  'ALABAMA': 'AL', 'ALASKA': 'AK', 'ARIZONA': 'AZ', 'ARKANSAS': 'AR',
+  'CALIFORNIA': 'CA', 'COLORADO': 'CO', 'CONNECTICUT': 'CT', 'DELAWARE': 'DE',
+  'FLORIDA': 'FL', 'GEORGIA': 'GA', 'HAWAII': 'HI', 'IDAHO': 'ID',
+  'ILLINOIS': 'IL', 'INDIANA': 'IN', 'IOWA': 'IA', 'KANSAS': 'KS',
+  'KENTUCKY': 'KY', 'LOUISIANA': 'LA', 'MAINE': 'ME', 'MARYLAND': 'MD',
+  'MASSACHUSETTS': 'MA', 'MICHIGAN': 'MI', 'MINNESOTA': 'MN', 'MISSISSIPPI': 'MS',
+  'MISSOURI': 'MO', 'MONTANA': 'MT', 'NEBRASKA': 'NE', 'NEVADA': 'NV',
+  'NEW HAMPSHIRE': 'NH', 'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY',
+  'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND', 'OHIO': 'OH', 'OKLAHOMA': 'OK',
+  'OREGON': 'OR', 'PENNSYLVANIA': 'PA', 'RHODE ISLAND': 'RI', 'SOUTH CAROLINA': 'SC',
+  'SOUTH DAKOTA': 'SD', 'TENNESSEE': 'TN', 'TEXAS': 'TX', 'UTAH': 'UT',
+  'VERMONT': 'VT', 'VIRGINIA': 'VA', 'WASHINGTON': 'WA', 'WEST VIRGINIA': 'WV',
+  'WISCONSIN': 'WI', 'WYOMING': 'WY', 'DISTRICT OF COLUMBIA': 'DC',
+};
+
 /**
  * Validate a ZIP code format
  */
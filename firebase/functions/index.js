@@ -4,18 +4,21 @@
  * Implements the TLC System Flow Diagram V1:
  * 1. routeLeadIfNeeded - Routes lead to dealer when zip+state exist
  * 2. deliverLeadIfNeeded - Sends notifications when lead is prequalified
+ * 3. resetDealerCapacity - Resets daily lead caps on each dealer's day boundary
  * 
- * Both functions use idempotency guards to prevent duplicate processing.
+ * The lead triggers use idempotency guards to prevent duplicate processing.
  */
 
 import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
 import { defineString } from 'firebase-functions/params';
 import { getFirestore, FieldValue } from 'firebase-admin/firestore';
 import { initializeApp } from 'firebase-admin/app';
 
 // Import helpers
-import { shouldRoute, routeLead, buildAssignmentUpdate } from './lib/routing.js';
+import { shouldRoute, routeLead } from './lib/routing.js';
 import { shouldDeliver, deliverLead, buildDeliverySuccessUpdate, buildDeliveryFailureUpdate } from './lib/delivery.js';
+import { resetDailyCapacity } from './lib/capacity.js';
 
 // Initialize Firebase Admin
 initializeApp();
@@ -47,9 +50,12 @@ const TLC_TEAM_EMAILS = defineString('TLC_TEAM_EMAILS', {
  * 4. home_and_site.property_zip exists
  * 
  * Routing logic (priority order):
- * 1. Dealer lock: If locked_dealer_id exists and dealer is active
+ * 1. Dealer lock: If locked_dealer_id exists, dealer is active, covers the zip and is under cap
  * 2. Zip coverage: Query zipCoverage/{state}_{zip} for candidates
  * 3. Fallback: Route to Home Nation (default dealer)
+ * 
+ * The assignment and the dealer's dealerCapacity increment are written
+ * together in one transaction by routeLead().
  */
 export const routeLeadIfNeeded = onDocumentWritten('leads/{leadId}', async (event) => {
   const leadId = event.params.leadId;
@@ -71,12 +77,13 @@ export const routeLeadIfNeeded = onDocumentWritten('leads/{leadId}', async (even
   console.log(`[routeLeadIfNeeded] Processing lead ${leadId}`);
   
   try {
-    // Route the lead
+    // Route the lead (applies the assignment transactionally)
     const routingResult = await routeLead(leadId, after);
     
-    // Build and apply update
-    const update = buildAssignmentUpdate(routingResult);
-    await db.collection('leads').doc(leadId).update(update);
+    if (routingResult.already_routed) {
+      console.log(`[routeLeadIfNeeded] Lead ${leadId} already routed, skipping`);
+      return;
+    }
     
     console.log(`[routeLeadIfNeeded] Lead ${leadId} routed to dealer ${routingResult.dealer_id}`);
     
@@ -157,3 +164,23 @@ export const deliverLeadIfNeeded = onDocumentWritten('leads/{leadId}', async (ev
     await db.collection('leads').doc(leadId).update(update);
   }
 });
+
+// =============================================================================
+// FUNCTION 3: resetDealerCapacity
+// =============================================================================
+
+/**
+ * Reset dealerCapacity counters whose day has rolled over
+ * 
+ * Trigger: hourly, so each dealer resets within an hour of midnight in its
+ * own timezone (dealerCapacity.timezone, default America/Chicago). Routing
+ * already treats a counter from a previous day as zero, so running more often
+ * would only add collection scans.
+ */
+export const resetDealerCapacity = onSchedule('every 60 minutes', async () => {
+  const result = await resetDailyCapacity();
+  
+  if (result.reset.length > 0) {
+    console.log(`[resetDealerCapacity] Reset ${result.reset.length} of ${result.checked} dealers: ${result.reset.join(', ')}`);
+  }
+});
@@ -0,0 +1,128 @@
+/**
+ * Signed Attribution Tokens
+ *
+ * HMAC-signed tokens that carry a dealer lock through dealer links and
+ * ConversationRelay custom parameters:
+ *
+ *   att1.<base64url payload>.<base64url HMAC-SHA256 of "att1.<payload>">
+ *
+ * The payload is { dealer_id, iat, exp } with times in unix seconds. Tokens
+ * are minted with the ATTRIBUTION_TOKEN_SECRET (dealer-manager mint-token)
+ * and verified on intake; `exp` becomes source.attribution.lock_expires_at.
+ *
+ * Uses only Node built-ins so the voice agent can load it too.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const TOKEN_PREFIX = 'att1';
+
+// Lock lifetime when a token or lock does not specify one
+export const DEFAULT_LOCK_TTL_DAYS = 30;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function sign(secret, signingInput) {
+  return createHmac('sha256', secret).update(signingInput).digest('base64url');
+}
+
+/**
+ * Whether a value looks like a signed attribution token (not an opaque key)
+ */
+export function isSignedAttributionToken(value) {
+  return typeof value === 'string' && value.startsWith(`${TOKEN_PREFIX}.`) && value.split('.').length === 3;
+}
+
+/**
+ * Expiry for a lock applied at `lockedAt` with the default lifetime
+ *
+ * @param {Date} lockedAt - When the lock was applied
+ * @param {number} ttlDays - Lock lifetime in days
+ * @returns {string} ISO timestamp
+ */
+export function defaultLockExpiry(lockedAt = new Date(), ttlDays = DEFAULT_LOCK_TTL_DAYS) {
+  return new Date(lockedAt.getTime() + ttlDays * DAY_SECONDS * 1000).toISOString();
+}
+
+// =============================================================================
+// MINT / VERIFY
+// =============================================================================
+
+/**
+ * Mint a signed attribution token for a dealer
+ *
+ * @param {Object} options
+ * @param {string} options.dealerId - Dealer the token locks to
+ * @param {string} options.secret - ATTRIBUTION_TOKEN_SECRET
+ * @param {number} options.ttlDays - Token lifetime in days (default 30)
+ * @param {Date} options.now - Issue time
+ * @returns {string}
+ */
+export function mintAttributionToken({ dealerId, secret, ttlDays = DEFAULT_LOCK_TTL_DAYS, now = new Date() }) {
+  if (!dealerId) throw new Error('dealerId is required to mint an attribution token');
+  if (!secret) throw new Error('secret is required to mint an attribution token');
+
+  const iat = Math.floor(now.getTime() / 1000);
+  const payload = Buffer.from(JSON.stringify({
+    dealer_id: dealerId,
+    iat,
+    exp: iat + Math.round(ttlDays * DAY_SECONDS),
+  })).toString('base64url');
+
+  const signingInput = `${TOKEN_PREFIX}.${payload}`;
+  return `${signingInput}.${sign(secret, signingInput)}`;
+}
+
+/**
+ * Verify a signed attribution token
+ *
+ * @param {string} token - Token from mintAttributionToken()
+ * @param {string} secret - ATTRIBUTION_TOKEN_SECRET
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @returns {{valid: boolean, reason: string, dealer_id?: string, issued_at?: string, expires_at?: string}}
+ *   reason is one of: ok, malformed, bad_signature, expired
+ */
+export function verifyAttributionToken(token, secret, { now = new Date() } = {}) {
+  if (!isSignedAttributionToken(token) || !secret) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [prefix, payload, signature] = token.split('.');
+  const expected = Buffer.from(sign(secret, `${prefix}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (!claims?.dealer_id || !Number.isFinite(claims.iat) || !Number.isFinite(claims.exp)) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const result = {
+    dealer_id: claims.dealer_id,
+    issued_at: new Date(claims.iat * 1000).toISOString(),
+    expires_at: new Date(claims.exp * 1000).toISOString(),
+  };
+
+  if (claims.exp * 1000 <= now.getTime()) {
+    return { valid: false, reason: 'expired', ...result };
+  }
+
+  return { valid: true, reason: 'ok', ...result };
+}
@@ -0,0 +1,54 @@
+/**
+ * Dealer Capacity
+ *
+ * Daily reset of dealerCapacity/{dealerId}.leads_assigned_today.
+ *
+ * Counters reset on the dealer's own day boundary (dealerCapacity.timezone,
+ * default America/Chicago). The routing engine already treats a counter from
+ * a previous day as zero, so the reset only has to run often enough to keep
+ * the stored documents tidy for reporting.
+ */
+
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { isCapacityStale } from './routing-engine.js';
+
+/**
+ * Reset every capacity counter whose day has rolled over
+ *
+ * Each reset runs in its own transaction that re-reads the counter and only
+ * zeroes it if it is still stale, so an assignment committed between the scan
+ * and the reset is never wiped out.
+ *
+ * @param {Object} options
+ * @param {Firestore} options.db - Firestore instance (defaults to getFirestore())
+ * @param {Date} options.now - Current time
+ * @returns {Promise<{checked: number, reset: string[]}>} Dealer IDs that were reset
+ */
+export async function resetDailyCapacity(options = {}) {
+  const db = options.db || getFirestore();
+  const now = options.now || new Date();
+
+  const snapshot = await db.collection('dealerCapacity').get();
+  const stale = snapshot.docs.filter(doc => isCapacityStale(doc.data(), now));
+  const reset = [];
+
+  for (const doc of stale) {
+    const didReset = await db.runTransaction(async (tx) => {
+      const current = await tx.get(doc.ref);
+      if (!current.exists || !isCapacityStale(current.data(), now)) return false;
+
+      tx.update(doc.ref, {
+        leads_assigned_today: 0,
+        last_reset_at: now,
+        updated_at: FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+    if (didReset) reset.push(doc.id);
+  }
+
+  return {
+    checked: snapshot.size,
+    reset,
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * Lead Delivery
+ *
+ * Sends lead notifications:
+ *
+ * 1. Always email the TLC team
+ * 2. Notify the dealer if delivery_prefs.dealer_delivery_enabled is true,
+ *    by email or by signed webhook (delivery_prefs.delivery_mode)
+ *
+ * Emails go through the Trigger Email extension by writing documents to the
+ * `mail` collection.
+ *
+ * Follows the Hestia API Schema V2 delivery model (section 7).
+ */
+
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { writeLeadEvent } from './events.js';
+import { buildWebhookPayload, sendWebhook } from './webhook.js';
+
+// =============================================================================
+// GUARDS
+// =============================================================================
+
+/**
+ * Check whether a lead should be delivered
+ *
+ * @param {Object} lead - Lead document data
+ * @returns {{should: boolean, reason: string}}
+ */
+export function shouldDeliver(lead) {
+  if (!lead) {
+    return { should: false, reason: 'no_lead' };
+  }
+
+  if (lead.status !== 'prequalified') {
+    return { should: false, reason: 'not_prequalified' };
+  }
+
+  if (!lead.assignment?.assigned_dealer_id) {
+    return { should: false, reason: 'not_assigned' };
+  }
+
+  if ((lead.delivery?.status || 'pending') !== 'pending') {
+    return { should: false, reason: 'not_pending' };
+  }
+
+  if (lead.delivery?.delivered_at) {
+    return { should: false, reason: 'already_delivered' };
+  }
+
+  return { should: true, reason: 'ready' };
+}
+
+// =============================================================================
+// EMAIL CONTENT
+// =============================================================================
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+}
+
+/**
+ * Build the plain text email body for a lead
+ */
+export function buildLeadEmail(leadId, lead, dealer) {
+  const applicant = lead.applicant || {};
+  const home = lead.home_and_site || {};
+  const financial = lead.financial_snapshot || {};
+
+  const lines = [
+    `Lead: ${leadId}`,
+    `Assigned dealer: ${dealer?.dealer_name || lead.assignment?.assigned_dealer_id}`,
+    `Assignment: ${formatValue(lead.assignment?.assignment_type)} (${formatValue(lead.assignment?.assignment_reason)})`,
+    '',
+    'APPLICANT',
+    `Name: ${formatValue(applicant.full_name)}`,
+    `Phone: ${formatValue(applicant.phone_e164)}`,
+    `Email: ${formatValue(applicant.email)}`,
+    `Preferred contact: ${formatValue(applicant.preferred_contact_method)}`,
+    `Best time: ${formatValue(applicant.best_time_to_contact)}`,
+    `Preferred language: ${formatValue(applicant.preferred_language)}`,
+    '',
+    'HOME AND SITE',
+    `Location: ${formatValue(home.property_state)} ${formatValue(home.property_zip)}`,
+    `Land status: ${formatValue(home.land_status)}`,
+    `Home type: ${formatValue(home.home_type)}`,
+    `New home purchase: ${formatValue(home.is_new_home_purchase)}`,
+    `Timeline: ${formatValue(home.timeline)}`,
+    `Price estimate: ${formatValue(home.home_price_estimate_usd)}`,
+    '',
+    'FINANCIAL',
+    `Credit band: ${formatValue(financial.credit_band_self_reported)}`,
+    `Monthly income: ${formatValue(financial.monthly_income_estimate_usd)}`,
+    `Recent bankruptcy: ${formatValue(financial.has_recent_bankruptcy)}`,
+  ];
+
+  if (lead.notes?.free_text) {
+    lines.push('', 'NOTES', lead.notes.free_text);
+  }
+
+  const name = applicant.full_name || 'New applicant';
+  const location = [home.property_state, home.property_zip].filter(Boolean).join(' ');
+
+  return {
+    subject: `New TLC lead: ${name}${location ? ` (${location})` : ''}`,
+    text: lines.join('\n'),
+  };
+}
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+/**
+ * Deliver to a dealer's webhook, writing an attempted event per try
+ *
+ * @returns {Promise<{attempts: number, status_code: number, delivery_id: string}>}
+ */
+async function deliverWebhook(db, leadId, lead, dealerId, prefs, webhookOptions = {}) {
+  if (!prefs.webhook_url) {
+    const error = new Error(`Dealer ${dealerId} has delivery_mode webhook but no webhook_url`);
+    error.code = 'webhook_url_missing';
+    throw error;
+  }
+
+  const secretDoc = await db.collection('dealerWebhookSecrets').doc(dealerId).get();
+  const secret = secretDoc.exists ? secretDoc.data().secret : null;
+  if (!secret) {
+    const error = new Error(`No webhook secret for dealer ${dealerId}`);
+    error.code = 'webhook_secret_missing';
+    throw error;
+  }
+
+  const payload = buildWebhookPayload(leadId, lead);
+
+  return sendWebhook({
+    ...webhookOptions,
+    url: prefs.webhook_url,
+    secret,
+    payload,
+    onAttempt: (attempt) => writeLeadEvent(db, leadId, {
+      event_type: 'dealer_delivery_attempted',
+      details: {
+        dealer_id: dealerId,
+        channel: 'webhook',
+        delivery_id: payload.delivery_id,
+        ...attempt,
+      },
+    }),
+  });
+}
+
+/**
+ * Deliver a lead to the TLC team and (optionally) the dealer
+ *
+ * The TLC team is always emailed. The dealer is reached through
+ * delivery_prefs.delivery_mode: 'webhook' posts a signed payload
+ * (see ./webhook.js), anything else sends email.
+ *
+ * Events: dealer_delivery_attempted (per try), dealer_delivery_succeeded or
+ * dealer_delivery_skipped, then `delivered`. On failure writes
+ * `dealer_delivery_failed` and rethrows so the caller can apply
+ * buildDeliveryFailureUpdate().
+ *
+ * @param {string} leadId - Lead ID
+ * @param {Object} lead - Lead document data
+ * @param {string[]} tlcEmails - TLC team addresses
+ * @param {Object} options
+ * @param {Firestore} options.db - Firestore instance (defaults to getFirestore())
+ * @param {Object} options.webhook - Overrides for sendWebhook() (maxAttempts, baseDelayMs, timeoutMs, fetch, sleep)
+ * @returns {Promise<Object>} Delivery result
+ */
+export async function deliverLead(leadId, lead, tlcEmails = [], options = {}) {
+  const db = options.db || getFirestore();
+  const dealerId = lead.assignment.assigned_dealer_id;
+  let tlcNotified = false;
+  let channel = null;
+
+  try {
+    const dealerDoc = await db.collection('dealers').doc(dealerId).get();
+    const dealer = dealerDoc.exists ? dealerDoc.data() : null;
+    const prefs = dealer?.delivery_prefs || {};
+
+    const email = buildLeadEmail(leadId, lead, dealer);
+    const mailIds = [];
+
+    // 1. Always notify TLC team
+    if (tlcEmails.length > 0) {
+      const ref = await db.collection('mail').add({
+        to: tlcEmails,
+        message: email,
+        lead_id: leadId,
+        created_at: FieldValue.serverTimestamp(),
+      });
+      mailIds.push(ref.id);
+      tlcNotified = true;
+    }
+
+    // 2. Notify dealer if enabled, through its delivery mode
+    const dealerEnabled = prefs.dealer_delivery_enabled === true;
+    const dealerTo = prefs.email_to || [];
+    let dealerNotified = false;
+    let attempts = 1;
+    let skipReason = null;
+
+    if (!dealerEnabled) {
+      skipReason = 'dealer_delivery_disabled';
+    } else if (prefs.delivery_mode === 'webhook') {
+      channel = 'webhook';
+      const webhookResult = await deliverWebhook(db, leadId, lead, dealerId, prefs, options.webhook);
+      attempts = webhookResult.attempts;
+      dealerNotified = true;
+    } else if (dealerTo.length > 0) {
+      channel = 'email';
+      const ref = await db.collection('mail').add({
+        to: dealerTo,
+        cc: prefs.email_cc || [],
+        message: email,
+        lead_id: leadId,
+        dealer_id: dealerId,
+        created_at: FieldValue.serverTimestamp(),
+      });
+      mailIds.push(ref.id);
+      dealerNotified = true;
+      await writeLeadEvent(db, leadId, {
+        event_type: 'dealer_delivery_attempted',
+        details: { dealer_id: dealerId, channel, attempt: 1, ok: true, mail_id: ref.id },
+      });
+    } else {
+      skipReason = 'no_recipients';
+    }
+
+    if (dealerNotified) {
+      await writeLeadEvent(db, leadId, {
+        event_type: 'dealer_delivery_succeeded',
+        details: { dealer_id: dealerId, channel, attempts },
+      });
+    } else {
+      await writeLeadEvent(db, leadId, {
+        event_type: 'dealer_delivery_skipped',
+        details: { dealer_id: dealerId, reason: skipReason },
+      });
+    }
+
+    const result = {
+      dealer_id: dealerId,
+      dealer_delivery_enabled: dealerEnabled,
+      dealer_channel: channel,
+      tlc_notified: tlcNotified,
+      dealer_notified: dealerNotified,
+      attempts,
+      mail_ids: mailIds,
+    };
+
+    await writeLeadEvent(db, leadId, {
+      event_type: 'delivered',
+      details: {
+        dealer_id: dealerId,
+        tlc_notified: tlcNotified,
+        dealer_notified: dealerNotified,
+        dealer_channel: channel,
+        mail_ids: mailIds,
+      },
+    });
+
+    return result;
+
+  } catch (error) {
+    error.tlc_notified = tlcNotified;
+
+    await writeLeadEvent(db, leadId, {
+      event_type: 'dealer_delivery_failed',
+      details: {
+        dealer_id: dealerId,
+        channel,
+        attempts: error.attempts || 1,
+        status_code: error.status_code || null,
+        code: error.code || 'unknown',
+        message: error.message,
+      },
+    });
+    throw error;
+  }
+}
+
+/**
+ * Build the lead update for a successful delivery
+ *
+ * @param {Object} deliveryResult - Result from deliverLead()
+ * @returns {Object} Firestore update using dot notation
+ */
+export function buildDeliverySuccessUpdate(deliveryResult) {
+  return {
+    'delivery.status': 'delivered',
+    'delivery.dealer_delivery_enabled': deliveryResult.dealer_delivery_enabled,
+    'delivery.tlc_team_notified': deliveryResult.tlc_notified,
+    'delivery.attempts': FieldValue.increment(deliveryResult.attempts || 1),
+    'delivery.last_attempt_at': FieldValue.serverTimestamp(),
+    'delivery.delivered_at': FieldValue.serverTimestamp(),
+    'delivery.last_error': null,
+    'updated_at': FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Build the lead update for a failed delivery
+ *
+ * @param {Error} error - Delivery error
+ * @returns {Object} Firestore update using dot notation
+ */
+export function buildDeliveryFailureUpdate(error) {
+  const update = {
+    'delivery.status': 'failed',
+    'delivery.attempts': FieldValue.increment(error?.attempts || 1),
+    'delivery.last_attempt_at': FieldValue.serverTimestamp(),
+    'delivery.last_error': {
+      code: error?.code || 'unknown',
+      message: error?.message || String(error),
+      status_code: error?.status_code ?? null,
+    },
+    'updated_at': FieldValue.serverTimestamp(),
+  };
+
+  // The TLC team may have been emailed before the dealer channel failed
+  if (error?.tlc_notified) {
+    update['delivery.tlc_team_notified'] = true;
+  }
+
+  return update;
+}
@@ -0,0 +1,41 @@
+/**
+ * Lead Event Helpers
+ *
+ * Writes append-only entries to the top-level leadEvents collection,
+ * matching the shape used by the voice agent's Firestore client.
+ */
+
+import { FieldValue } from 'firebase-admin/firestore';
+
+/**
+ * Generate a unique ID with prefix
+ */
+export function generateId(prefix = 'evt') {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substring(2, 8);
+  return `${prefix}_${timestamp}${random}`;
+}
+
+/**
+ * Write an event to leadEvents/{eventId}
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {string} leadId - Lead the event belongs to
+ * @param {Object} eventData - { event_type, actor_type?, actor_id?, details? }
+ * @returns {Promise<{event_id: string}>}
+ */
+export async function writeLeadEvent(db, leadId, eventData) {
+  const eventId = generateId('evt');
+
+  await db.collection('leadEvents').doc(eventId).set({
+    event_id: eventId,
+    lead_id: leadId,
+    event_type: eventData.event_type,
+    actor_type: eventData.actor_type || 'system',
+    actor_id: eventData.actor_id || null,
+    details: eventData.details || {},
+    created_at: FieldValue.serverTimestamp(),
+  });
+
+  return { event_id: eventId };
+}
@@ -0,0 +1,446 @@
+/**
+ * Routing Engine
+ *
+ * Pure implementation of the dealer assignment algorithm (Hestia API Schema
+ * V2, 6.4), shared by the Cloud Functions, the Firestore client and the mock
+ * client so every backend routes identically.
+ *
+ * The engine never touches storage directly. Callers pass a data-access
+ * adapter and persist the returned decision themselves:
+ *
+ *   const adapter = {
+ *     getDealer: async (dealerId) => dealer | null,
+ *     getZipCoverage: async (state, zip) => { candidates: [...] } | null,
+ *     getDealerCapacity: async (dealerId) => capacity | null,   // optional
+ *     // For assignWithCapacity(): write the assignment and the capacity
+ *     // increment atomically, re-checking canCommitAssignment()
+ *     commitAssignment: async (leadId, decision, now) => 'committed' | 'already_routed' | 'over_cap',
+ *   };
+ *
+ *   const decision = await decideRouting(lead, adapter);
+ *   const committed = await assignWithCapacity(leadId, lead, adapter);
+ *
+ * No imports: this file must stay loadable from the voice agent (which does
+ * not install the functions' dependencies) as well as from functions/.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const DEFAULT_DEALER_ID = 'home_nation';
+export const DEFAULT_PRIORITY_WEIGHT = 100;
+export const ROUTING_VERSION = 1;
+
+// Day boundary for dealerCapacity counters when the document has no timezone
+export const DEFAULT_CAPACITY_TIMEZONE = 'America/Chicago';
+
+// Re-run routing at most this many times when a dealer fills up mid-routing
+export const MAX_ASSIGNMENT_ATTEMPTS = 3;
+
+// Reason codes recorded when an attribution lock cannot be honored
+export const LOCK_REJECTION_REASONS = {
+  NOT_FOUND: 'locked_dealer_not_found',
+  INACTIVE: 'locked_dealer_inactive',
+  ZIP_NOT_COVERED: 'locked_dealer_zip_not_covered',
+  OVER_CAP: 'locked_dealer_over_cap',
+  EXPIRED: 'lock_expired',
+};
+
+// Filters applied at each stage, in order
+const LOCK_FILTERS = ['dealer_active', 'zip_coverage', 'daily_cap'];
+const GEO_FILTERS = ['dealer_active', 'daily_cap'];
+
+// =============================================================================
+// CAPACITY
+// =============================================================================
+
+/**
+ * Convert a Firestore Timestamp, Date or ISO string to a Date
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of a moment in an IANA timezone
+ *
+ * @param {Date} date - Moment to convert
+ * @param {string} timezone - IANA timezone, e.g. 'America/Chicago'
+ * @returns {string}
+ */
+export function localDateKey(date, timezone = DEFAULT_CAPACITY_TIMEZONE) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Whether a capacity counter was last reset before today in its timezone
+ *
+ * A counter that has never been reset is not stale: it was created by the
+ * first assignment of the day.
+ */
+export function isCapacityStale(capacity, now = new Date()) {
+  const lastReset = toDate(capacity?.last_reset_at);
+  if (!lastReset) return false;
+  const timezone = capacity?.timezone || DEFAULT_CAPACITY_TIMEZONE;
+  return localDateKey(lastReset, timezone) !== localDateKey(now, timezone);
+}
+
+/**
+ * Resolve a dealer's daily cap and today's count
+ *
+ * Caps only apply when the dealer has delivery_prefs.allow_lead_cap enabled.
+ * The cap then comes from dealerCapacity/{dealerId}.daily_lead_cap, falling
+ * back to delivery_prefs.daily_lead_cap. A counter last reset before today
+ * (in the capacity's timezone) is treated as zero, since the scheduled reset
+ * may not have run yet.
+ *
+ * @param {Object} dealer - Dealer document data
+ * @param {Object|null} capacity - dealerCapacity document data
+ * @param {Date} now - Current time
+ * @returns {{cap: number|null, assigned_today: number, under_cap: boolean}}
+ */
+export function evaluateCapacity(dealer, capacity, now = new Date()) {
+  const prefs = dealer?.delivery_prefs;
+  const cap = prefs?.allow_lead_cap ? (capacity?.daily_lead_cap ?? prefs.daily_lead_cap ?? null) : null;
+
+  const assignedToday = isCapacityStale(capacity, now) ? 0 : (capacity?.leads_assigned_today || 0);
+
+  return {
+    cap,
+    assigned_today: assignedToday,
+    under_cap: cap === null || assignedToday < cap,
+  };
+}
+
+/**
+ * Capacity fields to write after assigning one more lead to a dealer
+ *
+ * Callers read the current dealerCapacity document inside a transaction and
+ * write these fields back (merged), so the count is exact under concurrency.
+ *
+ * @param {string} dealerId - Dealer being assigned
+ * @param {Object|null} capacity - Current dealerCapacity document data
+ * @param {Date} now - Current time
+ * @returns {{dealer_id: string, leads_assigned_today: number, last_reset_at: Date, timezone: string}}
+ */
+export function nextCapacityState(dealerId, capacity, now = new Date()) {
+  const stale = isCapacityStale(capacity, now);
+  const lastReset = toDate(capacity?.last_reset_at);
+
+  return {
+    dealer_id: dealerId,
+    leads_assigned_today: (stale ? 0 : (capacity?.leads_assigned_today || 0)) + 1,
+    last_reset_at: stale || !lastReset ? now : lastReset,
+    timezone: capacity?.timezone || DEFAULT_CAPACITY_TIMEZONE,
+  };
+}
+
+// =============================================================================
+// SELECTION
+// =============================================================================
+
+/**
+ * Ordering keys for geo candidates, most significant first
+ *
+ * Coverage priority wins (lower first, as in the zipCoverage candidate
+ * list); ties are broken by routing_prefs.priority_weight (lower first, per
+ * the V1 schema), then distance_miles (closer first), then dealer_id so the
+ * result is always deterministic.
+ */
+const ORDERING_KEYS = [
+  { rule: 'coverage_priority', value: (e) => e.candidate.priority ?? Number.MAX_SAFE_INTEGER },
+  { rule: 'priority_weight', value: (e) => e.dealer.routing_prefs?.priority_weight ?? DEFAULT_PRIORITY_WEIGHT },
+  { rule: 'distance', value: (e) => e.candidate.distance_miles ?? Number.MAX_SAFE_INTEGER },
+  { rule: 'dealer_id', value: (e) => e.dealer_id },
+];
+
+/**
+ * Deterministic ordering for geo candidates (see ORDERING_KEYS)
+ */
+export function compareCandidates(a, b) {
+  for (const key of ORDERING_KEYS) {
+    const valueA = key.value(a);
+    const valueB = key.value(b);
+    if (valueA !== valueB) return valueA < valueB ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Name the ordering key that separated the winner from the runner-up
+ */
+function decidingRule(winner, runnerUp) {
+  if (!runnerUp) return 'single_candidate';
+  const key = ORDERING_KEYS.find(k => k.value(winner) !== k.value(runnerUp));
+  return key ? key.rule : 'dealer_id';
+}
+
+/**
+ * Whether a candidate holds an exclusive claim on the zip
+ *
+ * The coverage entry must be flagged exclusive and the dealer must be
+ * allowed exclusive zips (routing_prefs.exclusive_zips_allowed).
+ */
+export function hasExclusiveClaim(entry) {
+  return entry.candidate.exclusive === true && entry.dealer.routing_prefs?.exclusive_zips_allowed === true;
+}
+
+/**
+ * Load a dealer and evaluate its capacity through the adapter
+ */
+async function loadDealer(adapter, dealerId, now) {
+  const [dealer, capacity] = await Promise.all([
+    adapter.getDealer(dealerId),
+    adapter.getDealerCapacity ? adapter.getDealerCapacity(dealerId) : null,
+  ]);
+
+  if (!dealer) return null;
+
+  return {
+    dealer_id: dealerId,
+    dealer,
+    capacity: evaluateCapacity(dealer, capacity, now),
+  };
+}
+
+/**
+ * Return the first filter a dealer fails, or null if it passes all
+ */
+function firstFailedFilter(entry, filters, candidates) {
+  for (const filter of filters) {
+    if (filter === 'dealer_active' && entry.dealer.status !== 'active') return filter;
+    if (filter === 'zip_coverage' && !candidates.some(c => c.dealer_id === entry.dealer_id)) return filter;
+    if (filter === 'daily_cap' && !entry.capacity.under_cap) return filter;
+  }
+  return null;
+}
+
+const LOCK_REJECTION_BY_FILTER = {
+  dealer_active: LOCK_REJECTION_REASONS.INACTIVE,
+  zip_coverage: LOCK_REJECTION_REASONS.ZIP_NOT_COVERED,
+  daily_cap: LOCK_REJECTION_REASONS.OVER_CAP,
+};
+
+// =============================================================================
+// DECISION
+// =============================================================================
+
+/**
+ * Decide which dealer a lead is assigned to
+ *
+ * 1. Attribution lock: the lock must not be past lock_expires_at, and
+ *    locked_dealer_id must be active, covered by the zip and under its daily
+ *    cap. Otherwise the rejection is recorded and routing continues.
+ * 2. Geo routing: active, under-cap candidates from zipCoverage. An
+ *    exclusive claim (hasExclusiveClaim()) wins outright and blocks the
+ *    other candidates; otherwise ordered by compareCandidates().
+ * 3. Fallback: DEFAULT_DEALER_ID.
+ *
+ * @param {Object} lead - Lead document data
+ * @param {Object} adapter - Data-access adapter (see file header)
+ * @param {Object} options
+ * @param {Date} options.now - Current time (for capacity and lock expiry)
+ * @returns {Promise<Object>} Decision with an explanation trace
+ */
+export async function decideRouting(lead, adapter, options = {}) {
+  const now = options.now || new Date();
+  const trace = [];
+
+  const state = lead.home_and_site?.property_state || null;
+  const zip = lead.home_and_site?.property_zip || null;
+  const attribution = lead.source?.attribution || {};
+  const lockedDealerId = attribution.locked_dealer_id || null;
+
+  const coverage = state && zip ? await adapter.getZipCoverage(state, zip) : null;
+  const candidates = coverage?.candidates || [];
+  trace.push({ step: 'zip_coverage', coverage_id: state && zip ? `${state}_${zip}` : null, candidate_count: candidates.length });
+
+  // Rule 1: Attribution lock
+  let lockRejection = null;
+  if (lockedDealerId) {
+    const lockExpiresAt = toDate(attribution.lock_expires_at);
+    const expired = !!lockExpiresAt && lockExpiresAt <= now;
+
+    // An expired lock is not checked against the dealer at all
+    const entry = expired ? null : await loadDealer(adapter, lockedDealerId, now);
+    const failed = entry ? firstFailedFilter(entry, LOCK_FILTERS, candidates) : null;
+    const reasonCode = expired
+      ? LOCK_REJECTION_REASONS.EXPIRED
+      : !entry ? LOCK_REJECTION_REASONS.NOT_FOUND : LOCK_REJECTION_BY_FILTER[failed] || null;
+
+    if (!reasonCode) {
+      trace.push({ step: 'attribution_lock', dealer_id: lockedDealerId, result: 'accepted' });
+      return {
+        dealer_id: lockedDealerId,
+        assignment_type: 'dealer_sourced',
+        assignment_reason: attribution.locked_reason === 'dealer_phone' ? 'dealer_number' : 'referral_lock',
+        decided_by: 'attribution_lock',
+        candidate_set_size: 1,
+        eligible_count: 1,
+        filters_applied: LOCK_FILTERS,
+        lock_rejection: null,
+        routing_version: ROUTING_VERSION,
+        trace,
+      };
+    }
+
+    lockRejection = {
+      dealer_id: lockedDealerId,
+      locked_reason: attribution.locked_reason || null,
+      reason_code: reasonCode,
+      lock_expires_at: lockExpiresAt ? lockExpiresAt.toISOString() : null,
+    };
+    trace.push({ step: 'attribution_lock', dealer_id: lockedDealerId, result: 'rejected', reason_code: reasonCode });
+  }
+
+  // Rule 2: Geo routing
+  const entries = await Promise.all(
+    candidates.map(async (candidate) => {
+      const entry = await loadDealer(adapter, candidate.dealer_id, now);
+      return entry ? { ...entry, candidate } : null;
+    })
+  );
+
+  const eligible = [];
+  entries.forEach((entry, i) => {
+    if (!entry) {
+      trace.push({ step: 'candidate', dealer_id: candidates[i].dealer_id, eligible: false, excluded_by: 'dealer_not_found' });
+      return;
+    }
+    const failed = firstFailedFilter(entry, GEO_FILTERS, candidates);
+    trace.push({
+      step: 'candidate',
+      dealer_id: entry.dealer_id,
+      eligible: !failed,
+      excluded_by: failed,
+      exclusive: hasExclusiveClaim(entry),
+    });
+    if (!failed) eligible.push(entry);
+  });
+
+  // An available exclusive dealer wins outright and blocks the others
+  const exclusive = eligible.filter(hasExclusiveClaim);
+  const pool = exclusive.length > 0 ? exclusive : eligible;
+  const filtersApplied = exclusive.length > 0 ? [...GEO_FILTERS, 'exclusive_zip'] : GEO_FILTERS;
+  if (exclusive.length > 0) {
+    const blocked = eligible.filter(e => !hasExclusiveClaim(e)).map(e => e.dealer_id);
+    trace.push({ step: 'exclusive_zip', dealer_ids: exclusive.map(e => e.dealer_id), blocked });
+  }
+  pool.sort(compareCandidates);
+
+  const selected = pool[0] || null;
+  let decidedBy = 'fallback';
+  if (selected) {
+    decidedBy = exclusive.length === 1 ? 'exclusive_zip' : decidingRule(selected, pool[1]);
+  }
+  trace.push(selected
+    ? { step: 'geo_selection', dealer_id: selected.dealer_id, decided_by: decidedBy }
+    : { step: 'fallback', dealer_id: DEFAULT_DEALER_ID });
+
+  // Rule 3: Fallback
+  return {
+    dealer_id: selected ? selected.dealer_id : DEFAULT_DEALER_ID,
+    assignment_type: 'geo_routed',
+    assignment_reason: selected ? 'zip_match' : 'fallback',
+    decided_by: decidedBy,
+    candidate_set_size: candidates.length,
+    eligible_count: pool.length,
+    filters_applied: filtersApplied,
+    lock_rejection: lockRejection,
+    routing_version: ROUTING_VERSION,
+    trace,
+  };
+}
+
+// =============================================================================
+// ASSIGNMENT
+// =============================================================================
+
+/**
+ * Whether a decision can still be committed against freshly read dealer
+ * and capacity data (the fallback dealer always takes the lead, even when
+ * full). Backends call this inside their commitAssignment step.
+ */
+export function canCommitAssignment(decision, dealer, capacity, now = new Date()) {
+  return decision.assignment_reason === 'fallback' || evaluateCapacity(dealer, capacity, now).under_cap;
+}
+
+/**
+ * Decide a lead's dealer and commit the assignment
+ *
+ * The adapter's commitAssignment() writes the assignment and the dealer's
+ * capacity increment atomically. If the chosen dealer filled up in the
+ * meantime ('over_cap'), routing is re-run, up to MAX_ASSIGNMENT_ATTEMPTS
+ * times.
+ *
+ * @param {string} leadId - Lead ID
+ * @param {Object} lead - Lead document data
+ * @param {Object} adapter - Data-access adapter with commitAssignment()
+ * @param {Object} options
+ * @param {Date} options.now - Current time (for capacity and lock expiry)
+ * @returns {Promise<Object>} The committed decision, or { already_routed: true }
+ * @throws {Error} code 'capacity_contention' when every attempt lost its dealer
+ */
+export async function assignWithCapacity(leadId, lead, adapter, options = {}) {
+  const now = options.now || new Date();
+
+  for (let attempt = 1; attempt <= MAX_ASSIGNMENT_ATTEMPTS; attempt++) {
+    const decision = await decideRouting(lead, adapter, { now });
+    const outcome = await adapter.commitAssignment(leadId, decision, now);
+
+    if (outcome === 'already_routed') return { already_routed: true };
+    if (outcome === 'committed') return decision;
+  }
+
+  const error = new Error(`Dealer capacity changed during routing ${MAX_ASSIGNMENT_ATTEMPTS} times`);
+  error.code = 'capacity_contention';
+  throw error;
+}
+
+// =============================================================================
+// EVENTS
+// =============================================================================
+
+/**
+ * Details for the `routed` event written after every decision
+ */
+export function buildRoutedEventDetails(decision) {
+  return {
+    assigned_dealer_id: decision.dealer_id,
+    assignment_type: decision.assignment_type,
+    assignment_reason: decision.assignment_reason,
+    reason_code: decision.assignment_reason,
+    decided_by: decision.decided_by,
+    candidate_set_size: decision.candidate_set_size,
+    eligible_count: decision.eligible_count,
+    filters_applied: decision.filters_applied,
+    lock_rejection: decision.lock_rejection,
+    routing_version: decision.routing_version,
+    trace: decision.trace,
+  };
+}
+
+/**
+ * Details for the `dealer_assignment_failed` event written when an
+ * attribution lock is rejected, or null when there is nothing to record
+ */
+export function buildLockRejectedEventDetails(decision) {
+  if (!decision.lock_rejection) return null;
+  return {
+    dealer_id: decision.lock_rejection.dealer_id,
+    locked_reason: decision.lock_rejection.locked_reason,
+    reason_code: decision.lock_rejection.reason_code,
+    lock_expires_at: decision.lock_rejection.lock_expires_at ?? null,
+    fallback: 'geo_routing',
+  };
+}
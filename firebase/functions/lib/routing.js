@@ -0,0 +1,191 @@
+/**
+ * Lead Routing
+ *
+ * Cloud Functions wrapper around the shared routing engine
+ * (./routing-engine.js), which implements the dealer assignment algorithm
+ * (Hestia API Schema V2, 6.4):
+ *
+ * 1. Attribution lock: if source.attribution.locked_dealer_id is set, the
+ *    dealer must be active, cover the property zip and be under its daily
+ *    cap. If any check fails we fall back to geo routing and record why.
+ * 2. Geo routing: candidates from zipCoverage/{state}_{zip}, filtered to
+ *    active dealers under cap. An exclusive candidate whose dealer allows
+ *    exclusive zips wins outright; otherwise the lowest coverage priority
+ *    wins, with routing_prefs.priority_weight as the tie-break.
+ * 3. Fallback: Home Nation (default dealer).
+ *
+ * The assignment and the dealer's dealerCapacity increment are committed in
+ * one transaction.
+ *
+ * Every routing decision writes a `routed` event with the candidate set size,
+ * filters applied, final dealer, reason code and the rule that decided.
+ */
+
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { writeLeadEvent } from './events.js';
+import {
+  assignWithCapacity,
+  buildRoutedEventDetails,
+  buildLockRejectedEventDetails,
+  canCommitAssignment,
+  nextCapacityState,
+  ROUTING_VERSION,
+} from './routing-engine.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const TERMINAL_STATUSES = ['ineligible', 'do_not_contact', 'closed'];
+
+// =============================================================================
+// GUARDS
+// =============================================================================
+
+/**
+ * Check whether a lead should be routed
+ *
+ * @param {Object} lead - Lead document data
+ * @returns {{should: boolean, reason: string}}
+ */
+export function shouldRoute(lead) {
+  if (!lead) {
+    return { should: false, reason: 'no_lead' };
+  }
+
+  if (TERMINAL_STATUSES.includes(lead.status)) {
+    return { should: false, reason: 'terminal_status' };
+  }
+
+  if (lead.assignment?.routed_at) {
+    return { should: false, reason: 'already_routed' };
+  }
+
+  if (!lead.home_and_site?.property_state) {
+    return { should: false, reason: 'missing_state' };
+  }
+
+  if (!lead.home_and_site?.property_zip) {
+    return { should: false, reason: 'missing_zip' };
+  }
+
+  return { should: true, reason: 'ready' };
+}
+
+// =============================================================================
+// DATA ACCESS
+// =============================================================================
+
+async function getDoc(db, collection, id) {
+  const doc = await db.collection(collection).doc(id).get();
+  return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Build a routing-engine adapter backed by Firestore
+ *
+ * @param {Firestore} db - Firestore instance
+ * @returns {Object} Adapter for decideRouting() and assignWithCapacity()
+ */
+export function createFirestoreRoutingAdapter(db) {
+  return {
+    getDealer: (dealerId) => getDoc(db, 'dealers', dealerId),
+    getZipCoverage: (state, zip) => getDoc(db, 'zipCoverage', `${state}_${zip}`),
+    getDealerCapacity: (dealerId) => getDoc(db, 'dealerCapacity', dealerId),
+    commitAssignment: (leadId, decision, now) => commitAssignment(db, leadId, decision, now),
+  };
+}
+
+// =============================================================================
+// ROUTING
+// =============================================================================
+
+/**
+ * Commit an assignment and its capacity increment in one transaction
+ *
+ * Re-reads the lead and the dealer's capacity so that concurrent routings
+ * cannot push a dealer past its cap or route the same lead twice.
+ *
+ * @returns {Promise<'committed'|'already_routed'|'over_cap'>}
+ */
+async function commitAssignment(db, leadId, decision, now) {
+  const leadRef = db.collection('leads').doc(leadId);
+  const dealerRef = db.collection('dealers').doc(decision.dealer_id);
+  const capacityRef = db.collection('dealerCapacity').doc(decision.dealer_id);
+
+  return db.runTransaction(async (tx) => {
+    const [leadSnap, dealerSnap, capacitySnap] = await tx.getAll(leadRef, dealerRef, capacityRef);
+
+    if (leadSnap.data()?.assignment?.routed_at) {
+      return 'already_routed';
+    }
+
+    const capacity = capacitySnap.exists ? capacitySnap.data() : null;
+    if (!canCommitAssignment(decision, dealerSnap.data(), capacity, now)) {
+      return 'over_cap';
+    }
+
+    tx.set(capacityRef, {
+      ...nextCapacityState(decision.dealer_id, capacity, now),
+      updated_at: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    tx.update(leadRef, buildAssignmentUpdate(decision));
+
+    return 'committed';
+  });
+}
+
+/**
+ * Route a lead to a dealer
+ *
+ * Runs the shared routing engine against Firestore (assignWithCapacity()),
+ * committing the assignment and the dealer's capacity increment in one
+ * transaction. Routing events are written once the assignment is committed.
+ *
+ * @param {string} leadId - Lead ID
+ * @param {Object} lead - Lead document data
+ * @param {Object} options
+ * @param {Firestore} options.db - Firestore instance (defaults to getFirestore())
+ * @param {Date} options.now - Current time (for capacity evaluation)
+ * @returns {Promise<Object>} Routing decision, or { already_routed: true }
+ */
+export async function routeLead(leadId, lead, options = {}) {
+  const db = options.db || getFirestore();
+  const now = options.now || new Date();
+  const decision = await assignWithCapacity(leadId, lead, createFirestoreRoutingAdapter(db), { now });
+  if (decision.already_routed) {
+    return decision;
+  }
+
+  const lockRejected = buildLockRejectedEventDetails(decision);
+  if (lockRejected) {
+    await writeLeadEvent(db, leadId, { event_type: 'dealer_assignment_failed', details: lockRejected });
+  }
+
+  await writeLeadEvent(db, leadId, {
+    event_type: 'routed',
+    details: buildRoutedEventDetails(decision),
+  });
+
+  return decision;
+}
+
+/**
+ * Build the lead update for a routing result
+ *
+ * @param {Object} routingResult - Routing decision
+ * @returns {Object} Firestore update using dot notation
+ */
+export function buildAssignmentUpdate(routingResult) {
+  return {
+    'assignment.assigned_dealer_id': routingResult.dealer_id,
+    'assignment.assignment_type': routingResult.assignment_type,
+    'assignment.assignment_reason': routingResult.assignment_reason,
+    'assignment.routing_version': routingResult.routing_version || ROUTING_VERSION,
+    'assignment.routed_at': FieldValue.serverTimestamp(),
+    'assignment.routing_attempt_count': FieldValue.increment(1),
+    'assignment.routing_last_attempt_at': FieldValue.serverTimestamp(),
+    'assignment.routing_last_error': null,
+    'updated_at': FieldValue.serverTimestamp(),
+  };
+}
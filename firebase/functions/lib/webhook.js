@@ -0,0 +1,229 @@
+/**
+ * Dealer Webhook Delivery
+ *
+ * POSTs a versioned lead payload to a dealer's delivery_prefs.webhook_url,
+ * signed with the dealer's HMAC secret (dealerWebhookSecrets/{dealerId}).
+ *
+ * Signature header (verify with verifyWebhookSignature()):
+ *
+ *   X-TLC-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Network errors, timeouts and 408/429/5xx responses are retried once in
+ * process; other 4xx responses fail immediately. The budget is kept small so
+ * the delivery trigger returns quickly; a lead whose delivery failed is
+ * re-sent by setting delivery.status back to 'pending'.
+ *
+ * Uses only Node built-ins so the voice agent's tests can load it too.
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const WEBHOOK_PAYLOAD_VERSION = 1;
+export const SIGNATURE_HEADER = 'X-TLC-Signature';
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const DEFAULTS = {
+  maxAttempts: 2,
+  baseDelayMs: 1000,
+  timeoutMs: 5000,
+};
+
+// =============================================================================
+// PAYLOAD
+// =============================================================================
+
+/**
+ * Build the versioned webhook payload for a lead
+ *
+ * Only the fields a dealer needs to work the lead are included; internal
+ * workflow state (human, crm, flags) is left out.
+ *
+ * @param {string} leadId - Lead ID
+ * @param {Object} lead - Lead document data
+ * @param {Object} options
+ * @param {string} options.deliveryId - Unique ID for this delivery
+ * @param {Date} options.now - Send time
+ * @returns {Object}
+ */
+export function buildWebhookPayload(leadId, lead, { deliveryId = randomUUID(), now = new Date() } = {}) {
+  const applicant = lead.applicant || {};
+
+  return {
+    payload_version: WEBHOOK_PAYLOAD_VERSION,
+    event: 'lead.delivered',
+    delivery_id: deliveryId,
+    sent_at: now.toISOString(),
+    dealer_id: lead.assignment?.assigned_dealer_id || null,
+    lead: {
+      lead_id: leadId,
+      status: lead.status || null,
+      source: {
+        channel: lead.source?.channel || null,
+        entrypoint: lead.source?.entrypoint || null,
+      },
+      assignment: {
+        assignment_type: lead.assignment?.assignment_type || null,
+        assignment_reason: lead.assignment?.assignment_reason || null,
+      },
+      applicant: {
+        full_name: applicant.full_name || null,
+        phone_e164: applicant.phone_e164 || null,
+        email: applicant.email || null,
+        preferred_contact_method: applicant.preferred_contact_method || null,
+        best_time_to_contact: applicant.best_time_to_contact || null,
+        preferred_language: applicant.preferred_language || null,
+      },
+      home_and_site: { ...(lead.home_and_site || {}) },
+      financial_snapshot: { ...(lead.financial_snapshot || {}) },
+      notes: lead.notes?.free_text || null,
+    },
+  };
+}
+
+// =============================================================================
+// SIGNING
+// =============================================================================
+
+/**
+ * Compute the hex HMAC-SHA256 signature for a body
+ */
+export function signWebhookBody(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Build the X-TLC-Signature header value
+ */
+export function buildSignatureHeader(secret, timestamp, body) {
+  return `t=${timestamp},v1=${signWebhookBody(secret, timestamp, body)}`;
+}
+
+/**
+ * Verify an X-TLC-Signature header (for dealers and tests)
+ *
+ * @param {string} secret - Dealer webhook secret
+ * @param {string} header - X-TLC-Signature header value
+ * @param {string} body - Raw request body
+ * @param {Object} options
+ * @param {number} options.toleranceSeconds - Max age of the timestamp
+ * @param {Date} options.now - Current time
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(secret, header, body, { toleranceSeconds = 300, now = new Date() } = {}) {
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+
+  if (Math.abs(Math.floor(now.getTime() / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookBody(secret, timestamp, body), 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// =============================================================================
+// SENDING
+// =============================================================================
+
+function webhookError(message, code, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * POST a signed payload, retrying with exponential backoff
+ *
+ * @param {Object} options
+ * @param {string} options.url - Webhook URL
+ * @param {string} options.secret - Dealer HMAC secret
+ * @param {Object} options.payload - Payload from buildWebhookPayload()
+ * @param {number} options.maxAttempts - Total attempts (default 2)
+ * @param {number} options.baseDelayMs - First retry delay, doubled each retry (default 1000)
+ * @param {number} options.timeoutMs - Per-attempt timeout (default 5000)
+ * @param {Function} options.onAttempt - async ({ attempt, ok, status_code, error }) => void
+ * @param {Function} options.fetch - fetch implementation (defaults to global fetch)
+ * @param {Function} options.sleep - Delay implementation (for tests)
+ * @returns {Promise<{attempts: number, status_code: number, delivery_id: string}>}
+ * @throws {Error} with code, attempts, status_code and retryable
+ */
+export async function sendWebhook(options) {
+  const {
+    url,
+    secret,
+    payload,
+    onAttempt = async () => {},
+    fetch: fetchImpl = globalThis.fetch,
+    sleep: sleepImpl = sleep,
+  } = options;
+  const maxAttempts = options.maxAttempts ?? DEFAULTS.maxAttempts;
+  const baseDelayMs = options.baseDelayMs ?? DEFAULTS.baseDelayMs;
+  const timeoutMs = options.timeoutMs ?? DEFAULTS.timeoutMs;
+
+  const body = JSON.stringify(payload);
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) {
+      await sleepImpl(baseDelayMs * 2 ** (attempt - 2));
+    }
+
+    // Sign per attempt so the timestamp stays fresh across retries
+    const timestamp = Math.floor(Date.now() / 1000);
+    let response = null;
+
+    try {
+      response = await fetchImpl(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: buildSignatureHeader(secret, timestamp, body),
+          'X-TLC-Delivery-Id': payload.delivery_id,
+          'X-TLC-Payload-Version': String(payload.payload_version),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      lastError = webhookError(
+        timedOut ? `Webhook timed out after ${timeoutMs}ms` : `Webhook request failed: ${error.message}`,
+        timedOut ? 'webhook_timeout' : 'webhook_network_error',
+        { attempts: attempt, status_code: null, retryable: true }
+      );
+    }
+
+    if (response) {
+      if (response.ok) {
+        await onAttempt({ attempt, ok: true, status_code: response.status, error: null });
+        return { attempts: attempt, status_code: response.status, delivery_id: payload.delivery_id };
+      }
+
+      lastError = webhookError(
+        `Webhook returned HTTP ${response.status}`,
+        `webhook_http_${response.status}`,
+        { attempts: attempt, status_code: response.status, retryable: RETRYABLE_STATUSES.includes(response.status) }
+      );
+    }
+
+    await onAttempt({ attempt, ok: false, status_code: lastError.status_code, error: lastError.message });
+
+    if (!lastError.retryable) {
+      break;
+    }
+  }
+
+  throw lastError;
+}
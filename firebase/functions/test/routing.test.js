@@ -0,0 +1,521 @@
+/**
+ * Routing & Delivery Tests
+ *
+ * Runs lib/routing.js, lib/capacity.js and lib/delivery.js (including
+ * webhook delivery against a local receiver) on the Firestore emulator.
+ *
+ * Run with: npm test (starts the emulator via firebase emulators:exec)
+ * Or, with an emulator already running:
+ *   FIRESTORE_EMULATOR_HOST=127.0.0.1:8085 node test/routing.test.js
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { shouldRoute, routeLead, buildAssignmentUpdate } from '../lib/routing.js';
+import { evaluateCapacity } from '../lib/routing-engine.js';
+import { shouldDeliver, deliverLead, buildDeliverySuccessUpdate, buildDeliveryFailureUpdate } from '../lib/delivery.js';
+import { verifyWebhookSignature } from '../lib/webhook.js';
+import { createServer } from 'http';
+import { resetDailyCapacity } from '../lib/capacity.js';
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-tlc';
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+if (!EMULATOR_HOST) {
+  console.error('FIRESTORE_EMULATOR_HOST is not set. Run via `npm test`.');
+  process.exit(1);
+}
+
+initializeApp({ projectId: PROJECT_ID });
+const db = getFirestore();
+
+// Simple sequential test runner (tests share the emulator database)
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message} Expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertTrue(value, message = '') {
+  if (!value) {
+    throw new Error(`${message} Expected true, got ${value}`);
+  }
+}
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+async function clearDatabase() {
+  const url = `http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+  await fetch(url, { method: 'DELETE' });
+}
+
+function dealer(dealerId, overrides = {}) {
+  return {
+    dealer_id: dealerId,
+    dealer_name: dealerId,
+    status: 'active',
+    delivery_prefs: {
+      dealer_delivery_enabled: true,
+      email_to: [`leads@${dealerId}.com`],
+      email_cc: [],
+      allow_lead_cap: false,
+      daily_lead_cap: null,
+    },
+    routing_prefs: { priority_weight: 100, exclusive_zips_allowed: false },
+    ...overrides,
+  };
+}
+
+// A dealer with daily caps turned on
+function cappedDealer(dealerId, overrides = {}) {
+  const base = dealer(dealerId, overrides);
+  return { ...base, delivery_prefs: { ...base.delivery_prefs, allow_lead_cap: true } };
+}
+
+async function seed({ dealers = [], coverage = {}, capacity = {} }) {
+  for (const d of dealers) {
+    await db.collection('dealers').doc(d.dealer_id).set(d);
+  }
+  for (const [id, candidates] of Object.entries(coverage)) {
+    await db.collection('zipCoverage').doc(id).set({ candidates });
+  }
+  for (const [id, data] of Object.entries(capacity)) {
+    await db.collection('dealerCapacity').doc(id).set({ dealer_id: id, ...data });
+  }
+}
+
+function lead(overrides = {}) {
+  return {
+    status: 'collecting',
+    source: { attribution: { locked_dealer_id: null, locked_reason: null } },
+    home_and_site: { property_state: 'TX', property_zip: '75201' },
+    assignment: { routed_at: null },
+    ...overrides,
+  };
+}
+
+async function createLead(leadId, data) {
+  await db.collection('leads').doc(leadId).set(data);
+  return data;
+}
+
+async function eventsFor(leadId) {
+  const snapshot = await db.collection('leadEvents').where('lead_id', '==', leadId).get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+// =============================================================================
+// GUARDS
+// =============================================================================
+
+test('shouldRoute requires state and zip', async () => {
+  assertTrue(shouldRoute(lead()).should);
+  assertEqual(shouldRoute(lead({ home_and_site: { property_state: 'TX' } })).reason, 'missing_zip');
+  assertEqual(shouldRoute(lead({ status: 'do_not_contact' })).reason, 'terminal_status');
+  assertEqual(shouldRoute(lead({ assignment: { routed_at: new Date() } })).reason, 'already_routed');
+});
+
+const CAPACITY_NOW = new Date('2025-03-02T15:00:00Z');
+
+const CAPACITY_CASES = [
+  {
+    name: 'a counter from a previous local day is ignored',
+    dealer: cappedDealer('d'),
+    capacity: { daily_lead_cap: 2, leads_assigned_today: 5, last_reset_at: new Date('2025-03-01T00:00:00Z') },
+    expect: { cap: 2, under_cap: true },
+  },
+  {
+    name: 'a full counter from today is over cap',
+    dealer: cappedDealer('d'),
+    capacity: { daily_lead_cap: 2, leads_assigned_today: 2, last_reset_at: new Date('2025-03-02T12:00:00Z') },
+    expect: { cap: 2, under_cap: false },
+  },
+  {
+    name: 'delivery_prefs.daily_lead_cap applies without a capacity cap',
+    dealer: dealer('d', { delivery_prefs: { allow_lead_cap: true, daily_lead_cap: 1 } }),
+    capacity: { leads_assigned_today: 1, last_reset_at: new Date('2025-03-02T12:00:00Z') },
+    expect: { cap: 1, under_cap: false },
+  },
+  {
+    name: 'allow_lead_cap=false ignores a capacity document cap',
+    dealer: dealer('d'),
+    capacity: { daily_lead_cap: 2, leads_assigned_today: 2, last_reset_at: new Date('2025-03-02T12:00:00Z') },
+    expect: { cap: null, under_cap: true },
+  },
+];
+
+for (const capacityCase of CAPACITY_CASES) {
+  test(`evaluateCapacity: ${capacityCase.name}`, async () => {
+    const result = evaluateCapacity(capacityCase.dealer, capacityCase.capacity, CAPACITY_NOW);
+    assertEqual(result.cap, capacityCase.expect.cap, 'cap:');
+    assertEqual(result.under_cap, capacityCase.expect.under_cap, 'under_cap:');
+  });
+}
+
+// =============================================================================
+// ROUTING
+// =============================================================================
+
+test('routeLead honors a valid attribution lock', async () => {
+  await seed({
+    dealers: [dealer('dlr_lock'), dealer('dlr_geo', { routing_prefs: { priority_weight: 500 } })],
+    coverage: { TX_75201: [{ dealer_id: 'dlr_lock', priority: 1 }, { dealer_id: 'dlr_geo', priority: 2 }] },
+  });
+
+  const result = await routeLead('lead_lock', await createLead('lead_lock', lead({
+    source: { attribution: { locked_dealer_id: 'dlr_lock', locked_reason: 'dealer_phone' } },
+  })), { db });
+
+  assertEqual(result.dealer_id, 'dlr_lock');
+  assertEqual(result.assignment_type, 'dealer_sourced');
+  assertEqual(result.assignment_reason, 'dealer_number');
+});
+
+test('routeLead falls back to geo routing when the locked dealer is over cap', async () => {
+  await seed({
+    dealers: [cappedDealer('dlr_lock'), dealer('dlr_geo')],
+    coverage: { TX_75201: [{ dealer_id: 'dlr_lock', priority: 1 }, { dealer_id: 'dlr_geo', priority: 2 }] },
+    capacity: { dlr_lock: { daily_lead_cap: 1, leads_assigned_today: 1, last_reset_at: new Date() } },
+  });
+
+  const result = await routeLead('lead_cap', await createLead('lead_cap', lead({
+    source: { attribution: { locked_dealer_id: 'dlr_lock', locked_reason: 'dealer_link' } },
+  })), { db });
+
+  assertEqual(result.dealer_id, 'dlr_geo');
+  assertEqual(result.assignment_type, 'geo_routed');
+  assertEqual(result.lock_rejection.reason_code, 'locked_dealer_over_cap');
+
+  const events = await eventsFor('lead_cap');
+  const failed = events.find(e => e.event_type === 'dealer_assignment_failed');
+  assertTrue(failed, 'lock rejection event written');
+  assertEqual(failed.details.reason_code, 'locked_dealer_over_cap');
+});
+
+test('routeLead rejects a locked dealer that does not cover the zip', async () => {
+  await seed({
+    dealers: [dealer('dlr_far'), dealer('dlr_geo')],
+    coverage: { TX_75201: [{ dealer_id: 'dlr_geo', priority: 1 }] },
+  });
+
+  const result = await routeLead('lead_far', await createLead('lead_far', lead({
+    source: { attribution: { locked_dealer_id: 'dlr_far', locked_reason: 'dealer_phone' } },
+  })), { db });
+
+  assertEqual(result.dealer_id, 'dlr_geo');
+  assertEqual(result.lock_rejection.reason_code, 'locked_dealer_zip_not_covered');
+});
+
+test('routeLead ignores an expired lock and explains why', async () => {
+  await seed({
+    dealers: [dealer('dlr_lock'), dealer('dlr_geo')],
+    coverage: { TX_75201: [{ dealer_id: 'dlr_geo', priority: 1 }, { dealer_id: 'dlr_lock', priority: 2 }] },
+  });
+
+  const expiresAt = new Date(Date.now() - 60 * 1000);
+  const result = await routeLead('lead_expired', await createLead('lead_expired', lead({
+    source: { attribution: { locked_dealer_id: 'dlr_lock', locked_reason: 'signed_token', lock_expires_at: expiresAt } },
+  })), { db });
+
+  assertEqual(result.dealer_id, 'dlr_geo');
+  assertEqual(result.assignment_type, 'geo_routed');
+
+  const events = await eventsFor('lead_expired');
+  const failed = events.find(e => e.event_type === 'dealer_assignment_failed');
+  assertEqual(failed.details.reason_code, 'lock_expired');
+  assertEqual(failed.details.lock_expires_at, expiresAt.toISOString());
+});
+
+test('routeLead picks the best eligible candidate by coverage priority', async () => {
+  await seed({
+    dealers: [
+      dealer('dlr_next', { routing_prefs: { priority_weight: 50 } }),
+      dealer('dlr_best', { routing_prefs: { priority_weight: 300 } }),
+      dealer('dlr_inactive', { status: 'inactive' }),
+      cappedDealer('dlr_full'),
+    ],
+    coverage: {
+      TX_75201: [
+        { dealer_id: 'dlr_inactive', priority: 1 },
+        { dealer_id: 'dlr_full', priority: 2 },
+        { dealer_id: 'dlr_best', priority: 3 },
+        { dealer_id: 'dlr_next', priority: 4 },
+      ],
+    },
+    capacity: { dlr_full: { daily_lead_cap: 3, leads_assigned_today: 3, last_reset_at: new Date() } },
+  });
+
+  const result = await routeLead('lead_geo', await createLead('lead_geo', lead()), { db });
+
+  assertEqual(result.dealer_id, 'dlr_best');
+  assertEqual(result.assignment_reason, 'zip_match');
+  assertEqual(result.candidate_set_size, 4);
+  assertEqual(result.eligible_count, 2);
+
+  const events = await eventsFor('lead_geo');
+  const routed = events.find(e => e.event_type === 'routed');
+  assertEqual(routed.details.candidate_set_size, 4);
+  assertEqual(routed.details.reason_code, 'zip_match');
+  assertEqual(routed.details.filters_applied.join(','), 'dealer_active,daily_cap');
+  assertEqual(routed.details.decided_by, 'coverage_priority');
+});
+
+test('routeLead falls back to the default dealer without coverage', async () => {
+  const result = await routeLead('lead_none', await createLead('lead_none', lead({
+    home_and_site: { property_state: 'AK', property_zip: '99501' },
+  })), { db });
+
+  assertEqual(result.dealer_id, 'home_nation');
+  assertEqual(result.assignment_reason, 'fallback');
+  assertEqual(result.candidate_set_size, 0);
+
+  const update = buildAssignmentUpdate(result);
+  assertEqual(update['assignment.assigned_dealer_id'], 'home_nation');
+
+  const stored = await db.collection('leads').doc('lead_none').get();
+  assertEqual(stored.data().assignment.assigned_dealer_id, 'home_nation');
+});
+
+// =============================================================================
+// CAPACITY
+// =============================================================================
+
+test('routeLead increments dealerCapacity and skips a dealer once full', async () => {
+  await seed({
+    dealers: [cappedDealer('dlr_one'), dealer('dlr_two')],
+    coverage: { TX_75201: [{ dealer_id: 'dlr_one', priority: 1 }, { dealer_id: 'dlr_two', priority: 2 }] },
+    capacity: { dlr_one: { daily_lead_cap: 1, leads_assigned_today: 0, last_reset_at: new Date() } },
+  });
+
+  const first = await routeLead('lead_c1', await createLead('lead_c1', lead()), { db });
+  const second = await routeLead('lead_c2', await createLead('lead_c2', lead()), { db });
+
+  assertEqual(first.dealer_id, 'dlr_one');
+  assertEqual(second.dealer_id, 'dlr_two');
+
+  const capacity = await db.collection('dealerCapacity').doc('dlr_one').get();
+  assertEqual(capacity.data().leads_assigned_today, 1);
+});
+
+test('routeLead does not route a lead twice', async () => {
+  await seed({
+    dealers: [dealer('dlr_one')],
+    coverage: { TX_75201: [{ dealer_id: 'dlr_one', priority: 1 }] },
+  });
+
+  const data = await createLead('lead_twice', lead());
+  await routeLead('lead_twice', data, { db });
+  const again = await routeLead('lead_twice', data, { db });
+
+  assertTrue(again.already_routed);
+  const capacity = await db.collection('dealerCapacity').doc('dlr_one').get();
+  assertEqual(capacity.data().leads_assigned_today, 1);
+});
+
+test('resetDailyCapacity resets counters on each dealer\'s local day', async () => {
+  const now = new Date('2025-03-02T05:30:00Z');
+  await seed({
+    capacity: {
+      dlr_chicago: { leads_assigned_today: 4, last_reset_at: new Date('2025-03-01T12:00:00Z'), timezone: 'America/Chicago' },
+      dlr_newyork: { leads_assigned_today: 4, last_reset_at: new Date('2025-03-01T12:00:00Z'), timezone: 'America/New_York' },
+    },
+  });
+
+  const result = await resetDailyCapacity({ db, now });
+
+  assertEqual(result.checked, 2);
+  assertEqual(result.reset.join(','), 'dlr_newyork');
+  const newYork = await db.collection('dealerCapacity').doc('dlr_newyork').get();
+  assertEqual(newYork.data().leads_assigned_today, 0);
+});
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+test('shouldDeliver requires a prequalified, assigned, pending lead', async () => {
+  const ready = lead({
+    status: 'prequalified',
+    assignment: { assigned_dealer_id: 'dlr_a' },
+    delivery: { status: 'pending', delivered_at: null },
+  });
+  assertTrue(shouldDeliver(ready).should);
+  assertEqual(shouldDeliver({ ...ready, status: 'collecting' }).reason, 'not_prequalified');
+  assertEqual(shouldDeliver({ ...ready, delivery: { status: 'delivered' } }).reason, 'not_pending');
+});
+
+test('deliverLead emails the TLC team and an enabled dealer', async () => {
+  await seed({ dealers: [dealer('dlr_mail')] });
+
+  const result = await deliverLead('lead_mail', lead({
+    status: 'prequalified',
+    applicant: { full_name: 'Jane Doe' },
+    assignment: { assigned_dealer_id: 'dlr_mail' },
+  }), ['team@tlc.com'], { db });
+
+  assertTrue(result.tlc_notified);
+  assertTrue(result.dealer_notified);
+  assertEqual(result.mail_ids.length, 2);
+
+  const mail = await db.collection('mail').doc(result.mail_ids[1]).get();
+  assertEqual(mail.data().to[0], 'leads@dlr_mail.com');
+  assertTrue(mail.data().message.subject.includes('Jane Doe'));
+
+  const update = buildDeliverySuccessUpdate(result);
+  assertEqual(update['delivery.status'], 'delivered');
+});
+
+test('deliverLead skips the dealer email when delivery is disabled', async () => {
+  await seed({
+    dealers: [dealer('dlr_quiet', { delivery_prefs: { dealer_delivery_enabled: false, email_to: ['x@y.com'] } })],
+  });
+
+  const result = await deliverLead('lead_quiet', lead({
+    status: 'prequalified',
+    assignment: { assigned_dealer_id: 'dlr_quiet' },
+  }), ['team@tlc.com'], { db });
+
+  assertTrue(result.tlc_notified);
+  assertEqual(result.dealer_notified, false);
+  assertEqual(result.mail_ids.length, 1);
+});
+
+// =============================================================================
+// WEBHOOK DELIVERY
+// =============================================================================
+
+/**
+ * Start a local webhook receiver. `statuses` are returned in order.
+ */
+async function startReceiver(statuses) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, raw });
+      res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/tlc`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+function webhookDealer(dealerId, url) {
+  return dealer(dealerId, {
+    delivery_prefs: { dealer_delivery_enabled: true, delivery_mode: 'webhook', webhook_url: url, email_to: [] },
+  });
+}
+
+const fastRetry = { baseDelayMs: 1, sleep: async () => {} };
+
+test('deliverLead posts a signed webhook and records attempts', async () => {
+  const receiver = await startReceiver([500, 200]);
+  try {
+    await seed({ dealers: [webhookDealer('dlr_hook', receiver.url)] });
+    await db.collection('dealerWebhookSecrets').doc('dlr_hook').set({ dealer_id: 'dlr_hook', secret: 'whsec_emulator' });
+
+    const result = await deliverLead('lead_hook', lead({
+      status: 'prequalified',
+      assignment: { assigned_dealer_id: 'dlr_hook' },
+    }), ['team@tlc.com'], { db, webhook: fastRetry });
+
+    assertEqual(result.dealer_channel, 'webhook');
+    assertEqual(result.attempts, 2);
+    assertTrue(verifyWebhookSignature('whsec_emulator', receiver.requests[1].headers['x-tlc-signature'], receiver.requests[1].raw));
+
+    const types = (await eventsFor('lead_hook')).map(e => e.event_type);
+    assertEqual(types.filter(t => t === 'dealer_delivery_attempted').length, 2);
+    assertTrue(types.includes('dealer_delivery_succeeded'));
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('deliverLead fails after exhausting webhook retries', async () => {
+  const receiver = await startReceiver([503]);
+  try {
+    await seed({ dealers: [webhookDealer('dlr_down', receiver.url)] });
+    await db.collection('dealerWebhookSecrets').doc('dlr_down').set({ dealer_id: 'dlr_down', secret: 'whsec_emulator' });
+
+    let caught = null;
+    try {
+      await deliverLead('lead_down', lead({
+        status: 'prequalified',
+        assignment: { assigned_dealer_id: 'dlr_down' },
+      }), ['team@tlc.com'], { db, webhook: { ...fastRetry, maxAttempts: 3 } });
+    } catch (error) {
+      caught = error;
+    }
+
+    assertTrue(caught, 'Should throw');
+    assertEqual(caught.code, 'webhook_http_503');
+    assertEqual(caught.attempts, 3);
+    assertTrue(caught.tlc_notified);
+
+    const update = buildDeliveryFailureUpdate(caught);
+    assertEqual(update['delivery.status'], 'failed');
+    assertEqual(update['delivery.last_error'].status_code, 503);
+
+    const failed = (await eventsFor('lead_down')).find(e => e.event_type === 'dealer_delivery_failed');
+    assertEqual(failed.details.attempts, 3);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('deliverLead fails without a webhook secret', async () => {
+  await seed({ dealers: [webhookDealer('dlr_nosecret', 'https://example.com/tlc')] });
+
+  let caught = null;
+  try {
+    await deliverLead('lead_nosecret', lead({
+      status: 'prequalified',
+      assignment: { assigned_dealer_id: 'dlr_nosecret' },
+    }), [], { db, webhook: fastRetry });
+  } catch (error) {
+    caught = error;
+  }
+
+  assertEqual(caught?.code, 'webhook_secret_missing');
+});
+
+// =============================================================================
+// RUN
+// =============================================================================
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+console.log('\n🔥 Routing & Delivery Tests (Firestore emulator)\n');
+
+for (const { name, fn } of tests) {
+  await clearDatabase();
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`  ❌ ${name}`);
+    console.log(`     Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+console.log('\n' + '═'.repeat(50));
+console.log(`📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
+console.log('═'.repeat(50) + '\n');
+
+process.exit(testsFailed > 0 ? 1 : 0);
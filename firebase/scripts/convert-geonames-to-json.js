@@ -4,6 +4,8 @@
  * 
  * Input: scripts/data/US.txt (tab-separated from GeoNames)
  * Output: scripts/data/reference/us_zipcodes.json
+ *   { [zip]: { zip, city, state, county, lat, lng } } - read by the coverage
+ *   generator and by the voice agent (lib/zip-lookup.js)
  * 
  * Usage: node convert-geonames-to-json.js
  */
@@ -32,6 +34,7 @@ for (const line of lines) {
   const zip = parts[1].trim();
   const city = parts[2].trim();
   const state = parts[4].trim();
+  const county = parts[5].trim() || null;
   const lat = parseFloat(parts[9]);
   const lng = parseFloat(parts[10]);
 
@@ -44,6 +47,7 @@ for (const line of lines) {
       zip,
       city,
       state,
+      county,
       lat,
       lng,
     };
@@ -11,6 +11,8 @@
  *   add-dealer          Add a new dealer
  *   add-number          Add a phone number to a dealer
  *   add-coverage        Add zip coverage for a dealer
+ *   set-webhook         Enable webhook delivery and issue a signing secret
+ *   mint-token          Mint a signed, expiring attribution token for a dealer link
  *   import              Import data from JSON file
  *   list-dealers        List all dealers
  *   list-numbers        List dealer numbers
@@ -21,6 +23,8 @@
  *   node dealer-manager.js add-dealer --name "Texas Homes" --email leads@texas.com
  *   node dealer-manager.js add-number --dealer dlr_xxx --phone +15125551234
  *   node dealer-manager.js add-coverage --dealer dlr_xxx --state TX --zips "78701-78750"
+ *   node dealer-manager.js set-webhook --dealer dlr_xxx --url https://crm.example.com/tlc
+ *   node dealer-manager.js mint-token --dealer dlr_xxx --days 90 --url https://apply.example.com
  *   node dealer-manager.js import --file data/dealers.json
  */
 
@@ -35,6 +39,8 @@ import {
   US_STATES,
 } from './lib/validators.js';
 import { readFileSync, existsSync } from 'fs';
+import { randomBytes } from 'crypto';
+import { mintAttributionToken, verifyAttributionToken, DEFAULT_LOCK_TTL_DAYS } from '../functions/lib/attribution-token.js';
 
 // =============================================================================
 // MAIN DISPATCHER
@@ -54,6 +60,12 @@ async function main() {
     case 'add-coverage':
       await addCoverage();
       break;
+    case 'set-webhook':
+      await setWebhook();
+      break;
+    case 'mint-token':
+      await mintToken();
+      break;
     case 'import':
       await importData();
       break;
@@ -300,6 +312,114 @@ async function addCoverage() {
   console.log(`  Exclusive: ${exclusive}`);
 }
 
+// =============================================================================
+// SET WEBHOOK
+// =============================================================================
+
+async function setWebhook() {
+  const dealerId = getArg('dealer', true);
+  const url = getArg('url', true);
+  const rotate = hasFlag('rotate');
+  
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    // handled below
+  }
+  if (!parsed || parsed.protocol !== 'https:') {
+    console.error(`Invalid webhook URL (must be https): ${url}`);
+    process.exit(1);
+  }
+  
+  const db = getDb();
+  
+  const dealerDoc = await db.collection('dealers').doc(dealerId).get();
+  if (!dealerDoc.exists) {
+    console.error(`Dealer not found: ${dealerId}`);
+    process.exit(1);
+  }
+  
+  await db.collection('dealers').doc(dealerId).update({
+    'delivery_prefs.dealer_delivery_enabled': true,
+    'delivery_prefs.delivery_mode': 'webhook',
+    'delivery_prefs.webhook_url': url,
+    'updated_at': FieldValue.serverTimestamp(),
+  });
+  
+  // Secrets live in a collection no client can read (see firestore.rules)
+  const secretRef = db.collection('dealerWebhookSecrets').doc(dealerId);
+  const existing = await secretRef.get();
+  let secret = null;
+  
+  if (!existing.exists || rotate) {
+    secret = `whsec_${randomBytes(32).toString('hex')}`;
+    await secretRef.set({
+      dealer_id: dealerId,
+      secret: secret,
+      created_at: existing.exists ? existing.data().created_at : FieldValue.serverTimestamp(),
+      rotated_at: existing.exists ? FieldValue.serverTimestamp() : null,
+    });
+  }
+  
+  console.log('\n✓ Webhook delivery enabled!');
+  console.log(`  Dealer: ${dealerId} (${dealerDoc.data().dealer_name})`);
+  console.log(`  URL:    ${url}`);
+  if (secret) {
+    console.log(`  Secret: ${secret}`);
+    console.log('\n  Share this secret with the dealer now; it is not shown again.');
+    console.log('  Requests carry X-TLC-Signature: t=<unix>,v1=<hmac-sha256 of "<t>.<body>">');
+  } else {
+    console.log('  Secret: unchanged (use --rotate to issue a new one)');
+  }
+}
+
+// =============================================================================
+// MINT ATTRIBUTION TOKEN
+// =============================================================================
+
+async function mintToken() {
+  const dealerId = getArg('dealer', true);
+  const days = parseFloat(getArg('days') || String(DEFAULT_LOCK_TTL_DAYS));
+  const baseUrl = getArg('url');
+  const secret = process.env.ATTRIBUTION_TOKEN_SECRET;
+  
+  if (!secret) {
+    console.error('ATTRIBUTION_TOKEN_SECRET is not set (must match the voice server)');
+    process.exit(1);
+  }
+  
+  if (!Number.isFinite(days) || days <= 0) {
+    console.error(`Invalid --days: ${getArg('days')}`);
+    process.exit(1);
+  }
+  
+  const db = getDb();
+  
+  const dealerDoc = await db.collection('dealers').doc(dealerId).get();
+  if (!dealerDoc.exists) {
+    console.error(`Dealer not found: ${dealerId}`);
+    process.exit(1);
+  }
+  
+  if (dealerDoc.data().status !== 'active') {
+    console.warn(`Warning: dealer ${dealerId} is ${dealerDoc.data().status}; routing will not honor the lock`);
+  }
+  
+  const token = mintAttributionToken({ dealerId, secret, ttlDays: days });
+  const { expires_at: expiresAt } = verifyAttributionToken(token, secret);
+  
+  console.log('\n✓ Attribution token minted!');
+  console.log(`  Dealer:  ${dealerId} (${dealerDoc.data().dealer_name})`);
+  console.log(`  Expires: ${expiresAt}`);
+  console.log(`  Token:   ${token}`);
+  if (baseUrl) {
+    const link = new URL(baseUrl);
+    link.searchParams.set('token', token);
+    console.log(`  Link:    ${link.toString()}`);
+  }
+}
+
 // =============================================================================
 // IMPORT FROM JSON
 // =============================================================================
@@ -583,6 +703,7 @@ async function dealerInfo() {
   console.log('\nDelivery Preferences:');
   console.log(`  Enabled: ${dealer.delivery_prefs?.dealer_delivery_enabled}`);
   console.log(`  Mode:    ${dealer.delivery_prefs?.delivery_mode}`);
+  console.log(`  Webhook: ${dealer.delivery_prefs?.webhook_url || '-'}`);
   console.log(`  Email:   ${dealer.delivery_prefs?.email_to?.join(', ') || '-'}`);
   console.log(`  CC:      ${dealer.delivery_prefs?.email_cc?.join(', ') || '-'}`);
 
@@ -666,6 +787,16 @@ COMMANDS:
     --priority <n>    Priority (lower = higher priority, default: 10)
     --exclusive       Mark as exclusive coverage
 
+  set-webhook         Enable webhook delivery and issue a signing secret
+    --dealer <id>     Dealer ID (required)
+    --url <url>       HTTPS webhook URL (required)
+    --rotate          Issue a new secret even if one exists
+
+  mint-token          Mint a signed, expiring attribution token (needs ATTRIBUTION_TOKEN_SECRET)
+    --dealer <id>     Dealer ID (required)
+    --days <n>        Lock lifetime in days (default: ${DEFAULT_LOCK_TTL_DAYS})
+    --url <url>       Print a link with ?token= appended
+
   import              Import data from JSON file
     --file <path>     Path to JSON file (required)
 
@@ -692,6 +823,12 @@ EXAMPLES:
   # Add coverage for Austin area
   node dealer-manager.js add-coverage --dealer dlr_texas_xxx --state TX --zips "78701-78750"
 
+  # Deliver leads to a dealer's CRM webhook
+  node dealer-manager.js set-webhook --dealer dlr_texas_xxx --url https://crm.texas.com/tlc
+
+  # Dealer link that locks leads to the dealer for 90 days
+  node dealer-manager.js mint-token --dealer dlr_texas_xxx --days 90 --url https://apply.tlc.com
+
   # Import from file
   node dealer-manager.js import --file data/dealers.json
 
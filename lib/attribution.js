@@ -1,59 +1,145 @@
 /**
  * Dealer Attribution Logic
  * 
- * Determines the entrypoint and dealer attribution based on the dialed number.
+ * Determines the entrypoint and dealer attribution based on the dialed number
+ * and any ConversationRelay custom parameters (referral code, UTM, token).
  * Implements the rules from TLC Firestore Schemas V1.
  * 
- * Attribution flow:
- * 1. Borrower calls a phone number
- * 2. System looks up number in dealerNumbers collection
- * 3. If found, set locked_dealer_id and locked_reason
- * 4. If not found, use tlc_phone entrypoint (no lock)
+ * Attribution flow (first match wins):
+ * 1. Attribution token: an HMAC-signed att1 token verified with
+ *    ATTRIBUTION_TOKEN_SECRET, or an opaque key in dealerAttributionKeys
+ *    (key_type signed_token)
+ *    locked_reason: signed_token
+ * 2. Dialed number -> dealerNumbers
+ *    locked_reason: dealer_phone
+ * 3. Referral code -> dealerAttributionKeys
+ *    locked_reason: dealer_link
+ * 4. UTM source / campaign -> dealerAttributionKeys (domain and name keys)
+ *    locked_reason: dealer_link
+ * 5. No match -> tlc_phone entrypoint (no lock)
+ * 
+ * Keys below MIN_LOCK_CONFIDENCE record dealer_id_from_referral but do not lock.
+ * Every lock gets a lock_expires_at (the token's exp, otherwise
+ * DEFAULT_LOCK_TTL_DAYS); routing ignores expired locks.
+ */
+
+import {
+  DEFAULT_LOCK_TTL_DAYS,
+  defaultLockExpiry,
+  isSignedAttributionToken,
+  mintAttributionToken,
+  verifyAttributionToken,
+} from '../firebase/functions/lib/attribution-token.js';
+import { parseLanguage } from './language.js';
+
+/**
+ * Minimum dealerAttributionKeys confidence required to lock a dealer
+ */
+export const MIN_LOCK_CONFIDENCE = 80;
+
+/**
+ * Custom parameter names accepted for each attribution input
  */
+const REFERRAL_PARAMS = ['ref', 'referral_code'];
+const TOKEN_PARAMS = ['attribution_token', 'token'];
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
 
 /**
- * Determine the source entrypoint and dealer attribution from the dialed number
+ * Determine the source entrypoint and dealer attribution for a call
  * 
  * @param {string} dialedNumber - The number the caller dialed (To number)
  * @param {object} hestiaClient - Hestia API client for lookups
- * @returns {object} - { entrypoint, attribution }
+ * @param {object} customParameters - ConversationRelay custom parameters
+ * @param {object} options - { tokenSecret, now } (tokenSecret defaults to ATTRIBUTION_TOKEN_SECRET)
+ * @returns {object} - { entrypoint, attribution, language? } (language from the dealer number's config)
  */
-export async function determineAttribution(dialedNumber, hestiaClient) {
-  // Normalize the dialed number to E.164 format
+export async function determineAttribution(dialedNumber, hestiaClient, customParameters = {}, options = {}) {
+  const tokenSecret = options.tokenSecret ?? process.env.ATTRIBUTION_TOKEN_SECRET;
+  const now = options.now || new Date();
+  const params = parseAttributionParams(customParameters);
+  const base = {
+    ...createEmptyAttribution(),
+    utm: params.utm,
+    referral_code: params.referral_code,
+  };
+  
+  // 1. Attribution token
+  if (isSignedAttributionToken(params.attribution_token)) {
+    const verified = verifyAttributionToken(params.attribution_token, tokenSecret, { now });
+    
+    if (verified.valid) {
+      console.log(`[ATTRIBUTION] Verified signed token for dealer ${verified.dealer_id}`);
+      return {
+        entrypoint: 'dealer_link',
+        attribution: {
+          ...base,
+          dealer_id_from_referral: verified.dealer_id,
+          attribution_token: params.attribution_token,
+          locked_dealer_id: verified.dealer_id,
+          locked_reason: 'signed_token',
+          locked_at: now.toISOString(),
+          lock_expires_at: verified.expires_at,
+        },
+      };
+    }
+    
+    console.warn(`[ATTRIBUTION] Rejected signed token (${verified.reason})`);
+  } else if (params.attribution_token) {
+    const keyInfo = await lookupAttributionKey(hestiaClient, params.attribution_token);
+    
+    if (keyInfo && keyInfo.key_type === 'signed_token') {
+      console.log(`[ATTRIBUTION] Matched attribution token to dealer ${keyInfo.dealer_id}`);
+      return buildKeyAttribution(base, keyInfo, 'signed_token', params.attribution_token, now);
+    }
+    
+    console.warn('[ATTRIBUTION] Attribution token did not resolve to a signed_token key');
+  }
+  
+  // 2. Dialed number
   const normalizedNumber = normalizePhoneNumber(dialedNumber);
   
   if (!normalizedNumber) {
     console.warn('[ATTRIBUTION] Invalid dialed number format:', dialedNumber);
-    return {
-      entrypoint: 'tlc_phone',
-      attribution: createEmptyAttribution(),
-    };
+  } else {
+    try {
+      // Look up the dialed number in dealerNumbers collection
+      const dealerInfo = await hestiaClient.lookupDealerByTrackingNumber(normalizedNumber);
+      
+      if (dealerInfo && dealerInfo.dealer_id) {
+        console.log(`[ATTRIBUTION] Matched tracking number ${normalizedNumber} to dealer ${dealerInfo.dealer_id}`);
+        
+        return {
+          entrypoint: 'dealer_phone',
+          language: parseLanguage(dealerInfo.language),
+          attribution: {
+            ...base,
+            inbound_dealer_number: normalizedNumber,
+            attribution_token: tokenSecret
+              ? mintAttributionToken({ dealerId: dealerInfo.dealer_id, secret: tokenSecret, now })
+              : null,
+            locked_dealer_id: dealerInfo.dealer_id,
+            locked_reason: 'dealer_phone',
+            locked_at: now.toISOString(),
+            lock_expires_at: defaultLockExpiry(now, DEFAULT_LOCK_TTL_DAYS),
+          },
+        };
+      }
+    } catch (error) {
+      console.error('[ATTRIBUTION] Error looking up tracking number:', error);
+    }
   }
   
-  try {
-    // Look up the dialed number in dealerNumbers collection
-    const dealerInfo = await hestiaClient.lookupDealerByTrackingNumber(normalizedNumber);
+  // 3. Referral code, then 4. UTM source / campaign
+  const linkKeys = [params.referral_code, params.utm.utm_source, params.utm.utm_campaign].filter(Boolean);
+  
+  for (const key of linkKeys) {
+    const keyInfo = await lookupAttributionKey(hestiaClient, key);
     
-    if (dealerInfo && dealerInfo.dealer_id) {
-      console.log(`[ATTRIBUTION] Matched tracking number ${normalizedNumber} to dealer ${dealerInfo.dealer_id}`);
-      
-      return {
-        entrypoint: 'dealer_phone',
-        attribution: {
-          utm: createEmptyUtm(),
-          referral_code: null,
-          dealer_id_from_referral: null,
-          inbound_dealer_number: normalizedNumber,
-          attribution_token: generateAttributionToken(dialedNumber),
-          locked_dealer_id: dealerInfo.dealer_id,
-          locked_reason: 'dealer_phone',
-          locked_at: new Date().toISOString(),
-          lock_expires_at: null,
-        },
-      };
+    // Signed token keys only count when presented as a token
+    if (keyInfo && keyInfo.key_type !== 'signed_token') {
+      console.log(`[ATTRIBUTION] Matched ${keyInfo.key_type} key to dealer ${keyInfo.dealer_id}`);
+      return buildKeyAttribution(base, keyInfo, 'dealer_link', null, now);
     }
-  } catch (error) {
-    console.error('[ATTRIBUTION] Error looking up tracking number:', error);
   }
   
   // No match found - this is TLC global phone number
@@ -61,7 +147,89 @@ export async function determineAttribution(dialedNumber, hestiaClient) {
   
   return {
     entrypoint: 'tlc_phone',
-    attribution: createEmptyAttribution(),
+    attribution: base,
+  };
+}
+
+/**
+ * Pull referral code, token and UTM values out of custom parameters
+ * 
+ * @param {object} customParameters - ConversationRelay custom parameters
+ * @returns {object} - { referral_code, attribution_token, utm }
+ */
+export function parseAttributionParams(customParameters = {}) {
+  const params = customParameters || {};
+  const pick = (names) => {
+    for (const name of names) {
+      const value = typeof params[name] === 'string' ? params[name].trim() : '';
+      if (value) return value;
+    }
+    return null;
+  };
+  
+  const utm = createEmptyUtm();
+  for (const field of UTM_FIELDS) {
+    utm[field] = pick([field]);
+  }
+  
+  return {
+    referral_code: pick(REFERRAL_PARAMS),
+    attribution_token: pick(TOKEN_PARAMS),
+    utm,
+  };
+}
+
+/**
+ * Select the attribution query parameters to forward to ConversationRelay
+ * as <Parameter> elements (they arrive in setup.customParameters)
+ * 
+ * @param {object} query - Webhook query string / form parameters
+ * @returns {Array<[string, string]>} - [name, value] pairs
+ */
+export function pickRelayParameters(query = {}) {
+  return [...REFERRAL_PARAMS, ...TOKEN_PARAMS, ...UTM_FIELDS]
+    .filter(name => typeof query?.[name] === 'string' && query[name].trim())
+    .map(name => [name, query[name].trim()]);
+}
+
+/**
+ * Look up an attribution key, treating lookup errors as no match
+ */
+async function lookupAttributionKey(hestiaClient, key) {
+  if (typeof hestiaClient?.lookupDealerByAttributionKey !== 'function') {
+    return null;
+  }
+  
+  try {
+    return await hestiaClient.lookupDealerByAttributionKey(key);
+  } catch (error) {
+    console.error('[ATTRIBUTION] Error looking up attribution key:', error);
+    return null;
+  }
+}
+
+/**
+ * Build a dealer_link attribution from a resolved dealerAttributionKeys entry
+ */
+function buildKeyAttribution(base, keyInfo, lockedReason, attributionToken, now) {
+  const attribution = {
+    ...base,
+    dealer_id_from_referral: keyInfo.dealer_id,
+    attribution_token: attributionToken,
+  };
+  
+  if ((keyInfo.confidence ?? 100) >= MIN_LOCK_CONFIDENCE) {
+    attribution.locked_dealer_id = keyInfo.dealer_id;
+    attribution.locked_reason = lockedReason;
+    attribution.locked_at = now.toISOString();
+    attribution.lock_expires_at = defaultLockExpiry(now, DEFAULT_LOCK_TTL_DAYS);
+  } else {
+    console.log(`[ATTRIBUTION] Key confidence ${keyInfo.confidence} below ${MIN_LOCK_CONFIDENCE}, not locking`);
+  }
+  
+  return {
+    entrypoint: 'dealer_link',
+    attribution,
   };
 }
 
@@ -121,15 +289,6 @@ function normalizePhoneNumber(phone) {
   return null;
 }
 
-/**
- * Generate a unique attribution token for tracking
- */
-function generateAttributionToken(dialedNumber) {
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substring(2, 8);
-  return `att_voice_${timestamp}${random}`;
-}
-
 /**
  * Build the metadata object for session state creation
  * 
@@ -145,6 +304,7 @@ export function buildSessionMetadata(callInfo, attributionResult) {
     customParameters: callInfo.customParameters || {},
     entrypoint: attributionResult.entrypoint,
     attribution: attributionResult.attribution,
+    language: attributionResult.language || null,
   };
 }
 
@@ -168,6 +328,77 @@ export function createAttributionEvent(callSid, attributionResult) {
   };
 }
 
+/**
+ * Build the attribution_lock_applied event written when a lead is created
+ * with a locked dealer, so the lock is auditable before routing runs
+ */
+export function createLockAppliedEvent(callSid, attribution) {
+  return {
+    event_type: 'attribution_lock_applied',
+    actor_type: 'system',
+    actor_id: null,
+    details: {
+      call_sid: callSid,
+      locked_dealer_id: attribution.locked_dealer_id,
+      locked_reason: attribution.locked_reason,
+      locked_at: attribution.locked_at,
+      lock_expires_at: attribution.lock_expires_at || null,
+      inbound_dealer_number: attribution.inbound_dealer_number,
+    },
+  };
+}
+
+/**
+ * Lock the dealer a caller named on a global call, once they confirm the
+ * directory match (see lib/dealer-matcher.js)
+ *
+ * Recorded like a referral link: dealer_id_from_referral, the dealer's
+ * web_default key as referral_code, locked_reason dealer_link and the
+ * default lock lifetime. An existing lock is never replaced.
+ *
+ * @param {object} attribution - Current source.attribution
+ * @param {object} dealerContext - collectedData.dealer_context
+ * @param {Date} now - Lock time
+ * @returns {object} - Updated attribution
+ */
+export function applyNamedDealerLock(attribution, dealerContext, now = new Date()) {
+  if (!dealerContext?.matched_dealer_id || attribution.locked_dealer_id) {
+    return attribution;
+  }
+
+  console.log(`[ATTRIBUTION] Caller named dealer ${dealerContext.matched_dealer_id}, locking (dealer_link)`);
+
+  return {
+    ...attribution,
+    referral_code: attribution.referral_code || dealerContext.matched_key_hash || null,
+    dealer_id_from_referral: dealerContext.matched_dealer_id,
+    locked_dealer_id: dealerContext.matched_dealer_id,
+    locked_reason: 'dealer_link',
+    locked_at: now.toISOString(),
+    lock_expires_at: defaultLockExpiry(now, DEFAULT_LOCK_TTL_DAYS),
+  };
+}
+
+/**
+ * Build the attribution_set event for a dealer the caller named, whether
+ * or not it matched the dealer directory
+ */
+export function createNamedDealerEvent(callSid, dealerContext) {
+  return {
+    event_type: 'attribution_set',
+    actor_type: 'system',
+    actor_id: null,
+    details: {
+      call_sid: callSid,
+      source: 'caller_named_dealer',
+      dealer_name_spoken: dealerContext.dealer_name_raw,
+      dealer_city_spoken: dealerContext.dealer_city_raw,
+      matched_dealer_id: dealerContext.matched_dealer_id,
+      match_score: dealerContext.match_score,
+    },
+  };
+}
+
 /**
  * Validate that dealer attribution should be locked
  * 
@@ -204,8 +435,11 @@ export function getEntrypointDescription(entrypoint) {
 
 export default {
   determineAttribution,
+  parseAttributionParams,
+  pickRelayParameters,
   buildSessionMetadata,
   createAttributionEvent,
+  createLockAppliedEvent,
   isAttributionLocked,
   isLockableEntrypoint,
   getEntrypointDescription,
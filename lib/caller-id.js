@@ -0,0 +1,78 @@
+/**
+ * Caller ID Phone Pre-fill
+ *
+ * The setup message carries the caller's number as `from`, so instead of
+ * asking for a phone number the controller offers it back as a
+ * `caller_id_phone` confirmation ("the number you're calling from, ending
+ * in 1234"):
+ * - "Yes" stores it as a confirmed phone_e164
+ * - "No" sets callerIdDeclined and the phone question is asked as usual
+ *
+ * Blocked caller ID and numbers that can't be a mobile or landline (toll
+ * free, premium, invalid NANP) skip the offer.
+ */
+
+import { isValidE164Phone } from '../config/enums.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Confirmation field used for the caller ID offer
+ */
+export const CALLER_ID_FIELD = 'caller_id_phone';
+
+/**
+ * What Twilio sends as `from` when caller ID is withheld
+ */
+export const BLOCKED_CALLER_IDS = [
+  'anonymous',
+  'restricted',
+  'unavailable',
+  'unknown',
+  '+266696687',     // ANONYMOUS
+  '+7378742833',    // RESTRICTED
+  '+2562533',       // BLOCKED
+  '+86282452253',   // UNKNOWN
+];
+
+/**
+ * NANP area codes that are never a caller's own line
+ */
+export const NON_SUBSCRIBER_AREA_CODES = ['800', '833', '844', '855', '866', '877', '888', '900'];
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Whether a caller ID can be offered as the caller's phone number
+ *
+ * @param {string} from - Caller's number from the setup message
+ * @returns {boolean}
+ */
+export function isUsableCallerId(from) {
+  if (!from || BLOCKED_CALLER_IDS.includes(String(from).toLowerCase())) return false;
+  if (!isValidE164Phone(from)) return false;
+
+  // NXX-NXX-XXXX: area code and exchange can't start with 0 or 1
+  const areaCode = from.slice(2, 5);
+  const exchange = from.slice(5, 8);
+  if (/^[01]/.test(areaCode) || /^[01]/.test(exchange)) return false;
+
+  return !NON_SUBSCRIBER_AREA_CODES.includes(areaCode);
+}
+
+/**
+ * Caller ID number to offer in place of the phone question
+ *
+ * @param {object} state - Session state
+ * @returns {string|null} - E.164 number, or null if it shouldn't be offered
+ */
+export function getCallerIdPhone(state) {
+  if (state.callerIdDeclined) return null;
+
+  const from = state.metadata?.from;
+  return isUsableCallerId(from) ? from : null;
+}
@@ -0,0 +1,94 @@
+/**
+ * Confirmation Strategies
+ *
+ * How the controller reads answers back to the caller (CONFIRMATION_STRATEGY,
+ * kept per call in state.confirmationStrategy):
+ * - per_field: every answer gets its own "Did I get that right?" (default)
+ * - grouped: the answers of a phase are collected first and read back
+ *   together ("So that's Dana Reed, ..., by phone - all correct?"). A no
+ *   re-asks only the item that was wrong
+ * - confident: grouped, and low-risk enum answers the rule extraction agrees
+ *   with aren't read back at all
+ *
+ * Turns per call are recorded by strategy (lib/metrics.js) so they can be
+ * compared.
+ */
+
+import { PHASE_FIELDS } from './state-machine.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const CONFIRMATION_STRATEGIES = ['per_field', 'grouped', 'confident'];
+
+export const DEFAULT_CONFIRMATION_STRATEGY = 'per_field';
+
+/**
+ * Pending confirmation field for a grouped read-back (its value is the
+ * list of fields read back)
+ */
+export const GROUP_CONFIRM_FIELD = 'confirm_group';
+
+/**
+ * Enum answers that are cheap to get wrong - nothing is screened or routed
+ * on them - so the confident strategy skips reading them back
+ */
+export const LOW_RISK_FIELDS = ['preferred_contact_method', 'timeline'];
+
+// =============================================================================
+// STRATEGY
+// =============================================================================
+
+/**
+ * Validate a CONFIRMATION_STRATEGY value
+ *
+ * @param {string} value - Strategy name
+ * @returns {string} - The strategy, or the default when unknown
+ */
+export function parseConfirmationStrategy(value) {
+  if (!value) return DEFAULT_CONFIRMATION_STRATEGY;
+
+  const strategy = String(value).trim().toLowerCase();
+  if (!CONFIRMATION_STRATEGIES.includes(strategy)) {
+    console.warn(`Unknown CONFIRMATION_STRATEGY "${value}", using ${DEFAULT_CONFIRMATION_STRATEGY}`);
+    return DEFAULT_CONFIRMATION_STRATEGY;
+  }
+  return strategy;
+}
+
+export function getConfirmationStrategy(state) {
+  return state.confirmationStrategy || DEFAULT_CONFIRMATION_STRATEGY;
+}
+
+/**
+ * Whether answers are read back by phase
+ */
+export function groupsConfirmations(state) {
+  return getConfirmationStrategy(state) !== 'per_field';
+}
+
+/**
+ * Whether a just-extracted answer can be taken without reading it back
+ *
+ * @param {object} state - Session state
+ * @param {string} field - State field name
+ * @param {boolean} rulesAgreed - The rule extraction found the same value
+ */
+export function canSkipConfirmation(state, field, rulesAgreed) {
+  return getConfirmationStrategy(state) === 'confident' && LOW_RISK_FIELDS.includes(field) && rulesAgreed;
+}
+
+// =============================================================================
+// GROUPS
+// =============================================================================
+
+/**
+ * The phase's fields a field is read back with
+ *
+ * @param {string} field - State field name
+ * @returns {string[]|null}
+ */
+export function getConfirmationGroup(field) {
+  return Object.values(PHASE_FIELDS).find(fields => fields.includes(field)) || null;
+}
@@ -17,6 +17,8 @@ import {
   OPTIONAL_FIELDS,
   PHASE_FIELDS,
   LAND_VALUE_APPLICABLE_STATUSES,
+  DEALER_CONTEXT_FIELDS,
+  isDealerContextApplicable,
   getFieldValue,
   getRawValue,
   isFieldConfirmed,
@@ -24,11 +26,20 @@ import {
   getNextFieldToCollect,
   isPrequalificationReady,
   isMinimumLeadReady,
+  getIneligibleRule,
   PHASES,
 } from './state-machine.js';
 
 import { formatValueForSpeech } from './value-normalizers.js';
 import { formatEnumForSpeech } from '../config/enums.js';
+import { buildResumeGreeting, RESUME_FIELD } from './session-resume.js';
+import { KEYPAD_FIELDS, KEYPAD_HINTS } from './keypad.js';
+import { CALLER_ID_FIELD, getCallerIdPhone } from './caller-id.js';
+import { getLanguage, getPhrase, localize } from './language.js';
+import { buildCoverageMessage } from './coverage.js';
+import { buildIneligibleMessage } from './eligibility.js';
+import { groupsConfirmations, getConfirmationGroup, GROUP_CONFIRM_FIELD } from './confirmation.js';
+import { QUESTION_TEMPLATES_ES, CONFIRMATION_TEMPLATES_ES, GROUP_CONFIRMATION_TEMPLATE_ES } from './spanish-templates.js';
 
 // =============================================================================
 // CONFIRMATION TEMPLATES
@@ -73,6 +84,17 @@ export const CONFIRMATION_TEMPLATES = {
     usesValue: true,
     formatter: (value) => formatStateForSpeech(value),
   },
+  // ZIP and the place it's in (from the ZIP reference), confirmed together
+  property_location: {
+    template: "Got it - {spoken}, that's {place}?",
+    formatter: (zip) => formatZipForSpeech(zip),
+    placeFormatter: (city, state) => [city, formatStateForSpeech(state)].filter(Boolean).join(', '),
+  },
+  property_location_mismatch: {
+    template: "Hmm, ZIP code {spoken} is in {place}, not {stated}. Is that the right ZIP code?",
+    formatter: (zip) => formatZipForSpeech(zip),
+    placeFormatter: (city, state) => [city, formatStateForSpeech(state)].filter(Boolean).join(', '),
+  },
   land_status: {
     template: "Okay, so {spoken}. Do I have that right?",
     usesValue: true,
@@ -111,6 +133,17 @@ export const CONFIRMATION_TEMPLATES = {
     usesValue: true,
     formatter: (value) => value === true ? "Okay, you mentioned" : value === false ? "Great, no" : "Prefer not to say about",
   },
+  working_with_dealer: {
+    template: "{spoken} Is that right?",
+    usesValue: true,
+    formatter: (value) => value ? "Okay, so you're already working with a dealer." : "Got it, no dealer yet.",
+  },
+  dealer_name: {
+    template: "Just to confirm, that's {spoken}?",
+    usesValue: true,
+    usesRaw: true,
+    formatter: (dealerContext) => formatDealerForSpeech(dealerContext),
+  },
   best_time_to_contact: {
     template: "Perfect, {spoken} is best for a callback. Right?",
     usesValue: true,
@@ -131,6 +164,35 @@ export const CONFIRMATION_TEMPLATES = {
     template: "I've made a note of that. Anything else you'd like to add?",
     usesValue: false,
   },
+  [CALLER_ID_FIELD]: {
+    template: "Is the number you're calling from, ending in {spoken}, the best one to reach you?",
+    usesValue: true,
+    formatter: (value) => digitToWords(value.slice(-4)),
+  },
+};
+
+/**
+ * Grouped read-back (grouped and confident strategies, see confirmation.js):
+ * each item is built from the field's {spoken} value above. Fields without
+ * an item are always read back on their own.
+ */
+export const GROUP_CONFIRMATION_TEMPLATE = {
+  template: "Let me read that back: {items} - all correct?",
+  items: {
+    full_name: (spoken) => spoken,
+    phone_e164: (spoken) => spoken,
+    email: (spoken) => spoken,
+    preferred_contact_method: (spoken) => `by ${spoken}`,
+    property_zip: (spoken) => `ZIP code ${spoken}`,
+    property_state: (spoken) => `in ${spoken}`,
+    land_status: (spoken) => spoken,
+    land_value: (spoken) => `worth around ${spoken}`,
+    credit: (spoken) => `credit around ${spoken}`,
+    monthly_income: (spoken) => `income around ${spoken} a month`,
+    has_recent_bankruptcy: (spoken, value) => value ? "a recent bankruptcy" : "no recent bankruptcy",
+    home_price: (spoken) => `a budget around ${spoken}`,
+    site_work: (spoken) => `site work for ${spoken}`,
+  },
 };
 
 // =============================================================================
@@ -199,6 +261,14 @@ export const QUESTION_TEMPLATES = {
     followUp: "Just yes, no, or prefer not to say.",
     optional: true,
   },
+  working_with_dealer: {
+    question: "Are you already working with a home dealer?",
+    followUp: "Have you been talking with a particular dealer or sales lot? Just yes or no is fine.",
+  },
+  dealer_name: {
+    question: "What's the dealer's name, and what city are they in?",
+    followUp: "Sorry, which dealer was that, and what city?",
+  },
   best_time_to_contact: {
     question: "When's the best time for one of our loan officers to give you a call?",
     followUp: "Mornings, afternoons, evenings, or weekends - what works best?",
@@ -220,6 +290,14 @@ export const QUESTION_TEMPLATES = {
   },
 };
 
+/**
+ * Said before asking again for an answer the caller went back to
+ */
+const REOPENED_FIELD_LEAD_INS = {
+  en: "No problem, let's fix that.",
+  es: "Claro, vamos a corregirlo.",
+};
+
 // =============================================================================
 // CONVERSATION CONTROLLER CLASS
 // =============================================================================
@@ -246,13 +324,45 @@ export class ConversationController {
       return {
         type: 'end_call',
         reason: 'do_not_contact',
-        message: "No problem at all. Thank you for your time. Take care!",
+        message: getPhrase('doNotContact', getLanguage(state)),
       };
     }
 
+    // Returning caller - offer to pick up the interrupted call first
+    if (state.resumeOffer) {
+      return {
+        type: 'confirm',
+        field: RESUME_FIELD,
+        value: state.resumeOffer.lead.lead_id,
+        message: buildResumeGreeting(state.resumeOffer.lead, getLanguage(state)),
+      };
+    }
+
+    // A confirmed answer fails an eligibility rule - wrap up politely
+    const failedRule = getIneligibleRule(state);
+    if (failedRule) {
+      return {
+        type: 'end_call',
+        reason: 'ineligible',
+        statusReason: failedRule.status_reason,
+        message: buildIneligibleMessage(failedRule, state, getLanguage(state)),
+      };
+    }
+
+    return this._withCoverageNote(this._getCollectionAction(state), state);
+  }
+
+  /**
+   * Confirm, ask or complete - the next step in collecting the lead
+   */
+  _getCollectionAction(state) {
     // 1. Check for ANY fields needing confirmation (ALL fields must be confirmed)
     const unconfirmed = getUnconfirmedFields(state);
     if (unconfirmed.length > 0) {
+      const grouped = groupsConfirmations(state) && this._getGroupedConfirmAction(unconfirmed, state);
+      if (grouped) {
+        return grouped;
+      }
       const field = unconfirmed[0];
       return this._buildConfirmAction(field.field, field.value, field.rawValue, state);
     }
@@ -268,7 +378,7 @@ export class ConversationController {
     // 3. Get next required field to ask
     const nextField = this._getNextFieldToAsk(state);
     if (nextField) {
-      return this._buildAskAction(nextField, state);
+      return this._buildQuestionAction(nextField, state);
     }
 
     // 4. All required fields collected but not all confirmed - this shouldn't happen
@@ -279,11 +389,98 @@ export class ConversationController {
     };
   }
 
+  /**
+   * Ask for a field (or offer the caller ID number instead of asking for one)
+   */
+  _buildQuestionAction(field, state) {
+    if (field === 'phone_e164' && getCallerIdPhone(state)) {
+      return this._buildConfirmAction(CALLER_ID_FIELD, getCallerIdPhone(state), undefined, state);
+    }
+    return this._buildAskAction(field, state);
+  }
+
+  /**
+   * Grouped strategies: hold the read-back while the rest of the phase is
+   * still to be asked, then read the phase's answers back together
+   * 
+   * @returns {object|null} - null when the answer is read back on its own
+   */
+  _getGroupedConfirmAction(unconfirmed, state) {
+    if (!this._isGroupable(unconfirmed[0].field, state)) {
+      return null;
+    }
+
+    const group = getConfirmationGroup(unconfirmed[0].field).filter(field => this._isGroupable(field, state));
+    const nextField = this._getNextFieldToAsk(state);
+    if (nextField && group.includes(nextField)) {
+      return this._buildQuestionAction(nextField, state);
+    }
+
+    const items = unconfirmed.filter(({ field }) => group.includes(field));
+    return items.length > 1 ? this._buildGroupConfirmAction(items, state) : null;
+  }
+
+  /**
+   * Whether a field can be read back as part of its phase
+   */
+  _isGroupable(field, state) {
+    if (!GROUP_CONFIRMATION_TEMPLATE.items[field] || state.ungroupedFields?.includes(field)) {
+      return false;
+    }
+    // The ZIP is read back with the place it's in instead
+    if (field === 'property_zip' && state.collectedData.home_and_site.property_state_source === 'zip') {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Read several answers back with one question
+   */
+  _buildGroupConfirmAction(items, state) {
+    const template = (getLanguage(state) === 'es' && GROUP_CONFIRMATION_TEMPLATE_ES) || GROUP_CONFIRMATION_TEMPLATE;
+    const spoken = items.map(({ field, value, rawValue }) =>
+      template.items[field](this._buildConfirmAction(field, value, rawValue, state).spoken, value)
+    );
+
+    return {
+      type: 'confirm',
+      field: GROUP_CONFIRM_FIELD,
+      value: items.map(({ field }) => field),
+      message: template.template.replace('{items}', spoken.join(', ')),
+    };
+  }
+
+  /**
+   * Lead with what the coverage check found, the first time after it ran
+   * (the server sets state.coverage.announced once it's sent)
+   */
+  _withCoverageNote(action, state) {
+    if (!state.coverage || state.coverage.announced) return action;
+
+    const note = buildCoverageMessage(state, getLanguage(state));
+    if (!note) return action;
+
+    return {
+      ...action,
+      message: `${note} ${action.message}`,
+      coverageNote: true,
+    };
+  }
+
   /**
    * Get the next field to ask for (not just collect)
    * Considers field order and skips fields that shouldn't be asked
    */
   _getNextFieldToAsk(state) {
+    // An answer the caller went back to comes first, optional or not
+    const reopened = Object.keys(state.reopenedFields || {}).find(field =>
+      getFieldValue(state, field) == null && !this._shouldSkipField(field, state, { reopened: true })
+    );
+    if (reopened) {
+      return reopened;
+    }
+
     for (const field of this.fieldOrder) {
       // Check if field should be skipped
       if (this._shouldSkipField(field, state)) {
@@ -311,9 +508,9 @@ export class ConversationController {
   /**
    * Check if a field should be skipped based on current state
    */
-  _shouldSkipField(field, state) {
+  _shouldSkipField(field, state, { reopened = false } = {}) {
     // Skip optional fields unless in optional questions phase
-    if (this.optionalFields.includes(field)) {
+    if (this.optionalFields.includes(field) && !reopened) {
       if (state.phase !== PHASES.OPTIONAL_QUESTIONS) {
         return true;
       }
@@ -327,6 +524,11 @@ export class ConversationController {
       }
     }
 
+    // Only ask about a dealer on global entrypoints
+    if (DEALER_CONTEXT_FIELDS.includes(field) && !isDealerContextApplicable(state, field)) {
+      return true;
+    }
+
     return false;
   }
 
@@ -334,7 +536,11 @@ export class ConversationController {
    * Build a confirmation action
    */
   _buildConfirmAction(field, value, rawValue, state) {
-    const template = CONFIRMATION_TEMPLATES[field];
+    if (field === 'property_zip' && state.collectedData.home_and_site.property_state_source === 'zip') {
+      return this._buildZipLocationConfirmAction(value, state);
+    }
+
+    const template = (getLanguage(state) === 'es' && CONFIRMATION_TEMPLATES_ES[field]) || CONFIRMATION_TEMPLATES[field];
     if (!template) {
       // Fallback for unknown fields
       return {
@@ -373,11 +579,35 @@ export class ConversationController {
     };
   }
 
+  /**
+   * Confirm the ZIP and the place it's in with one question
+   * (or ask about the ZIP when the caller named a different state)
+   */
+  _buildZipLocationConfirmAction(zip, state) {
+    const home = state.collectedData.home_and_site;
+    const key = home.zip_state_mismatch ? 'property_location_mismatch' : 'property_location';
+    const template = (getLanguage(state) === 'es' && CONFIRMATION_TEMPLATES_ES[key]) || CONFIRMATION_TEMPLATES[key];
+
+    const spoken = template.formatter(zip);
+    const message = template.template
+      .replace('{spoken}', spoken)
+      .replace('{place}', template.placeFormatter(home.property_city, home.property_state))
+      .replace('{stated}', template.placeFormatter(null, home.zip_state_mismatch?.stated_state));
+
+    return {
+      type: 'confirm',
+      field: 'property_zip',
+      value: zip,
+      spoken,
+      message,
+    };
+  }
+
   /**
    * Build an ask action
    */
   _buildAskAction(field, state) {
-    const template = QUESTION_TEMPLATES[field];
+    const template = (getLanguage(state) === 'es' && QUESTION_TEMPLATES_ES[field]) || QUESTION_TEMPLATES[field];
     if (!template) {
       return {
         type: 'ask',
@@ -387,9 +617,19 @@ export class ConversationController {
     }
 
     const retryCount = state.retryCount || 0;
-    const question = retryCount > 0 && template.followUp 
+    let question = retryCount > 0 && template.followUp 
       ? template.followUp 
       : template.question;
+    
+    // Numbers get mangled by speech recognition - offer the keypad on a retry
+    if (retryCount > 0 && KEYPAD_FIELDS.includes(field)) {
+      question = `${question} ${localize(KEYPAD_HINTS, getLanguage(state))}`;
+    }
+
+    // The caller asked to go back to this one
+    if (retryCount === 0 && Object.hasOwn(state.reopenedFields || {}, field)) {
+      question = `${localize(REOPENED_FIELD_LEAD_INS, getLanguage(state))} ${question}`;
+    }
 
     return {
       type: 'ask',
@@ -403,16 +643,14 @@ export class ConversationController {
    * Build completion message
    */
   _buildCompletionMessage(state) {
+    const language = getLanguage(state);
     const name = getFieldValue(state, 'full_name');
-    const firstName = name ? name.split(' ')[0] : 'there';
     const bestTime = getFieldValue(state, 'best_time_to_contact');
-    
-    let timePhrase = 'soon';
-    if (bestTime) {
-      timePhrase = formatEnumForSpeech('best_time_to_contact', bestTime);
-    }
 
-    return `Thank you so much ${firstName}! You're all set. A loan officer will reach out ${timePhrase}. Have a wonderful day!`;
+    return getPhrase('completion', language, {
+      firstName: name ? name.split(' ')[0] : null,
+      time: bestTime ? formatEnumForSpeech('best_time_to_contact', bestTime, language) : null,
+    });
   }
 
   /**
@@ -566,6 +804,22 @@ function formatBestTimeForSpeech(raw, band) {
   return formatEnumForSpeech('best_time_to_contact', band);
 }
 
+/**
+ * Format the dealer the caller named for speech
+ * Prefers the directory name when we matched one, and the caller's own city
+ * (directory cities are sometimes abbreviated)
+ */
+function formatDealerForSpeech(dealerContext) {
+  if (!dealerContext) return '';
+  const name = dealerContext.matched_dealer_name || dealerContext.dealer_name_raw || '';
+  const city = dealerContext.dealer_city_raw || dealerContext.matched_dealer_city;
+
+  if (city && !name.toLowerCase().includes(city.toLowerCase())) {
+    return `${name} in ${city}`;
+  }
+  return name;
+}
+
 /**
  * Convert a string of digits to spoken words
  */
@@ -0,0 +1,100 @@
+/**
+ * Corrections
+ *
+ * Callers can change an answer they already confirmed at any point in the
+ * call, not just while it's being read back:
+ * - With the new value ("actually, my email is john@..."): the field takes
+ *   the new value unconfirmed and the controller reads it back
+ * - Without one ("go back to the ZIP"): the LLM sends correct_field, the
+ *   field is cleared (reopenField() in state-machine.js) and the controller
+ *   asks for it again
+ *
+ * Either way, what depends on the field is re-run (applyCorrectionEffects())
+ * and a field_corrected event records the old and new values. Repeating a
+ * confirmed answer leaves it confirmed.
+ */
+
+import { FIELD_ORDER, getRawValue, isFieldConfirmed } from './state-machine.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Fields the caller can ask to go back to (correct_field) - consent is
+ * withdrawn by declining, not corrected
+ */
+export const CORRECTABLE_FIELDS = FIELD_ORDER.filter(field => field !== 'contact_consent');
+
+// =============================================================================
+// DETECTION
+// =============================================================================
+
+/**
+ * The answer as the caller gave it (raw values for banded fields, the spoken
+ * name for a dealer) - what a new answer is compared against
+ *
+ * @param {object} state - Session state
+ * @param {string} field - State field name
+ */
+export function getAnswerValue(state, field) {
+  const value = getRawValue(state, field);
+  return field === 'dealer_name' ? value.dealer_name_raw : value;
+}
+
+function sameAnswer(a, b) {
+  const comparable = value => (typeof value === 'string' ? value.toLowerCase().trim() : JSON.stringify(value));
+  return comparable(a) === comparable(b);
+}
+
+/**
+ * Whether a value just extracted is a confirmed answer said again
+ *
+ * @param {object} state - Session state
+ * @param {string} field - State field name
+ * @param {*} value - Validated value (dealer_name: { name, city })
+ */
+export function isRepeatedAnswer(state, field, value) {
+  const answer = field === 'dealer_name' ? value?.name : value;
+  return isFieldConfirmed(state, field) && sameAnswer(getAnswerValue(state, field), answer);
+}
+
+/**
+ * The change a value makes to an answer the caller already confirmed (or
+ * went back to), or null when it's a first answer or the same one
+ *
+ * @param {object} state - Session state, before the value is set
+ * @param {string} field - State field name
+ * @param {*} value - Validated value (dealer_name: { name, city })
+ * @returns {{field, old_value, new_value}|null}
+ */
+export function findCorrection(state, field, value) {
+  const reopened = Object.hasOwn(state.reopenedFields || {}, field);
+  if (!reopened && !isFieldConfirmed(state, field)) return null;
+
+  const oldValue = reopened ? state.reopenedFields[field] : getAnswerValue(state, field);
+  const newValue = field === 'dealer_name' ? value?.name : value;
+  if (sameAnswer(oldValue, newValue)) return null;
+
+  return { field, old_value: oldValue ?? null, new_value: newValue };
+}
+
+// =============================================================================
+// EVENTS
+// =============================================================================
+
+/**
+ * Build the field_corrected event
+ */
+export function createFieldCorrectedEvent(callSid, correction) {
+  return {
+    event_type: 'field_corrected',
+    actor_type: 'user',
+    details: {
+      call_sid: callSid,
+      field: correction.field,
+      old_value: correction.old_value,
+      new_value: correction.new_value,
+    },
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Real-Time Dealer Coverage
+ *
+ * Routing only runs once the lead is complete, so right after the property
+ * ZIP and state are confirmed the executor looks them up in zipCoverage
+ * (getZipCoverage()) and keeps the result in state.coverage:
+ * - No active dealer covers the ZIP: the caller hears that up front, the
+ *   intake continues, and the lead is tagged flags.no_coverage
+ * - Covered: the caller hears there are dealers nearby, by name when the
+ *   call came in through a dealer that covers the ZIP
+ *
+ * The controller adds the note to its next question once
+ * (state.coverage.announced).
+ */
+
+import { isAttributionLocked } from './attribution.js';
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Look up which active dealers cover a ZIP
+ *
+ * @param {object} hestiaClient - Hestia client (getZipCoverage, getDealer)
+ * @param {string} state - State abbreviation
+ * @param {string} zip - Five-digit ZIP
+ * @returns {Promise<{state, zip, covered, dealers, announced}>} - covered is
+ *   null (and nothing is announced) when the lookup failed
+ */
+export async function checkZipCoverage(hestiaClient, state, zip) {
+  try {
+    const coverage = await hestiaClient.getZipCoverage(state, zip);
+    const candidates = coverage?.candidates || [];
+
+    const dealers = await Promise.all(candidates.map(candidate => hestiaClient.getDealer(candidate.dealer_id)));
+    const active = dealers
+      .filter(dealer => dealer && (!dealer.status || dealer.status === 'active'))
+      .map(dealer => ({ dealer_id: dealer.dealer_id, dealer_name: dealer.dealer_name || null }));
+
+    console.log(`[COVERAGE] ${state}_${zip}: ${active.length} active dealer(s) of ${candidates.length}`);
+    return { state, zip, covered: active.length > 0, dealers: active, announced: false };
+  } catch (error) {
+    console.error(`[COVERAGE] Lookup failed for ${state}_${zip}:`, error.message);
+    return { state, zip, covered: null, dealers: [], announced: true };
+  }
+}
+
+/**
+ * Whether the confirmed ZIP and state still need a coverage lookup
+ */
+export function needsCoverageCheck(state) {
+  const home = state.collectedData.home_and_site;
+  if (!home.property_zip_confirmed || !home.property_state_confirmed) return false;
+
+  return state.coverage?.zip !== home.property_zip || state.coverage?.state !== home.property_state;
+}
+
+/**
+ * The dealer a dealer-sourced call came through, if it covers the ZIP
+ *
+ * @returns {object|null} - { dealer_id, dealer_name }
+ */
+export function getCoveringSourceDealer(state) {
+  const attribution = state.collectedData.source.attribution;
+  if (!isAttributionLocked(attribution)) return null;
+
+  return state.coverage?.dealers.find(dealer => dealer.dealer_id === attribution.locked_dealer_id) || null;
+}
+
+// =============================================================================
+// SPEECH
+// =============================================================================
+
+/**
+ * What the caller hears about coverage, or null when there's nothing to say
+ *
+ * @param {object} state - Session state with state.coverage
+ * @param {string} language - 'en' or 'es'
+ * @returns {string|null}
+ */
+export function buildCoverageMessage(state, language = 'en') {
+  const coverage = state.coverage;
+  if (!coverage || coverage.covered === null) return null;
+
+  const sourceDealer = getCoveringSourceDealer(state);
+
+  if (language === 'es') {
+    if (!coverage.covered) {
+      return "Le comento que todavía no tenemos un vendedor asociado en su zona, pero un asesor de préstamos igual puede ayudarle con el financiamiento.";
+    }
+    return sourceDealer?.dealer_name
+      ? `¡Buenas noticias! ${sourceDealer.dealer_name} atiende su zona.`
+      : "¡Buenas noticias! Tenemos vendedores asociados en su zona.";
+  }
+
+  if (!coverage.covered) {
+    return "Just so you know, we don't have a dealer partner in your area yet, but a loan officer can still help you with financing.";
+  }
+  return sourceDealer?.dealer_name
+    ? `Good news - ${sourceDealer.dealer_name} serves your area.`
+    : "Good news - we have dealer partners in your area.";
+}
+
+// =============================================================================
+// EVENTS
+// =============================================================================
+
+/**
+ * Build the coverage_checked event
+ */
+export function createCoverageCheckedEvent(callSid, coverage) {
+  return {
+    event_type: 'coverage_checked',
+    actor_type: 'system',
+    details: {
+      call_sid: callSid,
+      coverage_id: `${coverage.state}_${coverage.zip}`,
+      covered: coverage.covered,
+      dealer_ids: coverage.dealers.map(dealer => dealer.dealer_id),
+    },
+  };
+}
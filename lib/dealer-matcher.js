@@ -0,0 +1,266 @@
+/**
+ * Dealer Name Matching
+ *
+ * Fuzzy-matches a dealer name (and optional city) spoken by a caller on a
+ * global entrypoint against the normalized dealer directory
+ * (firebase/scripts/data/dealers_normalized_v1.json). Each dealer's
+ * web_default referral key from dealer_attribution_keys_v1.json is attached
+ * so a confirmed match can be recorded as a referral code.
+ *
+ * Dealer names in the directory are messy ("Wayne Frier Home Ctrs",
+ * "Clayton Homes - Houma", "BOB'S FAMILY HOUSING, INC."), so names are
+ * normalized and generic words (homes, mobile, inc, ...) are dropped before
+ * scoring. A matching city breaks ties between the many same-brand lots.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DEFAULT_DEALERS_PATH = fileURLToPath(
+  new URL('../firebase/scripts/data/dealers_normalized_v1.json', import.meta.url)
+);
+const DEFAULT_KEYS_PATH = fileURLToPath(
+  new URL('../firebase/scripts/data/dealer_attribution_keys_v1.json', import.meta.url)
+);
+
+/**
+ * Minimum name score (0-1) for a dealer to be offered to the caller
+ */
+export const MIN_MATCH_SCORE = 0.6;
+
+// Score adjustments applied on top of the name score
+const CITY_MATCH_BONUS = 0.25;
+const CITY_MISMATCH_PENALTY = 0.15;
+const STATE_MATCH_BONUS = 0.05;
+
+/**
+ * Words that say nothing about which dealer was meant
+ */
+const GENERIC_WORDS = new Set([
+  'the', 'of', 'and', 'inc', 'llc', 'co', 'corp', 'company',
+  'home', 'homes', 'hms', 'mobile', 'manufactured', 'mfg', 'modular',
+  'housing', 'sales', 'center', 'centers', 'ctr', 'ctrs', 'retail',
+]);
+
+let cachedDirectory = null;
+
+// =============================================================================
+// DIRECTORY
+// =============================================================================
+
+/**
+ * Load the dealer directory: one entry per active dealer location
+ *
+ * @param {object} options
+ * @param {string} options.dealersPath - dealers_normalized_v1.json
+ * @param {string} options.keysPath - dealer_attribution_keys_v1.json
+ * @returns {Array<{dealer_id, dealer_name, city, state, key_hash}>}
+ */
+export function loadDealerDirectory({ dealersPath = DEFAULT_DEALERS_PATH, keysPath = DEFAULT_KEYS_PATH } = {}) {
+  if (!existsSync(dealersPath)) {
+    console.warn(`[DEALER_MATCH] Dealer directory not found: ${dealersPath}`);
+    return [];
+  }
+
+  const { dealers = [], locations = [] } = JSON.parse(readFileSync(dealersPath, 'utf8'));
+  const keys = existsSync(keysPath) ? JSON.parse(readFileSync(keysPath, 'utf8')).keys || [] : [];
+
+  const keyByDealer = new Map(
+    keys
+      .filter(key => key.active !== false && key.key_hash)
+      .map(key => [key.dealer_id, key.key_hash])
+  );
+  const locationsByDealer = new Map();
+  for (const location of locations) {
+    if (!locationsByDealer.has(location.dealer_id)) {
+      locationsByDealer.set(location.dealer_id, []);
+    }
+    locationsByDealer.get(location.dealer_id).push(location);
+  }
+
+  const directory = [];
+  for (const dealer of dealers) {
+    if (dealer.status && dealer.status !== 'active') continue;
+
+    const dealerLocations = locationsByDealer.get(dealer.dealer_id) || [{}];
+    for (const location of dealerLocations) {
+      directory.push({
+        dealer_id: dealer.dealer_id,
+        dealer_name: dealer.dealer_name,
+        city: location.city || null,
+        state: location.state || null,
+        key_hash: keyByDealer.get(dealer.dealer_id) || null,
+      });
+    }
+  }
+
+  return directory;
+}
+
+function getDefaultDirectory() {
+  if (!cachedDirectory) {
+    cachedDirectory = loadDealerDirectory();
+  }
+  return cachedDirectory;
+}
+
+// =============================================================================
+// NORMALIZATION AND SCORING
+// =============================================================================
+
+/**
+ * Normalize a dealer or city name into comparable tokens
+ *
+ * @param {string} name - Raw name
+ * @param {object} options
+ * @param {boolean} options.dropGeneric - Remove GENERIC_WORDS (kept if nothing else remains)
+ * @returns {string[]}
+ */
+export function normalizeDealerName(name, { dropGeneric = true } = {}) {
+  const tokens = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  if (!dropGeneric) return tokens;
+
+  const specific = tokens.filter(token => !GENERIC_WORDS.has(token));
+  return specific.length > 0 ? specific : tokens;
+}
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    grams.push(compact.slice(i, i + 2));
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient over character bigrams (0-1)
+ */
+function diceSimilarity(a, b) {
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (gramsA.length === 0 || gramsB.length === 0) {
+    return a === b && a.length > 0 ? 1 : 0;
+  }
+
+  const counts = new Map();
+  for (const gram of gramsA) {
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (const gram of gramsB) {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(gram, count - 1);
+    }
+  }
+
+  return (2 * shared) / (gramsA.length + gramsB.length);
+}
+
+/**
+ * Score how well a spoken dealer name matches a directory name (0-1)
+ *
+ * Averages the share of spoken words found in the dealer name (allowing
+ * small transcription differences) with the overall character similarity.
+ */
+export function scoreDealerName(spokenName, dealerName) {
+  const spoken = normalizeDealerName(spokenName);
+  const dealer = normalizeDealerName(dealerName);
+  if (spoken.length === 0 || dealer.length === 0) return 0;
+
+  const found = spoken.filter(word =>
+    dealer.some(candidate => candidate === word || diceSimilarity(candidate, word) >= 0.8)
+  ).length;
+
+  const overlap = found / spoken.length;
+  const similarity = diceSimilarity(spoken.join(' '), dealer.join(' '));
+
+  return (overlap + similarity) / 2;
+}
+
+/**
+ * Whether a spoken city refers to a directory location
+ *
+ * Directory cities are sometimes truncated ("Oca" for Ocala), and some
+ * dealer names carry the city ("Clayton Homes - Houma").
+ */
+function cityMatches(spokenCity, entry) {
+  const spoken = normalizeDealerName(spokenCity, { dropGeneric: false }).join(' ');
+  if (!spoken) return false;
+
+  const city = normalizeDealerName(entry.city, { dropGeneric: false }).join(' ');
+  if (city) {
+    if (city === spoken) return true;
+    if (Math.min(city.length, spoken.length) >= 3 && (city.startsWith(spoken) || spoken.startsWith(city))) return true;
+    if (diceSimilarity(city, spoken) >= 0.8) return true;
+  }
+
+  return ` ${normalizeDealerName(entry.dealer_name, { dropGeneric: false }).join(' ')} `.includes(` ${spoken} `);
+}
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+/**
+ * Find the dealer a caller most likely meant
+ *
+ * @param {string} spokenName - Dealer name as the caller said it
+ * @param {string|null} spokenCity - City the caller gave, if any
+ * @param {object} options
+ * @param {string} options.state - Property state, used as a light tie-breaker
+ * @param {Array} options.directory - Directory entries (defaults to loadDealerDirectory())
+ * @returns {{dealer_id, dealer_name, city, state, key_hash, score}|null}
+ */
+export function matchDealerByName(spokenName, spokenCity = null, { state = null, directory = getDefaultDirectory() } = {}) {
+  if (!spokenName || String(spokenName).trim().length < 2) {
+    return null;
+  }
+
+  let best = null;
+
+  for (const entry of directory) {
+    const nameScore = scoreDealerName(spokenName, entry.dealer_name);
+    if (nameScore < MIN_MATCH_SCORE) continue;
+
+    let score = nameScore;
+    if (spokenCity) {
+      score += cityMatches(spokenCity, entry) ? CITY_MATCH_BONUS : -CITY_MISMATCH_PENALTY;
+    }
+    if (state && entry.state === state) {
+      score += STATE_MATCH_BONUS;
+    }
+
+    if (!best || score > best.score) {
+      best = { entry, score };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  return {
+    dealer_id: best.entry.dealer_id,
+    dealer_name: best.entry.dealer_name,
+    city: best.entry.city,
+    state: best.entry.state,
+    key_hash: best.entry.key_hash,
+    score: Math.round(Math.min(best.score, 1) * 100) / 100,
+  };
+}
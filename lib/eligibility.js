@@ -0,0 +1,84 @@
+/**
+ * Eligibility Screening
+ *
+ * Runs the declarative rules in config/eligibility.js against the fields the
+ * caller has confirmed (getIneligibleRule() in state-machine.js). Unconfirmed
+ * values never disqualify anyone - the caller gets to correct a misheard
+ * answer first.
+ *
+ * When a rule matches, the controller ends the call with a polite
+ * explanation and free alternatives (a HUD-approved housing counselor), and
+ * the server moves the lead to `ineligible` with the rule's status_reason.
+ */
+
+import { ELIGIBILITY_RULES } from '../config/eligibility.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Where a caller we can't help can turn instead
+ */
+export const ALTERNATIVE_RESOURCES = {
+  en: "A HUD-approved housing counselor can go over other options with you for free - you can reach one at eight hundred, five six nine, four two eight seven.",
+  es: "Un consejero de vivienda aprobado por HUD puede revisar otras opciones con usted sin costo - puede comunicarse al ocho cero cero, cinco seis nueve, cuatro dos ocho siete.",
+};
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+/**
+ * Whether one condition of a rule holds for a value
+ *
+ * @param {*} value - Confirmed field value (undefined when not confirmed)
+ * @param {Array|object} condition - Allowed values, or { not_in: [...] }
+ */
+function matchesCondition(value, condition) {
+  if (value === undefined || value === null) return false;
+
+  if (Array.isArray(condition)) {
+    return condition.includes(value);
+  }
+  if (condition?.not_in) {
+    return !condition.not_in.includes(value);
+  }
+  return false;
+}
+
+/**
+ * First rule the values fail, if any
+ *
+ * @param {object} values - { [field]: confirmed value }
+ * @param {object[]} rules - Defaults to ELIGIBILITY_RULES
+ * @returns {object|null} - The matching rule
+ */
+export function checkEligibility(values, rules = ELIGIBILITY_RULES) {
+  return rules.find(rule =>
+    Object.entries(rule.when).every(([field, condition]) => matchesCondition(values[field], condition))
+  ) || null;
+}
+
+// =============================================================================
+// SPEECH
+// =============================================================================
+
+/**
+ * What the caller hears when a rule ends the intake
+ *
+ * @param {object} rule - Matching rule
+ * @param {object} state - Session state (for the caller's name)
+ * @param {string} language - 'en' or 'es'
+ */
+export function buildIneligibleMessage(rule, state, language = 'en') {
+  const firstName = state.collectedData.applicant.full_name?.split(' ')[0];
+
+  if (language === 'es') {
+    const explanation = rule.explanation?.es || 'esta solicitud no califica para nuestros préstamos';
+    return `Gracias por toda la información${firstName ? `, ${firstName}` : ''}. Lamentablemente, ${explanation}, así que no podemos ofrecerle financiamiento en este momento. ${ALTERNATIVE_RESOURCES.es} Le agradecemos mucho su llamada. ¡Que le vaya muy bien!`;
+  }
+
+  const explanation = rule.explanation?.en || "this request doesn't qualify for our loan programs";
+  return `Thank you for sharing all of that${firstName ? `, ${firstName}` : ''}. Unfortunately, ${explanation}, so we aren't able to offer financing right now. ${ALTERNATIVE_RESOURCES.en} We really appreciate you calling TLC, and we wish you the best!`;
+}
@@ -0,0 +1,159 @@
+/**
+ * Keypad (DTMF) Entry
+ *
+ * Speech recognition regularly mangles phone numbers and ZIP codes, so
+ * callers can type them instead:
+ * 1. When the controller re-asks a KEYPAD_FIELDS question it offers the keypad
+ * 2. Digits are buffered until "#" (or KEYPAD_TIMEOUT_MS of silence); "*" clears
+ * 3. The digits become an extract_fields tool call, so they go through the
+ *    same validation and normalization as spoken input
+ *
+ * On a yes/no question, 1 answers yes and 2 answers no.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Fields a caller can type on the keypad
+ */
+export const KEYPAD_FIELDS = ['phone_e164', 'property_zip'];
+
+/**
+ * Yes/no questions asked outright (everything else is a confirm action)
+ */
+export const YES_NO_FIELDS = ['contact_consent', 'has_recent_bankruptcy', 'working_with_dealer'];
+
+/**
+ * Keypad answers to yes/no questions
+ */
+export const YES_NO_DIGITS = {
+  '1': true,
+  '2': false,
+};
+
+/**
+ * Silence after the last digit before the entry is submitted
+ */
+export const KEYPAD_TIMEOUT_MS = 4000;
+
+/**
+ * Appended to the follow-up question for KEYPAD_FIELDS, by language
+ */
+export const KEYPAD_HINTS = {
+  en: "You can also type it on your keypad and press pound.",
+  es: "También puede marcarlo en su teclado y oprimir la tecla de número.",
+};
+
+// =============================================================================
+// INPUT MODE
+// =============================================================================
+
+/**
+ * What a key press means for the controller's current action
+ *
+ * @param {object} action - Action from ConversationController.getNextAction()
+ * @returns {'digits'|'yes_no'|null} - null when the keypad isn't expected
+ */
+export function getKeypadMode(action) {
+  if (!action) return null;
+
+  if (action.type === 'ask' && KEYPAD_FIELDS.includes(action.field)) {
+    return 'digits';
+  }
+  if (action.type === 'confirm' || (action.type === 'ask' && YES_NO_FIELDS.includes(action.field))) {
+    return 'yes_no';
+  }
+
+  return null;
+}
+
+// =============================================================================
+// BUFFER
+// =============================================================================
+
+/**
+ * Collects digits for one entry
+ *
+ * onComplete(digits) runs on "#" or after timeoutMs without a key press.
+ */
+export class KeypadBuffer {
+  /**
+   * @param {object} options
+   * @param {function} options.onComplete - Receives the typed digits
+   * @param {number} options.timeoutMs - Silence before submitting
+   */
+  constructor({ onComplete, timeoutMs = KEYPAD_TIMEOUT_MS }) {
+    this.onComplete = onComplete;
+    this.timeoutMs = timeoutMs;
+    this.digits = '';
+    this.timer = null;
+  }
+
+  get pending() {
+    return this.digits.length > 0;
+  }
+
+  push(digit) {
+    if (digit === '#') {
+      this.flush();
+      return;
+    }
+    if (digit === '*') {
+      this.clear();
+      return;
+    }
+    if (!/^\d$/.test(digit)) return;
+
+    this.digits += digit;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.timeoutMs);
+  }
+
+  flush() {
+    const digits = this.digits;
+    this.clear();
+    if (digits) this.onComplete(digits);
+  }
+
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.digits = '';
+  }
+}
+
+// =============================================================================
+// TOOL CALLS
+// =============================================================================
+
+/**
+ * Turn a keypad entry into the extract_fields call the LLM would have made
+ *
+ * @param {object} action - Controller action the entry answers
+ * @param {string} digits - Typed digits (a single 1/2 for yes/no)
+ * @returns {object|null} - Tool call for processToolCalls(), or null if the
+ *   entry doesn't answer the action
+ */
+export function buildKeypadToolCall(action, digits) {
+  const mode = getKeypadMode(action);
+  let args = null;
+
+  if (mode === 'digits') {
+    args = { [action.field]: digits };
+  } else if (mode === 'yes_no' && digits in YES_NO_DIGITS) {
+    args = { confirmation: YES_NO_DIGITS[digits] };
+  }
+
+  if (!args) return null;
+
+  return {
+    id: `keypad_${Date.now()}`,
+    type: 'function',
+    function: {
+      name: 'extract_fields',
+      arguments: JSON.stringify(args),
+    },
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Call Language (English / Spanish)
+ *
+ * Each call has a `state.language` ('en' or 'es'). It is chosen by, in order:
+ * 1. The dialed dealer number's `language` (dealerNumbers config)
+ * 2. The returning caller's lead (applicant.preferred_language)
+ * 3. The caller pressing 2 at the greeting ("Para español, oprima dos")
+ * 4. Detection: the caller asks for Spanish/English, or answers in Spanish
+ *
+ * Switching sends a ConversationRelay `language` message so TTS and STT
+ * follow; controller templates, speech formatting and the prompt read
+ * state.language. The language is stored on the lead as
+ * applicant.preferred_language.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const SUPPORTED_LANGUAGES = ['en', 'es'];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * ConversationRelay / TwiML language codes
+ */
+export const LOCALE_CODES = {
+  en: 'en-US',
+  es: 'es-US',
+};
+
+/**
+ * Key that switches to the other language while the greeting is playing
+ */
+export const LANGUAGE_MENU_DIGIT = '2';
+
+/**
+ * Read after the greeting, in the language it offers
+ */
+const LANGUAGE_MENU_PROMPTS = {
+  en: 'Para español, oprima dos.',
+  es: 'For English, press two.',
+};
+
+/**
+ * Caller-facing phrases spoken by the server (greetings are in prompts.js,
+ * question and confirmation templates in the controller). A phrase that needs
+ * call details is a function of the vars passed to getPhrase().
+ */
+export const PHRASES = {
+  en: {
+    languageSwitched: "Sure, let's continue in English.",
+    apology: "Oh, sorry about that! Let me get that right.",
+    resumeBridge: "Perfect, let's pick up where we left off.",
+    reattached: "Sorry, I lost you for a second.",
+    transferring: "Sure thing - let me connect you with one of our loan officers. One moment.",
+    goodbye: "Thank you for calling. Goodbye!",
+    doNotContact: "No problem at all. Thank you for your time. Take care!",
+    completion: ({ firstName, time }) =>
+      `Thank you so much ${firstName || 'there'}! You're all set. A loan officer will reach out ${time || 'soon'}. Have a wonderful day!`,
+  },
+  es: {
+    languageSwitched: "¡Claro! Seguimos en español.",
+    apology: "¡Ay, perdón! Déjeme corregirlo.",
+    resumeBridge: "Perfecto, sigamos donde nos quedamos.",
+    reattached: "Perdón, se me fue la llamada un segundo.",
+    transferring: "Claro que sí, le comunico con uno de nuestros asesores de préstamos. Un momento.",
+    goodbye: "Gracias por llamar. ¡Hasta luego!",
+    doNotContact: "No hay problema. Gracias por su tiempo. ¡Cuídese!",
+    completion: ({ firstName, time }) =>
+      `¡Muchas gracias${firstName ? `, ${firstName}` : ''}! Ya está todo listo. Un asesor de préstamos se comunicará con usted ${time || 'pronto'}. ¡Que tenga un excelente día!`,
+  },
+};
+
+// Asking for a language by name switches at any point in the call - but
+// not saying you don't speak it ("I don't speak Spanish", "no hablo inglés")
+const SPANISH_REQUEST = /\b(espa[ñn]ol|spanish)\b/i;
+const ENGLISH_REQUEST = /\b(ingl[eé]s|english)\b/i;
+const NEGATION = /\b(no|not|never|nunca|cannot|dont|cant|doesnt)\b|n['’]t\b/i;
+const CLAUSE_BREAK = /[,.;:!?¿¡]|\b(?:but|pero)\b/i;
+
+// Words that are common in Spanish answers and rare in English ones
+const SPANISH_MARKERS = new Set([
+  'hola', 'sí', 'quiero', 'tengo', 'gracias', 'bueno', 'buenos', 'buenas',
+  'necesito', 'hablo', 'puedo', 'usted', 'está', 'estoy', 'casa', 'terreno',
+  'crédito', 'ayuda', 'también', 'cómo', 'qué', 'porque', 'favor', 'señor',
+  'señora', 'claro', 'ahorita', 'meses', 'mañana', 'tarde', 'noche', 'nombre',
+  'llamo', 'correcto', 'dueño', 'comprar', 'vendedor', 'móvil', 'inglés',
+]);
+const MIN_SPANISH_MARKERS = 2;
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * The call's language
+ */
+export function getLanguage(state) {
+  return SUPPORTED_LANGUAGES.includes(state?.language) ? state.language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Pick the string for a language from an { en, es } map
+ */
+export function localize(strings, language) {
+  return strings[language] ?? strings[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Server phrase in the call's language
+ *
+ * @param {string} key - Key of PHRASES.en
+ * @param {string} language
+ * @param {object} vars - Values for phrases that are functions
+ */
+export function getPhrase(key, language, vars = {}) {
+  const phrase = localize(PHRASES, language)[key] ?? PHRASES[DEFAULT_LANGUAGE][key];
+  return typeof phrase === 'function' ? phrase(vars) : phrase;
+}
+
+/**
+ * Normalize a configured language ("es", "es-US", "Spanish") to en/es
+ *
+ * @returns {string|null} - null if not supported
+ */
+export function parseLanguage(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (!normalized) return null;
+  if (normalized.startsWith('es') || normalized === 'spanish') return 'es';
+  if (normalized.startsWith('en') || normalized === 'english') return 'en';
+  return null;
+}
+
+// =============================================================================
+// SELECTION
+// =============================================================================
+
+/**
+ * The greeting's language menu: the other language, its key and prompt
+ *
+ * @param {string} language - Language the greeting is in
+ * @returns {{digit: string, language: string, prompt: string, locale: string}}
+ */
+export function getLanguageMenu(language) {
+  const other = language === 'es' ? 'en' : 'es';
+
+  return {
+    digit: LANGUAGE_MENU_DIGIT,
+    language: other,
+    prompt: localize(LANGUAGE_MENU_PROMPTS, language),
+    locale: LOCALE_CODES[other],
+  };
+}
+
+/**
+ * Whether a key press picks the greeting's language menu option
+ *
+ * Only before the caller's first answer (afterwards 2 means "no"), once,
+ * and not during a resume offer (which has no menu).
+ */
+export function isLanguageMenuChoice(state, digit) {
+  return digit === LANGUAGE_MENU_DIGIT
+    && state.questionsAsked === 0
+    && !state.resumeOffer
+    && state.languageSource !== 'dtmf';
+}
+
+/**
+ * Whether any clause of an utterance asks for the language (names it
+ * without a negation)
+ */
+function requestsLanguage(utterance, pattern) {
+  return utterance.split(CLAUSE_BREAK).some(clause => clause && pattern.test(clause) && !NEGATION.test(clause));
+}
+
+/**
+ * Detect a language switch from what the caller said
+ *
+ * @param {string} text - Caller's utterance
+ * @param {string} currentLanguage
+ * @returns {string|null} - Language to switch to, or null to stay
+ */
+export function detectLanguage(text, currentLanguage = DEFAULT_LANGUAGE) {
+  const utterance = String(text || '');
+
+  if (currentLanguage !== 'es' && requestsLanguage(utterance, SPANISH_REQUEST)) return 'es';
+  if (currentLanguage !== 'en' && requestsLanguage(utterance, ENGLISH_REQUEST)) return 'en';
+
+  if (currentLanguage === 'en') {
+    const words = utterance.toLowerCase().match(/[a-záéíóúüñ]+/g) || [];
+    const markers = new Set(words.filter(word => SPANISH_MARKERS.has(word)));
+    if (markers.size >= MIN_SPANISH_MARKERS) return 'es';
+  }
+
+  return null;
+}
+
+/**
+ * Switch the call's language and record why
+ *
+ * @param {object} state - Session state
+ * @param {string} language - 'en' or 'es'
+ * @param {string} source - dealer_number, lead, dtmf, detected
+ * @returns {boolean} - Whether the language changed
+ */
+export function setLanguage(state, language, source) {
+  if (!SUPPORTED_LANGUAGES.includes(language)) return false;
+
+  const previous = getLanguage(state);
+  state.languageSource = source;
+  if (previous === language) return false;
+
+  state.language = language;
+  state.events.push({
+    type: 'language_changed',
+    from: previous,
+    to: language,
+    source,
+    timestamp: Date.now(),
+  });
+
+  console.log(`[LANGUAGE] ${previous} -> ${language} (${source})`);
+  return true;
+}
+
+/**
+ * ConversationRelay message that switches TTS and transcription
+ */
+export function buildLanguageMessage(language) {
+  const locale = LOCALE_CODES[language] || LOCALE_CODES[DEFAULT_LANGUAGE];
+
+  return {
+    type: 'language',
+    ttsLanguage: locale,
+    transcriptionLanguage: locale,
+  };
+}
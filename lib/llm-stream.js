@@ -0,0 +1,178 @@
+/**
+ * Streaming LLM Turns
+ *
+ * Consumes an OpenAI chat.completions stream (`stream: true`) so speech can
+ * start before the completion finishes:
+ * - Tool calls are assembled from their argument deltas
+ * - Speakable text is forwarded as it arrives: assistant content, and the
+ *   spoken argument of tools like provide_info (read out of the partial JSON)
+ * - turnMetrics.llmFirstTokenAt is stamped on the first delta, so llmTTFT
+ *   measures real time-to-first-token rather than total completion time
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Tool arguments that are spoken to the caller as they stream in
+ */
+export const SPOKEN_TOOL_ARGUMENTS = {
+  provide_info: 'response',
+};
+
+const JSON_ESCAPES = {
+  '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t',
+};
+
+// =============================================================================
+// PARTIAL JSON READER
+// =============================================================================
+
+/**
+ * Read one string field out of a JSON object that arrives in pieces
+ *
+ * push() takes the next piece of the raw JSON and returns the newly decoded
+ * characters of the field's value (empty until the field starts, and after
+ * its closing quote).
+ *
+ * @param {string} fieldName - Top-level string field to read
+ * @returns {{ push: (piece: string) => string, done: () => boolean }}
+ */
+export function createJsonStringFieldReader(fieldName) {
+  const opener = new RegExp(`"${fieldName}"\\s*:\\s*"`);
+  let buffer = '';
+  let position = -1;   // Index of the next undecoded character, once the value starts
+  let finished = false;
+
+  function push(piece) {
+    buffer += piece;
+    if (finished) return '';
+
+    if (position < 0) {
+      const match = opener.exec(buffer);
+      if (!match) return '';
+      position = match.index + match[0].length;
+    }
+
+    let decoded = '';
+    while (position < buffer.length) {
+      const char = buffer[position];
+
+      if (char === '"') {
+        finished = true;
+        break;
+      }
+
+      if (char !== '\\') {
+        decoded += char;
+        position++;
+        continue;
+      }
+
+      // Escape sequence - wait for the rest of it if it was split
+      const next = buffer[position + 1];
+      if (next === undefined) break;
+
+      if (next === 'u') {
+        const hex = buffer.slice(position + 2, position + 6);
+        if (hex.length < 4) break;
+        decoded += String.fromCharCode(parseInt(hex, 16));
+        position += 6;
+      } else {
+        decoded += JSON_ESCAPES[next] ?? next;
+        position += 2;
+      }
+    }
+
+    return decoded;
+  }
+
+  return { push, done: () => finished };
+}
+
+// =============================================================================
+// STREAM CONSUMER
+// =============================================================================
+
+/**
+ * Consume a chat.completions stream
+ *
+ * @param {AsyncIterable} stream - Chunks from openai.chat.completions.create({ stream: true })
+ * @param {object} options
+ * @param {object} options.turnMetrics - Turn metrics (llmFirstTokenAt, llmCompleteAt, totalTokens)
+ * @param {Function} options.onSpeech - (text) => void, called with each speakable piece
+ * @returns {Promise<{content: string|null, toolCalls: Array, spokenText: string, finishReason: string|null}>}
+ */
+export async function consumeCompletionStream(stream, { turnMetrics = {}, onSpeech = () => {} } = {}) {
+  let content = '';
+  let spokenText = '';
+  let finishReason = null;
+  const toolCalls = [];
+  const readers = new Map();   // tool call index -> JSON string field reader
+
+  const speak = (text) => {
+    if (!text) return;
+    spokenText += text;
+    onSpeech(text);
+  };
+
+  for await (const chunk of stream) {
+    if (chunk.usage) {
+      turnMetrics.totalTokens = chunk.usage.total_tokens || 0;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+
+    const delta = choice.delta || {};
+    if (!turnMetrics.llmFirstTokenAt && (delta.content || delta.tool_calls?.length)) {
+      turnMetrics.llmFirstTokenAt = Date.now();
+    }
+
+    if (delta.content) {
+      content += delta.content;
+      speak(delta.content);
+    }
+
+    for (const toolDelta of delta.tool_calls || []) {
+      const index = toolDelta.index ?? 0;
+      if (!toolCalls[index]) {
+        toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } };
+      }
+
+      const toolCall = toolCalls[index];
+      if (toolDelta.id) toolCall.id = toolDelta.id;
+      if (toolDelta.function?.name) toolCall.function.name += toolDelta.function.name;
+
+      const argumentsDelta = toolDelta.function?.arguments;
+      if (!argumentsDelta) continue;
+      toolCall.function.arguments += argumentsDelta;
+
+      const spokenField = SPOKEN_TOOL_ARGUMENTS[toolCall.function.name];
+      if (spokenField) {
+        if (!readers.has(index)) {
+          // Replay what arrived before the name was known
+          const reader = createJsonStringFieldReader(spokenField);
+          readers.set(index, reader);
+          speak(reader.push(toolCall.function.arguments));
+        } else {
+          speak(readers.get(index).push(argumentsDelta));
+        }
+      }
+    }
+
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+
+  turnMetrics.llmCompleteAt = Date.now();
+
+  return {
+    content: content || null,
+    toolCalls: toolCalls.filter(Boolean),
+    spokenText,
+    finishReason,
+  };
+}
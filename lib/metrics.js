@@ -7,6 +7,7 @@
  * - Questions asked per call
  * - Fields collected per call
  * - Entrypoint distribution
+ * - Turns per call by confirmation strategy
  */
 
 import { PHASES } from './state-machine.js';
@@ -52,6 +53,13 @@ const aggregateMetrics = {
   llmTTFTs: [],
   processingTimes: [],
   
+  // Extraction quality
+  ruleFallbackTurns: 0,
+  extractionDisagreements: 0,
+  
+  // Turn counts by confirmation strategy (lib/confirmation.js)
+  turnsByConfirmationStrategy: {},
+  
   // Hourly buckets for time-series
   hourlyStats: {},
   
@@ -71,14 +79,16 @@ export function createTurnMetrics() {
     turnId: Date.now(),
     promptReceivedAt: null,
     llmRequestStartedAt: null,
-    llmFirstTokenAt: null,
+    llmFirstTokenAt: null,      // First streamed delta (content or tool call)
     llmCompleteAt: null,
-    firstTokenSentAt: null,
+    firstTokenSentAt: null,     // First text token sent to ConversationRelay (TTS starts)
     totalTokens: 0,
     interrupted: false,
     interruptedAt: null,
     toolCalls: [],
     fieldsCollected: [],
+    extractionSource: 'llm',    // llm, rules (LLM failed or timed out) or keypad
+    extractionDisagreements: [], // Fields where the LLM and rule extraction differ
   };
 }
 
@@ -197,9 +207,28 @@ export function recordSessionComplete(sessionData) {
       if (turn.latency?.processingTime) {
         aggregateMetrics.processingTimes.push(turn.latency.processingTime);
       }
+      if (turn.extractionSource === 'rules') {
+        aggregateMetrics.ruleFallbackTurns++;
+      }
+      aggregateMetrics.extractionDisagreements += turn.extractionDisagreements?.length || 0;
     }
   }
   
+  // Track turns by confirmation strategy
+  const strategy = state?.confirmationStrategy || 'per_field';
+  const strategyStats = aggregateMetrics.turnsByConfirmationStrategy[strategy] ||= {
+    calls: 0,
+    turns: 0,
+    prequalified: 0,
+    turnsToPrequalification: 0,
+  };
+  strategyStats.calls++;
+  strategyStats.turns += metrics?.turns?.length || 0;
+  if (state?.prequalified && state?.prequalifiedAt) {
+    strategyStats.prequalified++;
+    strategyStats.turnsToPrequalification += (metrics?.turns || []).filter(turn => turn.turnId <= state.prequalifiedAt).length;
+  }
+  
   // Track hourly bucket
   const hourKey = new Date().toISOString().slice(0, 13); // YYYY-MM-DDTHH
   if (!aggregateMetrics.hourlyStats[hourKey]) {
@@ -238,7 +267,12 @@ export function logTurnMetrics(callSid, turnMetrics, latencyResults) {
   }
   
   if (processingTime !== undefined) {
-    console.log(`   Processing:      ${processingTime}ms`);
+    const status = getLatencyStatus(processingTime, LATENCY_TARGETS.platformTurnGap);
+    console.log(`   First Audio:     ${processingTime}ms ${status.emoji} (target: ${LATENCY_TARGETS.platformTurnGap.target}ms)`);
+  }
+  
+  if (latencyResults.llmTotalTime !== undefined) {
+    console.log(`   LLM Total:       ${latencyResults.llmTotalTime}ms`);
   }
   
   console.log(`   Tokens:          ${turnMetrics.totalTokens}`);
@@ -251,6 +285,14 @@ export function logTurnMetrics(callSid, turnMetrics, latencyResults) {
     console.log(`   Fields:          ${turnMetrics.fieldsCollected.join(', ')}`);
   }
   
+  if (turnMetrics.extractionSource === 'rules') {
+    console.log(`   ⚠️  Extraction:   rule-based fallback (${turnMetrics.error || 'LLM unavailable'})`);
+  }
+  
+  for (const { field, llm, rules } of turnMetrics.extractionDisagreements || []) {
+    console.log(`   ⚠️  Disagreement: ${field} - LLM ${JSON.stringify(llm)}, rules ${JSON.stringify(rules)}`);
+  }
+  
   if (turnMetrics.interrupted) {
     console.log(`   ⚠️  Turn was interrupted by user`);
   }
@@ -291,6 +333,7 @@ export function logSessionSummary(callSid, sessionData) {
   // Entrypoint
   const entrypoint = state?.collectedData?.source?.entrypoint || 'unknown';
   console.log(`     Entrypoint:    ${entrypoint}`);
+  console.log(`     Confirmations: ${state?.confirmationStrategy || 'per_field'}`);
   
   // LLM TTFT statistics
   const llmTTFTs = turnMetrics
@@ -379,6 +422,23 @@ export function getAggregateMetrics() {
     // Distribution by entrypoint
     calls_by_entrypoint: aggregateMetrics.callsByEntrypoint,
     
+    // Rule-based extraction fallback and cross-check
+    extraction: {
+      rule_fallback_turns: aggregateMetrics.ruleFallbackTurns,
+      llm_rule_disagreements: aggregateMetrics.extractionDisagreements,
+    },
+    
+    // Turns per call by confirmation strategy
+    confirmation_strategies: Object.fromEntries(
+      Object.entries(aggregateMetrics.turnsByConfirmationStrategy).map(([strategy, stats]) => [strategy, {
+        calls: stats.calls,
+        turns_per_call: parseFloat((stats.turns / stats.calls).toFixed(1)),
+        turns_to_prequalification: stats.prequalified > 0
+          ? parseFloat((stats.turnsToPrequalification / stats.prequalified).toFixed(1))
+          : null,
+      }])
+    ),
+    
     // Latency percentiles
     latency: {
       llm_ttft: {
@@ -432,6 +492,9 @@ export function resetAggregateMetrics() {
   aggregateMetrics.timeToPrequalification = [];
   aggregateMetrics.llmTTFTs = [];
   aggregateMetrics.processingTimes = [];
+  aggregateMetrics.ruleFallbackTurns = 0;
+  aggregateMetrics.extractionDisagreements = 0;
+  aggregateMetrics.turnsByConfirmationStrategy = {};
   aggregateMetrics.hourlyStats = {};
   aggregateMetrics.resetAt = Date.now();
   
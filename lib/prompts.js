@@ -9,6 +9,7 @@
  */
 
 import { PHASES } from './state-machine.js';
+import { getLanguage } from './language.js';
 
 // =============================================================================
 // BASE EXTRACTION PROMPT (~200 words)
@@ -101,6 +102,13 @@ When asking yes/no questions like "Have you had any bankruptcies?":
 - Skip calling a tool for ANY user response
 - Ask questions on your own (system provides them)`;
 
+/**
+ * Added to the prompt when the caller is speaking Spanish
+ */
+export const SPANISH_CONTEXT = `[Language]
+The caller speaks Spanish. "Sí", "Claro", "Correcto" → confirmation: true; "No" → confirmation: false.
+Extract values as usual (enum values stay in English). Anything you say (provide_info) must be in Spanish, using "usted".`;
+
 // =============================================================================
 // CONTEXT BUILDERS
 // =============================================================================
@@ -116,6 +124,11 @@ export function buildSystemPrompt(state, nextAction) {
   const currentMonth = now.toLocaleDateString('en-US', { month: 'long' });
   parts.push(`\n[Current Date]\n${currentMonth} ${now.getFullYear()}`);
   
+  // Spanish calls still extract English enum values
+  if (getLanguage(state) === 'es') {
+    parts.push(SPANISH_CONTEXT);
+  }
+  
   // Add the next action from controller
   if (nextAction) {
     parts.push(buildActionContext(nextAction));
@@ -190,11 +203,18 @@ function buildBriefSummary(state) {
 // GREETING AND CLOSING
 // =============================================================================
 
-export function getWelcomeGreeting() {
+export function getWelcomeGreeting(language = 'en') {
+  if (language === 'es') {
+    return "¡Hola! Habla la asistente virtual de TLC. Ayudamos a las familias a conseguir financiamiento para casas manufacturadas. ¿Tiene un par de minutos para platicar?";
+  }
   return "Hey there! This is TLC's virtual assistant - we help folks get financing for manufactured homes. Do you have a couple minutes to chat?";
 }
 
 export function getClosingMessage(state) {
+  if (getLanguage(state) === 'es') {
+    return getSpanishClosingMessage(state);
+  }
+  
   if (state.prequalified) {
     const name = state.collectedData.applicant?.full_name?.split(' ')[0] || 'there';
     return `Awesome ${name}, you're all set! One of our loan officers will give you a call soon. Thanks so much, and have a great one!`;
@@ -207,6 +227,19 @@ export function getClosingMessage(state) {
   return "Thanks for calling TLC! Have a great day!";
 }
 
+function getSpanishClosingMessage(state) {
+  if (state.prequalified) {
+    const name = state.collectedData.applicant?.full_name?.split(' ')[0];
+    return `¡Excelente${name ? `, ${name}` : ''}, ya está todo listo! Uno de nuestros asesores de préstamos le llamará pronto. ¡Muchas gracias y que le vaya muy bien!`;
+  }
+  
+  if (state.doNotContact) {
+    return "¡No se preocupe! Gracias por su tiempo. ¡Cuídese!";
+  }
+  
+  return "¡Gracias por llamar a TLC! ¡Que tenga un buen día!";
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -0,0 +1,332 @@
+/**
+ * Rule-Based Extraction
+ *
+ * A deterministic stand-in for the LLM's extract_fields call. It only looks
+ * for the answer to the controller's current action (the field being asked
+ * or confirmed), which keeps it from guessing at everything else:
+ * - Yes/no: confirmations and yes/no questions
+ * - Spoken digit strings: phone number, ZIP code ("six three one one oh")
+ * - State names: property location questions
+ * - Spelled emails: "j o h n at gmail dot com"
+ * - Enum keywords: land status, home type, timeline, contact method
+ *
+ * The server uses it in two ways:
+ * 1. Fallback - when the LLM call fails or times out, the rule extraction
+ *    becomes the turn's tool call so the call keeps moving
+ * 2. Cross-check - on normal turns, fields where the LLM and the rules
+ *    disagree are recorded in turn metrics (extractionDisagreements)
+ */
+
+import {
+  isValidEmail,
+  normalizeToE164,
+  STATE_NAME_TO_ABBREV,
+} from '../config/enums.js';
+import { computeTimelineBand } from './value-normalizers.js';
+import { YES_NO_FIELDS } from './keypad.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const YES_PATTERN = /\b(yes|yeah|yep|yup|yah|correct|right|sure|okay|ok|absolutely|definitely|exactly|s[ií]|claro|correcto|exacto|as[ií] es)\b/i;
+const NO_PATTERN = /\b(no|nope|nah|incorrect|wrong|negative)\b/i;
+const NEGATED_YES_PATTERN = /\b(not|isn't|that's not|that is not) (right|correct)\b/i;
+
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', o: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  cero: '0', uno: '1', dos: '2', tres: '3', cuatro: '4',
+  cinco: '5', seis: '6', siete: '7', ocho: '8', nueve: '9',
+};
+const REPEAT_WORDS = { double: 2, triple: 3 };
+
+// "oh" and "o" are only zero next to other digits ("oh, it's six three...")
+const AMBIGUOUS_ZERO_WORDS = ['oh', 'o'];
+
+// Longest names first so "West Virginia" wins over "Virginia"
+const STATE_NAMES = Object.keys(STATE_NAME_TO_ABBREV).sort((a, b) => b.length - a.length);
+
+const NOT_SURE_PATTERN = /\b(not sure|unsure|don't know|dunno|no s[eé])\b/i;
+
+/**
+ * Keyword patterns per enum value, checked in order
+ */
+const LAND_STATUS_KEYWORDS = [
+  ['renting_lot', /\b(rent|renting|rentando|lot rent|mobile home park|trailer park)\b/i],
+  ['gifted_land', /\b(gift|gifted|giving (it to )?me|give (it to )?me|regal\w*)\b/i],
+  ['family_land', /\b(family|parents'?|grand(ma|pa|mother|father|parents)'?s?|mom'?s|dad'?s|familia)\b/i],
+  ['buying', /\b(buying|paying (it )?off|paying on|making payments|under contract|purchasing|comprando|pagando)\b/i],
+  ['own', /\b(own|owned|paid off|it's mine|mine|free and clear|soy (el )?due[ñn]o|es m[ií]o)\b/i],
+  ['not_sure', NOT_SURE_PATTERN],
+];
+
+const HOME_TYPE_KEYWORDS = [
+  ['single_wide', /\b(single[- ]?wide|single section|una secci[oó]n)\b/i],
+  ['double_wide', /\b(double[- ]?wide|double section|doble secci[oó]n)\b/i],
+  ['modular', /\bmodular\b/i],
+  ['mobile_pre_hud', /\b(pre[- ]?hud|before (19)?76|older mobile home)\b/i],
+  ['manufactured', /\b(manufactured|manufacturada|mobile home|trailer|casa m[oó]vil)\b/i],
+  ['not_sure', NOT_SURE_PATTERN],
+];
+
+const CONTACT_METHOD_KEYWORDS = [
+  ['email', /\b(e-?mail|correo)\b/i],
+  ['phone', /\b(phone|call|calling|tel[eé]fono|llamada|llamar)\b/i],
+];
+
+// =============================================================================
+// PARSERS
+// =============================================================================
+
+/**
+ * "Yes" / "no" from an utterance
+ *
+ * @returns {boolean|null} - null if neither (or both) was said
+ */
+function parseYesNo(text) {
+  const negated = NEGATED_YES_PATTERN.test(text);
+  const yes = !negated && YES_PATTERN.test(text);
+  const no = negated || NO_PATTERN.test(text);
+
+  if (yes === no) return null;
+  return yes;
+}
+
+/**
+ * Digits from a spoken or transcribed number
+ * ("five oh three, double five, 1 2 3 4" → "503551234")
+ */
+function parseSpokenDigits(text) {
+  const tokens = String(text).toLowerCase().match(/[a-z]+|\d+/g) || [];
+  const isDigitToken = (token) => token !== undefined
+    && (/^\d+$/.test(token) || (token in DIGIT_WORDS && !AMBIGUOUS_ZERO_WORDS.includes(token)));
+
+  let digits = '';
+  let repeat = 1;
+
+  tokens.forEach((token, i) => {
+    if (token in REPEAT_WORDS) {
+      repeat = REPEAT_WORDS[token];
+      return;
+    }
+
+    let value = null;
+    if (/^\d+$/.test(token)) {
+      value = token;
+    } else if (AMBIGUOUS_ZERO_WORDS.includes(token)) {
+      if (isDigitToken(tokens[i - 1]) || isDigitToken(tokens[i + 1])) value = '0';
+    } else if (token in DIGIT_WORDS) {
+      value = DIGIT_WORDS[token];
+    }
+
+    if (value !== null) {
+      digits += value.repeat(repeat);
+    }
+    repeat = 1;
+  });
+
+  return digits;
+}
+
+function parsePhone(text) {
+  const digits = parseSpokenDigits(text);
+  return normalizeToE164(digits) ? digits : null;
+}
+
+function parseZip(text) {
+  const digits = parseSpokenDigits(text);
+  return digits.length === 5 || digits.length === 9 ? digits.slice(0, 5) : null;
+}
+
+/**
+ * Two-letter code for a state named in the utterance
+ */
+function parseStateName(text) {
+  const upper = ` ${String(text).toUpperCase().replace(/[^A-Z]+/g, ' ')} `;
+  const name = STATE_NAMES.find(stateName => upper.includes(` ${stateName} `));
+  return name ? STATE_NAME_TO_ABBREV[name] : null;
+}
+
+/**
+ * Email from a spelled-out address ("john dot smith at gmail dot com")
+ */
+function parseSpokenEmail(text) {
+  const spoken = ` ${String(text).toLowerCase()} `
+    .replace(/\s+(at|arroba)\s+/g, '@')
+    .replace(/\s+(dot|period|punto)\s+/g, '.')
+    .replace(/\s*(underscore|guion bajo)\s*/g, '_')
+    .replace(/\s+(dash|hyphen|guion)\s+/g, '-')
+    // Spelled letters: "j o h n" → "john"
+    .replace(/\b([a-z0-9])\s+(?=[a-z0-9]\b)/g, '$1');
+
+  const match = spoken.match(/[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}/);
+  return match && isValidEmail(match[0]) ? match[0] : null;
+}
+
+function matchKeywords(keywords) {
+  return (text) => keywords.find(([, pattern]) => pattern.test(text))?.[0] ?? null;
+}
+
+/**
+ * Raw timeline if the utterance says something computeTimelineBand() understands
+ */
+function parseTimeline(text) {
+  const { monthsOut } = computeTimelineBand(text);
+  return monthsOut !== null || NOT_SURE_PATTERN.test(text) ? text : null;
+}
+
+/**
+ * Parsers by state field, with the extract_fields argument each fills
+ */
+const FIELD_RULES = {
+  phone_e164: { arg: 'phone_e164', parse: parsePhone },
+  property_zip: { arg: 'property_zip', parse: parseZip },
+  property_state: { arg: 'property_state', parse: parseStateName },
+  email: { arg: 'email', parse: parseSpokenEmail },
+  land_status: { arg: 'land_status', parse: matchKeywords(LAND_STATUS_KEYWORDS) },
+  home_type: { arg: 'home_type', parse: matchKeywords(HOME_TYPE_KEYWORDS) },
+  timeline: { arg: 'timeline_raw', parse: parseTimeline },
+  preferred_contact_method: { arg: 'preferred_contact_method', parse: matchKeywords(CONTACT_METHOD_KEYWORDS) },
+};
+
+// Callers give ZIP and state together ("63110, Missouri")
+const RELATED_FIELDS = {
+  property_zip: ['property_state'],
+  property_state: ['property_zip'],
+};
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+/**
+ * Extract the answer to the current action from an utterance
+ *
+ * @param {string} text - Caller's utterance
+ * @param {object} action - Action from ConversationController.getNextAction()
+ * @returns {object} - extract_fields arguments (empty if nothing was found)
+ */
+export function extractWithRules(text, action) {
+  const args = {};
+  if (!text || !action?.field) return args;
+
+  if (action.type === 'confirm') {
+    const confirmation = parseYesNo(text);
+    if (confirmation !== null) args.confirmation = confirmation;
+  }
+
+  if (action.type === 'ask' && YES_NO_FIELDS.includes(action.field)) {
+    const answer = parseYesNo(text);
+    if (answer !== null) args[action.field] = answer;
+  }
+
+  // A value alongside the answer is a correction ("no, it's 63110")
+  for (const field of [action.field, ...(RELATED_FIELDS[action.field] || [])]) {
+    const rule = FIELD_RULES[field];
+    const value = rule?.parse(text);
+    if (value !== null && value !== undefined) args[rule.arg] = value;
+  }
+
+  return args;
+}
+
+/**
+ * Wrap rule extraction as the tool call the LLM would have made
+ *
+ * @param {object} args - From extractWithRules()
+ * @returns {object|null} - Tool call for processToolCalls(), or null if empty
+ */
+export function buildRuleToolCall(args) {
+  if (!args || Object.keys(args).length === 0) return null;
+
+  return {
+    id: `rules_${Date.now()}`,
+    type: 'function',
+    function: {
+      name: 'extract_fields',
+      arguments: JSON.stringify(args),
+    },
+  };
+}
+
+// =============================================================================
+// CROSS-CHECK
+// =============================================================================
+
+/**
+ * Compare the LLM's extract_fields arguments with the rule extraction
+ *
+ * Only fields the rules found are compared, and only when the LLM called
+ * extract_fields (provide_info or a clarification means it heard a question).
+ *
+ * @param {object[]} toolCalls - Tool calls from the LLM
+ * @param {object} ruleArgs - From extractWithRules()
+ * @returns {Array<{field: string, llm: *, rules: *}>}
+ */
+export function findExtractionDisagreements(toolCalls, ruleArgs) {
+  const llmArgs = getLLMArgs(toolCalls);
+  if (!llmArgs) return [];
+
+  return Object.entries(ruleArgs || {})
+    .filter(([field, value]) => normalizeForComparison(field, llmArgs[field]) !== normalizeForComparison(field, value))
+    .map(([field, value]) => ({ field, llm: llmArgs[field] ?? null, rules: value }));
+}
+
+/**
+ * extract_fields arguments the LLM and the rules found the same value for
+ * (the confident confirmation strategy takes these without a read-back)
+ *
+ * @param {object[]} toolCalls - Tool calls from the LLM
+ * @param {object} ruleArgs - From extractWithRules()
+ * @returns {string[]} - Argument names
+ */
+export function findExtractionAgreements(toolCalls, ruleArgs) {
+  const llmArgs = getLLMArgs(toolCalls);
+  if (!llmArgs) return [];
+
+  return Object.entries(ruleArgs || {})
+    .filter(([field, value]) => field !== 'confirmation' && llmArgs[field] !== undefined && llmArgs[field] !== null &&
+      normalizeForComparison(field, llmArgs[field]) === normalizeForComparison(field, value))
+    .map(([field]) => field);
+}
+
+/**
+ * The LLM's extract_fields arguments, merged (null when it didn't call it)
+ */
+function getLLMArgs(toolCalls) {
+  const extractCalls = (toolCalls || []).filter(call => call.function?.name === 'extract_fields');
+  if (extractCalls.length === 0) return null;
+
+  const llmArgs = {};
+  for (const call of extractCalls) {
+    try {
+      Object.assign(llmArgs, JSON.parse(call.function.arguments || '{}'));
+    } catch {
+      // Unparseable arguments are reported by the executor
+    }
+  }
+  return llmArgs;
+}
+
+/**
+ * Reduce both extractions to the form the executor would store
+ */
+function normalizeForComparison(field, value) {
+  if (value === null || value === undefined) return null;
+
+  switch (field) {
+    case 'phone_e164':
+      return normalizeToE164(String(value));
+    case 'property_zip':
+      return String(value).replace(/\D/g, '').slice(0, 5);
+    case 'property_state': {
+      const upper = String(value).toUpperCase().trim();
+      return STATE_NAME_TO_ABBREV[upper] || upper;
+    }
+    case 'timeline_raw':
+      return computeTimelineBand(String(value)).band;
+    default:
+      return typeof value === 'string' ? value.toLowerCase().trim() : value;
+  }
+}
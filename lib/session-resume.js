@@ -0,0 +1,114 @@
+/**
+ * Resuming Interrupted Calls
+ *
+ * Sessions live in memory and end with the WebSocket, so a dropped call
+ * would start over from the greeting. Instead, the setup handler:
+ * 1. Looks up a recent `collecting` lead by the caller's `from` number
+ * 2. Offers to pick up where they left off (a `resume_call` confirmation)
+ * 3. On "yes", restoreFromLead() rehydrates the fields and confirmations
+ *    saved with the last voice_call_ended event, and voice_call_resumed is
+ *    logged; the controller continues with the next unanswered field
+ */
+
+import { normalizeToE164 } from '../config/enums.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Confirmation field used for the resume offer
+ */
+export const RESUME_FIELD = 'resume_call';
+
+/**
+ * Lead statuses a caller can resume (anything later is already complete)
+ */
+export const RESUMABLE_STATUSES = ['collecting'];
+
+/**
+ * How long after the last update a lead can be resumed
+ */
+export const DEFAULT_RESUME_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Find a lead the caller can resume
+ *
+ * @param {object} hestiaClient - Hestia client (needs findRecentLeadByPhone)
+ * @param {string} from - Caller's number from the setup message
+ * @param {object} options
+ * @param {number} options.windowMs - Only leads updated within this window
+ * @param {Date} options.now
+ * @returns {Promise<{lead: object, progress: object|null}|null>}
+ */
+export async function findResumableLead(hestiaClient, from, { windowMs = DEFAULT_RESUME_WINDOW_MS, now = new Date() } = {}) {
+  const phone = normalizeToE164(from || '');
+  if (!phone || !hestiaClient?.findRecentLeadByPhone) return null;
+
+  try {
+    const lead = await hestiaClient.findRecentLeadByPhone(phone, {
+      statuses: RESUMABLE_STATUSES,
+      since: new Date(now.getTime() - windowMs).toISOString(),
+    });
+    if (!lead) return null;
+
+    // The last call's confirmations are saved with voice_call_ended
+    const events = await hestiaClient.getEvents(lead.lead_id);
+    const ended = events.filter(event => event.event_type === 'voice_call_ended' && event.details?.confirmed_fields);
+    const progress = ended.length > 0 ? ended[ended.length - 1].details : null;
+
+    console.log(`[RESUME] Found ${lead.lead_id} for ${phone} (${progress ? progress.confirmed_fields.length : 'no'} confirmed fields)`);
+    return { lead, progress };
+  } catch (error) {
+    console.error('[RESUME] Lookup error:', error);
+    return null;
+  }
+}
+
+// =============================================================================
+// OFFER
+// =============================================================================
+
+/**
+ * What the caller hears instead of the welcome greeting
+ *
+ * @param {object} lead - Lead being offered
+ * @param {string} language - 'en' or 'es'
+ * @returns {string}
+ */
+export function buildResumeGreeting(lead, language = 'en') {
+  const firstName = lead.applicant?.full_name?.split(' ')[0];
+  const name = firstName ? ` ${firstName}` : '';
+  
+  if (language === 'es') {
+    return `Hola${name}, ¡qué gusto tenerle de vuelta en TLC! Parece que se cortó la llamada. ¿Quiere seguir donde nos quedamos?`;
+  }
+
+  return `Hey${name}, welcome back to TLC! Looks like we got cut off earlier. Want to pick up where we left off?`;
+}
+
+/**
+ * Build the voice_call_resumed event
+ *
+ * @param {object} state - Session state after restoreFromLead()
+ * @param {object} lead - Lead that was resumed
+ * @param {string|null} nextField - Field the call continues with
+ */
+export function createResumedEvent(state, lead, nextField = null) {
+  return {
+    event_type: 'voice_call_resumed',
+    actor_type: 'system',
+    details: {
+      call_sid: state.callSid,
+      previous_call_sid: lead.source?.session_id || null,
+      fields_collected: state.fieldsCollected,
+      fields_confirmed: state.fieldsConfirmed,
+      phase: state.phase,
+      next_field: nextField,
+    },
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * Spanish Question and Confirmation Templates
+ *
+ * Same shape as QUESTION_TEMPLATES, CONFIRMATION_TEMPLATES and
+ * GROUP_CONFIRMATION_TEMPLATE in conversation-controller.js, which uses these when state.language is 'es'.
+ * Fields missing here fall back to the English template.
+ */
+
+import { formatValueForSpeech } from './value-normalizers.js';
+import { formatEnumForSpeech } from '../config/enums.js';
+import { CALLER_ID_FIELD } from './caller-id.js';
+
+// =============================================================================
+// QUESTION TEMPLATES
+// =============================================================================
+
+export const QUESTION_TEMPLATES_ES = {
+  contact_consent: {
+    question: "¿Está bien si TLC se comunica con usted sobre opciones de financiamiento?",
+    followUp: "Solo para asegurarme, ¿está bien si le damos seguimiento?",
+  },
+  full_name: {
+    question: "¡Qué bien! ¿Me da su nombre?",
+    followUp: "Perdón, ¿me lo podría deletrear?",
+  },
+  phone_e164: {
+    question: "¿Y cuál es el mejor número para comunicarnos con usted?",
+    followUp: "Perdón, ¿me podría repetir ese número?",
+  },
+  email: {
+    question: "¡Perfecto! ¿Y cuál es su correo electrónico?",
+    followUp: "¿Me lo podría deletrear?",
+  },
+  preferred_contact_method: {
+    question: "¿Prefiere que nos comuniquemos por teléfono o por correo electrónico?",
+    followUp: "¿Qué le funciona mejor, teléfono o correo?",
+  },
+  property_zip: {
+    question: "¡Muy bien! ¿Cuál es el código postal donde piensa poner la casa?",
+    followUp: "Perdón, ¿me podría repetir ese código postal?",
+  },
+  property_state: {
+    question: "¿Y en qué estado queda?",
+    followUp: "¿En qué estado está ese código postal?",
+  },
+  land_status: {
+    question: "¡Excelente! ¿Ya es dueño del terreno, lo está comprando, es terreno de la familia, o se lo van a regalar?",
+    followUp: "¿El terreno es suyo, lo está comprando, es de la familia, o todavía no sabe?",
+  },
+  land_value: {
+    question: "¿Tiene una idea aproximada de cuánto vale el terreno?",
+    followUp: "Más o menos: ¿menos de veinticinco mil, de veinticinco a cincuenta, de cincuenta a cien, o más?",
+  },
+  home_type: {
+    question: "¿Qué tipo de casa busca: manufacturada, casa móvil, de una sección, de doble sección, o algo más?",
+    followUp: "¿Piensa en una casa de una sección, de doble sección, manufacturada o modular?",
+  },
+  timeline: {
+    question: "¿Para cuándo espera hacer esto: de cero a tres meses, de tres a seis, de seis a doce, o más de doce meses?",
+    followUp: "¿Piensa en los próximos meses, más adelante este año, o más adelante?",
+  },
+  credit: {
+    question: "Y más o menos, ¿cómo diría que está su puntaje de crédito? No tiene que ser exacto.",
+    followUp: "Solo aproximado, como seiscientos cincuenta o setecientos, o puede decir que prefiere no decirlo.",
+  },
+  monthly_income: {
+    question: "¿Cuál es el ingreso mensual aproximado de su hogar?",
+    followUp: "Un estimado está bien, o podemos saltar esta pregunta.",
+    optional: true,
+  },
+  has_recent_bankruptcy: {
+    question: "¿Ha tenido alguna bancarrota en los últimos años?",
+    followUp: "Solo sí, no, o prefiero no decir.",
+    optional: true,
+  },
+  working_with_dealer: {
+    question: "¿Ya está trabajando con algún vendedor de casas?",
+    followUp: "¿Ha estado hablando con algún vendedor o lote de casas en particular? Con un sí o un no está bien.",
+  },
+  dealer_name: {
+    question: "¿Cómo se llama el vendedor, y en qué ciudad está?",
+    followUp: "Perdón, ¿qué vendedor era, y en qué ciudad?",
+  },
+  best_time_to_contact: {
+    question: "¿Cuál es el mejor momento para que uno de nuestros asesores de préstamos le llame?",
+    followUp: "¿En la mañana, en la tarde, en la noche, o el fin de semana? ¿Qué le funciona mejor?",
+  },
+  home_price: {
+    question: "¿Tiene un presupuesto en mente para la casa?",
+    followUp: "Aunque sea una cifra aproximada nos ayuda.",
+    optional: true,
+  },
+  site_work: {
+    question: "¿Va a necesitar trabajo en el terreno, como cimientos, servicios, fosa séptica o entrada de autos?",
+    followUp: "¿Cosas como cimientos, servicios, fosa séptica o entrada de autos?",
+    optional: true,
+  },
+  notes_free_text: {
+    question: "¿Hay algo más que quiera que sepamos sobre su situación?",
+    followUp: "¿Algún otro detalle que nos pueda ayudar?",
+    optional: true,
+  },
+};
+
+// =============================================================================
+// CONFIRMATION TEMPLATES
+// =============================================================================
+
+export const CONFIRMATION_TEMPLATES_ES = {
+  contact_consent: {
+    template: "¡Perfecto! Solo para confirmar, ¿está de acuerdo con que le contactemos sobre opciones de financiamiento?",
+    usesValue: false,
+  },
+  full_name: {
+    template: "¡Mucho gusto, {value}! ¿Lo entendí bien?",
+    usesValue: true,
+  },
+  phone_e164: {
+    template: "Muy bien, {spoken}. ¿Es correcto?",
+    usesValue: true,
+    formatter: (value) => formatPhoneForSpanish(value),
+  },
+  email: {
+    template: "Déjeme confirmar: {spoken}. ¿Está bien?",
+    usesValue: true,
+    formatter: (value) => formatEmailForSpanish(value),
+  },
+  preferred_contact_method: {
+    template: "Entonces, ¿le funciona mejor por {spoken}?",
+    usesValue: true,
+    formatter: (value) => formatEnumForSpeech('preferred_contact_method', value, 'es'),
+  },
+  property_zip: {
+    template: "Muy bien, código postal {spoken}. ¿Es correcto?",
+    usesValue: true,
+    formatter: (value) => digitsToSpanish(value),
+  },
+  property_state: {
+    template: "Y eso es en {spoken}, ¿verdad?",
+    usesValue: true,
+    formatter: (value) => SPANISH_STATE_NAMES[value?.toUpperCase()] || value,
+  },
+  property_location: {
+    template: "Muy bien, {spoken}, eso es {place}, ¿verdad?",
+    formatter: (zip) => digitsToSpanish(zip),
+    placeFormatter: (city, state) => [city, SPANISH_STATE_NAMES[state] || state].filter(Boolean).join(', '),
+  },
+  property_location_mismatch: {
+    template: "Mmm, el código postal {spoken} es de {place}, no de {stated}. ¿Es correcto ese código postal?",
+    formatter: (zip) => digitsToSpanish(zip),
+    placeFormatter: (city, state) => [city, SPANISH_STATE_NAMES[state] || state].filter(Boolean).join(', '),
+  },
+  land_status: {
+    template: "Muy bien, {spoken}. ¿Lo tengo bien?",
+    usesValue: true,
+    formatter: (value) => formatEnumForSpeech('land_status', value, 'es'),
+  },
+  land_value: {
+    template: "Y el terreno vale alrededor de {spoken}. ¿Más o menos es así?",
+    usesValue: true,
+    usesRaw: true,
+    formatter: (raw) => formatValueForSpeech(raw, 'currency', 'es'),
+  },
+  home_type: {
+    template: "¡Excelente, una {spoken}! ¿Es correcto?",
+    usesValue: true,
+    formatter: (value) => formatEnumForSpeech('home_type', value, 'es'),
+  },
+  timeline: {
+    template: "Entonces su plazo es {spoken}. ¿Lo entendí bien?",
+    usesValue: true,
+    usesRaw: true,
+    formatter: (raw, band) => raw && raw !== band
+      ? `${raw}, o sea ${formatEnumForSpeech('timeline', band, 'es')}`
+      : formatEnumForSpeech('timeline', band, 'es'),
+  },
+  credit: {
+    template: "Y su crédito anda alrededor de {spoken}. ¿Más o menos?",
+    usesValue: true,
+    usesRaw: true,
+    formatter: (raw) => formatValueForSpeech(raw, 'credit', 'es'),
+  },
+  monthly_income: {
+    template: "Un ingreso mensual de alrededor de {spoken}. ¿Es aproximado?",
+    usesValue: true,
+    formatter: (value) => formatValueForSpeech(value, 'currency', 'es'),
+  },
+  has_recent_bankruptcy: {
+    template: "{spoken} ¿Es correcto?",
+    usesValue: true,
+    formatter: (value) => value === true
+      ? "Muy bien, mencionó una bancarrota reciente."
+      : value === false ? "Qué bien, ninguna bancarrota reciente." : "Entendido, prefiere no decirlo.",
+  },
+  working_with_dealer: {
+    template: "{spoken} ¿Es así?",
+    usesValue: true,
+    formatter: (value) => value ? "Muy bien, ya está trabajando con un vendedor." : "Entendido, todavía sin vendedor.",
+  },
+  dealer_name: {
+    template: "Solo para confirmar, ¿es {spoken}?",
+    usesValue: true,
+    usesRaw: true,
+    formatter: (dealerContext) => formatDealerForSpanish(dealerContext),
+  },
+  best_time_to_contact: {
+    template: "Perfecto, le llamamos {spoken}. ¿Verdad?",
+    usesValue: true,
+    usesRaw: true,
+    formatter: (raw, band) => raw && raw !== band ? raw : formatEnumForSpeech('best_time_to_contact', band, 'es'),
+  },
+  home_price: {
+    template: "Y busca una casa de alrededor de {spoken}. ¿Es correcto?",
+    usesValue: true,
+    formatter: (value) => formatValueForSpeech(value, 'currency', 'es'),
+  },
+  site_work: {
+    template: "Muy bien, va a necesitar {spoken}. ¿Verdad?",
+    usesValue: true,
+    formatter: (value) => Array.isArray(value) ? value.map(v => formatEnumForSpeech('site_work_needed', v, 'es')).join(', ') : 'nada',
+  },
+  notes_free_text: {
+    template: "Ya lo anoté. ¿Hay algo más que quiera agregar?",
+    usesValue: false,
+  },
+  [CALLER_ID_FIELD]: {
+    template: "¿El número desde el que llama, que termina en {spoken}, es el mejor para comunicarnos con usted?",
+    usesValue: true,
+    formatter: (value) => digitsToSpanish(value.slice(-4)),
+  },
+};
+
+/**
+ * Grouped read-back (see GROUP_CONFIRMATION_TEMPLATE)
+ */
+export const GROUP_CONFIRMATION_TEMPLATE_ES = {
+  template: "Déjeme repasarlo: {items}. ¿Todo correcto?",
+  items: {
+    full_name: (spoken) => spoken,
+    phone_e164: (spoken) => spoken,
+    email: (spoken) => spoken,
+    preferred_contact_method: (spoken) => `por ${spoken}`,
+    property_zip: (spoken) => `código postal ${spoken}`,
+    property_state: (spoken) => `en ${spoken}`,
+    land_status: (spoken) => spoken,
+    land_value: (spoken) => `con un valor de alrededor de ${spoken}`,
+    credit: (spoken) => `crédito de alrededor de ${spoken}`,
+    monthly_income: (spoken) => `ingresos de alrededor de ${spoken} al mes`,
+    has_recent_bankruptcy: (spoken, value) => value ? "una bancarrota reciente" : "ninguna bancarrota reciente",
+    home_price: (spoken) => `un presupuesto de alrededor de ${spoken}`,
+    site_work: (spoken) => `trabajos en el terreno: ${spoken}`,
+  },
+};
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+const SPANISH_DIGITS = ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve'];
+
+/**
+ * State names as read back in Spanish
+ */
+const SPANISH_STATE_NAMES = {
+  'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas',
+  'CA': 'California', 'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware',
+  'FL': 'Florida', 'GA': 'Georgia', 'HI': 'Hawái', 'ID': 'Idaho',
+  'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa', 'KS': 'Kansas',
+  'KY': 'Kentucky', 'LA': 'Luisiana', 'ME': 'Maine', 'MD': 'Maryland',
+  'MA': 'Massachusetts', 'MI': 'Míchigan', 'MN': 'Minnesota', 'MS': 'Misisipi',
+  'MO': 'Misuri', 'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada',
+  'NH': 'Nuevo Hampshire', 'NJ': 'Nueva Jersey', 'NM': 'Nuevo México', 'NY': 'Nueva York',
+  'NC': 'Carolina del Norte', 'ND': 'Dakota del Norte', 'OH': 'Ohio', 'OK': 'Oklahoma',
+  'OR': 'Oregón', 'PA': 'Pensilvania', 'RI': 'Rhode Island', 'SC': 'Carolina del Sur',
+  'SD': 'Dakota del Sur', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah',
+  'VT': 'Vermont', 'VA': 'Virginia', 'WA': 'Washington', 'WV': 'Virginia Occidental',
+  'WI': 'Wisconsin', 'WY': 'Wyoming', 'DC': 'el Distrito de Columbia', 'PR': 'Puerto Rico',
+};
+
+/**
+ * Read digits one at a time: "6 3 1 1 0" -> "seis tres uno uno cero"
+ */
+function digitsToSpanish(digits) {
+  return String(digits || '')
+    .split('')
+    .map(d => SPANISH_DIGITS[d] ?? d)
+    .join(' ');
+}
+
+/**
+ * Phone number as area code, first three, last four
+ */
+function formatPhoneForSpanish(phone) {
+  if (!phone) return '';
+
+  const digits = phone.replace(/\D/g, '');
+  const cleaned = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  if (cleaned.length !== 10) return phone;
+
+  return `${digitsToSpanish(cleaned.slice(0, 3))}, ${digitsToSpanish(cleaned.slice(3, 6))}, ${digitsToSpanish(cleaned.slice(6))}`;
+}
+
+function formatEmailForSpanish(email) {
+  if (!email) return '';
+
+  return email
+    .replace(/@/g, ' arroba ')
+    .replace(/\./g, ' punto ')
+    .replace(/_/g, ' guion bajo ')
+    .replace(/-/g, ' guion ');
+}
+
+function formatDealerForSpanish(dealerContext) {
+  if (!dealerContext) return '';
+  const name = dealerContext.matched_dealer_name || dealerContext.dealer_name_raw || '';
+  const city = dealerContext.dealer_city_raw || dealerContext.matched_dealer_city;
+
+  if (city && !name.toLowerCase().includes(city.toLowerCase())) {
+    return `${name} en ${city}`;
+  }
+  return name;
+}
@@ -18,6 +18,7 @@ import {
   computeTimelineBand,
   computeBestTimeToContactBand,
 } from './value-normalizers.js';
+import { checkEligibility } from './eligibility.js';
 
 // Re-export PHASES for backwards compatibility
 export { PHASES };
@@ -44,6 +45,8 @@ export const FIELD_ORDER = [
   'credit',               // Stores credit_raw + credit_band_self_reported
   'monthly_income',
   'has_recent_bankruptcy',
+  'working_with_dealer',  // Global entrypoints only (see isDealerContextApplicable)
+  'dealer_name',          // Stores spoken name/city + matched dealer
   'best_time_to_contact',
   'home_price',
   'site_work',
@@ -80,6 +83,20 @@ export const OPTIONAL_FIELDS = [
   'notes_free_text',
 ];
 
+/**
+ * Dealer context fields - required only on global entrypoints, and
+ * dealer_name only when the caller says they are working with a dealer
+ */
+export const DEALER_CONTEXT_FIELDS = [
+  'working_with_dealer',
+  'dealer_name',
+];
+
+/**
+ * Entrypoints with no dealer attribution, where we ask about dealer context
+ */
+export const DEALER_CONTEXT_ENTRYPOINTS = ['tlc_phone'];
+
 /**
  * Minimum fields required to create a partial lead in Hestia
  */
@@ -125,6 +142,14 @@ export function createSessionState(callSid, metadata = {}) {
     leadId: null,
     phase: PHASES.WELCOME,
     
+    // Conversation language ('en' or 'es') and what chose it (see language.js)
+    language: metadata.language || 'en',
+    languageSource: metadata.language ? 'dealer_number' : 'default',
+    
+    // How answers are read back: per_field, grouped or confident (see confirmation.js)
+    confirmationStrategy: metadata.confirmationStrategy || 'per_field',
+    ungroupedFields: [],        // Read back one at a time after a grouped read-back got a vague "no"
+    
     // Collected data with confirmation tracking
     // Structure matches TLC Firestore Schemas V1
     collectedData: {
@@ -138,23 +163,23 @@ export function createSessionState(callSid, metadata = {}) {
         ip_hash: null,
         user_agent: null,
         
-        // Attribution - dealer locking and tracking
+        // Attribution - dealer locking and tracking, from determineAttribution()
         attribution: {
           utm: {
-            utm_source: null,
-            utm_medium: null,
-            utm_campaign: null,
-            utm_term: null,
-            utm_content: null,
+            utm_source: metadata.attribution?.utm?.utm_source || null,
+            utm_medium: metadata.attribution?.utm?.utm_medium || null,
+            utm_campaign: metadata.attribution?.utm?.utm_campaign || null,
+            utm_term: metadata.attribution?.utm?.utm_term || null,
+            utm_content: metadata.attribution?.utm?.utm_content || null,
           },
-          referral_code: null,
-          dealer_id_from_referral: null,
+          referral_code: metadata.attribution?.referral_code || null,
+          dealer_id_from_referral: metadata.attribution?.dealer_id_from_referral || null,
           inbound_dealer_number: metadata.attribution?.inbound_dealer_number || null,
-          attribution_token: null,
+          attribution_token: metadata.attribution?.attribution_token || null,
           locked_dealer_id: metadata.attribution?.locked_dealer_id || null,
           locked_reason: metadata.attribution?.locked_reason || null,
           locked_at: metadata.attribution?.locked_at || null,
-          lock_expires_at: null,
+          lock_expires_at: metadata.attribution?.lock_expires_at || null,
         },
       },
       
@@ -190,6 +215,10 @@ export function createSessionState(callSid, metadata = {}) {
         property_zip_confirmed: false,
         property_state: null,
         property_state_confirmed: false,
+        property_state_source: null,  // 'caller' or 'zip' (from the ZIP reference)
+        property_city: null,
+        property_county: null,
+        zip_state_mismatch: null,     // { stated_state, zip_state } when they disagreed
         land_status: null,
         land_status_confirmed: false,
         land_value_raw: null,
@@ -224,6 +253,21 @@ export function createSessionState(callSid, metadata = {}) {
         free_text_confirmed: false,
       },
       
+      // Dealer the caller named on a global entrypoint (not sent to Firestore;
+      // a confirmed match becomes a dealer_link lock in source.attribution)
+      dealer_context: {
+        working_with_dealer: null,
+        working_with_dealer_confirmed: false,
+        dealer_name_raw: null,
+        dealer_city_raw: null,
+        dealer_name_confirmed: false,
+        matched_dealer_id: null,
+        matched_dealer_name: null,
+        matched_dealer_city: null,
+        matched_key_hash: null,
+        match_score: null,
+      },
+      
       // Internal conversation history (not sent to Firestore)
       _conversationHistory: [],
     },
@@ -235,6 +279,10 @@ export function createSessionState(callSid, metadata = {}) {
     maxRetries: 2,
     prequalified: false,
     doNotContact: false,
+    callerIdDeclined: false,
+    coverage: null,             // Dealer coverage for the confirmed ZIP (lib/coverage.js)
+    reopenedFields: {},         // Confirmed answers the caller went back to: { field: old value } (lib/corrections.js)
+    namedDealerLock: null,      // { previous_attribution, released } once a dealer the caller named locks attribution
     startTime: Date.now(),
     
     // Call metadata
@@ -334,6 +382,14 @@ export function getFieldValue(state, fieldName) {
     return collectedData.notes.free_text;
   }
   
+  // Dealer context
+  if (fieldName === 'working_with_dealer') {
+    return collectedData.dealer_context.working_with_dealer;
+  }
+  if (fieldName === 'dealer_name') {
+    return collectedData.dealer_context.dealer_name_raw;
+  }
+  
   return undefined;
 }
 
@@ -367,6 +423,11 @@ export function getRawValue(state, fieldName) {
     return collectedData.applicant.best_time_to_contact_raw;
   }
   
+  // Dealer name - return the spoken name/city and any directory match
+  if (fieldName === 'dealer_name') {
+    return collectedData.dealer_context;
+  }
+  
   // For other fields, return the regular value
   return getFieldValue(state, fieldName);
 }
@@ -401,6 +462,8 @@ export function isFieldConfirmed(state, fieldName) {
     monthly_income: () => collectedData.financial_snapshot.monthly_income_confirmed,
     has_recent_bankruptcy: () => collectedData.financial_snapshot.has_recent_bankruptcy_confirmed,
     notes_free_text: () => collectedData.notes.free_text_confirmed,
+    working_with_dealer: () => collectedData.dealer_context.working_with_dealer_confirmed,
+    dealer_name: () => collectedData.dealer_context.dealer_name_confirmed,
   };
   
   const getter = confirmFlagMap[fieldName];
@@ -458,12 +521,18 @@ export function setFieldValue(state, fieldName, value, confirmed = false) {
   
   // Property location
   else if (fieldName === 'property_zip') {
+    // A new ZIP - anything looked up from the old one no longer applies
+    if (value !== collectedData.home_and_site.property_zip) {
+      setZipLocation(state, null);
+      state.coverage = null;
+    }
     collectedData.home_and_site.property_zip = value;
     collectedData.home_and_site.property_zip_confirmed = confirmed;
   }
   else if (fieldName === 'property_state') {
     collectedData.home_and_site.property_state = value;
     collectedData.home_and_site.property_state_confirmed = confirmed;
+    collectedData.home_and_site.property_state_source = 'caller';
   }
   
   // Land status
@@ -532,6 +601,20 @@ export function setFieldValue(state, fieldName, value, confirmed = false) {
     collectedData.notes.free_text_confirmed = confirmed;
   }
   
+  // Dealer context
+  else if (fieldName === 'working_with_dealer') {
+    collectedData.dealer_context.working_with_dealer = value;
+    collectedData.dealer_context.working_with_dealer_confirmed = confirmed;
+  }
+  else if (fieldName === 'dealer_name') {
+    // Value is { name, city } - any previous match no longer applies
+    const { name, city } = typeof value === 'object' && value !== null ? value : { name: value, city: null };
+    collectedData.dealer_context.dealer_name_raw = name;
+    collectedData.dealer_context.dealer_city_raw = city || null;
+    collectedData.dealer_context.dealer_name_confirmed = confirmed;
+    setDealerMatch(state, null);
+  }
+  
   // Track metrics
   state.fieldsCollected++;
   if (confirmed) {
@@ -570,6 +653,8 @@ export function confirmField(state, fieldName) {
     monthly_income: () => { collectedData.financial_snapshot.monthly_income_confirmed = true; },
     has_recent_bankruptcy: () => { collectedData.financial_snapshot.has_recent_bankruptcy_confirmed = true; },
     notes_free_text: () => { collectedData.notes.free_text_confirmed = true; },
+    working_with_dealer: () => { collectedData.dealer_context.working_with_dealer_confirmed = true; },
+    dealer_name: () => { collectedData.dealer_context.dealer_name_confirmed = true; },
   };
   
   const setter = confirmSetterMap[fieldName];
@@ -587,6 +672,203 @@ export function confirmField(state, fieldName) {
   return state;
 }
 
+// =============================================================================
+// DEALER CONTEXT
+// =============================================================================
+
+/**
+ * Check whether a dealer context field should be collected
+ * 
+ * Only global entrypoints (no dealer number, link or token) ask, plus
+ * dealer links whose key was too weak to lock a dealer. dealer_name only
+ * follows a "yes" to working_with_dealer.
+ * 
+ * @param {object} state - Session state
+ * @param {string} fieldName - 'working_with_dealer' or 'dealer_name'
+ * @returns {boolean}
+ */
+export function isDealerContextApplicable(state, fieldName = 'working_with_dealer') {
+  const { entrypoint, attribution } = state.collectedData.source;
+  const unlockedLink = entrypoint === 'dealer_link' && !attribution?.locked_dealer_id;
+  
+  if (!DEALER_CONTEXT_ENTRYPOINTS.includes(entrypoint) && !unlockedLink) {
+    return false;
+  }
+  
+  if (fieldName === 'dealer_name') {
+    return state.collectedData.dealer_context.working_with_dealer === true;
+  }
+  
+  return true;
+}
+
+/**
+ * Record the directory match for the dealer the caller named
+ * 
+ * @param {object} state - Session state
+ * @param {object|null} match - Result from matchDealerByName(), or null to clear
+ * @returns {object} - Updated state
+ */
+export function setDealerMatch(state, match) {
+  const dealerContext = state.collectedData.dealer_context;
+  
+  dealerContext.matched_dealer_id = match?.dealer_id || null;
+  dealerContext.matched_dealer_name = match?.dealer_name || null;
+  dealerContext.matched_dealer_city = match?.city || null;
+  dealerContext.matched_key_hash = match?.key_hash || null;
+  dealerContext.match_score = match?.score ?? null;
+  
+  return state;
+}
+
+/**
+ * Record where the property ZIP is and take the state from it
+ * 
+ * The state is confirmed together with the ZIP. If the caller named a
+ * different state, it's kept in zip_state_mismatch and the ZIP goes back to
+ * unconfirmed so the caller is asked which one is right.
+ * 
+ * @param {object} state - Session state
+ * @param {object|null} location - Result from lookupZip(), or null to clear
+ * @param {string|null} statedState - State abbreviation the caller gave, if any
+ * @returns {object} - Updated state
+ */
+export function setZipLocation(state, location, statedState = null) {
+  const home = state.collectedData.home_and_site;
+  
+  if (!location) {
+    if (home.property_state_source === 'zip') {
+      home.property_state = null;
+      home.property_state_confirmed = false;
+      home.property_state_source = null;
+    }
+    home.property_city = null;
+    home.property_county = null;
+    home.zip_state_mismatch = null;
+    return state;
+  }
+  
+  const mismatch = Boolean(statedState) && statedState !== location.state;
+  if (mismatch) {
+    home.property_zip_confirmed = false;
+    home.zip_state_mismatch = { stated_state: statedState, zip_state: location.state };
+  }
+  
+  home.property_city = location.city;
+  home.property_county = location.county;
+  home.property_state = location.state;
+  home.property_state_source = 'zip';
+  home.property_state_confirmed = home.property_zip_confirmed;
+  
+  return state;
+}
+
+// =============================================================================
+// CORRECTIONS
+// =============================================================================
+
+/**
+ * Clear a field's value (raw, band and confirmation), taking it back out of
+ * fieldsCollected if it held one
+ * 
+ * @param {object} state - Session state
+ * @param {string} fieldName - Field name
+ * @returns {object} - Updated state
+ */
+export function clearField(state, fieldName) {
+  const { collectedData } = state;
+  const hadValue = getFieldValue(state, fieldName) != null
+    || (fieldName !== 'dealer_name' && getRawValue(state, fieldName) != null);
+  
+  if (fieldName === 'land_value') {
+    Object.assign(collectedData.home_and_site, { land_value_raw: null, land_value_band: null, land_value_confirmed: false });
+  } else if (fieldName === 'timeline') {
+    Object.assign(collectedData.home_and_site, { timeline_raw: null, timeline: null, timeline_confirmed: false });
+  } else if (fieldName === 'credit') {
+    Object.assign(collectedData.financial_snapshot, { credit_raw: null, credit_band_self_reported: null, credit_confirmed: false });
+  } else if (fieldName === 'best_time_to_contact') {
+    Object.assign(collectedData.applicant, { best_time_to_contact_raw: null, best_time_to_contact: null, best_time_to_contact_confirmed: false });
+  } else {
+    // setFieldValue() counts every value it sets, even a null one
+    setFieldValue(state, fieldName, null, false);
+    state.fieldsCollected--;
+  }
+  
+  if (hadValue) {
+    state.fieldsCollected--;
+  }
+  
+  return state;
+}
+
+/**
+ * Go back to a confirmed field: clear it so the controller asks for it
+ * again, keeping the old value in state.reopenedFields until the new
+ * answer replaces it
+ * 
+ * @param {object} state - Session state
+ * @param {string} fieldName - Field name
+ * @param {*} previousValue - The answer being replaced
+ * @returns {object} - Updated state
+ */
+export function reopenField(state, fieldName, previousValue) {
+  state.reopenedFields = { ...state.reopenedFields, [fieldName]: previousValue };
+  clearField(state, fieldName);
+  
+  return applyCorrectionEffects(state, fieldName);
+}
+
+/**
+ * Re-run what depends on an answer the caller changed
+ * 
+ * - land_status: a land value is only kept where it applies
+ * - working_with_dealer: no dealer name unless they're working with one
+ * - working_with_dealer, dealer_name: a lock from the dealer they named
+ *   no longer holds
+ * 
+ * (A new ZIP clears its looked-up location and coverage in setFieldValue(),
+ * and the eligibility rules are re-run every turn.)
+ * 
+ * @param {object} state - Session state
+ * @param {string} fieldName - Field that changed
+ * @returns {object} - Updated state
+ */
+export function applyCorrectionEffects(state, fieldName) {
+  const { home_and_site: home, dealer_context: dealerContext } = state.collectedData;
+  
+  if (fieldName === 'land_status' && !LAND_VALUE_APPLICABLE_STATUSES.includes(home.land_status)) {
+    clearField(state, 'land_value');
+  }
+  
+  if (fieldName === 'working_with_dealer' && dealerContext.working_with_dealer !== true) {
+    clearField(state, 'dealer_name');
+  }
+  
+  if (['working_with_dealer', 'dealer_name'].includes(fieldName)) {
+    releaseNamedDealerLock(state);
+  }
+  
+  return state;
+}
+
+/**
+ * Put attribution back the way it was before a dealer the caller named
+ * locked it (the new dealer, once confirmed, locks it again)
+ * 
+ * @param {object} state - Session state
+ * @returns {object} - Updated state
+ */
+export function releaseNamedDealerLock(state) {
+  const lock = state.namedDealerLock;
+  if (!lock || lock.released) return state;
+  
+  console.log(`[ATTRIBUTION] Caller changed their dealer, releasing lock on ${state.collectedData.source.attribution.locked_dealer_id}`);
+  state.collectedData.source.attribution = lock.previous_attribution;
+  state.namedDealerLock = { previous_attribution: null, released: true };
+  
+  return state;
+}
+
 // =============================================================================
 // PHASE MANAGEMENT
 // =============================================================================
@@ -719,9 +1001,32 @@ export function isPrequalificationReady(state) {
     }
   }
   
+  // Dealer context is required where it applies
+  for (const field of DEALER_CONTEXT_FIELDS) {
+    if (!isDealerContextApplicable(state, field)) continue;
+    
+    const value = getFieldValue(state, field);
+    if (value === undefined || value === null || !isFieldConfirmed(state, field)) {
+      return false;
+    }
+  }
+  
+  // A caller who fails an eligibility rule is never prequalified
+  if (getIneligibleRule(state)) {
+    return false;
+  }
+  
   return true;
 }
 
+/**
+ * The eligibility rule (config/eligibility.js) the caller's confirmed
+ * answers fail, or null
+ */
+export function getIneligibleRule(state) {
+  return checkEligibility(getConfirmedValues(state));
+}
+
 /**
  * Check if minimum lead fields are collected (for partial lead creation)
  * Minimum fields must be collected AND confirmed
@@ -785,6 +1090,11 @@ export function getNextFieldToCollect(state) {
       if (!LAND_VALUE_APPLICABLE_STATUSES.includes(landStatus)) continue;
     }
     
+    // Skip dealer context unless this entrypoint asks for it
+    if (DEALER_CONTEXT_FIELDS.includes(field) && !isDealerContextApplicable(state, field)) {
+      continue;
+    }
+    
     const value = getFieldValue(state, field);
     const confirmed = isFieldConfirmed(state, field);
     
@@ -823,6 +1133,132 @@ export function getRemainingRequiredFields(state) {
   return remaining;
 }
 
+// =============================================================================
+// SESSION RESUME
+// =============================================================================
+
+/**
+ * Where each field's value lives on a stored lead (raw values where the
+ * state machine recomputes the band)
+ */
+const LEAD_FIELD_PATHS = {
+  contact_consent: ['consents', 'contact_consent'],
+  full_name: ['applicant', 'full_name'],
+  phone_e164: ['applicant', 'phone_e164'],
+  email: ['applicant', 'email'],
+  preferred_contact_method: ['applicant', 'preferred_contact_method'],
+  best_time_to_contact: ['applicant', 'best_time_to_contact'],
+  property_zip: ['home_and_site', 'property_zip'],
+  property_state: ['home_and_site', 'property_state'],
+  land_status: ['home_and_site', 'land_status'],
+  land_value: ['home_and_site', 'land_value_raw'],
+  home_type: ['home_and_site', 'home_type'],
+  timeline: ['home_and_site', 'timeline_raw'],
+  home_price: ['home_and_site', 'home_price_estimate_usd'],
+  site_work: ['home_and_site', 'site_work_needed'],
+  credit: ['financial_snapshot', 'credit_raw'],
+  monthly_income: ['financial_snapshot', 'monthly_income_estimate_usd'],
+  has_recent_bankruptcy: ['financial_snapshot', 'has_recent_bankruptcy'],
+  notes_free_text: ['notes', 'free_text'],
+};
+
+/**
+ * List the fields confirmed so far (stored with voice_call_ended so a
+ * later call can resume)
+ */
+export function getConfirmedFields(state) {
+  return FIELD_ORDER.filter(field => isFieldConfirmed(state, field));
+}
+
+/**
+ * The confirmed field values, keyed by field (what the eligibility rules
+ * are evaluated against)
+ */
+export function getConfirmedValues(state) {
+  return Object.fromEntries(
+    getConfirmedFields(state).map(field => [field, getFieldValue(state, field)])
+  );
+}
+
+/**
+ * Rehydrate a session from a lead an earlier call created
+ * 
+ * Fields in progress.confirmed_fields are restored confirmed; anything else
+ * on the lead is restored unconfirmed so the caller hears it back. Without a
+ * progress snapshot, only MINIMUM_LEAD_FIELDS (confirmed before the lead was
+ * created) count as confirmed.
+ * 
+ * @param {object} state - New session state
+ * @param {object} lead - Lead from hestiaClient
+ * @param {object|null} progress - { confirmed_fields, dealer_context } from voice_call_ended
+ * @returns {object} - Updated state
+ */
+export function restoreFromLead(state, lead, progress = null) {
+  const { collectedData } = state;
+  const confirmedFields = new Set(progress?.confirmed_fields || MINIMUM_LEAD_FIELDS);
+  
+  state.leadId = lead.lead_id;
+  
+  for (const [field, [section, key]] of Object.entries(LEAD_FIELD_PATHS)) {
+    const value = lead[section]?.[key];
+    if (value === undefined || value === null) continue;
+    setFieldValue(state, field, value, confirmedFields.has(field));
+  }
+  
+  // Keep the original consent record rather than re-stamping it
+  if (lead.consents) {
+    for (const key of ['tcpa_disclosure_ack', 'privacy_policy_ack', 'consent_language_version', 'consent_capture_method', 'consented_at']) {
+      if (lead.consents[key] !== undefined) {
+        collectedData.consents[key] = lead.consents[key];
+      }
+    }
+  }
+  
+  // The lead keeps the attribution it was created with
+  if (lead.source?.attribution) {
+    collectedData.source.entrypoint = lead.source.entrypoint || collectedData.source.entrypoint;
+    collectedData.source.attribution = { ...collectedData.source.attribution, ...lead.source.attribution };
+  }
+  
+  // City and county came from the ZIP reference along with the state
+  if (lead.home_and_site?.property_city) {
+    collectedData.home_and_site.property_city = lead.home_and_site.property_city;
+    collectedData.home_and_site.property_county = lead.home_and_site.property_county || null;
+  }
+  
+  // Dealer context is not stored on the lead - only in the progress snapshot
+  const dealerContext = progress?.dealer_context;
+  if (dealerContext?.working_with_dealer !== undefined && dealerContext?.working_with_dealer !== null) {
+    setFieldValue(state, 'working_with_dealer', dealerContext.working_with_dealer, confirmedFields.has('working_with_dealer'));
+  }
+  if (dealerContext?.dealer_name_raw) {
+    setFieldValue(state, 'dealer_name', { name: dealerContext.dealer_name_raw, city: dealerContext.dealer_city_raw },
+      confirmedFields.has('dealer_name'));
+    setDealerMatch(state, dealerContext.matched_dealer_id ? {
+      dealer_id: dealerContext.matched_dealer_id,
+      dealer_name: dealerContext.matched_dealer_name,
+      city: dealerContext.matched_dealer_city,
+      key_hash: dealerContext.matched_key_hash,
+      score: dealerContext.match_score,
+    } : null);
+  }
+  
+  state.events.push({
+    type: 'session_resumed',
+    leadId: lead.lead_id,
+    timestamp: Date.now(),
+  });
+  
+  // Catch the phase up with everything restored
+  let phase;
+  do {
+    phase = state.phase;
+    state = advancePhase(state);
+  } while (state.phase !== phase);
+  
+  return state;
+}
+
 // =============================================================================
 // EVENT HANDLERS
 // =============================================================================
@@ -915,6 +1351,42 @@ export function getSessionSummary(state) {
   };
 }
 
+/**
+ * Build the source object (entrypoint + attribution) for Firestore
+ */
+function buildSourcePayload(state) {
+  const { collectedData, callSid } = state;
+  
+  return {
+    channel: 'voice',
+    session_id: callSid,
+    entrypoint: collectedData.source.entrypoint,
+    referrer_url: null,
+    landing_url: null,
+    ip_hash: null,
+    user_agent: null,
+    
+    // Attribution - dealer locking
+    attribution: {
+      utm: {
+        utm_source: collectedData.source.attribution?.utm?.utm_source || null,
+        utm_medium: collectedData.source.attribution?.utm?.utm_medium || null,
+        utm_campaign: collectedData.source.attribution?.utm?.utm_campaign || null,
+        utm_term: collectedData.source.attribution?.utm?.utm_term || null,
+        utm_content: collectedData.source.attribution?.utm?.utm_content || null,
+      },
+      referral_code: collectedData.source.attribution?.referral_code || null,
+      dealer_id_from_referral: collectedData.source.attribution?.dealer_id_from_referral || null,
+      inbound_dealer_number: collectedData.source.attribution?.inbound_dealer_number || null,
+      attribution_token: collectedData.source.attribution?.attribution_token || null,
+      locked_dealer_id: collectedData.source.attribution?.locked_dealer_id || null,
+      locked_reason: collectedData.source.attribution?.locked_reason || null,
+      locked_at: collectedData.source.attribution?.locked_at || null,
+      lock_expires_at: collectedData.source.attribution?.lock_expires_at || null,
+    },
+  };
+}
+
 /**
  * Build the lead payload for Firestore
  * 
@@ -923,7 +1395,7 @@ export function getSessionSummary(state) {
  * financial_snapshot, notes, assignment, delivery, human, flags
  */
 export function buildLeadPayload(state) {
-  const { collectedData, callSid } = state;
+  const { collectedData } = state;
   
   return {
     // Identity and version
@@ -934,34 +1406,7 @@ export function buildLeadPayload(state) {
     status_reason: null,
     
     // Source metadata
-    source: {
-      channel: 'voice',
-      session_id: callSid,
-      entrypoint: collectedData.source.entrypoint,
-      referrer_url: null,
-      landing_url: null,
-      ip_hash: null,
-      user_agent: null,
-      
-      // Attribution - dealer locking
-      attribution: {
-        utm: {
-          utm_source: collectedData.source.attribution?.utm?.utm_source || null,
-          utm_medium: collectedData.source.attribution?.utm?.utm_medium || null,
-          utm_campaign: collectedData.source.attribution?.utm?.utm_campaign || null,
-          utm_term: collectedData.source.attribution?.utm?.utm_term || null,
-          utm_content: collectedData.source.attribution?.utm?.utm_content || null,
-        },
-        referral_code: collectedData.source.attribution?.referral_code || null,
-        dealer_id_from_referral: collectedData.source.attribution?.dealer_id_from_referral || null,
-        inbound_dealer_number: collectedData.source.attribution?.inbound_dealer_number || null,
-        attribution_token: collectedData.source.attribution?.attribution_token || null,
-        locked_dealer_id: collectedData.source.attribution?.locked_dealer_id || null,
-        locked_reason: collectedData.source.attribution?.locked_reason || null,
-        locked_at: collectedData.source.attribution?.locked_at || null,
-        lock_expires_at: collectedData.source.attribution?.lock_expires_at || null,
-      },
-    },
+    source: buildSourcePayload(state),
     
     // Consents (root level per TLC schema)
     consents: {
@@ -980,16 +1425,22 @@ export function buildLeadPayload(state) {
       email: collectedData.applicant.email || null,
       preferred_contact_method: collectedData.applicant.preferred_contact_method || null,
       best_time_to_contact: collectedData.applicant.best_time_to_contact || null,
+      preferred_language: state.language || 'en',
     },
     
     // Home and site
     home_and_site: {
       property_zip: collectedData.home_and_site.property_zip || null,
       property_state: collectedData.home_and_site.property_state || null,
+      property_city: collectedData.home_and_site.property_city || null,
+      property_county: collectedData.home_and_site.property_county || null,
+      zip_state_mismatch: collectedData.home_and_site.zip_state_mismatch || null,
       land_status: collectedData.home_and_site.land_status || null,
+      land_value_raw: collectedData.home_and_site.land_value_raw ?? null,
       land_value_band: collectedData.home_and_site.land_value_band || null,
       home_type: collectedData.home_and_site.home_type || null,
       is_new_home_purchase: collectedData.home_and_site.is_new_home_purchase ?? null,
+      timeline_raw: collectedData.home_and_site.timeline_raw || null,
       timeline: collectedData.home_and_site.timeline || null,
       site_work_needed: collectedData.home_and_site.site_work_needed || null,
       home_price_estimate_usd: collectedData.home_and_site.home_price_estimate_usd ?? null,
@@ -997,6 +1448,7 @@ export function buildLeadPayload(state) {
     
     // Financial snapshot
     financial_snapshot: {
+      credit_raw: collectedData.financial_snapshot.credit_raw ?? null,
       credit_band_self_reported: collectedData.financial_snapshot.credit_band_self_reported || null,
       monthly_income_estimate_usd: collectedData.financial_snapshot.monthly_income_estimate_usd ?? null,
       has_recent_bankruptcy: collectedData.financial_snapshot.has_recent_bankruptcy ?? null,
@@ -1049,6 +1501,7 @@ export function buildLeadPayload(state) {
     flags: {
       test_lead: false,
       duplicate_of_lead_id: null,
+      no_coverage: state.coverage?.covered === false,
     },
   };
 }
@@ -1084,12 +1537,14 @@ export function buildLeadUpdatePayload(state) {
     }
   }
   if (Object.keys(applicantUpdate).length > 0) {
-    update.applicant = applicantUpdate;
+    // The caller can switch languages mid-call
+    update.applicant = { ...applicantUpdate, preferred_language: state.language || 'en' };
   }
   
   // Home and site
-  const homeFields = ['property_zip', 'property_state', 'land_status', 'land_value_band', 
-                      'home_type', 'is_new_home_purchase', 'timeline', 'site_work_needed', 
+  const homeFields = ['property_zip', 'property_state', 'property_city', 'property_county', 'zip_state_mismatch',
+                      'land_status', 'land_value_raw', 'land_value_band', 
+                      'home_type', 'is_new_home_purchase', 'timeline_raw', 'timeline', 'site_work_needed', 
                       'home_price_estimate_usd'];
   const homeUpdate = {};
   for (const field of homeFields) {
@@ -1102,7 +1557,7 @@ export function buildLeadUpdatePayload(state) {
   }
   
   // Financial snapshot
-  const finFields = ['credit_band_self_reported', 'monthly_income_estimate_usd', 'has_recent_bankruptcy'];
+  const finFields = ['credit_raw', 'credit_band_self_reported', 'monthly_income_estimate_usd', 'has_recent_bankruptcy'];
   const finUpdate = {};
   for (const field of finFields) {
     if (collectedData.financial_snapshot[field] !== null && collectedData.financial_snapshot[field] !== undefined) {
@@ -1118,5 +1573,17 @@ export function buildLeadUpdatePayload(state) {
     update.notes = { free_text: collectedData.notes.free_text };
   }
   
+  // Flags - once coverage is known for the confirmed ZIP
+  if (state.coverage && state.coverage.covered !== null) {
+    update.flags = { no_coverage: state.coverage.covered === false };
+  }
+  
+  // Source - only changes mid-call when the caller confirms a dealer by name
+  // (or changes the one they named)
+  if ((collectedData.dealer_context.dealer_name_confirmed && collectedData.source.attribution?.locked_dealer_id) ||
+      state.namedDealerLock?.released) {
+    update.source = buildSourcePayload(state);
+  }
+  
   return update;
 }
@@ -12,10 +12,37 @@ import {
   handleDoNotContact,
   isMinimumLeadReady,
   isPrequalificationReady,
+  getFieldValue,
+  setDealerMatch,
+  setZipLocation,
+  restoreFromLead,
+  getNextFieldToCollect,
+  reopenField,
+  clearField,
+  applyCorrectionEffects,
   PHASES,
 } from './state-machine.js';
 
 import { EXTRACTION_TO_STATE_FIELD_MAP } from './tools.js';
+import {
+  applyNamedDealerLock,
+  createLockAppliedEvent,
+  createNamedDealerEvent,
+  isAttributionLocked,
+} from './attribution.js';
+import { matchDealerByName } from './dealer-matcher.js';
+import { lookupZip, hasZipDirectory } from './zip-lookup.js';
+import { createResumedEvent, RESUME_FIELD } from './session-resume.js';
+import { CALLER_ID_FIELD } from './caller-id.js';
+import { checkZipCoverage, needsCoverageCheck, createCoverageCheckedEvent } from './coverage.js';
+import {
+  CORRECTABLE_FIELDS,
+  getAnswerValue,
+  isRepeatedAnswer,
+  findCorrection,
+  createFieldCorrectedEvent,
+} from './corrections.js';
+import { GROUP_CONFIRM_FIELD, canSkipConfirmation } from './confirmation.js';
 import { 
   isValidZipCode, 
   isValidE164Phone, 
@@ -23,6 +50,7 @@ import {
   normalizeToE164,
   isValidEnum,
   US_STATES,
+  STATE_NAME_TO_ABBREV,
 } from '../config/enums.js';
 
 // =============================================================================
@@ -35,18 +63,18 @@ import {
  * @param {string} toolName - Name of the tool
  * @param {object} args - Tool arguments
  * @param {object} state - Current session state
- * @param {object} context - Additional context { hestiaClient, pendingConfirmation, currentAction }
+ * @param {object} context - Additional context { hestiaClient, pendingConfirmation, currentAction, trigger, zipDirectory, ruleAgreements }
  * @returns {object} - { state, result, fieldsExtracted, needsSync }
  */
 export async function executeTool(toolName, args, state, context = {}) {
-  const { hestiaClient, pendingConfirmation, currentAction } = context;
+  const { hestiaClient, pendingConfirmation, currentAction, trigger, zipDirectory, ruleAgreements } = context;
   
   console.log(`[TOOL] Executing: ${toolName}`, JSON.stringify(args));
   
   try {
     switch (toolName) {
       case 'extract_fields':
-        return await handleExtractFields(args, state, pendingConfirmation, hestiaClient, currentAction);
+        return await handleExtractFields(args, state, pendingConfirmation, hestiaClient, currentAction, zipDirectory, ruleAgreements);
       
       case 'provide_info':
         return handleProvideInfo(args, state);
@@ -56,6 +84,9 @@ export async function executeTool(toolName, args, state, context = {}) {
       
       case 'end_call':
         return await handleEndCall(args, state, hestiaClient);
+      
+      case 'transfer_to_human':
+        return await handleTransferToHuman(args, state, hestiaClient, trigger);
         
       default:
         console.warn(`[TOOL] Unknown tool: ${toolName}`);
@@ -84,21 +115,87 @@ export async function executeTool(toolName, args, state, context = {}) {
 /**
  * Handle the unified extract_fields tool
  */
-async function handleExtractFields(args, state, pendingConfirmation, hestiaClient, currentAction) {
+async function handleExtractFields(args, state, pendingConfirmation, hestiaClient, currentAction, zipDirectory, ruleAgreements = []) {
+  const zipOptions = { directory: zipDirectory };
   const fieldsExtracted = [];
   const validationErrors = [];
+  const corrections = [];
   let needsSync = false;
   let confirmationHandled = false;
   
   // Track which field was just confirmed so we don't re-extract it
   let justConfirmedField = null;
+  let resumedLead = null;
   
   // List of boolean fields where yes/no answers the question directly
-  const BOOLEAN_FIELDS = ['has_recent_bankruptcy', 'contact_consent'];
+  const BOOLEAN_FIELDS = ['has_recent_bankruptcy', 'contact_consent', 'working_with_dealer'];
   
   // Handle confirmation response first
   if (args.confirmation !== undefined) {
-    if (pendingConfirmation) {
+    if (pendingConfirmation?.field === RESUME_FIELD) {
+      // Returning caller answering "pick up where we left off?"
+      confirmationHandled = true;
+      const offer = state.resumeOffer;
+      state.resumeOffer = null;
+      
+      if (args.confirmation === true && offer) {
+        state = restoreFromLead(state, offer.lead, offer.progress);
+        resumedLead = offer.lead;
+        fieldsExtracted.push({ field: RESUME_FIELD, action: 'resumed' });
+      } else {
+        // Starting over - a "no" here is not a refusal to be contacted
+        if (args.contact_consent === false) delete args.contact_consent;
+        fieldsExtracted.push({ field: RESUME_FIELD, action: 'declined' });
+      }
+    } else if (pendingConfirmation?.field === CALLER_ID_FIELD) {
+      // Caller answering "is the number you're calling from the best one?"
+      confirmationHandled = true;
+      
+      if (args.confirmation === true) {
+        state = setFieldValue(state, 'phone_e164', pendingConfirmation.value, true);
+        justConfirmedField = 'phone_e164';
+        fieldsExtracted.push({ field: 'phone_e164', action: 'confirmed' });
+        needsSync = true;
+      } else {
+        // Ask for the number instead (or take the one they just gave)
+        state.callerIdDeclined = true;
+        fieldsExtracted.push({ field: CALLER_ID_FIELD, action: 'declined' });
+      }
+    } else if (pendingConfirmation?.field === GROUP_CONFIRM_FIELD) {
+      // Caller answering a grouped read-back ("... - all correct?")
+      confirmationHandled = true;
+      const groupFields = pendingConfirmation.value;
+      const givenFields = groupFields.filter(field =>
+        Object.entries(args).some(([arg, value]) => EXTRACTION_TO_STATE_FIELD_MAP[arg] === field && value != null)
+      );
+      const namedField = groupFields.includes(args.correct_field) && !givenFields.includes(args.correct_field)
+        ? args.correct_field
+        : null;
+      const wrongFields = args.confirmation === true ? [] : [...givenFields, namedField].filter(Boolean);
+      
+      // A yes confirms every item (a different value said with it is a
+      // correction, below); a no with the wrong item named confirms the rest
+      if (args.confirmation === true || wrongFields.length > 0) {
+        for (const field of groupFields.filter(field => !wrongFields.includes(field))) {
+          state = confirmField(state, field);
+          fieldsExtracted.push({ field, action: 'confirmed' });
+        }
+        needsSync = true;
+      }
+      
+      if (args.confirmation === false) {
+        if (namedField) {
+          // "No, the email's wrong" - ask for just that one again
+          state = clearField(state, namedField);
+          delete args.correct_field;
+        } else if (wrongFields.length === 0) {
+          // Not sure which one was wrong - read them back one at a time
+          state.ungroupedFields = [...new Set([...state.ungroupedFields || [], ...groupFields])];
+        }
+        console.log(`[TOOL] Grouped read-back rejected${wrongFields.length ? ` (${wrongFields.join(', ')})` : ''}`);
+        fieldsExtracted.push({ field: GROUP_CONFIRM_FIELD, action: 'rejected' });
+      }
+    } else if (pendingConfirmation) {
       // There's a pending confirmation to respond to
       confirmationHandled = true;
       
@@ -111,9 +208,35 @@ async function handleExtractFields(args, state, pendingConfirmation, hestiaClien
           action: 'confirmed',
         });
         needsSync = true;
+        
+        // The state looked up from the ZIP was confirmed with it
+        if (justConfirmedField === 'property_zip' && state.collectedData.home_and_site.property_state_source === 'zip') {
+          state = confirmField(state, 'property_state');
+        }
+        
+        // A confirmed dealer match locks attribution to that dealer
+        if (justConfirmedField === 'dealer_name') {
+          const previousAttribution = state.collectedData.source.attribution;
+          state.collectedData.source.attribution = applyNamedDealerLock(
+            previousAttribution,
+            state.collectedData.dealer_context
+          );
+          if (state.collectedData.source.attribution !== previousAttribution) {
+            state.namedDealerLock = { previous_attribution: previousAttribution, released: false };
+          }
+        }
       } else {
         // User said no - they might provide a correction in the same response
         // Don't mark as confirmed, let the correction be processed below
+        if (pendingConfirmation.field === 'dealer_name') {
+          // Wrong directory match - confirm what they actually said instead
+          state = setDealerMatch(state, null);
+        }
+        if (pendingConfirmation.field === 'property_zip' && state.collectedData.home_and_site.property_state_source === 'zip') {
+          // Wrong ZIP (or wrong place for it) - ask for the ZIP again
+          state = setZipLocation(state, null);
+          state.collectedData.home_and_site.property_zip = null;
+        }
         fieldsExtracted.push({
           field: pendingConfirmation.field,
           action: 'rejected',
@@ -141,6 +264,24 @@ async function handleExtractFields(args, state, pendingConfirmation, hestiaClien
     }
   }
   
+  // Dealer name and city are matched together as one dealer_name value
+  if (args.dealer_name || args.dealer_city) {
+    const name = args.dealer_name || getFieldValue(state, 'dealer_name');
+    args.dealer_name = name ? { name, city: args.dealer_city || null } : null;
+    delete args.dealer_city;
+  }
+  
+  // "Go back to the ZIP" - ask for an earlier answer again (unless the new
+  // one came with it, which the loop below handles as a correction)
+  const reopenTarget = args.correct_field;
+  delete args.correct_field;
+  if (CORRECTABLE_FIELDS.includes(reopenTarget) && getFieldValue(state, reopenTarget) != null &&
+      !Object.entries(args).some(([field, value]) => EXTRACTION_TO_STATE_FIELD_MAP[field] === reopenTarget && value != null)) {
+    console.log(`[TOOL] Caller went back to ${reopenTarget}`);
+    state = reopenField(state, reopenTarget, getAnswerValue(state, reopenTarget));
+    fieldsExtracted.push({ field: reopenTarget, action: 'reopened' });
+  }
+  
   // Process each extracted field
   for (const [extractedField, value] of Object.entries(args)) {
     // Skip the confirmation flag itself
@@ -164,12 +305,20 @@ async function handleExtractFields(args, state, pendingConfirmation, hestiaClien
       continue;
     }
     
+    // With the ZIP reference loaded, a ZIP that isn't in it doesn't exist
+    if (stateField === 'property_zip' && hasZipDirectory(zipOptions) && !lookupZip(normalizedValue, zipOptions)) {
+      console.log(`[ZIP] Unknown ZIP code: ${normalizedValue}`);
+      validationErrors.push({ field: stateField, error: 'Unknown ZIP code' });
+      continue;
+    }
+    
     // Skip if we just confirmed this field AND the new value matches what was confirmed
     // BUT if user provided a DIFFERENT value, treat it as a correction
     if (stateField === justConfirmedField) {
       const pendingValue = pendingConfirmation?.value;
+      const comparableValue = stateField === 'dealer_name' ? normalizedValue.name : normalizedValue;
       // Compare values - if they match, skip; if different, it's a correction
-      if (pendingValue !== undefined && pendingValue === normalizedValue) {
+      if (pendingValue !== undefined && pendingValue === comparableValue) {
         console.log(`[TOOL] Skipping ${extractedField} - just confirmed same value`);
         continue;
       } else {
@@ -179,29 +328,125 @@ async function handleExtractFields(args, state, pendingConfirmation, hestiaClien
       }
     }
     
+    // A confirmed answer said again stays confirmed; a different one is a correction
+    let correction = null;
+    if (stateField !== justConfirmedField) {
+      if (isRepeatedAnswer(state, stateField, normalizedValue)) {
+        console.log(`[TOOL] Skipping ${extractedField} - already confirmed`);
+        continue;
+      }
+      correction = findCorrection(state, stateField, normalizedValue);
+    }
+    
     // Set the field value (unconfirmed)
     state = setFieldValue(state, stateField, normalizedValue, false);
     needsSync = true;
     
+    delete state.reopenedFields?.[stateField];
+    if (correction) {
+      console.log(`[TOOL] Caller corrected ${stateField}: ${JSON.stringify(correction.old_value)} → ${JSON.stringify(correction.new_value)}`);
+      state = applyCorrectionEffects(state, stateField);
+      corrections.push(correction);
+    }
+    
+    // Low-risk answers the rule extraction heard the same way aren't read back
+    if (canSkipConfirmation(state, stateField, ruleAgreements.includes(extractedField))) {
+      console.log(`[TOOL] Taking ${stateField} without a read-back - rules agree`);
+      state = confirmField(state, stateField);
+    }
+    
+    // Look the named dealer up in the dealer directory before confirming
+    if (stateField === 'dealer_name') {
+      const match = matchDealerByName(normalizedValue.name, normalizedValue.city, {
+        state: getFieldValue(state, 'property_state'),
+      });
+      state = setDealerMatch(state, match);
+      console.log(`[TOOL] Dealer "${normalizedValue.name}" matched: ${match ? `${match.dealer_id} (${match.score})` : 'none'}`);
+    }
+    
     fieldsExtracted.push({
       field: stateField,
       value: normalizedValue,
-      action: 'extracted',
+      action: correction ? 'corrected' : 'extracted',
     });
     
     console.log(`[TOOL] Extracted ${stateField}: ${JSON.stringify(normalizedValue)}`);
   }
   
+  // The state (with city and county) comes from the ZIP when it's in the ZIP reference
+  if (fieldsExtracted.some(f => f.field === 'property_zip' || f.field === 'property_state')) {
+    const location = lookupZip(getFieldValue(state, 'property_zip'), zipOptions);
+    if (location) {
+      const home = state.collectedData.home_and_site;
+      const statedState = home.property_state_source === 'caller' ? home.property_state : null;
+      if (statedState && statedState !== location.state) {
+        console.warn(`[ZIP] ${location.zip} is in ${location.state}, caller said ${statedState}`);
+      }
+      state = setZipLocation(state, location, statedState);
+    }
+  }
+  
+  // A bad answer to the question being asked counts as a retry
+  if (currentAction?.type === 'ask') {
+    if (fieldsExtracted.some(f => f.field === currentAction.field)) {
+      state.retryCount = 0;
+    } else if (validationErrors.some(e => e.field === currentAction.field)) {
+      state.retryCount = (state.retryCount || 0) + 1;
+    }
+  }
+  
   // Check for special consent handling
   if (args.contact_consent === false) {
     state = handleDoNotContact(state, 'user_declined_consent');
   }
   
+  // Check dealer coverage as soon as the ZIP and state are confirmed
+  let coverageChecked = false;
+  if (hestiaClient && needsCoverageCheck(state)) {
+    const home = state.collectedData.home_and_site;
+    state.coverage = await checkZipCoverage(hestiaClient, home.property_state, home.property_zip);
+    coverageChecked = state.coverage.covered !== null;
+  }
+  
   // Sync to Hestia if we have minimum fields
+  const leadExisted = Boolean(state.leadId);
   if (needsSync && hestiaClient) {
   await syncLeadToHestia(state, hestiaClient);
   }
   
+  if (resumedLead && hestiaClient) {
+    try {
+      await hestiaClient.logEvent(resumedLead.lead_id,
+        createResumedEvent(state, resumedLead, getNextFieldToCollect(state)));
+    } catch (error) {
+      console.error('[HESTIA] Error logging resume:', error);
+    }
+  }
+  
+  if (corrections.length > 0 && hestiaClient && state.leadId) {
+    try {
+      for (const correction of corrections) {
+        await hestiaClient.logEvent(state.leadId, createFieldCorrectedEvent(state.callSid, correction));
+      }
+    } catch (error) {
+      console.error('[HESTIA] Error logging correction:', error);
+    }
+  }
+  
+  if (coverageChecked && state.leadId) {
+    try {
+      await hestiaClient.logEvent(state.leadId, createCoverageCheckedEvent(state.callSid, state.coverage));
+    } catch (error) {
+      console.error('[HESTIA] Error logging coverage:', error);
+    }
+  }
+  
+  // Audit the dealer the caller named (the lead update above carries any lock;
+  // a lead created just now already logged attribution_lock_applied)
+  if (justConfirmedField === 'dealer_name' && hestiaClient && state.leadId) {
+    await recordNamedDealer(state, hestiaClient, { logLock: leadExisted });
+  }
+  
   // Advance phase if appropriate
   state = advancePhase(state);
   
@@ -337,30 +582,24 @@ function validateAndNormalize(field, value) {
     case 'notes_free_text':
       return { valid: true, normalizedValue: String(value) };
       
+    case 'working_with_dealer':
+      return { valid: true, normalizedValue: Boolean(value) };
+      
+    case 'dealer_name':
+      // { name, city } assembled from dealer_name + dealer_city
+      if (!value?.name || String(value.name).trim().length < 2) {
+        return { valid: false, error: 'Dealer name too short' };
+      }
+      return {
+        valid: true,
+        normalizedValue: { name: String(value.name).trim(), city: value.city ? String(value.city).trim() : null },
+      };
+      
     default:
       return { valid: true, normalizedValue: value };
   }
 }
 
-/**
- * State name to abbreviation mapping
- */
-const STATE_NAME_TO_ABBREV = {
-  'ALABAMA': 'AL', 'ALASKA': 'AK', 'ARIZONA': 'AZ', 'ARKANSAS': 'AR',
-  'CALIFORNIA': 'CA', 'COLORADO': 'CO', 'CONNECTICUT': 'CT', 'DELAWARE': 'DE',
-  'FLORIDA': 'FL', 'GEORGIA': 'GA', 'HAWAII': 'HI', 'IDAHO': 'ID',
-  'ILLINOIS': 'IL', 'INDIANA': 'IN', 'IOWA': 'IA', 'KANSAS': 'KS',
-  'KENTUCKY': 'KY', 'LOUISIANA': 'LA', 'MAINE': 'ME', 'MARYLAND': 'MD',
-  'MASSACHUSETTS': 'MA', 'MICHIGAN': 'MI', 'MINNESOTA': 'MN', 'MISSISSIPPI': 'MS',
-  'MISSOURI': 'MO', 'MONTANA': 'MT', 'NEBRASKA': 'NE', 'NEVADA': 'NV',
-  'NEW HAMPSHIRE': 'NH', 'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY',
-  'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND', 'OHIO': 'OH', 'OKLAHOMA': 'OK',
-  'OREGON': 'OR', 'PENNSYLVANIA': 'PA', 'RHODE ISLAND': 'RI', 'SOUTH CAROLINA': 'SC',
-  'SOUTH DAKOTA': 'SD', 'TENNESSEE': 'TN', 'TEXAS': 'TX', 'UTAH': 'UT',
-  'VERMONT': 'VT', 'VIRGINIA': 'VA', 'WASHINGTON': 'WA', 'WEST VIRGINIA': 'WV',
-  'WISCONSIN': 'WI', 'WYOMING': 'WY', 'DISTRICT OF COLUMBIA': 'DC',
-};
-
 // =============================================================================
 // OTHER TOOL HANDLERS
 // =============================================================================
@@ -463,6 +702,52 @@ async function handleEndCall(args, state, hestiaClient) {
   };
 }
 
+/**
+ * Handle transfer_to_human tool (also used for the DTMF "0" shortcut)
+ *
+ * The server ends the ConversationRelay session and dials the loan officer
+ * queue - see lib/transfer.js.
+ */
+async function handleTransferToHuman(args, state, hestiaClient, trigger = 'llm') {
+  const reason = args.reason || 'caller_requested';
+  
+  state.transferRequested = { reason, trigger, requestedAt: Date.now() };
+  
+  state.events.push({
+    type: 'transfer_requested',
+    reason,
+    trigger,
+    timestamp: Date.now(),
+  });
+  
+  if (hestiaClient && state.leadId) {
+    try {
+      await hestiaClient.logEvent(state.leadId, {
+        event_type: 'voice_transfer_requested',
+        actor_type: trigger === 'dtmf' ? 'user' : 'ai',
+        details: {
+          call_sid: state.callSid,
+          reason,
+          trigger,
+          phase: state.phase,
+          fields_collected: state.fieldsCollected,
+        },
+      });
+    } catch (error) {
+      console.error('[HESTIA] Error logging transfer request:', error);
+    }
+  }
+  
+  return {
+    state,
+    result: { success: true, reason, shouldTransfer: true },
+    fieldsExtracted: [],
+    needsSync: false,
+    shouldTransfer: true,
+    transferReason: reason,
+  };
+}
+
 // =============================================================================
 // HESTIA SYNC
 // =============================================================================
@@ -502,6 +787,12 @@ async function syncLeadToHestia(state, hestiaClient) {
             entrypoint: state.collectedData?.source?.entrypoint,
           },
         });
+        
+        // Record the dealer lock carried in from determineAttribution()
+        const attribution = state.collectedData?.source?.attribution;
+        if (attribution && isAttributionLocked(attribution)) {
+          await hestiaClient.logEvent(state.leadId, createLockAppliedEvent(state.callSid, attribution));
+        }
       }
     } else {
       // Update existing lead
@@ -511,6 +802,7 @@ async function syncLeadToHestia(state, hestiaClient) {
     
     // Check if lead is ready for prequalification
     // This triggers the deliverLeadIfNeeded cloud function
+    // (an ineligible lead is marked by the server when the call wraps up)
     if (state.leadId && isPrequalificationReady(state) && !state.prequalified) {
       await hestiaClient.setStatus(state.leadId, 'prequalified');
       state.prequalified = true;
@@ -523,6 +815,25 @@ async function syncLeadToHestia(state, hestiaClient) {
   }
 }
 
+/**
+ * Log the dealer a caller named (attribution_set) and, when it locked,
+ * attribution_lock_applied
+ */
+async function recordNamedDealer(state, hestiaClient, { logLock = true } = {}) {
+  const { dealer_context: dealerContext, source } = state.collectedData;
+
+  try {
+    await hestiaClient.logEvent(state.leadId, createNamedDealerEvent(state.callSid, dealerContext));
+
+    if (logLock && source.attribution.locked_dealer_id === dealerContext.matched_dealer_id &&
+        isAttributionLocked(source.attribution)) {
+      await hestiaClient.logEvent(state.leadId, createLockAppliedEvent(state.callSid, source.attribution));
+    }
+  } catch (error) {
+    console.error('[HESTIA] Error logging named dealer:', error);
+  }
+}
+
 // =============================================================================
 // BATCH PROCESSING
 // =============================================================================
@@ -535,6 +846,8 @@ export async function processToolCalls(toolCalls, state, context = {}) {
   let currentState = state;
   let allFieldsExtracted = [];
   let shouldEndCall = false;
+  let shouldTransfer = false;
+  let transferReason = null;
   let infoResponse = null;
   let shouldRepeatQuestion = false;
   let rejectedField = null;
@@ -572,6 +885,11 @@ export async function processToolCalls(toolCalls, state, context = {}) {
       shouldEndCall = true;
     }
     
+    if (result.shouldTransfer) {
+      shouldTransfer = true;
+      transferReason = result.transferReason;
+    }
+    
     // Capture info response from provide_info tool
     if (result.infoResponse) {
       infoResponse = result.infoResponse;
@@ -584,6 +902,8 @@ export async function processToolCalls(toolCalls, state, context = {}) {
     results,
     fieldsExtracted: allFieldsExtracted,
     shouldEndCall,
+    shouldTransfer,
+    transferReason,
     infoResponse,
     shouldRepeatQuestion,
     rejectedField,
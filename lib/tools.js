@@ -6,6 +6,7 @@
  */
 
 import { ENUMS } from '../config/enums.js';
+import { CORRECTABLE_FIELDS } from './corrections.js';
 
 // =============================================================================
 // UNIFIED EXTRACTION TOOL
@@ -24,6 +25,7 @@ IMPORTANT:
 - Extract ALL fields mentioned, even if the conversation hasn't asked for them yet
 - For yes/no confirmations, set confirmation: true/false
 - For corrections during confirmation, update the field with the new value
+- The caller can change an earlier answer at any time ("actually, my email is..."): extract the new value. If they don't give it yet ("go back to the ZIP"), set correct_field
 - Never fabricate data - only extract what was explicitly said
 - Convert spoken numbers to digits (e.g., "six fifty" → 650, "forty thousand" → 40000)`,
     parameters: {
@@ -35,6 +37,13 @@ IMPORTANT:
           description: 'If the user is responding to a confirmation question: true for yes/correct, false for no/incorrect',
         },
         
+        // Going back to an earlier answer
+        correct_field: {
+          type: 'string',
+          enum: CORRECTABLE_FIELDS,
+          description: 'An earlier answer the caller wants to change without giving the new value yet (e.g., "go back to the ZIP" → property_zip, "wait, my email is wrong" → email)',
+        },
+        
         // Consent
         contact_consent: {
           type: 'boolean',
@@ -108,6 +117,20 @@ IMPORTANT:
           description: 'Whether they\'ve had a recent bankruptcy. null if "prefer not to say"',
         },
         
+        // Dealer context (global calls only)
+        working_with_dealer: {
+          type: 'boolean',
+          description: 'Whether the caller is already working with a home dealer or sales lot',
+        },
+        dealer_name: {
+          type: 'string',
+          description: 'Name of the dealer the caller is working with, as spoken (e.g., "Clayton Homes", "Wayne Frier")',
+        },
+        dealer_city: {
+          type: 'string',
+          description: 'City the caller\'s dealer is in, as spoken (e.g., "Houma", "Live Oak")',
+        },
+        
         // Optional
         best_time_to_contact_raw: {
           type: 'string',
@@ -220,6 +243,28 @@ export const END_CALL_TOOL = {
   },
 };
 
+/**
+ * Tool for handing the caller to a live loan officer
+ */
+export const TRANSFER_TO_HUMAN_TOOL = {
+  type: 'function',
+  function: {
+    name: 'transfer_to_human',
+    description: 'Call this when the caller asks to speak with a real person or loan officer, or has a question you cannot answer. Do NOT call just because they are hesitant.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          enum: ['caller_requested', 'complex_question', 'frustrated', 'other'],
+          description: 'Why the caller is being transferred',
+        },
+      },
+      required: ['reason'],
+    },
+  },
+};
+
 // =============================================================================
 // TOOLS ARRAY
 // =============================================================================
@@ -233,6 +278,7 @@ export const TOOLS = [
   PROVIDE_INFO_TOOL,
   REQUEST_CLARIFICATION_TOOL,
   END_CALL_TOOL,
+  TRANSFER_TO_HUMAN_TOOL,
 ];
 
 // =============================================================================
@@ -257,6 +303,9 @@ export const EXTRACTION_TO_STATE_FIELD_MAP = {
   credit_raw: 'credit',               // Mapped to 'credit' - state machine handles raw→band
   monthly_income: 'monthly_income',
   has_recent_bankruptcy: 'has_recent_bankruptcy',
+  working_with_dealer: 'working_with_dealer',
+  dealer_name: 'dealer_name',         // Combined with dealer_city - matched against the dealer directory
+  dealer_city: 'dealer_name',
   best_time_to_contact_raw: 'best_time_to_contact',  // Mapped to 'best_time_to_contact' - state machine handles raw→band
   home_price: 'home_price',
   site_work: 'site_work',
@@ -282,6 +331,7 @@ export default {
   PROVIDE_INFO_TOOL,
   REQUEST_CLARIFICATION_TOOL,
   END_CALL_TOOL,
+  TRANSFER_TO_HUMAN_TOOL,
   EXTRACTION_TO_STATE_FIELD_MAP,
   getToolsForPhase,
 };
@@ -0,0 +1,226 @@
+/**
+ * Warm Transfer to a Loan Officer
+ *
+ * Flow:
+ * 1. transfer_to_human tool (or DTMF "0") logs voice_transfer_requested
+ * 2. The server ends the ConversationRelay session with handoffData from
+ *    buildTransferHandoff()
+ * 3. Twilio requests the <Connect action> URL, which dials TRANSFER_NUMBERS;
+ *    whoever answers first hears buildTransferSummary() as a whisper
+ * 4. The <Dial action> URL gets DialCallStatus: a connected call logs
+ *    voice_transfer_completed, anything else logs voice_transfer_failed and
+ *    schedules a callback in the caller's best_time_to_contact window
+ */
+
+import { formatEnumForSpeech, normalizeToE164 } from '../config/enums.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * handoffData.reason_code for a transfer (other session ends just hang up)
+ */
+export const TRANSFER_HANDOFF_REASON = 'transfer_to_human';
+
+/**
+ * DialCallStatus values that mean a loan officer picked up
+ */
+export const CONNECTED_DIAL_STATUSES = ['completed', 'answered'];
+
+/**
+ * Local hour a callback is scheduled for in each part of the day
+ */
+export const CALLBACK_HOURS = {
+  morning: 9,
+  afternoon: 13,
+  evening: 17,
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Parse TRANSFER_NUMBERS (comma separated) into E.164 numbers
+ *
+ * @param {string} value - e.g. "+18005550100, (800) 555-0101"
+ * @returns {string[]}
+ */
+export function parseTransferNumbers(value) {
+  return String(value || '')
+    .split(',')
+    .map(number => normalizeToE164(number.trim()))
+    .filter(Boolean);
+}
+
+// =============================================================================
+// HANDOFF
+// =============================================================================
+
+/**
+ * Build the whisper a loan officer hears before the caller is connected
+ *
+ * @param {object} state - Session state
+ * @param {string} reason - Why the caller is being transferred
+ * @returns {string}
+ */
+export function buildTransferSummary(state, reason = null) {
+  const { applicant, home_and_site: home, financial_snapshot: financial } = state.collectedData;
+  const parts = ['Transfer from the T L C voice assistant.'];
+
+  parts.push(applicant.full_name ? `Caller is ${applicant.full_name}.` : 'Caller has not given a name yet.');
+
+  const location = [home.property_state, home.property_zip].filter(Boolean).join(' ');
+  if (home.home_type || location) {
+    const homeType = home.home_type ? `a ${formatEnumForSpeech('home_type', home.home_type)}` : 'a home';
+    parts.push(`Looking for ${homeType}${location ? ` in ${location}` : ''}.`);
+  }
+  if (home.land_status) {
+    parts.push(`Land: ${formatEnumForSpeech('land_status', home.land_status)}.`);
+  }
+  if (home.timeline) {
+    parts.push(`Timeline: ${formatEnumForSpeech('timeline', home.timeline)}.`);
+  }
+  if (financial.credit_band_self_reported) {
+    parts.push(`Credit: ${formatEnumForSpeech('credit_band_self_reported', financial.credit_band_self_reported)}.`);
+  }
+  if (reason) {
+    parts.push(`Reason for transfer: ${String(reason).replace(/_/g, ' ')}.`);
+  }
+  if (state.language === 'es') {
+    parts.push('Caller is speaking Spanish.');
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Build the handoffData sent with the ConversationRelay `end` message
+ *
+ * @param {object} state - Session state
+ * @param {string} reason - transfer_to_human reason (e.g. caller_requested, dtmf)
+ * @returns {object} - Serialize with JSON.stringify() before sending
+ */
+export function buildTransferHandoff(state, reason) {
+  const name = state.collectedData.applicant.full_name;
+
+  return {
+    reason_code: TRANSFER_HANDOFF_REASON,
+    transfer_reason: reason,
+    call_sid: state.callSid,
+    lead_id: state.leadId || null,
+    first_name: name ? name.split(' ')[0] : null,
+    best_time_to_contact: state.collectedData.applicant.best_time_to_contact || null,
+    language: state.language || 'en',
+    summary: buildTransferSummary(state, reason),
+  };
+}
+
+/**
+ * Parse the HandoffData parameter from the <Connect action> request
+ *
+ * @param {string} raw - HandoffData form value
+ * @returns {object|null} - Handoff object, or null if absent/invalid
+ */
+export function parseHandoffData(raw) {
+  if (!raw) return null;
+
+  try {
+    const handoff = JSON.parse(raw);
+    return handoff && typeof handoff === 'object' ? handoff : null;
+  } catch {
+    console.warn('[TRANSFER] Ignoring invalid HandoffData');
+    return null;
+  }
+}
+
+// =============================================================================
+// OUTCOMES
+// =============================================================================
+
+/**
+ * Whether a DialCallStatus means the transfer connected
+ */
+export function isTransferConnected(dialCallStatus) {
+  return CONNECTED_DIAL_STATUSES.includes(dialCallStatus);
+}
+
+/**
+ * Pick the next callback time in a best_time_to_contact window
+ *
+ * Uses the server's local time. "anytime" (or no preference) means an hour
+ * from now.
+ *
+ * @param {string} bestTime - best_time_to_contact band (e.g. "tuesday_evening", "weekend")
+ * @param {Date} now
+ * @returns {string} - ISO timestamp for human.next_follow_up_at
+ */
+export function getCallbackTime(bestTime, now = new Date()) {
+  const band = String(bestTime || 'anytime').trim().toLowerCase().replace(/\s+/g, '_');
+  if (band === 'anytime') {
+    return new Date(now.getTime() + 60 * 60 * 1000).toISOString();
+  }
+
+  const [day, part] = CALLBACK_HOURS[band] ? [null, band] : band.split('_');
+  const hour = CALLBACK_HOURS[part] ?? CALLBACK_HOURS.morning;
+
+  const matchesDay = (dayOfWeek) => {
+    if (!day) return true;
+    if (day === 'weekday') return dayOfWeek >= 1 && dayOfWeek <= 5;
+    if (day === 'weekend') return dayOfWeek === 0 || dayOfWeek === 6;
+    return WEEKDAYS[dayOfWeek] === day;
+  };
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidate = new Date(now);
+    candidate.setDate(candidate.getDate() + offset);
+    candidate.setHours(hour, 0, 0, 0);
+
+    if (candidate > now && matchesDay(candidate.getDay())) {
+      return candidate.toISOString();
+    }
+  }
+
+  return new Date(now.getTime() + 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * What the caller hears when no loan officer picks up
+ *
+ * @param {object} handoff - Handoff from buildTransferHandoff()
+ * @returns {string}
+ */
+export function buildCallbackMessage(handoff) {
+  const name = handoff?.first_name ? `, ${handoff.first_name}` : '';
+  
+  if (handoff?.language === 'es') {
+    return buildSpanishCallbackMessage(handoff, name);
+  }
+
+  if (!handoff?.lead_id) {
+    return `Sorry${name}, all of our loan officers are busy right now. Please give us a call back a little later. Take care!`;
+  }
+
+  const window = handoff.best_time_to_contact
+    ? formatEnumForSpeech('best_time_to_contact', handoff.best_time_to_contact)
+    : 'as soon as one is free';
+
+  return `Sorry${name}, all of our loan officers are busy right now. I've got your information, and one will call you back ${window}. Take care!`;
+}
+
+function buildSpanishCallbackMessage(handoff, name) {
+  const busy = `Lo siento${name}, todos nuestros asesores de préstamos están ocupados en este momento.`;
+
+  if (!handoff.lead_id) {
+    return `${busy} Por favor llámenos un poco más tarde. ¡Cuídese!`;
+  }
+
+  const window = handoff.best_time_to_contact
+    ? formatEnumForSpeech('best_time_to_contact', handoff.best_time_to_contact, 'es')
+    : 'en cuanto uno esté disponible';
+
+  return `${busy} Ya tengo su información, y uno le llamará ${window}. ¡Cuídese!`;
+}
@@ -0,0 +1,71 @@
+/**
+ * TwiML Helpers
+ *
+ * Small builders for the TwiML the server returns outside of the
+ * ConversationRelay session (transfers, whispers, fallbacks).
+ */
+
+/**
+ * Escape a value for TwiML text or attributes
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Speak a message, then hang up (or end without hanging up for whispers)
+ *
+ * @param {string} message - Text to say
+ * @param {object} options
+ * @param {boolean} options.hangup - Append <Hangup/> (default true)
+ * @param {string} options.language - <Say> language (e.g. es-US)
+ * @returns {string}
+ */
+export function buildSayTwiml(message, { hangup = true, language = null } = {}) {
+  const languageAttribute = language ? ` language="${escapeXml(language)}"` : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Say${languageAttribute}>${escapeXml(message)}</Say>${hangup ? "\n  <Hangup/>" : ""}
+</Response>`;
+}
+
+/**
+ * End the call
+ */
+export function buildHangupTwiml() {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Hangup/>
+</Response>`;
+}
+
+/**
+ * Dial one or more numbers at once; the first to answer hears the whisper
+ *
+ * @param {object} options
+ * @param {string[]} options.numbers - E.164 numbers rung simultaneously
+ * @param {number} options.timeoutSeconds - Ring time before the action URL runs
+ * @param {string} options.actionUrl - Receives DialCallStatus when the dial ends
+ * @param {string} options.whisperUrl - TwiML played to the answering party
+ * @param {string} options.callerId - Caller ID shown to the answering party
+ * @param {string} options.message - Said to the caller before dialing
+ * @returns {string}
+ */
+export function buildDialTwiml({ numbers, timeoutSeconds = 20, actionUrl, whisperUrl, callerId = null, message = null }) {
+  const say = message ? `\n  <Say>${escapeXml(message)}</Say>` : "";
+  const callerIdAttribute = callerId ? ` callerId="${escapeXml(callerId)}"` : "";
+  const numberElements = numbers
+    .map(number => `\n    <Number url="${escapeXml(whisperUrl)}">${escapeXml(number)}</Number>`)
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>${say}
+  <Dial timeout="${timeoutSeconds}" action="${escapeXml(actionUrl)}"${callerIdAttribute}>${numberElements}
+  </Dial>
+</Response>`;
+}
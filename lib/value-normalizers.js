@@ -420,9 +420,10 @@ export function parseNumericValue(value) {
  * 
  * @param {number} value - Numeric value
  * @param {string} type - Type of value: 'currency', 'credit', 'plain'
+ * @param {string} language - 'en' (default) or 'es'
  * @returns {string} - Formatted string for speech
  */
-export function formatValueForSpeech(value, type = 'plain') {
+export function formatValueForSpeech(value, type = 'plain', language = 'en') {
   if (value === null || value === undefined) {
     return '';
   }
@@ -432,6 +433,10 @@ export function formatValueForSpeech(value, type = 'plain') {
     return String(value);
   }
   
+  if (language === 'es') {
+    return formatSpanishValueForSpeech(num, type);
+  }
+  
   // Format based on type
   switch (type) {
     case 'currency':
@@ -521,6 +526,88 @@ function numberToWords(num) {
   return num.toString();
 }
 
+// =============================================================================
+// SPANISH
+// =============================================================================
+
+/**
+ * Format a numeric value for Spanish speech
+ * Examples: 40000 currency -> "cuarenta mil dólares", 650 credit -> "seiscientos cincuenta"
+ */
+function formatSpanishValueForSpeech(num, type) {
+  const rounded = Math.round(num);
+  
+  switch (type) {
+    case 'currency':
+      // "uno" shortens before a noun: "veintiún mil dólares", "treinta y un dólares"
+      // Whole millions take "de": "un millón de dólares"
+      return `${apocopate(numberToSpanishWords(rounded))}${rounded >= 1000000 && rounded % 1000000 === 0 ? ' de' : ''} dólares`;
+    case 'credit':
+      return numberToSpanishWords(rounded);
+    default:
+      return num.toLocaleString('es-US');
+  }
+}
+
+/**
+ * Convert a whole number to Spanish words (up to the millions)
+ */
+export function numberToSpanishWords(num) {
+  if (num === 0) return 'cero';
+  
+  const millions = Math.floor(num / 1000000);
+  const thousands = Math.floor(num / 1000) % 1000;
+  const remainder = num % 1000;
+  const parts = [];
+  
+  if (millions > 0) {
+    parts.push(millions === 1 ? 'un millón' : `${apocopate(spanishBelowThousand(millions))} millones`);
+  }
+  if (thousands > 0) {
+    parts.push(thousands === 1 ? 'mil' : `${apocopate(spanishBelowThousand(thousands))} mil`);
+  }
+  if (remainder > 0) {
+    parts.push(spanishBelowThousand(remainder));
+  }
+  
+  return parts.join(' ');
+}
+
+/**
+ * 1-999 in Spanish words
+ */
+function spanishBelowThousand(num) {
+  const units = ['', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+                 'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete',
+                 'dieciocho', 'diecinueve', 'veinte', 'veintiuno', 'veintidós', 'veintitrés',
+                 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'];
+  const tens = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+  const hundreds = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos',
+                    'seiscientos', 'setecientos', 'ochocientos', 'novecientos'];
+  
+  if (num === 100) return 'cien';
+  
+  const h = Math.floor(num / 100);
+  const r = num % 100;
+  const parts = h > 0 ? [hundreds[h]] : [];
+  
+  if (r > 0 && r < 30) {
+    parts.push(units[r]);
+  } else if (r >= 30) {
+    const o = r % 10;
+    parts.push(o === 0 ? tens[Math.floor(r / 10)] : `${tens[Math.floor(r / 10)]} y ${units[o]}`);
+  }
+  
+  return parts.join(' ');
+}
+
+/**
+ * "uno" before a noun becomes "un" ("veintiún mil", "treinta y un dólares")
+ */
+function apocopate(words) {
+  return words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -532,4 +619,5 @@ export default {
   computeBestTimeToContactBand,
   parseNumericValue,
   formatValueForSpeech,
+  numberToSpanishWords,
 };
@@ -0,0 +1,88 @@
+/**
+ * ZIP Code Lookup
+ *
+ * Looks the caller's property ZIP up in the local US ZIP reference
+ * (firebase/scripts/data/reference/us_zipcodes.json, generated from GeoNames
+ * by firebase/scripts/convert-geonames-to-json.js - see DATA_ATTRIBUTION.md),
+ * so the state, city and county come from the ZIP instead of another question.
+ *
+ * The reference file is generated, not checked in. Without it every lookup
+ * returns null and the agent asks for the state as before.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DEFAULT_ZIPCODES_PATH = fileURLToPath(
+  new URL('../firebase/scripts/data/reference/us_zipcodes.json', import.meta.url)
+);
+
+let cachedDirectory;
+
+// =============================================================================
+// DIRECTORY
+// =============================================================================
+
+/**
+ * Load the ZIP reference: { [zip]: { zip, city, state, county, lat, lng } }
+ *
+ * @param {object} options
+ * @param {string} options.path - us_zipcodes.json
+ * @returns {Map<string, object>|null} - null when the reference isn't there
+ */
+export function loadZipDirectory({ path = DEFAULT_ZIPCODES_PATH } = {}) {
+  if (!existsSync(path)) {
+    console.warn(`[ZIP] ZIP reference not found: ${path} (asking callers for the state)`);
+    return null;
+  }
+
+  const zipcodes = JSON.parse(readFileSync(path, 'utf8'));
+  console.log(`[ZIP] Loaded ${Object.keys(zipcodes).length} ZIP codes`);
+  return new Map(Object.entries(zipcodes));
+}
+
+function getDefaultDirectory() {
+  if (cachedDirectory === undefined) {
+    cachedDirectory = loadZipDirectory();
+  }
+  return cachedDirectory;
+}
+
+/**
+ * Whether ZIPs can be checked at all (an unknown ZIP only means something
+ * when the reference is loaded)
+ *
+ * @param {object} options
+ * @param {Map|null} options.directory - From loadZipDirectory() (defaults to the reference file)
+ */
+export function hasZipDirectory({ directory = getDefaultDirectory() } = {}) {
+  return Boolean(directory && directory.size > 0);
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Find where a ZIP code is
+ *
+ * @param {string} zip - Five-digit ZIP
+ * @param {object} options
+ * @param {Map|null} options.directory - From loadZipDirectory() (defaults to the reference file)
+ * @returns {{zip, city, state, county}|null} - null for unknown ZIPs or no reference
+ */
+export function lookupZip(zip, { directory = getDefaultDirectory() } = {}) {
+  const entry = directory?.get(String(zip || ''));
+  if (!entry) return null;
+
+  return {
+    zip: entry.zip,
+    city: entry.city || null,
+    state: entry.state || null,
+    county: entry.county || null,
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * Call Simulator Scenarios
+ *
+ * A scenario is a YAML or JSON file describing one call:
+ *
+ *   name: Caller gives ZIP on the keypad
+ *   setup:
+ *     from: "+13145551234"
+ *     to: "+18005551234"            # dealer tracking number, or the TLC line
+ *     customParameters: { ref: "dealer123" }
+ *   steps:
+ *     - prompt: "Yes, that's fine"
+ *       expect: "name"               # reply must contain this (case-insensitive)
+ *     - prompt: "Dana Reed"
+ *       llm: { extract: { full_name: Dana Reed } }   # stub LLM response (--start)
+ *     - dtmf: "63110#"               # one dtmf message per key
+ *     - interrupt: "No wait"         # utteranceUntilInterrupt; no reply expected
+ *     - pause: 500                   # milliseconds
+ *   expect:
+ *     lead:                          # dotted paths on the lead in the mock client
+ *       status: collecting
+ *       applicant.full_name: Dana Reed
+ *
+ * `expect: { lead: null }` asserts that no lead was created. Steps wait for
+ * the agent's reply (a `last: true` text token) unless `reply: false`.
+ * Prompts without `llm` are answered by rule-based extraction when the
+ * server runs the stub provider.
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parse as parseYaml } from 'yaml';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const STEP_TYPES = ['prompt', 'dtmf', 'interrupt', 'pause'];
+
+// Steps that get a reply from the agent unless the scenario says otherwise
+const REPLYING_STEP_TYPES = ['prompt', 'dtmf'];
+
+const DEFAULT_SETUP = {
+  from: '+15555550100',
+  to: '+18005550000',
+  direction: 'inbound',
+  customParameters: {},
+};
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Read a scenario file (.yaml, .yml or .json)
+ */
+export function loadScenario(path) {
+  const text = readFileSync(path, 'utf8');
+  const format = ['.yaml', '.yml'].includes(extname(path).toLowerCase()) ? 'yaml' : 'json';
+  return parseScenario(text, format);
+}
+
+/**
+ * Parse and normalize a scenario
+ *
+ * @param {string} text - File contents
+ * @param {'yaml'|'json'} format
+ * @returns {{name: string, setup: object, steps: object[], expect: object}}
+ */
+export function parseScenario(text, format = 'json') {
+  const raw = format === 'yaml' ? parseYaml(text) : JSON.parse(text);
+
+  if (!raw || !Array.isArray(raw.steps)) {
+    throw new Error('Scenario needs a "steps" list');
+  }
+
+  return {
+    name: raw.name || 'Unnamed scenario',
+    setup: { ...DEFAULT_SETUP, ...(raw.setup || {}) },
+    steps: raw.steps.map(normalizeStep),
+    expect: raw.expect || {},
+  };
+}
+
+/**
+ * { prompt: "yes" } → { type: 'prompt', value: 'yes', reply: true, expect: null }
+ */
+function normalizeStep(step, index) {
+  const type = STEP_TYPES.find(stepType => step && stepType in step);
+  if (!type) {
+    throw new Error(`Step ${index + 1} needs one of: ${STEP_TYPES.join(', ')}`);
+  }
+
+  return {
+    type,
+    value: type === 'pause' ? Number(step.pause) : String(step[type]),
+    reply: step.reply ?? REPLYING_STEP_TYPES.includes(type),
+    expect: step.expect ?? null,
+    llm: step.llm ?? null,
+  };
+}
+
+/**
+ * Stub provider script: one response per prompt, in order (null → rules)
+ */
+export function buildStubScript(scenario) {
+  return scenario.steps
+    .filter(step => step.type === 'prompt')
+    .map(step => step.llm);
+}
+
+// =============================================================================
+// MESSAGES
+// =============================================================================
+
+/**
+ * The ConversationRelay `setup` message that starts the call
+ */
+export function buildSetupMessage(scenario, callSid) {
+  const { from, to, direction, customParameters } = scenario.setup;
+
+  return {
+    type: 'setup',
+    sessionId: `VX_${callSid}`,
+    callSid,
+    from,
+    to,
+    direction,
+    customParameters,
+  };
+}
+
+/**
+ * ConversationRelay messages for one step (a dtmf step is one per key)
+ */
+export function buildStepMessages(step) {
+  switch (step.type) {
+    case 'prompt':
+      return [{ type: 'prompt', voicePrompt: step.value, lang: 'en-US', last: true }];
+    case 'dtmf':
+      return [...step.value].map(digit => ({ type: 'dtmf', digit }));
+    case 'interrupt':
+      return [{ type: 'interrupt', utteranceUntilInterrupt: step.value, durationUntilInterruptMs: 1000 }];
+    default:
+      return [];
+  }
+}
+
+// =============================================================================
+// ASSERTIONS
+// =============================================================================
+
+/**
+ * Whether a reply satisfies a step's `expect`
+ */
+export function replyMatches(reply, expected) {
+  if (expected === null || expected === undefined) return true;
+  return String(reply).toLowerCase().includes(String(expected).toLowerCase());
+}
+
+/**
+ * The call's lead among the mock client's leads
+ */
+export function findCallLead(leads, callSid) {
+  return leads.find(lead => lead.source?.session_id === callSid || lead._idempotency_key === `voice_${callSid}`) || null;
+}
+
+export function getPath(object, path) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Compare the final lead with the scenario's `expect.lead`
+ *
+ * @returns {string[]} - One message per mismatch (empty if it passed)
+ */
+export function checkLeadExpectations(lead, expected) {
+  if (expected === undefined) return [];
+
+  if (expected === null) {
+    return lead ? [`Expected no lead, got ${lead.lead_id}`] : [];
+  }
+  if (!lead) {
+    return ['Expected a lead, but none was created'];
+  }
+
+  return Object.entries(expected)
+    .filter(([path, value]) => JSON.stringify(getPath(lead, path)) !== JSON.stringify(value))
+    .map(([path, value]) => `lead.${path}: expected ${JSON.stringify(value)}, got ${JSON.stringify(getPath(lead, path))}`);
+}
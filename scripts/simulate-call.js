@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Text-Mode Call Simulator
+ *
+ * Plays a scenario file against the lead capture server's /ws endpoint the
+ * way ConversationRelay would (setup, then prompt/dtmf/interrupt messages),
+ * prints the agent's replies, and checks the final lead through the mock
+ * client's /debug/leads route. See scripts/lib/scenario.js for the format.
+ *
+ * Usage:
+ *   node scripts/simulate-call.js <scenario.yaml|json> [options]
+ *
+ * Options:
+ *   --url <url>        Server to call (default http://localhost:$PORT or 8080)
+ *   --start            Start server-lead-capture.js with the stub LLM (playing
+ *                      the steps' `llm` responses) and the mock Hestia client,
+ *                      and stop it afterwards
+ *   --timeout <ms>     How long to wait for each reply (default 10000)
+ *
+ * Exits 1 if a reply or the lead doesn't match the scenario.
+ */
+
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import {
+  loadScenario,
+  buildSetupMessage,
+  buildStepMessages,
+  buildStubScript,
+  replyMatches,
+  findCallLead,
+  checkLeadExpectations,
+} from './lib/scenario.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../server-lead-capture.js', import.meta.url));
+const DEFAULT_REPLY_TIMEOUT_MS = 10000;
+const SERVER_START_TIMEOUT_MS = 15000;
+
+// =============================================================================
+// ARGUMENTS
+// =============================================================================
+
+function parseArgs(argv) {
+  const options = {
+    scenarioPath: null,
+    url: `http://localhost:${process.env.PORT || 8080}`,
+    start: false,
+    timeoutMs: DEFAULT_REPLY_TIMEOUT_MS,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') options.url = argv[++i];
+    else if (arg === '--start') options.start = true;
+    else if (arg === '--timeout') options.timeoutMs = parseInt(argv[++i], 10);
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else options.scenarioPath = arg;
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`Usage:
+  node scripts/simulate-call.js <scenario.yaml|json> [--url http://localhost:8080] [--start] [--timeout 10000]
+
+Examples:
+  node scripts/simulate-call.js scripts/scenarios/keypad-zip.yaml --start
+  npm run simulate -- scripts/scenarios/do-not-contact.json --url http://localhost:8081
+`);
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+/**
+ * Start a local server with no external dependencies: stub LLM, mock
+ * Hestia client, in-memory sessions
+ *
+ * @returns {Promise<{stop: Function}>}
+ */
+async function startServer(url, scenario) {
+  const { port } = new URL(url);
+  const scriptDir = mkdtempSync(join(tmpdir(), 'tlc-sim-'));
+  const scriptPath = join(scriptDir, 'llm-script.json');
+  writeFileSync(scriptPath, JSON.stringify(buildStubScript(scenario)));
+
+  const server = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      PORT: port || '8080',
+      LLM_PROVIDER: process.env.LLM_PROVIDER || 'stub',
+      LLM_STUB_SCRIPT: scriptPath,
+      HESTIA_MODE: 'mock',
+      SESSION_STORE: 'memory',
+    },
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+  const stop = () => {
+    server.kill();
+    rmSync(scriptDir, { recursive: true, force: true });
+  };
+
+  const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) {
+      stop();
+      throw new Error(`Server exited with code ${server.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) return { stop };
+    } catch {
+      // Not listening yet
+    }
+    await sleep(250);
+  }
+
+  stop();
+  throw new Error(`Server did not start within ${SERVER_START_TIMEOUT_MS}ms`);
+}
+
+// =============================================================================
+// CALL
+// =============================================================================
+
+/**
+ * Collects the agent's text tokens; nextReply() resolves with the text up
+ * to the next `last: true` token
+ */
+function createReplyReader(ws) {
+  let buffer = '';
+  const replies = [];
+  const waiting = [];
+  let ended = false;
+
+  const deliver = (reply) => {
+    if (waiting.length > 0) waiting.shift()(reply);
+    else replies.push(reply);
+  };
+
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+
+    if (message.type === 'text') {
+      buffer += (buffer && !buffer.endsWith(' ') ? ' ' : '') + message.token;
+      if (message.last) {
+        deliver(buffer.trim());
+        buffer = '';
+      }
+    } else if (message.type === 'language') {
+      console.log(`   🌐 [language → ${message.ttsLanguage}]`);
+    } else if (message.type === 'end') {
+      ended = true;
+      console.log(`   📴 [agent ended the call${message.handoffData ? ': handoff' : ''}]`);
+    }
+  });
+
+  return {
+    get ended() {
+      return ended;
+    },
+    nextReply(timeoutMs) {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(onReply), 1);
+          resolve(null);
+        }, timeoutMs);
+        const onReply = (reply) => {
+          clearTimeout(timer);
+          resolve(reply);
+        };
+        waiting.push(onReply);
+      });
+    },
+  };
+}
+
+function describeStep(step) {
+  switch (step.type) {
+    case 'prompt': return `🗣️  Caller: ${step.value}`;
+    case 'dtmf': return `🔢 Caller presses: ${step.value}`;
+    case 'interrupt': return `✋ Caller interrupts: ${step.value}`;
+    default: return `⏸️  Pause ${step.value}ms`;
+  }
+}
+
+/**
+ * Play the scenario over one WebSocket
+ *
+ * @returns {Promise<string[]>} - Failures
+ */
+async function runCall(scenario, callSid, { url, timeoutMs }) {
+  const failures = [];
+  const ws = new WebSocket(`${url.replace(/^http/, 'ws')}/ws`);
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  const replies = createReplyReader(ws);
+  const send = (message) => ws.send(JSON.stringify(message));
+
+  send(buildSetupMessage(scenario, callSid));
+  console.log(`   🤖 Agent:  ${await replies.nextReply(timeoutMs) ?? '(no greeting)'}`);
+
+  for (const [i, step] of scenario.steps.entries()) {
+    console.log(describeStep(step));
+
+    if (step.type === 'pause') {
+      await sleep(step.value);
+      continue;
+    }
+    buildStepMessages(step).forEach(send);
+
+    if (!step.reply) continue;
+
+    const reply = await replies.nextReply(timeoutMs);
+    console.log(`   🤖 Agent:  ${reply ?? '(no reply)'}`);
+
+    if (reply === null) {
+      failures.push(`Step ${i + 1}: no reply within ${timeoutMs}ms`);
+    } else if (!replyMatches(reply, step.expect)) {
+      failures.push(`Step ${i + 1}: expected the reply to contain ${JSON.stringify(step.expect)}`);
+    }
+    if (replies.ended) break;
+  }
+
+  // Closing the socket runs the server's end-of-call handling (events, sync)
+  ws.close();
+  await sleep(500);
+
+  return failures;
+}
+
+async function fetchCallLead(url, callSid) {
+  const response = await fetch(`${url}/debug/leads`);
+  const { leads, error } = await response.json();
+  if (error) {
+    throw new Error(`/debug/leads: ${error} (run the server with HESTIA_MODE=mock)`);
+  }
+  return findCallLead(leads, callSid);
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.scenarioPath) {
+    showHelp();
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const scenario = loadScenario(options.scenarioPath);
+  const callSid = scenario.setup.callSid || `CA_SIM_${Date.now()}`;
+  const server = options.start ? await startServer(options.url, scenario) : null;
+
+  console.log('\n' + '═'.repeat(60));
+  console.log(`📞 ${scenario.name}`);
+  console.log(`   CallSid: ${callSid}   From: ${scenario.setup.from}   To: ${scenario.setup.to}`);
+  console.log('═'.repeat(60));
+
+  try {
+    const failures = await runCall(scenario, callSid, options);
+
+    const lead = await fetchCallLead(options.url, callSid);
+    console.log(`\n📋 Lead: ${lead ? `${lead.lead_id} (${lead.status})` : 'none'}`);
+    failures.push(...checkLeadExpectations(lead, scenario.expect.lead));
+
+    console.log('\n' + '─'.repeat(60));
+    if (failures.length > 0) {
+      failures.forEach(failure => console.log(`   ❌ ${failure}`));
+      process.exitCode = 1;
+    } else {
+      console.log('   ✅ Scenario passed');
+    }
+    console.log('─'.repeat(60) + '\n');
+  } finally {
+    server?.stop();
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+main().catch((error) => {
+  console.error('❌ Simulation failed:', error.message);
+  process.exit(1);
+});
@@ -8,7 +8,6 @@
 import Fastify from "fastify";
 import fastifyWs from "@fastify/websocket";
 import fastifyFormBody from "@fastify/formbody";
-import OpenAI from "openai";
 import dotenv from "dotenv";
 
 // Core modules
@@ -17,16 +16,50 @@ import {
   advancePhase, 
   handleInterruption as handleStateInterruption,
   getSessionSummary,
+  getConfirmedFields,
   setFieldValue,
   confirmField,
   PHASES,
 } from "./lib/state-machine.js";
 import { TOOLS } from "./lib/tools.js";
-import { processToolCalls } from "./lib/tool-executor.js";
+import { executeTool, processToolCalls } from "./lib/tool-executor.js";
 import { buildSystemPrompt, getWelcomeGreeting, getClosingMessage } from "./lib/prompts.js";
 import { ConversationController } from "./lib/conversation-controller.js";
-import { determineAttribution } from "./lib/attribution.js";
+import { determineAttribution, buildSessionMetadata, pickRelayParameters } from "./lib/attribution.js";
+import {
+  buildTransferHandoff,
+  buildCallbackMessage,
+  getCallbackTime,
+  isTransferConnected,
+  parseHandoffData,
+  parseTransferNumbers,
+  TRANSFER_HANDOFF_REASON,
+} from "./lib/transfer.js";
+import { findResumableLead, DEFAULT_RESUME_WINDOW_MS } from "./lib/session-resume.js";
+import { KeypadBuffer, buildKeypadToolCall, getKeypadMode, YES_NO_DIGITS } from "./lib/keypad.js";
+import {
+  extractWithRules,
+  buildRuleToolCall,
+  findExtractionAgreements,
+  findExtractionDisagreements,
+} from "./lib/rule-extractor.js";
+import { parseConfirmationStrategy } from "./lib/confirmation.js";
+import {
+  buildLanguageMessage,
+  detectLanguage,
+  getLanguage,
+  getLanguageMenu,
+  getPhrase,
+  isLanguageMenuChoice,
+  parseLanguage,
+  setLanguage,
+  LOCALE_CODES,
+} from "./lib/language.js";
+import { hasZipDirectory } from "./lib/zip-lookup.js";
+import { escapeXml, buildDialTwiml, buildHangupTwiml, buildSayTwiml } from "./lib/twiml.js";
 import { createHestiaClient } from "./api/hestia-client.js";
+import { createSessionStore } from "./api/session-store.js";
+import { createExtractionProvider, parsePhaseModels } from "./api/extraction-provider.js";
 import { 
   createTurnMetrics, 
   calculateTurnLatency, 
@@ -47,29 +80,75 @@ const HOST = process.env.HOST || "localhost";
 const DOMAIN = process.env.NGROK_URL || process.env.DOMAIN || "localhost:8080";
 const WS_URL = `wss://${DOMAIN}/ws`;
 
+// Extraction LLM: "openai" (any OpenAI-compatible API) or "stub" (scripted, offline)
+const LLM_PROVIDER = process.env.LLM_PROVIDER || "openai";
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || undefined;
 const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4.1-nano";
+const LLM_PHASE_MODELS = parsePhaseModels(process.env.LLM_PHASE_MODELS);
+const LLM_TOOL_CHOICE = process.env.LLM_TOOL_CHOICE || "required";
+const LLM_TEMPERATURE = parseFloat(process.env.LLM_TEMPERATURE || "0.3");
+const LLM_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS || "300", 10);
+const LLM_STUB_SCRIPT = process.env.LLM_STUB_SCRIPT || null;
 
-const WELCOME_GREETING = process.env.WELCOME_GREETING || 
-  "Hey there! This is TLC's virtual assistant - we help folks get financing for manufactured homes. Do you have a couple minutes to chat?";
+const WELCOME_GREETINGS = {
+  en: process.env.WELCOME_GREETING || getWelcomeGreeting("en"),
+  es: process.env.WELCOME_GREETING_ES || getWelcomeGreeting("es"),
+};
 
 const TTS_PROVIDER = process.env.TTS_PROVIDER || "google";
 const TTS_VOICE = process.env.TTS_VOICE || "en-US-Journey-F";
 const TTS_LANGUAGE = process.env.TTS_LANGUAGE || "en-US";
 const STT_PROVIDER = process.env.STT_PROVIDER || "deepgram";
 const STT_LANGUAGE = process.env.STT_LANGUAGE || "en-US";
+const TTS_VOICE_ES = process.env.TTS_VOICE_ES || "es-US-Neural2-A";
+
+// Spanish: "Para español, oprima dos" after the greeting (LANGUAGE_MENU=false to turn off)
+const LANGUAGE_MENU = process.env.LANGUAGE_MENU !== "false";
 
 const SPEECH_HINTS = process.env.SPEECH_HINTS || 
   "manufactured,modular,single wide,double wide,mobile home,HUD,septic,foundation,TLC,prequalified,prequalification";
 
 const HESTIA_MODE = process.env.HESTIA_MODE || "mock";
 
+// Extraction falls back to rules when the LLM hasn't finished in this long
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || "5000", 10);
+
+// Call state: "memory" (single instance) or "firestore" (shared across instances)
+const SESSION_STORE = process.env.SESSION_STORE || "memory";
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_SECONDS || "3600", 10) * 1000;
+
+// Warm transfer: loan officer numbers rung at once when a caller asks for a person
+const TRANSFER_NUMBERS = parseTransferNumbers(process.env.TRANSFER_NUMBERS);
+const TRANSFER_TIMEOUT_SECONDS = parseInt(process.env.TRANSFER_TIMEOUT_SECONDS || "20", 10);
+const TRANSFER_CALLER_ID = process.env.TRANSFER_CALLER_ID || null;
+
+// Callers whose lead is still collecting can resume within this window
+const RESUME_WINDOW_MS = process.env.RESUME_WINDOW_HOURS
+  ? parseFloat(process.env.RESUME_WINDOW_HOURS) * 60 * 60 * 1000
+  : DEFAULT_RESUME_WINDOW_MS;
+
+// Read-backs: "per_field", "grouped" (by phase) or "confident" (grouped, and
+// low-risk answers the rules agree with aren't read back)
+const CONFIRMATION_STRATEGY = parseConfirmationStrategy(process.env.CONFIRMATION_STRATEGY);
+
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
 
-const sessions = new Map();
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+const sessionStore = createSessionStore({ mode: SESSION_STORE, ttlMs: SESSION_TTL_MS });
+const extractionProvider = createExtractionProvider({
+  mode: LLM_PROVIDER,
+  apiKey: OPENAI_API_KEY,
+  baseURL: OPENAI_BASE_URL,
+  model: OPENAI_MODEL,
+  phaseModels: LLM_PHASE_MODELS,
+  toolChoice: LLM_TOOL_CHOICE,
+  temperature: LLM_TEMPERATURE,
+  maxTokens: LLM_MAX_TOKENS,
+  scriptPath: LLM_STUB_SCRIPT,
+  verbose: true,
+});
 const hestiaClient = createHestiaClient({ mode: HESTIA_MODE, verbose: true });
 const controller = new ConversationController();
 
@@ -79,8 +158,12 @@ const controller = new ConversationController();
 
 /**
  * Process a conversation turn using the deterministic controller
+ * 
+ * @param {object} options
+ * @param {object[]} options.toolCalls - Already-extracted tool calls (keypad
+ *   entry); skips the LLM
  */
-async function processConversationTurn(userMessage, state, ws, turnMetrics) {
+async function processConversationTurn(userMessage, state, ws, turnMetrics, { toolCalls = null } = {}) {
   // Initialize conversation history if needed
   if (!state.collectedData._conversationHistory) {
     state.collectedData._conversationHistory = [];
@@ -103,26 +186,55 @@ async function processConversationTurn(userMessage, state, ws, turnMetrics) {
   // Step 2: Call LLM to extract data from user message
   const systemPrompt = buildSystemPrompt(state, nextAction);
   
-  const extractionResult = await extractWithLLM(
-    systemPrompt, 
-    state.collectedData._conversationHistory,
-    turnMetrics
-  );
+  const extractionResult = toolCalls
+    ? { toolCalls, spokenText: "" }
+    : await extractWithLLM(
+        systemPrompt, 
+        state.collectedData._conversationHistory,
+        turnMetrics,
+        ws,
+        { phase: state.phase, action: nextAction }
+      );
+  
+  // Step 2b: Rule-based extraction - the fallback when the LLM failed, and a
+  // cross-check on the LLM otherwise
+  let ruleAgreements = [];
+  if (toolCalls) {
+    turnMetrics.extractionSource = "keypad";
+  } else {
+    const ruleArgs = extractWithRules(userMessage, nextAction);
+    
+    if (extractionResult.error) {
+      const ruleCall = buildRuleToolCall(ruleArgs);
+      extractionResult.toolCalls = ruleCall ? [ruleCall] : [];
+      turnMetrics.extractionSource = "rules";
+      turnMetrics.toolCalls = extractionResult.toolCalls.map(call => call.function.name);
+      console.log(`[RULES] LLM unavailable, extracted: ${JSON.stringify(ruleArgs)}`);
+    } else {
+      turnMetrics.extractionDisagreements = findExtractionDisagreements(extractionResult.toolCalls, ruleArgs);
+      if (turnMetrics.extractionDisagreements.length > 0) {
+        console.warn(`[RULES] LLM and rules disagree: ${JSON.stringify(turnMetrics.extractionDisagreements)}`);
+      }
+      ruleAgreements = findExtractionAgreements(extractionResult.toolCalls, ruleArgs);
+    }
+  }
   
   // Step 3: Process any tool calls (extractions)
   let infoResponse = null;
   let rejectedField = null;
+  let resumed = false;
   
   if (extractionResult.toolCalls && extractionResult.toolCalls.length > 0) {
     const toolResult = await processToolCalls(
       extractionResult.toolCalls,
       state,
-      { hestiaClient, pendingConfirmation, currentAction: nextAction }
+      { hestiaClient, pendingConfirmation, currentAction: nextAction, ruleAgreements }
     );
     
     state = toolResult.state;
     infoResponse = toolResult.infoResponse;
     rejectedField = toolResult.rejectedField;
+    resumed = toolResult.fieldsExtracted.some(f => f.action === 'resumed');
     
     // Track extracted fields
     turnMetrics.fieldsCollected = toolResult.fieldsExtracted.map(f => f.field);
@@ -130,7 +242,7 @@ async function processConversationTurn(userMessage, state, ws, turnMetrics) {
     // Handle end call
     if (toolResult.shouldEndCall) {
       const closingMessage = getClosingMessage(state);
-      sendMessage(ws, closingMessage, true);
+      sendMessage(ws, closingMessage, true, turnMetrics);
       
       setTimeout(() => {
         ws.send(JSON.stringify({ type: "end" }));
@@ -139,6 +251,12 @@ async function processConversationTurn(userMessage, state, ws, turnMetrics) {
       return { state, ended: true };
     }
     
+    // Handle transfer to a loan officer
+    if (toolResult.shouldTransfer) {
+      await startTransfer(ws, state, toolResult.transferReason, turnMetrics);
+      return { state, ended: true };
+    }
+    
     // Add tool results to conversation history
     state.collectedData._conversationHistory.push({
       role: "assistant",
@@ -160,12 +278,18 @@ async function processConversationTurn(userMessage, state, ws, turnMetrics) {
   
   // Step 5: Get the NEXT action after processing
   nextAction = controller.getNextAction(state);
+  if (nextAction.coverageNote) {
+    state.coverage.announced = true;
+  }
   
   // Step 6: Send the appropriate message(s)
   
   // 6a: If there's an info response (user asked a question), speak it first
+  // (usually already streamed to the caller while the LLM was generating it)
   if (infoResponse) {
-    sendMessage(ws, infoResponse, false);
+    if (!extractionResult.spokenText) {
+      sendMessage(ws, infoResponse, false, turnMetrics);
+    }
     
     // Add to conversation history
     state.collectedData._conversationHistory.push({
@@ -178,8 +302,8 @@ async function processConversationTurn(userMessage, state, ws, turnMetrics) {
   
   // 6b: If user rejected a confirmation, send an apology
   if (rejectedField) {
-    const apology = "Oh, sorry about that! Let me get that right.";
-    sendMessage(ws, apology, false);
+    const apology = getPhrase("apology", getLanguage(state));
+    sendMessage(ws, apology, false, turnMetrics);
     
     state.collectedData._conversationHistory.push({
       role: "assistant",
@@ -187,10 +311,21 @@ async function processConversationTurn(userMessage, state, ws, turnMetrics) {
     });
   }
   
-  // 6c: Handle completion
+  // 6c: A returning caller agreed to pick up where they left off
+  if (resumed) {
+    const bridge = getPhrase("resumeBridge", getLanguage(state));
+    sendMessage(ws, bridge, false, turnMetrics);
+    
+    state.collectedData._conversationHistory.push({
+      role: "assistant",
+      content: bridge,
+    });
+  }
+  
+  // 6d: Handle completion
   if (nextAction.type === 'complete') {
     // Prequalification complete!
-    sendMessage(ws, nextAction.message, true);
+    sendMessage(ws, nextAction.message, true, turnMetrics);
     
     // Mark prequalified and sync
     state.prequalified = true;
@@ -229,9 +364,20 @@ async function processConversationTurn(userMessage, state, ws, turnMetrics) {
     return { state, ended: true };
   }
   
-  // 6d: Handle end call
+  // 6e: Handle end call
   if (nextAction.type === 'end_call') {
-    sendMessage(ws, nextAction.message, true);
+    sendMessage(ws, nextAction.message, true, turnMetrics);
+    
+    if (nextAction.reason === 'ineligible') {
+      state.phase = PHASES.END_CALL;
+      if (hestiaClient && state.leadId) {
+        try {
+          await hestiaClient.setStatus(state.leadId, 'ineligible', nextAction.statusReason);
+        } catch (e) {
+          console.error('[HESTIA] Error marking lead ineligible:', e);
+        }
+      }
+    }
     
     setTimeout(() => {
       ws.send(JSON.stringify({ type: "end" }));
@@ -240,8 +386,8 @@ async function processConversationTurn(userMessage, state, ws, turnMetrics) {
     return { state, ended: true };
   }
   
-  // 6e: For 'confirm' or 'ask' actions, send the message
-  sendMessage(ws, nextAction.message, true);
+  // 6f: For 'confirm' or 'ask' actions, send the message
+  sendMessage(ws, nextAction.message, true, turnMetrics);
   
   // Track pending confirmation for next turn
   if (nextAction.type === 'confirm') {
@@ -263,63 +409,239 @@ async function processConversationTurn(userMessage, state, ws, turnMetrics) {
 }
 
 /**
- * Extract data from user message using LLM
+ * Extract data from user message using the extraction provider
+ * 
+ * Spoken text (assistant content and provide_info responses) goes to
+ * ConversationRelay with last:false as it streams in. The request is aborted
+ * after LLM_TIMEOUT_MS; errors and timeouts return `error` so the turn can
+ * fall back to rule-based extraction.
+ * 
+ * @param {object} context
+ * @param {string} context.phase - Selects the model (LLM_PHASE_MODELS)
+ * @param {object} context.action - Controller action being answered
  */
-async function extractWithLLM(systemPrompt, conversationHistory, turnMetrics) {
+async function extractWithLLM(systemPrompt, conversationHistory, turnMetrics, ws, { phase, action } = {}) {
   turnMetrics.llmRequestStartedAt = Date.now();
   
+  const abortController = new AbortController();
+  const timeout = setTimeout(() => abortController.abort(), LLM_TIMEOUT_MS);
+  
   try {
-    const response = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [
-        { role: "system", content: systemPrompt },
-        ...conversationHistory,
-      ],
+    const result = await extractionProvider.extract({
+      systemPrompt,
+      messages: conversationHistory,
       tools: TOOLS,
-      tool_choice: "required",  // Force LLM to always call a tool
-      temperature: 0.3,  // Slight temperature for more natural responses
-      max_tokens: 300,
+      phase,
+      action,
+      signal: abortController.signal,
+      turnMetrics,
+      onSpeech: (text) => sendMessage(ws, text, false, turnMetrics),
     });
     
-    turnMetrics.llmCompleteAt = Date.now();
-    turnMetrics.totalTokens = response.usage?.total_tokens || 0;
-    
-    const message = response.choices[0]?.message;
+    turnMetrics.toolCalls = result.toolCalls.map(call => call.function.name);
     
-    return {
-      content: message?.content || null,
-      toolCalls: message?.tool_calls || [],
-    };
+    return result;
   } catch (error) {
-    console.error("[LLM] Extraction error:", error);
+    const message = abortController.signal.aborted
+      ? `LLM timed out after ${LLM_TIMEOUT_MS}ms`
+      : error.message;
+    console.error("[LLM] Extraction error:", abortController.signal.aborted ? message : error);
     turnMetrics.llmCompleteAt = Date.now();
-    turnMetrics.error = error.message;
+    turnMetrics.error = message;
     
     return {
       content: null,
       toolCalls: [],
-      error: error.message,
+      spokenText: '',
+      error: message,
     };
+  } finally {
+    clearTimeout(timeout);
   }
 }
 
 /**
  * Send a text message to the WebSocket
+ * The first token of a turn marks when the caller starts hearing audio
+ * 
+ * @param {string} lang - Speak this token in another language (e.g. es-US)
  */
-function sendMessage(ws, text, isLast = false) {
+function sendMessage(ws, text, isLast = false, turnMetrics = null, lang = null) {
+  if (turnMetrics && !turnMetrics.firstTokenSentAt) {
+    turnMetrics.firstTokenSentAt = Date.now();
+  }
+  
   ws.send(JSON.stringify({
     type: "text",
     token: text,
     last: isLast,
+    ...(lang && { lang }),
   }));
 }
 
+// =============================================================================
+// LANGUAGE
+// =============================================================================
+
+/**
+ * Switch the call's language: state, then ConversationRelay TTS/STT
+ * 
+ * @returns {boolean} - Whether the language changed
+ */
+function switchLanguage(ws, state, language, source) {
+  if (!setLanguage(state, language, source)) return false;
+  
+  ws.send(JSON.stringify(buildLanguageMessage(language)));
+  return true;
+}
+
+/**
+ * Greet a new caller in the call's language, offering the other one
+ */
+function sendGreeting(ws, state) {
+  const language = getLanguage(state);
+  
+  if (!LANGUAGE_MENU) {
+    sendMessage(ws, WELCOME_GREETINGS[language], true);
+    return;
+  }
+  
+  const menu = getLanguageMenu(language);
+  sendMessage(ws, WELCOME_GREETINGS[language], false);
+  sendMessage(ws, ` ${menu.prompt}`, true, null, menu.locale);
+}
+
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+/**
+ * Get the socket's session, loading it from the store on first use
+ * 
+ * Handlers on one socket share ws.session so concurrent messages (a prompt
+ * and an interrupt) don't overwrite each other's changes; the store makes it
+ * available to other instances and to a reconnecting socket.
+ */
+async function loadSession(ws) {
+  if (!ws.session && ws.callSid) {
+    ws.session = await sessionStore.get(ws.callSid);
+  }
+  return ws.session;
+}
+
+/**
+ * Persist the socket's session (refreshes its TTL)
+ */
+async function saveSession(ws) {
+  if (ws.session) {
+    await sessionStore.set(ws.callSid, ws.session);
+  }
+}
+
+// =============================================================================
+// KEYPAD ENTRY
+// =============================================================================
+
+/**
+ * Run a completed keypad entry as a conversation turn
+ * 
+ * The digits become the extract_fields call the LLM would have made for the
+ * current question, so they are validated like a spoken answer.
+ */
+async function handleKeypadEntry(ws, digits) {
+  const sessionData = await loadSession(ws);
+  if (!sessionData?.state || sessionData.ended) return;
+  
+  const action = controller.getNextAction(sessionData.state);
+  const toolCall = buildKeypadToolCall(action, digits);
+  if (!toolCall) {
+    console.log(`[DTMF] Ignoring "${digits}" (${action.type} ${action.field || ""})`);
+    return;
+  }
+  console.log(`[DTMF] Keypad entry for ${action.field}: ${digits}`);
+  
+  const turnMetrics = createTurnMetrics();
+  turnMetrics.promptReceivedAt = Date.now();
+  turnMetrics.userInput = `[keypad] ${digits}`;
+  
+  const { state: newState, ended } = await processConversationTurn(
+    turnMetrics.userInput,
+    sessionData.state,
+    ws,
+    turnMetrics,
+    { toolCalls: [toolCall] }
+  );
+  
+  sessionData.state = newState;
+  sessionData.ended = sessionData.ended || ended;
+  sessionData.metrics.turns.push(turnMetrics);
+  await saveSession(ws);
+}
+
+// =============================================================================
+// WARM TRANSFER
+// =============================================================================
+
+/**
+ * Hand the caller to a loan officer
+ * 
+ * Ends the ConversationRelay session with handoffData; Twilio then requests
+ * /connect-action, which dials the loan officer queue. With no
+ * TRANSFER_NUMBERS configured, a callback is scheduled instead.
+ */
+async function startTransfer(ws, state, reason, turnMetrics = null) {
+  const handoff = buildTransferHandoff(state, reason);
+  
+  if (TRANSFER_NUMBERS.length === 0) {
+    console.warn("[TRANSFER] No TRANSFER_NUMBERS configured - scheduling a callback");
+    await recordTransferFailure(handoff, "not_configured");
+    sendMessage(ws, buildCallbackMessage(handoff), true, turnMetrics);
+    setTimeout(() => ws.send(JSON.stringify({ type: "end" })), 5000);
+    return;
+  }
+  
+  console.log(`[TRANSFER] ${state.callSid} -> loan officer (${reason})`);
+  state.transferHandoff = handoff;   // Kept with the session for the whisper and dial status
+  sendMessage(ws, getPhrase("transferring", getLanguage(state)), true, turnMetrics);
+  
+  setTimeout(() => {
+    ws.send(JSON.stringify({ type: "end", handoffData: JSON.stringify(handoff) }));
+  }, 4000);
+}
+
+/**
+ * Nobody picked up: log voice_transfer_failed and schedule a callback
+ */
+async function recordTransferFailure(handoff, dialStatus) {
+  if (!hestiaClient || !handoff?.lead_id) return;
+  
+  try {
+    await hestiaClient.logEvent(handoff.lead_id, {
+      event_type: 'voice_transfer_failed',
+      actor_type: 'system',
+      details: {
+        call_sid: handoff.call_sid,
+        reason: handoff.transfer_reason,
+        dial_status: dialStatus,
+      },
+    });
+    
+    await hestiaClient.scheduleCallback(handoff.lead_id, {
+      nextFollowUpAt: getCallbackTime(handoff.best_time_to_contact),
+      reason: 'transfer_unanswered',
+      window: handoff.best_time_to_contact,
+    });
+  } catch (error) {
+    console.error('[HESTIA] Error scheduling callback:', error);
+  }
+}
+
 // =============================================================================
 // INTERRUPTION HANDLING
 // =============================================================================
 
-function handleInterrupt(callSid, utteranceUntilInterrupt, durationMs) {
-  const sessionData = sessions.get(callSid);
+async function handleInterrupt(ws, utteranceUntilInterrupt, durationMs) {
+  const sessionData = await loadSession(ws);
   if (!sessionData) return;
   
   sessionData.metrics.interruptions++;
@@ -332,7 +654,7 @@ function handleInterrupt(callSid, utteranceUntilInterrupt, durationMs) {
     currentTurn.utteranceUntilInterrupt = utteranceUntilInterrupt;
   }
   
-  sessions.set(callSid, sessionData);
+  await saveSession(ws);
   console.log(`[INTERRUPT] Handled. Phase: ${sessionData.state.phase}`);
 }
 
@@ -353,14 +675,15 @@ fastify.get("/health", async () => ({
   mode: "lead_capture_v2",
   timestamp: new Date().toISOString(),
   hestiaMode: HESTIA_MODE,
-  activeSessions: sessions.size,
+  sessionStore: SESSION_STORE,
+  activeSessions: await sessionStore.count(),
 }));
 
 fastify.get("/metrics", async () => {
   const aggregates = getAggregateMetrics();
   const activeSessions = [];
   
-  for (const [callSid, sessionData] of sessions) {
+  for (const [callSid, sessionData] of await sessionStore.list()) {
     const { state, metrics } = sessionData;
     activeSessions.push({
       callSid,
@@ -388,12 +711,16 @@ fastify.get("/debug/leads", async () => {
 fastify.all("/twiml", async (request, reply) => {
   console.log("[TWIML] Generating TwiML response");
   
+  // Forward dealer link attribution (ref, token, utm_*) to the setup message
+  const relayParameters = pickRelayParameters({ ...request.query, ...request.body })
+    .map(([name, value]) => `\n      <Parameter name="${escapeXml(name)}" value="${escapeXml(value)}" />`)
+    .join("");
+  
   const twiml = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Connect>
+  <Connect action="https://${DOMAIN}/connect-action">
     <ConversationRelay 
       url="${WS_URL}" 
-      welcomeGreeting="${WELCOME_GREETING}"
       ttsProvider="${TTS_PROVIDER}"
       voice="${TTS_VOICE}"
       ttsLanguage="${TTS_LANGUAGE}"
@@ -402,7 +729,10 @@ fastify.all("/twiml", async (request, reply) => {
       interruptible="true"
       dtmfDetection="true"
       speechHints="${SPEECH_HINTS}"
-    />
+    >
+      <Language code="${LOCALE_CODES.en}" ttsProvider="${TTS_PROVIDER}" voice="${TTS_VOICE}" transcriptionProvider="${STT_PROVIDER}" />
+      <Language code="${LOCALE_CODES.es}" ttsProvider="${TTS_PROVIDER}" voice="${TTS_VOICE_ES}" transcriptionProvider="${STT_PROVIDER}" />${relayParameters}
+    </ConversationRelay>
   </Connect>
 </Response>`;
   
@@ -413,6 +743,67 @@ fastify.all("/voice", async (request, reply) => {
   return reply.redirect("/twiml");
 });
 
+// ConversationRelay session ended - dial a loan officer if it was a transfer
+fastify.all("/connect-action", async (request, reply) => {
+  const params = { ...request.query, ...request.body };
+  const callSid = params.CallSid;
+  const handoff = parseHandoffData(params.HandoffData) || (await sessionStore.get(callSid))?.state?.transferHandoff;
+  
+  if (handoff?.reason_code !== TRANSFER_HANDOFF_REASON || TRANSFER_NUMBERS.length === 0) {
+    return reply.type("text/xml").send(buildHangupTwiml());
+  }
+  
+  const query = `callSid=${encodeURIComponent(callSid)}`;
+  
+  reply.type("text/xml").send(buildDialTwiml({
+    numbers: TRANSFER_NUMBERS,
+    timeoutSeconds: TRANSFER_TIMEOUT_SECONDS,
+    actionUrl: `https://${DOMAIN}/transfer-status?${query}`,
+    whisperUrl: `https://${DOMAIN}/transfer-whisper?${query}`,
+    callerId: TRANSFER_CALLER_ID,
+  }));
+});
+
+// Played to the loan officer who answers, before the caller is bridged
+fastify.all("/transfer-whisper", async (request, reply) => {
+  const handoff = (await sessionStore.get(request.query.callSid))?.state?.transferHandoff;
+  const summary = handoff?.summary || "Transfer from the T L C voice assistant.";
+  
+  reply.type("text/xml").send(buildSayTwiml(summary, { hangup: false }));
+});
+
+// Dial finished - completed transfers hang up, anything else gets a callback
+fastify.all("/transfer-status", async (request, reply) => {
+  const params = { ...request.query, ...request.body };
+  const callSid = params.callSid || params.CallSid;
+  const dialStatus = params.DialCallStatus;
+  const handoff = (await sessionStore.get(callSid))?.state?.transferHandoff;
+  await sessionStore.delete(callSid);
+  
+  console.log(`[TRANSFER] ${callSid} dial status: ${dialStatus}`);
+  
+  if (isTransferConnected(dialStatus)) {
+    if (hestiaClient && handoff?.lead_id) {
+      await hestiaClient.logEvent(handoff.lead_id, {
+        event_type: 'voice_transfer_completed',
+        actor_type: 'system',
+        details: {
+          call_sid: callSid,
+          reason: handoff.transfer_reason,
+          dial_call_sid: params.DialCallSid || null,
+          dial_duration_seconds: params.DialCallDuration ? Number(params.DialCallDuration) : null,
+        },
+      }).catch(console.error);
+    }
+    return reply.type("text/xml").send(buildHangupTwiml());
+  }
+  
+  await recordTransferFailure(handoff, dialStatus);
+  reply.type("text/xml").send(buildSayTwiml(buildCallbackMessage(handoff), {
+    language: LOCALE_CODES[handoff?.language] || null,
+  }));
+});
+
 // =============================================================================
 // WEBSOCKET HANDLER
 // =============================================================================
@@ -421,6 +812,11 @@ fastify.register(async function (fastify) {
   fastify.get("/ws", { websocket: true }, (ws, request) => {
     console.log("[WS] New connection");
     
+    ws.keypad = new KeypadBuffer({
+      onComplete: (digits) => handleKeypadEntry(ws, digits)
+        .catch(error => console.error("[ERROR] Keypad entry:", error)),
+    });
+    
     ws.on("message", async (data) => {
       try {
         const message = JSON.parse(data.toString());
@@ -428,6 +824,22 @@ fastify.register(async function (fastify) {
         switch (message.type) {
           case "setup": {
             const callSid = message.callSid;
+            ws.callSid = callSid;
+            
+            // A reconnecting socket (possibly on another instance) picks the call back up
+            const existing = await loadSession(ws);
+            if (existing) {
+              console.log(`[WS] Reattached ${callSid} (phase: ${existing.state.phase})`);
+              const language = getLanguage(existing.state);
+              if (LOCALE_CODES[language] !== TTS_LANGUAGE) {
+                ws.send(JSON.stringify(buildLanguageMessage(language)));
+              }
+              const action = controller.getNextAction(existing.state);
+              sendMessage(ws, `${getPhrase("reattached", language)} ${action.message}`, true);
+              await saveSession(ws);
+              break;
+            }
+            
             console.log("\n" + "═".repeat(60));
             console.log("📞 NEW LEAD CAPTURE CALL (V2)");
             console.log("═".repeat(60));
@@ -435,21 +847,32 @@ fastify.register(async function (fastify) {
             console.log(`   From:    ${message.from}`);
             console.log(`   To:      ${message.to}`);
             
-            const attribution = await determineAttribution(message.to, hestiaClient);
+            const [attribution, resumable] = await Promise.all([
+              determineAttribution(message.to, hestiaClient, message.customParameters),
+              findResumableLead(hestiaClient, message.from, { windowMs: RESUME_WINDOW_MS }),
+            ]);
             console.log(`   Entry:   ${attribution.entrypoint}`);
+            if (resumable) {
+              console.log(`   Resume:  ${resumable.lead.lead_id}`);
+            }
             console.log("═".repeat(60) + "\n");
             
             const state = createSessionState(callSid, {
-              from: message.from,
-              to: message.to,
-              direction: message.direction,
-              entrypoint: attribution.entrypoint,
-              tracking: attribution.tracking,
-              customParameters: message.customParameters,
+              ...buildSessionMetadata(message, attribution),
+              confirmationStrategy: CONFIRMATION_STRATEGY,
             });
+            state.resumeOffer = resumable;
             
-            ws.callSid = callSid;
-            sessions.set(callSid, {
+            // A returning caller keeps the language of their last call
+            const leadLanguage = parseLanguage(resumable?.lead.applicant?.preferred_language);
+            if (leadLanguage && state.languageSource === "default") {
+              setLanguage(state, leadLanguage, "lead");
+            }
+            if (LOCALE_CODES[getLanguage(state)] !== TTS_LANGUAGE) {
+              ws.send(JSON.stringify(buildLanguageMessage(getLanguage(state))));
+            }
+            
+            ws.session = {
               state,
               metadata: {
                 from: message.from,
@@ -462,7 +885,18 @@ fastify.register(async function (fastify) {
                 interruptions: 0,
                 errors: [],
               },
-            });
+            };
+            
+            // The greeting is sent from here (not TwiML welcomeGreeting) so a
+            // returning caller hears the resume offer instead
+            if (resumable) {
+              const offer = controller.getNextAction(state);
+              state._pendingConfirmation = { field: offer.field, value: offer.value };
+              sendMessage(ws, offer.message, true);
+            } else {
+              sendGreeting(ws, state);
+            }
+            await saveSession(ws);
             break;
           }
           
@@ -470,7 +904,7 @@ fastify.register(async function (fastify) {
             const promptTime = Date.now();
             console.log(`[PROMPT] "${message.voicePrompt}"`);
             
-            const sessionData = sessions.get(ws.callSid);
+            const sessionData = await loadSession(ws);
             if (!sessionData) {
               console.error("[ERROR] No session for:", ws.callSid);
               break;
@@ -480,6 +914,12 @@ fastify.register(async function (fastify) {
             turnMetrics.promptReceivedAt = promptTime;
             turnMetrics.userInput = message.voicePrompt;
             
+            // "¿Habla español?" (or an answer in Spanish) switches the call
+            const detected = detectLanguage(message.voicePrompt, getLanguage(sessionData.state));
+            if (detected && switchLanguage(ws, sessionData.state, detected, "detected")) {
+              sendMessage(ws, getPhrase("languageSwitched", detected), false, turnMetrics);
+            }
+            
             const { state: newState, ended } = await processConversationTurn(
               message.voicePrompt,
               sessionData.state,
@@ -488,13 +928,14 @@ fastify.register(async function (fastify) {
             );
             
             sessionData.state = newState;
+            sessionData.ended = sessionData.ended || ended;
             
             const latencyResults = calculateTurnLatency(turnMetrics);
             turnMetrics.latency = latencyResults;
             logTurnMetrics(ws.callSid, turnMetrics, latencyResults);
             
             sessionData.metrics.turns.push(turnMetrics);
-            sessions.set(ws.callSid, sessionData);
+            await saveSession(ws);
             
             const summary = getSessionSummary(newState);
             console.log(`[STATE] Phase: ${summary.phase}, Collected: ${summary.fieldsCollected}, Confirmed: ${summary.fieldsConfirmed}, Prequalified: ${summary.prequalified}`);
@@ -503,32 +944,64 @@ fastify.register(async function (fastify) {
           
           case "interrupt": {
             console.log(`[INTERRUPT] "${message.utteranceUntilInterrupt}"`);
-            handleInterrupt(ws.callSid, message.utteranceUntilInterrupt, message.durationUntilInterruptMs);
+            await handleInterrupt(ws, message.utteranceUntilInterrupt, message.durationUntilInterruptMs);
             break;
           }
           
           case "dtmf": {
             console.log(`[DTMF] ${message.digit}`);
-            const sessionData = sessions.get(ws.callSid);
+            const sessionData = await loadSession(ws);
+            const action = sessionData?.state && !sessionData.ended
+              ? controller.getNextAction(sessionData.state)
+              : null;
+            const keypadMode = getKeypadMode(action);
             
-            if (message.digit === "0") {
+            if (action && LANGUAGE_MENU && isLanguageMenuChoice(sessionData.state, message.digit)) {
+              // "Para español, oprima dos" - greet again in the chosen language
+              const { language } = getLanguageMenu(getLanguage(sessionData.state));
+              switchLanguage(ws, sessionData.state, language, "dtmf");
+              sendMessage(ws, WELCOME_GREETINGS[language], true);
+              await saveSession(ws);
+            } else if (keypadMode === "digits" || ws.keypad.pending) {
+              // Typing a phone number or ZIP ("#" submits, "*" starts over)
+              ws.keypad.push(message.digit);
+            } else if (keypadMode === "yes_no" && message.digit in YES_NO_DIGITS) {
+              // 1 = yes, 2 = no
+              await handleKeypadEntry(ws, message.digit);
+            } else if (message.digit === "0" && sessionData?.state && TRANSFER_NUMBERS.length > 0) {
+              // "0" reaches a loan officer when a transfer queue is configured
+              const { state } = await executeTool(
+                "transfer_to_human",
+                { reason: "caller_requested" },
+                sessionData.state,
+                { hestiaClient, trigger: "dtmf" }
+              );
+              await startTransfer(ws, state, "caller_requested");
+              sessionData.ended = true;
+              await saveSession(ws);
+            } else if (message.digit === "0") {
               const closingMessage = sessionData?.state 
                 ? getClosingMessage(sessionData.state)
-                : "Thank you for calling. Goodbye!";
+                : getPhrase("goodbye", "en");
               sendMessage(ws, closingMessage, true);
               setTimeout(() => ws.send(JSON.stringify({ type: "end" })), 4000);
+              if (sessionData) {
+                sessionData.ended = true;
+                await saveSession(ws);
+              }
             }
             break;
           }
           
           case "error": {
             console.error("[ERROR]", message.description);
-            const sessionData = sessions.get(ws.callSid);
+            const sessionData = await loadSession(ws);
             if (sessionData) {
               sessionData.metrics.errors.push({
                 timestamp: Date.now(),
                 description: message.description,
               });
+              await saveSession(ws);
             }
             break;
           }
@@ -541,36 +1014,52 @@ fastify.register(async function (fastify) {
       }
     });
     
-    ws.on("close", () => {
+    ws.on("close", async () => {
       console.log("[WS] Closed:", ws.callSid);
+      ws.keypad.clear();
       
       if (ws.callSid) {
-        const sessionData = sessions.get(ws.callSid);
+        const sessionData = ws.session;
         if (sessionData) {
           logSessionSummary(ws.callSid, sessionData);
           
           if (sessionData.state?.leadId && hestiaClient) {
             const state = sessionData.state;
             
+            // confirmed_fields and dealer_context let a callback resume the call
             hestiaClient.logEvent(state.leadId, {
               event_type: 'voice_call_ended',
               actor_type: 'system',
-              payload_json: {
+              details: {
+                call_sid: state.callSid,
                 final_phase: state.phase,
                 prequalified: state.prequalified,
                 fieldsCollected: state.fieldsCollected,
                 fieldsConfirmed: state.fieldsConfirmed,
                 duration_ms: Date.now() - state.startTime,
+                confirmed_fields: getConfirmedFields(state),
+                dealer_context: state.collectedData.dealer_context,
               },
-            });
+            }).catch(console.error);
             
             if (state.prequalified && !state.routed) {
               hestiaClient.setStatus(state.leadId, 'prequalified').catch(console.error);
             }
           }
+          
+          // Finished calls are dropped; a dropped socket keeps its session until
+          // the TTL so a reconnect can reattach, and a transfer keeps it for
+          // /transfer-whisper and /transfer-status
+          try {
+            if (sessionData.ended && !sessionData.state?.transferHandoff) {
+              await sessionStore.delete(ws.callSid);
+            } else {
+              await sessionStore.set(ws.callSid, sessionData);
+            }
+          } catch (error) {
+            console.error("[SESSIONS] Error on close:", error);
+          }
         }
-        
-        sessions.delete(ws.callSid);
       }
     });
     
@@ -585,8 +1074,8 @@ fastify.register(async function (fastify) {
 // =============================================================================
 
 const start = async () => {
-  if (!OPENAI_API_KEY) {
-    console.error("❌ OPENAI_API_KEY required");
+  if (LLM_PROVIDER === "openai" && !OPENAI_API_KEY) {
+    console.error("❌ OPENAI_API_KEY required (or LLM_PROVIDER=stub)");
     process.exit(1);
   }
   
@@ -601,9 +1090,13 @@ const start = async () => {
   console.log(`\n🔗 Webhook: https://${DOMAIN}/twiml`);
   console.log(`\n⚙️  Config:`);
   console.log(`   Hestia: ${HESTIA_MODE}`);
-  console.log(`   LLM: ${OPENAI_MODEL}`);
+  console.log(`   Sessions: ${SESSION_STORE} (TTL ${SESSION_TTL_MS / 1000}s)`);
+  console.log(`   LLM: ${extractionProvider.describe()}`);
+  console.log(`   ZIP reference: ${hasZipDirectory() ? "loaded" : "not found (asking for the state)"}`);
+  console.log(`   Confirmations: ${CONFIRMATION_STRATEGY}`);
   console.log(`   TTS: ${TTS_PROVIDER}/${TTS_VOICE}`);
   console.log(`   STT: ${STT_PROVIDER}`);
+  console.log(`   Transfer: ${TRANSFER_NUMBERS.length ? TRANSFER_NUMBERS.join(", ") : "callback only"}`);
   console.log("\n" + "═".repeat(60) + "\n");
 };
 
@@ -25,6 +25,9 @@ import {
   PHASES,
   REQUIRED_FIELDS,
   FIELD_ORDER,
+  getConfirmedFields,
+  getIneligibleRule,
+  buildLeadPayload,
 } from '../lib/state-machine.js';
 
 import { TOOLS, EXTRACTION_TO_STATE_FIELD_MAP } from '../lib/tools.js';
@@ -35,26 +38,80 @@ import {
   computeCreditBand, 
   computeTimelineBand,
   parseNumericValue,
+  formatValueForSpeech,
 } from '../lib/value-normalizers.js';
 import { MockHestiaClient } from '../api/mock-hestia.js';
+import { LiveHestiaClient, buildIntakePayload } from '../api/live-hestia.js';
 import { executeTool, processToolCalls } from '../lib/tool-executor.js';
+import { determineAttribution, buildSessionMetadata, pickRelayParameters } from '../lib/attribution.js';
+import { matchDealerByName } from '../lib/dealer-matcher.js';
+import { consumeCompletionStream, createJsonStringFieldReader } from '../lib/llm-stream.js';
+import {
+  buildTransferHandoff,
+  buildCallbackMessage,
+  getCallbackTime,
+  parseHandoffData,
+  parseTransferNumbers,
+} from '../lib/transfer.js';
+import { buildDialTwiml } from '../lib/twiml.js';
+import { findResumableLead } from '../lib/session-resume.js';
+import { InMemorySessionStore } from '../api/memory-session-store.js';
+import { StubExtractionProvider } from '../api/stub-extraction-provider.js';
+import { OpenAIExtractionProvider } from '../api/openai-extraction-provider.js';
+import { parsePhaseModels } from '../api/extraction-provider.js';
+import { KeypadBuffer, buildKeypadToolCall, getKeypadMode } from '../lib/keypad.js';
+import { isUsableCallerId } from '../lib/caller-id.js';
+import {
+  extractWithRules,
+  buildRuleToolCall,
+  findExtractionAgreements,
+  findExtractionDisagreements,
+} from '../lib/rule-extractor.js';
+import { GROUP_CONFIRM_FIELD } from '../lib/confirmation.js';
+import { detectLanguage, isLanguageMenuChoice, setLanguage, buildLanguageMessage, getPhrase } from '../lib/language.js';
+import {
+  parseScenario,
+  buildSetupMessage,
+  buildStepMessages,
+  buildStubScript,
+  checkLeadExpectations,
+} from '../scripts/lib/scenario.js';
+import { lookupZip, hasZipDirectory, loadZipDirectory } from '../lib/zip-lookup.js';
+import { checkZipCoverage } from '../lib/coverage.js';
+import { checkEligibility } from '../lib/eligibility.js';
+import { mintAttributionToken, verifyAttributionToken } from '../firebase/functions/lib/attribution-token.js';
+import {
+  assignWithCapacity,
+  decideRouting,
+  buildRoutedEventDetails,
+  evaluateCapacity,
+  isCapacityStale,
+} from '../firebase/functions/lib/routing-engine.js';
+import {
+  buildWebhookPayload,
+  sendWebhook,
+  verifyWebhookSignature,
+} from '../firebase/functions/lib/webhook.js';
+import { createServer } from 'http';
+import { execFile } from 'child_process';
 
 // Simple test runner
 let testsPassed = 0;
 let testsFailed = 0;
+const pendingTests = [];
 
 function test(name, fn) {
   try {
     const result = fn();
     if (result instanceof Promise) {
-      result.then(() => {
+      pendingTests.push(result.then(() => {
         console.log(`  ✅ ${name}`);
         testsPassed++;
       }).catch(error => {
         console.log(`  ❌ ${name}`);
         console.log(`     Error: ${error.message}`);
         testsFailed++;
-      });
+      }));
     } else {
       console.log(`  ✅ ${name}`);
       testsPassed++;
@@ -181,13 +238,15 @@ test('isPrequalificationReady requires all fields collected AND confirmed', () =
   setFieldValue(state, 'timeline', '3 months', false);
   setFieldValue(state, 'credit', 650, false);
   setFieldValue(state, 'best_time_to_contact', 'morning', false);
+  setFieldValue(state, 'working_with_dealer', false, false);
   
   assertFalse(isPrequalificationReady(state), 'Not ready - fields not confirmed');
   
-  // Now confirm all
+  // Now confirm all (tlc_phone calls also answer the dealer question)
   for (const field of REQUIRED_FIELDS) {
     confirmField(state, field);
   }
+  confirmField(state, 'working_with_dealer');
   
   assertTrue(isPrequalificationReady(state), 'Ready - all fields collected and confirmed');
 });
@@ -289,6 +348,7 @@ test('getNextAction returns complete when all required fields collected and conf
   setFieldValue(state, 'timeline', '3 months', true);
   setFieldValue(state, 'credit', 650, true);
   setFieldValue(state, 'best_time_to_contact', 'morning', true);
+  setFieldValue(state, 'working_with_dealer', false, true);
   
   const action = controller.getNextAction(state);
   assertEqual(action.type, 'complete');
@@ -323,6 +383,54 @@ test('controller confirms fields in correct order', () => {
   assertEqual(action2.field, 'full_name', 'Should confirm name second');
 });
 
+test('controller asks about a dealer only on global entrypoints', () => {
+  const controller = new ConversationController();
+  const fillRequired = (state) => {
+    for (const [field, value] of [
+      ['contact_consent', true], ['full_name', 'John Doe'], ['phone_e164', '+15551234567'],
+      ['email', 'john@example.com'], ['preferred_contact_method', 'phone'], ['property_zip', '63110'],
+      ['property_state', 'MO'], ['land_status', 'own'], ['home_type', 'manufactured'],
+      ['timeline', '3 months'], ['credit', 650], ['best_time_to_contact', 'morning'],
+    ]) {
+      setFieldValue(state, field, value, true);
+    }
+    return state;
+  };
+  
+  const globalCall = fillRequired(createSessionState('CA_global', { entrypoint: 'tlc_phone' }));
+  let action = controller.getNextAction(globalCall);
+  assertEqual(action.type, 'ask');
+  assertEqual(action.field, 'working_with_dealer');
+  
+  setFieldValue(globalCall, 'working_with_dealer', true, true);
+  action = controller.getNextAction(globalCall);
+  assertEqual(action.field, 'dealer_name', 'A yes should lead to the dealer name');
+  
+  setFieldValue(globalCall, 'dealer_name', { name: 'Bobs Homes', city: 'Dahlonega' }, false);
+  action = controller.getNextAction(globalCall);
+  assertEqual(action.type, 'confirm');
+  assertTrue(action.message.includes('Bobs Homes in Dahlonega'), 'Unmatched names are confirmed as spoken');
+  
+  const noDealer = fillRequired(createSessionState('CA_global_no', { entrypoint: 'tlc_phone' }));
+  setFieldValue(noDealer, 'working_with_dealer', false, true);
+  assertEqual(controller.getNextAction(noDealer).type, 'complete', 'A no skips the dealer name');
+  
+  const dealerCall = fillRequired(createSessionState('CA_dealer', { entrypoint: 'dealer_phone' }));
+  assertEqual(controller.getNextAction(dealerCall).type, 'complete', 'Dealer entrypoints never ask');
+  
+  const weakLink = fillRequired(createSessionState('CA_weak_link', {
+    entrypoint: 'dealer_link',
+    attribution: { dealer_id_from_referral: 'dlr_12345', locked_dealer_id: null },
+  }));
+  assertEqual(controller.getNextAction(weakLink).field, 'working_with_dealer', 'A link that did not lock still asks');
+  
+  const lockedLink = fillRequired(createSessionState('CA_locked_link', {
+    entrypoint: 'dealer_link',
+    attribution: { dealer_id_from_referral: 'dlr_12345', locked_dealer_id: 'dlr_12345' },
+  }));
+  assertEqual(controller.getNextAction(lockedLink).type, 'complete', 'A locked link never asks');
+});
+
 // =============================================================================
 // TOOLS TESTS
 // =============================================================================
@@ -472,6 +580,49 @@ test('buildSystemPrompt includes action context', () => {
 // MOCK HESTIA TESTS
 // =============================================================================
 
+test('createJsonStringFieldReader decodes a field split across pieces', () => {
+  const reader = createJsonStringFieldReader('response');
+  const pieces = ['{"topic":"resp', 'onse","respo', 'nse":"Say \\', '"hi\\', 'u00e9\\', 'n!', '", "x":1}'];
+  const decoded = pieces.map(piece => reader.push(piece));
+  
+  assertEqual(decoded.join(''), 'Say "hi\u00e9\n!');
+  assertEqual(decoded[0], '', 'Nothing before the field starts');
+  assertTrue(reader.done(), 'Closing quote ends the field');
+});
+
+test('consumeCompletionStream speaks provide_info as it streams and assembles tool calls', async () => {
+  const chunk = (delta, extra = {}) => ({ choices: [{ delta, finish_reason: null }], ...extra });
+  async function* stream() {
+    yield chunk({ role: 'assistant' });
+    yield chunk({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'provide_info', arguments: '{"topic":"land",' } }] });
+    yield chunk({ tool_calls: [{ index: 0, function: { arguments: '"response":"Family land ' } }] });
+    yield chunk({ tool_calls: [{ index: 0, function: { arguments: 'works great."}' } }] });
+    yield chunk({ tool_calls: [{ index: 1, id: 'call_2', function: { name: 'extract_fields', arguments: '{"land_status":' } }] });
+    yield chunk({ tool_calls: [{ index: 1, function: { arguments: '"family_land"}' } }] });
+    yield { choices: [{ delta: {}, finish_reason: 'tool_calls' }] };
+    yield { choices: [], usage: { total_tokens: 42 } };
+  }
+  
+  const spoken = [];
+  const turnMetrics = { llmRequestStartedAt: Date.now() };
+  const result = await consumeCompletionStream(stream(), {
+    turnMetrics,
+    onSpeech: (text) => spoken.push(text),
+  });
+  
+  assertEqual(spoken.join(''), 'Family land works great.');
+  assertTrue(spoken.length > 1, 'Speech should arrive in pieces, not all at once');
+  assertEqual(result.spokenText, 'Family land works great.');
+  assertEqual(result.toolCalls.length, 2);
+  assertEqual(result.toolCalls[0].id, 'call_1');
+  assertEqual(JSON.parse(result.toolCalls[0].function.arguments).topic, 'land');
+  assertEqual(result.toolCalls[1].function.name, 'extract_fields');
+  assertEqual(JSON.parse(result.toolCalls[1].function.arguments).land_status, 'family_land');
+  assertEqual(result.finishReason, 'tool_calls');
+  assertEqual(turnMetrics.totalTokens, 42);
+  assertTrue(turnMetrics.llmFirstTokenAt <= turnMetrics.llmCompleteAt, 'First token precedes completion');
+});
+
 console.log('\n🏛️ Mock Hestia Tests\n');
 
 test('MockHestiaClient stores raw values in lead payload', async () => {
@@ -550,6 +701,207 @@ test('full conversation flow extracts and confirms multiple fields', async () =>
   assertEqual(getFieldValue(state, 'full_name'), 'James Smith');
 });
 
+test('call to a dealer tracking number locks and routes the lead as dealer_sourced', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  
+  // Same wiring as the server's setup handler
+  const setup = { from: '+15557654321', to: '+18005551234', direction: 'inbound' };
+  const attribution = await determineAttribution(setup.to, client);
+  const state = createSessionState('CA_dealer_phone', buildSessionMetadata(setup, attribution));
+  
+  assertEqual(state.collectedData.source.entrypoint, 'dealer_phone');
+  assertEqual(state.collectedData.source.attribution.locked_dealer_id, 'dlr_12345');
+  assertEqual(state.collectedData.source.attribution.inbound_dealer_number, '+18005551234');
+  assertTrue(!!state.collectedData.source.attribution.locked_at, 'locked_at should be set');
+  
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'Dana Reed', true);
+  setFieldValue(state, 'phone_e164', '+15557654321', true);
+  setFieldValue(state, 'email', 'dana@example.com', true);
+  setFieldValue(state, 'property_zip', '63101', true);
+  setFieldValue(state, 'property_state', 'MO', true);
+  setFieldValue(state, 'preferred_contact_method', 'phone', false);
+  
+  // Confirming the last minimum field creates the lead
+  await executeTool('extract_fields', { confirmation: true }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: 'preferred_contact_method', value: 'phone' },
+  });
+  assertTrue(!!state.leadId, 'lead should be created');
+  
+  const lead = await client.getLead(state.leadId);
+  assertEqual(lead.source.attribution.locked_dealer_id, 'dlr_12345');
+  assertEqual(lead.source.attribution.locked_reason, 'dealer_phone');
+  
+  const route = await client.routeLead(state.leadId);
+  assertEqual(route.assigned_dealer_id, 'dlr_12345');
+  assertEqual(route.assignment_type, 'dealer_sourced');
+  
+  const events = await client.getEvents(state.leadId);
+  const lockEvent = events.find(e => e.event_type === 'attribution_lock_applied');
+  assertTrue(!!lockEvent, 'attribution_lock_applied event should be logged');
+  assertEqual(lockEvent.details.locked_dealer_id, 'dlr_12345');
+});
+
+test('caller-named dealer on a global call locks the lead as dealer_link', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const controller = new ConversationController();
+  const attribution = await determineAttribution('+18005550000', client);
+  const state = createSessionState('CA_named_dealer', buildSessionMetadata({ to: '+18005550000' }, attribution));
+  assertEqual(state.collectedData.source.entrypoint, 'tlc_phone');
+  
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'Lee Boudreaux', true);
+  setFieldValue(state, 'phone_e164', '+19855550123', true);
+  setFieldValue(state, 'email', 'lee@example.com', true);
+  setFieldValue(state, 'property_zip', '70360', true);
+  setFieldValue(state, 'property_state', 'LA', true);
+  setFieldValue(state, 'preferred_contact_method', 'phone', false);
+  await executeTool('extract_fields', { confirmation: true }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: 'preferred_contact_method', value: 'phone' },
+  });
+  assertTrue(!!state.leadId, 'lead should be created');
+  
+  // "Yes" to "Are you already working with a home dealer?" (asked after the financial questions)
+  state.phase = PHASES.FINANCIAL_SNAPSHOT;
+  await executeTool('extract_fields', { confirmation: true }, state, {
+    hestiaClient: client,
+    currentAction: { type: 'ask', field: 'working_with_dealer' },
+  });
+  assertEqual(getFieldValue(state, 'working_with_dealer'), true);
+  confirmField(state, 'working_with_dealer');
+  
+  // "Clayton, down in Houma"
+  await executeTool('extract_fields', { dealer_name: 'Clayton', dealer_city: 'Houma' }, state, { hestiaClient: client });
+  const action = controller.getNextAction(state);
+  assertEqual(action.field, 'dealer_name');
+  assertTrue(action.message.includes('Clayton Homes - Houma'), `Should name the matched dealer: ${action.message}`);
+  assertEqual(state.collectedData.source.attribution.locked_dealer_id, null, 'No lock before the caller confirms');
+  
+  await executeTool('extract_fields', { confirmation: true }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: 'dealer_name', value: action.value },
+  });
+  
+  const lead = await client.getLead(state.leadId);
+  assertEqual(lead.source.entrypoint, 'tlc_phone');
+  assertEqual(lead.source.attribution.locked_dealer_id, 'dlr_clayton_homes_houma_houma_la_70360');
+  assertEqual(lead.source.attribution.locked_reason, 'dealer_link');
+  assertEqual(lead.source.attribution.referral_code, '278f2392d7a82bb1', 'web_default key recorded');
+  assertTrue(!!lead.source.attribution.lock_expires_at, 'lock_expires_at should be set');
+  
+  const events = await client.getEvents(state.leadId);
+  const namedEvent = events.find(e => e.event_type === 'attribution_set');
+  assertEqual(namedEvent?.details.matched_dealer_id, 'dlr_clayton_homes_houma_houma_la_70360');
+  assertTrue(events.some(e => e.event_type === 'attribution_lock_applied'), 'attribution_lock_applied should be logged');
+});
+
+test('matchDealerByName fuzzy-matches spoken dealer names against the directory', () => {
+  const cases = [
+    // [spoken name, spoken city, expected dealer_id]
+    ['Clayton Homes', 'Houma', 'dlr_clayton_homes_houma_houma_la_70360'],
+    ['clayton', 'Ocala', 'dlr_clayton_homes_ocala_oca_fl_34480'],
+    ['Wayne Frier', 'Live Oak', 'dlr_wayne_frier_home_ctrs_live_oak_fl_32060'],
+    ["Bob's Family Housing", null, 'dlr_bob_s_family_housing_inc_dahlonega_ga_30533'],
+    ['Greg Tilleys', null, 'dlr_greg_tilley_s_bossier_mobile_homes_inc_bossier_city_la_71111'],
+    ['Acme Trailer World', 'Dallas', null],
+    ['', null, null],
+  ];
+  
+  for (const [name, city, expected] of cases) {
+    assertEqual(matchDealerByName(name, city)?.dealer_id ?? null, expected, `${name} / ${city}`);
+  }
+  
+  const directory = [
+    { dealer_id: 'dlr_a', dealer_name: 'Sunrise Homes', city: 'Tyler', state: 'TX', key_hash: null },
+    { dealer_id: 'dlr_b', dealer_name: 'Sunrise Homes', city: 'Tyler', state: 'AL', key_hash: null },
+  ];
+  assertEqual(matchDealerByName('Sunrise', null, { state: 'AL', directory }).dealer_id, 'dlr_b', 'property state breaks ties');
+});
+
+test('determineAttribution resolves custom parameters through dealerAttributionKeys', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  client.addAttributionKey({ key_hash: 'aa00bb11cc22dd33', dealer_id: 'dlr_12345', confidence: 50 });
+  
+  const TLC_NUMBER = '+18005550100';
+  const cases = [
+    { name: 'referral code', to: TLC_NUMBER, params: { ref: 'a1b2c3d4e5f60718' },
+      entrypoint: 'dealer_link', locked: 'dlr_12345', reason: 'dealer_link' },
+    { name: 'signed token', to: TLC_NUMBER, params: { attribution_token: '9c8b7a6f5e4d3c2b' },
+      entrypoint: 'dealer_link', locked: 'dlr_67890', reason: 'signed_token' },
+    { name: 'token key passed as referral code', to: TLC_NUMBER, params: { ref: '9c8b7a6f5e4d3c2b' },
+      entrypoint: 'tlc_phone', locked: null, reason: null },
+    { name: 'utm_source domain key', to: TLC_NUMBER, params: { utm_source: 'TexasMobileHomes.com', utm_medium: 'referral' },
+      entrypoint: 'dealer_link', locked: 'dlr_67890', reason: 'dealer_link' },
+    { name: 'low confidence key', to: TLC_NUMBER, params: { ref: 'aa00bb11cc22dd33' },
+      entrypoint: 'dealer_link', locked: null, reason: null, referral: 'dlr_12345' },
+    { name: 'tracking number beats referral code', to: '+18005551234', params: { ref: 'f0e1d2c3b4a59687' },
+      entrypoint: 'dealer_phone', locked: 'dlr_12345', reason: 'dealer_phone' },
+    { name: 'signed token beats tracking number', to: '+18005551234', params: { token: '9c8b7a6f5e4d3c2b' },
+      entrypoint: 'dealer_link', locked: 'dlr_67890', reason: 'signed_token' },
+  ];
+  
+  for (const c of cases) {
+    const { entrypoint, attribution } = await determineAttribution(c.to, client, c.params);
+    assertEqual(entrypoint, c.entrypoint, `${c.name}: entrypoint`);
+    assertEqual(attribution.locked_dealer_id, c.locked, `${c.name}: locked_dealer_id`);
+    assertEqual(attribution.locked_reason, c.reason, `${c.name}: locked_reason`);
+    if (c.referral) {
+      assertEqual(attribution.dealer_id_from_referral, c.referral, `${c.name}: dealer_id_from_referral`);
+    }
+  }
+  
+  // UTM and referral values are kept even when they do not match a dealer
+  const { attribution } = await determineAttribution(TLC_NUMBER, client, { ref: 'unknown', utm_campaign: 'spring' });
+  assertEqual(attribution.referral_code, 'unknown');
+  assertEqual(attribution.utm.utm_campaign, 'spring');
+});
+
+test('signed attribution tokens verify, expire and reject tampering', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const token = mintAttributionToken({ dealerId: 'dlr_12345', secret: 'test-secret', ttlDays: 7, now });
+  
+  const verified = verifyAttributionToken(token, 'test-secret', { now });
+  assertTrue(verified.valid);
+  assertEqual(verified.dealer_id, 'dlr_12345');
+  assertEqual(verified.expires_at, '2026-03-08T12:00:00.000Z');
+  
+  const [prefix, , signature] = token.split('.');
+  const forged = `${prefix}.${Buffer.from(JSON.stringify({ dealer_id: 'dlr_67890', iat: 0, exp: 9999999999 })).toString('base64url')}.${signature}`;
+  assertEqual(verifyAttributionToken(forged, 'test-secret', { now }).reason, 'bad_signature');
+  assertEqual(verifyAttributionToken(token, 'other-secret', { now }).reason, 'bad_signature');
+  assertEqual(verifyAttributionToken(token, 'test-secret', { now: new Date('2026-03-09T00:00:00Z') }).reason, 'expired');
+  assertEqual(verifyAttributionToken('att1.garbage', 'test-secret').reason, 'malformed');
+});
+
+test('determineAttribution locks signed tokens until they expire', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const now = new Date('2026-03-01T12:00:00Z');
+  const token = mintAttributionToken({ dealerId: 'dlr_67890', secret: 'test-secret', ttlDays: 7, now });
+  const options = { tokenSecret: 'test-secret', now };
+  
+  const valid = await determineAttribution('+18005550100', client, { token }, options);
+  assertEqual(valid.attribution.locked_dealer_id, 'dlr_67890');
+  assertEqual(valid.attribution.locked_reason, 'signed_token');
+  assertEqual(valid.attribution.attribution_token, token);
+  assertEqual(valid.attribution.lock_expires_at, '2026-03-08T12:00:00.000Z');
+  
+  const expired = await determineAttribution('+18005550100', client, { token }, { ...options, now: new Date('2026-04-01T00:00:00Z') });
+  assertEqual(expired.entrypoint, 'tlc_phone');
+  assertEqual(expired.attribution.locked_dealer_id, null);
+  
+  // Dealer phone locks carry a minted token and the default 30 day expiry
+  const phone = await determineAttribution('+18005551234', client, {}, options);
+  assertEqual(phone.attribution.lock_expires_at, '2026-03-31T12:00:00.000Z');
+  assertEqual(verifyAttributionToken(phone.attribution.attribution_token, 'test-secret', { now }).dealer_id, 'dlr_12345');
+});
+
+test('pickRelayParameters forwards only attribution parameters', () => {
+  const pairs = pickRelayParameters({ ref: ' abc ', utm_source: 'dealer.com', From: '+15551234567', token: '' });
+  assertEqual(JSON.stringify(pairs), JSON.stringify([['ref', 'abc'], ['utm_source', 'dealer.com']]));
+});
+
 test('executeTool handles "No" to boolean questions correctly', async () => {
   // Simulate asking for has_recent_bankruptcy
   const currentAction = {
@@ -598,12 +950,1520 @@ test('executeTool handles "Yes" to boolean questions correctly', async () => {
   assertEqual(getFieldValue(result.state, 'has_recent_bankruptcy'), true, 'has_recent_bankruptcy should be true');
 });
 
+// =============================================================================
+// LIVE HESTIA TESTS
+// =============================================================================
+
+console.log('\n🌐 Live Hestia Tests\n');
+
+/**
+ * Start a local stub of the Hestia V2 API.
+ * `handler(req, body)` returns { status, body } for each request.
+ */
+async function startHestiaStub(handler) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const result = await handler(req, body, requests.length);
+      res.writeHead(result.status || 200, { 'Content-Type': 'application/json', ...(result.headers || {}) });
+      res.end(result.body !== undefined ? JSON.stringify(result.body) : '');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    requests,
+    baseUrl: `http://127.0.0.1:${port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+test('buildIntakePayload maps voice state onto the V2 intake schema', () => {
+  const state = createSessionState('CA900', { entrypoint: 'tlc_phone' });
+  setFieldValue(state, 'full_name', 'Jane Doe', true);
+  setFieldValue(state, 'credit', 695, true);
+  
+  const payload = buildIntakePayload(state);
+  assertEqual(payload.application_version, '2.0');
+  assertEqual(payload.idempotency_key, 'voice_CA900');
+  assertEqual(payload.source.entrypoint, 'lender_global_phone');
+  assertEqual(payload.source.session_id, 'CA900');
+  assertEqual(payload.applicant.full_name, 'Jane Doe');
+  assertEqual(payload.financial_snapshot.credit_raw, 695);
+  assertTrue('contact_consent' in payload.applicant.consents);
+});
+
+test('LiveHestiaClient.createLead posts intake with auth and idempotency headers', async () => {
+  const stub = await startHestiaStub(() => ({
+    status: 201,
+    body: { lead_id: 'lead_01', status: 'new', assigned_dealer_id: null, dealer_delivery_status: 'pending' },
+  }));
+  try {
+    const client = new LiveHestiaClient({ baseUrl: stub.baseUrl, apiKey: 'secret', verbose: false });
+    const state = createSessionState('CA901', {});
+    const result = await client.createLead(state);
+    
+    assertEqual(result.lead_id, 'lead_01');
+    const req = stub.requests[0];
+    assertEqual(req.method, 'POST');
+    assertEqual(req.url, '/v2/leads:intake');
+    assertEqual(req.headers['authorization'], 'Bearer secret');
+    assertEqual(req.headers['idempotency-key'], 'voice_CA901');
+    assertEqual(req.body.idempotency_key, 'voice_CA901');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('LiveHestiaClient retries 5xx with the same idempotency key', async () => {
+  const stub = await startHestiaStub((req, body, count) => (
+    count < 3 ? { status: 503, body: { message: 'unavailable' } } : { status: 200, body: { event_id: 'evt_1' } }
+  ));
+  try {
+    const client = new LiveHestiaClient({ baseUrl: stub.baseUrl, retryDelayMs: 1, verbose: false });
+    const result = await client.logEvent('lead_01', { event_type: 'voice_call_started', details: { a: 1 } });
+    
+    assertEqual(result.event_id, 'evt_1');
+    assertEqual(stub.requests.length, 3);
+    assertEqual(stub.requests[0].url, '/v2/leads/lead_01/events');
+    assertEqual(stub.requests[0].body.payload_json.a, 1);
+    const keys = new Set(stub.requests.map(r => r.headers['idempotency-key']));
+    assertEqual(keys.size, 1, 'All attempts should share one idempotency key.');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('LiveHestiaClient does not retry 4xx errors', async () => {
+  const stub = await startHestiaStub(() => ({ status: 422, body: { error: { code: 'invalid_transition', message: 'bad status' } } }));
+  try {
+    const client = new LiveHestiaClient({ baseUrl: stub.baseUrl, retryDelayMs: 1, verbose: false });
+    let caught = null;
+    try {
+      await client.setStatus('lead_01', 'prequalified');
+    } catch (error) {
+      caught = error;
+    }
+    
+    assertTrue(!!caught, 'Should throw');
+    assertEqual(caught.status, 422);
+    assertEqual(caught.code, 'invalid_transition');
+    assertEqual(stub.requests.length, 1);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('LiveHestiaClient times out slow responses', async () => {
+  const stub = await startHestiaStub(async () => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return { status: 200, body: {} };
+  });
+  try {
+    const client = new LiveHestiaClient({ baseUrl: stub.baseUrl, timeoutMs: 20, maxRetries: 0, verbose: false });
+    let caught = null;
+    try {
+      await client.routeLead('lead_01');
+    } catch (error) {
+      caught = error;
+    }
+    
+    assertTrue(!!caught, 'Should throw');
+    assertEqual(caught.code, 'timeout');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('LiveHestiaClient returns null for unknown tracking numbers', async () => {
+  const stub = await startHestiaStub(() => ({ status: 404, body: { message: 'not found' } }));
+  try {
+    const client = new LiveHestiaClient({ baseUrl: stub.baseUrl, verbose: false });
+    const dealer = await client.lookupDealerByTrackingNumber('+18005550000');
+    
+    assertEqual(dealer, null);
+    assertEqual(stub.requests[0].url, '/v2/dealer-tracking-numbers/%2B18005550000');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('LiveHestiaClient resolves attribution keys and ignores inactive ones', async () => {
+  const stub = await startHestiaStub((req) => req.url.endsWith('/abc123')
+    ? { status: 200, body: { dealer_id: 'dlr_1', key_type: 'referral_code', confidence: 90, active: true } }
+    : { status: 200, body: { dealer_id: 'dlr_2', key_type: 'referral_code', active: false } });
+  try {
+    const client = new LiveHestiaClient({ baseUrl: stub.baseUrl, verbose: false });
+    const match = await client.lookupDealerByAttributionKey('ABC123');
+    const inactive = await client.lookupDealerByAttributionKey('old');
+    
+    assertEqual(match.dealer_id, 'dlr_1');
+    assertEqual(match.confidence, 90);
+    assertEqual(inactive, null);
+    assertEqual(stub.requests[0].url, '/v2/dealer-attribution-keys/abc123');
+  } finally {
+    await stub.close();
+  }
+});
+
+// =============================================================================
+// ROUTING ENGINE TESTS
+// =============================================================================
+
+console.log('\n🧭 Routing Engine Tests\n');
+
+/**
+ * Build an in-memory routing adapter from fixture data.
+ */
+function routingAdapter({ dealers = {}, coverage = {}, capacity = {} }) {
+  return {
+    getDealer: async (dealerId) => dealers[dealerId] || null,
+    getZipCoverage: async (state, zip) => coverage[`${state}_${zip}`] || null,
+    getDealerCapacity: async (dealerId) => capacity[dealerId] || null,
+  };
+}
+
+function routingLead(lockedDealerId = null, lockedReason = null, lockExpiresAt = null) {
+  return {
+    source: { attribution: { locked_dealer_id: lockedDealerId, locked_reason: lockedReason, lock_expires_at: lockExpiresAt } },
+    home_and_site: { property_state: 'TX', property_zip: '75201' },
+  };
+}
+
+const activeDealer = (weight = 100) => ({ status: 'active', routing_prefs: { priority_weight: weight } });
+const cappedDealer = (weight = 100) => ({ ...activeDealer(weight), delivery_prefs: { allow_lead_cap: true } });
+
+const ROUTING_CASES = [
+  {
+    name: 'valid dealer_phone lock is honored',
+    lead: routingLead('dlr_a', 'dealer_phone'),
+    fixtures: {
+      dealers: { dlr_a: activeDealer(), dlr_b: activeDealer(500) },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_b', priority: 2 }] } },
+    },
+    expect: { dealer_id: 'dlr_a', assignment_type: 'dealer_sourced', assignment_reason: 'dealer_number', lock: null, decided_by: 'attribution_lock' },
+  },
+  {
+    name: 'dealer_link lock is recorded as referral_lock',
+    lead: routingLead('dlr_a', 'dealer_link'),
+    fixtures: {
+      dealers: { dlr_a: activeDealer() },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }] } },
+    },
+    expect: { dealer_id: 'dlr_a', assignment_type: 'dealer_sourced', assignment_reason: 'referral_lock', lock: null },
+  },
+  {
+    name: 'unexpired signed_token lock is honored',
+    lead: routingLead('dlr_a', 'signed_token', new Date(Date.now() + 60000).toISOString()),
+    fixtures: {
+      dealers: { dlr_a: activeDealer() },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }] } },
+    },
+    expect: { dealer_id: 'dlr_a', assignment_type: 'dealer_sourced', assignment_reason: 'referral_lock', lock: null },
+  },
+  {
+    name: 'expired lock falls back to geo routing',
+    lead: routingLead('dlr_a', 'signed_token', new Date(Date.now() - 60000).toISOString()),
+    fixtures: {
+      dealers: { dlr_a: activeDealer(), dlr_b: activeDealer() },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_b', priority: 2 }] } },
+    },
+    expect: { dealer_id: 'dlr_a', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: 'lock_expired' },
+  },
+  {
+    name: 'inactive locked dealer falls back to geo routing',
+    lead: routingLead('dlr_a', 'dealer_phone'),
+    fixtures: {
+      dealers: { dlr_a: { status: 'inactive' }, dlr_b: activeDealer() },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_b', priority: 2 }] } },
+    },
+    expect: { dealer_id: 'dlr_b', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: 'locked_dealer_inactive' },
+  },
+  {
+    name: 'locked dealer outside the zip falls back to geo routing',
+    lead: routingLead('dlr_far', 'dealer_phone'),
+    fixtures: {
+      dealers: { dlr_far: activeDealer(), dlr_b: activeDealer() },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_b', priority: 1 }] } },
+    },
+    expect: { dealer_id: 'dlr_b', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: 'locked_dealer_zip_not_covered' },
+  },
+  {
+    name: 'locked dealer over its daily cap falls back to geo routing',
+    lead: routingLead('dlr_a', 'dealer_link'),
+    fixtures: {
+      dealers: { dlr_a: cappedDealer(), dlr_b: activeDealer() },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_b', priority: 2 }] } },
+      capacity: { dlr_a: { daily_lead_cap: 2, leads_assigned_today: 2, last_reset_at: new Date().toISOString() } },
+    },
+    expect: { dealer_id: 'dlr_b', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: 'locked_dealer_over_cap' },
+  },
+  {
+    name: 'unknown locked dealer falls back to geo routing',
+    lead: routingLead('dlr_missing', 'dealer_phone'),
+    fixtures: {
+      dealers: { dlr_b: activeDealer() },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_b', priority: 1 }] } },
+    },
+    expect: { dealer_id: 'dlr_b', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: 'locked_dealer_not_found' },
+  },
+  {
+    name: 'geo routing picks the lowest coverage priority',
+    lead: routingLead(),
+    fixtures: {
+      dealers: { dlr_a: activeDealer(300), dlr_b: activeDealer(50), dlr_c: { status: 'inactive', routing_prefs: { priority_weight: 1 } } },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_c', priority: 1 }, { dealer_id: 'dlr_a', priority: 2 }, { dealer_id: 'dlr_b', priority: 3 }] } },
+    },
+    expect: { dealer_id: 'dlr_a', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: null, decided_by: 'coverage_priority' },
+  },
+  {
+    name: 'equal coverage priority breaks ties on priority_weight',
+    lead: routingLead(),
+    fixtures: {
+      dealers: { dlr_a: activeDealer(200), dlr_b: activeDealer(80) },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 10 }, { dealer_id: 'dlr_b', priority: 10 }] } },
+    },
+    expect: { dealer_id: 'dlr_b', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: null, decided_by: 'priority_weight' },
+  },
+  {
+    name: 'exclusive candidate wins outright when the dealer allows it',
+    lead: routingLead(),
+    fixtures: {
+      dealers: {
+        dlr_a: activeDealer(),
+        dlr_x: { status: 'active', routing_prefs: { priority_weight: 500, exclusive_zips_allowed: true } },
+      },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_x', priority: 50, exclusive: true }] } },
+    },
+    expect: { dealer_id: 'dlr_x', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: null, decided_by: 'exclusive_zip' },
+  },
+  {
+    name: 'exclusive flag is ignored when the dealer is not allowed exclusive zips',
+    lead: routingLead(),
+    fixtures: {
+      dealers: {
+        dlr_a: activeDealer(),
+        dlr_x: { status: 'active', routing_prefs: { priority_weight: 100, exclusive_zips_allowed: false } },
+      },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_x', priority: 50, exclusive: true }] } },
+    },
+    expect: { dealer_id: 'dlr_a', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: null, decided_by: 'coverage_priority' },
+  },
+  {
+    name: 'over-cap exclusive dealer does not block other candidates',
+    lead: routingLead(),
+    fixtures: {
+      dealers: {
+        dlr_a: activeDealer(),
+        dlr_x: { status: 'active', routing_prefs: { exclusive_zips_allowed: true }, delivery_prefs: { allow_lead_cap: true } },
+      },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 5 }, { dealer_id: 'dlr_x', priority: 1, exclusive: true }] } },
+      capacity: { dlr_x: { daily_lead_cap: 1, leads_assigned_today: 1, last_reset_at: new Date().toISOString() } },
+    },
+    expect: { dealer_id: 'dlr_a', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: null, decided_by: 'single_candidate' },
+  },
+  {
+    name: 'allow_lead_cap on delivery_prefs excludes a full dealer',
+    lead: routingLead(),
+    fixtures: {
+      dealers: {
+        dlr_a: { ...activeDealer(500), delivery_prefs: { allow_lead_cap: true, daily_lead_cap: 1 } },
+        dlr_b: activeDealer(),
+      },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_b', priority: 2 }] } },
+      capacity: { dlr_a: { leads_assigned_today: 1, last_reset_at: new Date().toISOString() } },
+    },
+    expect: { dealer_id: 'dlr_b', assignment_type: 'geo_routed', assignment_reason: 'zip_match', lock: null },
+  },
+  {
+    name: 'a dealer with caps turned off ignores its capacity cap',
+    lead: routingLead('dlr_a', 'dealer_link'),
+    fixtures: {
+      dealers: { dlr_a: activeDealer(), dlr_b: activeDealer() },
+      coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_b', priority: 2 }] } },
+      capacity: { dlr_a: { daily_lead_cap: 2, leads_assigned_today: 2, last_reset_at: new Date().toISOString() } },
+    },
+    expect: { dealer_id: 'dlr_a', assignment_type: 'dealer_sourced', assignment_reason: 'referral_lock', lock: null },
+  },
+  {
+    name: 'no coverage falls back to the default dealer',
+    lead: routingLead(),
+    fixtures: { dealers: {}, coverage: {} },
+    expect: { dealer_id: 'home_nation', assignment_type: 'geo_routed', assignment_reason: 'fallback', lock: null, decided_by: 'fallback' },
+  },
+];
+
+for (const routingCase of ROUTING_CASES) {
+  test(`decideRouting: ${routingCase.name}`, async () => {
+    const decision = await decideRouting(routingCase.lead, routingAdapter(routingCase.fixtures));
+    
+    assertEqual(decision.dealer_id, routingCase.expect.dealer_id, 'dealer_id:');
+    assertEqual(decision.assignment_type, routingCase.expect.assignment_type, 'assignment_type:');
+    assertEqual(decision.assignment_reason, routingCase.expect.assignment_reason, 'assignment_reason:');
+    assertEqual(decision.lock_rejection?.reason_code || null, routingCase.expect.lock, 'lock_rejection:');
+    if (routingCase.expect.decided_by) {
+      assertEqual(decision.decided_by, routingCase.expect.decided_by, 'decided_by:');
+    }
+    assertTrue(decision.trace.length > 0, 'trace recorded');
+  });
+}
+
+test('decideRouting trace explains excluded candidates', async () => {
+  const decision = await decideRouting(routingLead(), routingAdapter({
+    dealers: { dlr_a: { status: 'inactive' }, dlr_b: activeDealer() },
+    coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_b', priority: 2 }] } },
+  }));
+  
+  const excluded = decision.trace.find(t => t.step === 'candidate' && t.dealer_id === 'dlr_a');
+  assertEqual(excluded.excluded_by, 'dealer_active');
+  
+  const details = buildRoutedEventDetails(decision);
+  assertEqual(details.candidate_set_size, 2);
+  assertEqual(details.eligible_count, 1);
+  assertEqual(details.reason_code, 'zip_match');
+  assertEqual(details.decided_by, 'single_candidate');
+});
+
+test('MockHestiaClient routes through the shared engine', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const state = createSessionState('CA_ROUTE', {
+    attribution: { locked_dealer_id: 'dlr_12345', locked_reason: 'dealer_phone' },
+  });
+  setFieldValue(state, 'property_zip', '63101', true);
+  setFieldValue(state, 'property_state', 'MO', true);
+  
+  const { lead_id } = await client.createLead(state);
+  const result = await client.routeLead(lead_id);
+  
+  assertEqual(result.assigned_dealer_id, 'dlr_12345');
+  assertEqual(result.assignment_type, 'dealer_sourced');
+  
+  const events = await client.getEvents(lead_id);
+  const routed = events.find(e => e.event_type === 'routed');
+  assertEqual(routed.details.candidate_set_size, 1);
+  assertTrue(Array.isArray(routed.details.trace));
+});
+
+test('assignWithCapacity re-routes when the chosen dealer fills up before the commit', async () => {
+  const fixtures = {
+    dealers: { dlr_a: cappedDealer(), dlr_b: activeDealer() },
+    coverage: { TX_75201: { candidates: [{ dealer_id: 'dlr_a', priority: 1 }, { dealer_id: 'dlr_b', priority: 2 }] } },
+    capacity: {},
+  };
+  const commits = [];
+  const adapter = {
+    ...routingAdapter(fixtures),
+    commitAssignment: async (leadId, decision) => {
+      commits.push(decision.dealer_id);
+      if (decision.dealer_id !== 'dlr_a') return 'committed';
+      // dlr_a took its last lead elsewhere while this one was being decided
+      fixtures.capacity.dlr_a = { daily_lead_cap: 1, leads_assigned_today: 1 };
+      return 'over_cap';
+    },
+  };
+  
+  const decision = await assignWithCapacity('lead_race', routingLead(), adapter);
+  assertEqual(decision.dealer_id, 'dlr_b');
+  assertEqual(commits.join(','), 'dlr_a,dlr_b');
+  
+  let error = null;
+  await assignWithCapacity('lead_race', routingLead(), { ...adapter, commitAssignment: async () => 'over_cap' })
+    .catch(e => { error = e; });
+  assertEqual(error?.code, 'capacity_contention');
+});
+
+test('capacity counters reset on the dealer\'s local day boundary', () => {
+  // 05:30 UTC on Mar 2 is still Mar 1 in Chicago, already Mar 2 in New York
+  const now = new Date('2025-03-02T05:30:00Z');
+  const lastReset = '2025-03-01T12:00:00Z';
+  
+  assertFalse(isCapacityStale({ last_reset_at: lastReset, timezone: 'America/Chicago' }, now));
+  assertTrue(isCapacityStale({ last_reset_at: lastReset, timezone: 'America/New_York' }, now));
+  
+  const capacity = { daily_lead_cap: 3, leads_assigned_today: 3, last_reset_at: lastReset, timezone: 'America/New_York' };
+  const dealer = cappedDealer();
+  assertTrue(evaluateCapacity(dealer, capacity, now).under_cap);
+  assertEqual(evaluateCapacity(dealer, { ...capacity, timezone: 'America/Chicago' }, now).under_cap, false);
+});
+
+test('MockHestiaClient enforces daily caps and resets them', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  client.addDealer({
+    dealer_id: 'dlr_cap_a',
+    dealer_name: 'Capped A',
+    routing_prefs: { priority_weight: 10 },
+    delivery_prefs: { allow_lead_cap: true },
+  });
+  client.addDealer({ dealer_id: 'dlr_cap_b', dealer_name: 'Capped B', routing_prefs: { priority_weight: 20 } });
+  client.addZipCoverage('KS', '66101', [
+    { dealer_id: 'dlr_cap_a', priority: 1, exclusive: false },
+    { dealer_id: 'dlr_cap_b', priority: 2, exclusive: false },
+  ]);
+  client.setDealerCapacity('dlr_cap_a', { daily_lead_cap: 1, leads_assigned_today: 0 });
+  
+  const routeNewLead = async (callSid) => {
+    const state = createSessionState(callSid, {});
+    setFieldValue(state, 'property_zip', '66101', true);
+    setFieldValue(state, 'property_state', 'KS', true);
+    const { lead_id } = await client.createLead(state);
+    return client.routeLead(lead_id);
+  };
+  
+  assertEqual((await routeNewLead('CA_CAP1')).assigned_dealer_id, 'dlr_cap_a');
+  assertEqual(client.getDealerCapacity('dlr_cap_a').leads_assigned_today, 1);
+  
+  // dlr_cap_a is full for today
+  assertEqual((await routeNewLead('CA_CAP2')).assigned_dealer_id, 'dlr_cap_b');
+  assertEqual(client.getDealerCapacity('dlr_cap_b').leads_assigned_today, 1);
+  
+  // Next day: the scheduled reset clears the counter
+  const tomorrow = new Date(Date.now() + 36 * 60 * 60 * 1000);
+  assertTrue(client.resetDailyCapacity(tomorrow).includes('dlr_cap_a'));
+  assertEqual(client.getDealerCapacity('dlr_cap_a').leads_assigned_today, 0);
+});
+
+// =============================================================================
+// WEBHOOK DELIVERY TESTS
+// =============================================================================
+
+console.log('\n🪝 Webhook Delivery Tests\n');
+
+const webhookLead = {
+  status: 'prequalified',
+  applicant: { full_name: 'Jane Doe', phone_e164: '+15551234567' },
+  home_and_site: { property_state: 'MO', property_zip: '63101' },
+  assignment: { assigned_dealer_id: 'dlr_12345', assignment_type: 'dealer_sourced' },
+  human: { owner_user_id: 'usr_internal' },
+};
+
+test('buildWebhookPayload is versioned and omits internal workflow state', () => {
+  const payload = buildWebhookPayload('lead_wh', webhookLead, { deliveryId: 'dlv_1' });
+  
+  assertEqual(payload.payload_version, 1);
+  assertEqual(payload.delivery_id, 'dlv_1');
+  assertEqual(payload.dealer_id, 'dlr_12345');
+  assertEqual(payload.lead.applicant.full_name, 'Jane Doe');
+  assertEqual(payload.lead.human, undefined);
+});
+
+test('sendWebhook signs the body with the dealer secret', async () => {
+  const stub = await startHestiaStub(() => ({ status: 200, body: { ok: true } }));
+  try {
+    const payload = buildWebhookPayload('lead_wh', webhookLead);
+    const result = await sendWebhook({ url: `${stub.baseUrl}/hook`, secret: 'whsec_test', payload });
+    
+    assertEqual(result.attempts, 1);
+    const request = stub.requests[0];
+    const rawBody = JSON.stringify(request.body);
+    assertTrue(verifyWebhookSignature('whsec_test', request.headers['x-tlc-signature'], rawBody));
+    assertFalse(verifyWebhookSignature('whsec_other', request.headers['x-tlc-signature'], rawBody));
+    assertEqual(request.headers['x-tlc-payload-version'], '1');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('sendWebhook retries 5xx with exponential backoff', async () => {
+  const stub = await startHestiaStub((req, body, count) => ({ status: count < 3 ? 503 : 200, body: {} }));
+  try {
+    const delays = [];
+    const attempts = [];
+    const result = await sendWebhook({
+      url: stub.baseUrl,
+      secret: 'whsec_test',
+      payload: buildWebhookPayload('lead_wh', webhookLead),
+      maxAttempts: 3,
+      baseDelayMs: 100,
+      sleep: async (ms) => { delays.push(ms); },
+      onAttempt: async (attempt) => { attempts.push(attempt); },
+    });
+    
+    assertEqual(result.attempts, 3);
+    assertEqual(delays.join(','), '100,200');
+    assertEqual(attempts.map(a => a.ok).join(','), 'false,false,true');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('sendWebhook gives up after two attempts by default', async () => {
+  const stub = await startHestiaStub(() => ({ status: 503, body: {} }));
+  try {
+    let caught = null;
+    await sendWebhook({
+      url: stub.baseUrl,
+      secret: 'whsec_test',
+      payload: buildWebhookPayload('lead_wh', webhookLead),
+      sleep: async () => {},
+    }).catch(error => { caught = error; });
+    
+    assertEqual(caught?.code, 'webhook_http_503');
+    assertEqual(caught.attempts, 2);
+    assertEqual(stub.requests.length, 2);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('sendWebhook does not retry client errors', async () => {
+  const stub = await startHestiaStub(() => ({ status: 400, body: {} }));
+  try {
+    let caught = null;
+    try {
+      await sendWebhook({
+        url: stub.baseUrl,
+        secret: 'whsec_test',
+        payload: buildWebhookPayload('lead_wh', webhookLead),
+        sleep: async () => {},
+      });
+    } catch (error) {
+      caught = error;
+    }
+    
+    assertTrue(!!caught, 'Should throw');
+    assertEqual(caught.code, 'webhook_http_400');
+    assertEqual(caught.attempts, 1);
+    assertEqual(stub.requests.length, 1);
+  } finally {
+    await stub.close();
+  }
+});
+
+// =============================================================================
+// WARM TRANSFER TESTS
+// =============================================================================
+
+console.log('\n📲 Warm Transfer Tests\n');
+
+test('buildTransferHandoff carries a whisper summary of collected fields', () => {
+  const state = createSessionState('CA_XFER1', {});
+  state.leadId = 'lead_xfer';
+  setFieldValue(state, 'full_name', 'Maria Lopez', true);
+  setFieldValue(state, 'property_zip', '63110', true);
+  setFieldValue(state, 'property_state', 'MO', true);
+  setFieldValue(state, 'home_type', 'double_wide', true);
+  setFieldValue(state, 'best_time_to_contact', 'evening', true);
+  
+  const handoff = parseHandoffData(JSON.stringify(buildTransferHandoff(state, 'complex_question')));
+  
+  assertEqual(handoff.reason_code, 'transfer_to_human');
+  assertEqual(handoff.lead_id, 'lead_xfer');
+  assertEqual(handoff.first_name, 'Maria');
+  assertTrue(handoff.summary.includes('Maria Lopez'), 'Summary names the caller');
+  assertTrue(handoff.summary.includes('double wide in MO 63110'), 'Summary includes home and location');
+  assertTrue(handoff.summary.includes('complex question'), 'Summary includes the reason');
+  assertTrue(buildCallbackMessage(handoff).includes('in the evening'), 'Callback uses the contact window');
+  assertEqual(parseHandoffData('not json'), null);
+});
+
+test('buildDialTwiml rings every transfer number with the whisper URL', () => {
+  const numbers = parseTransferNumbers('+18005550100, (800) 555-0101, nope');
+  const twiml = buildDialTwiml({
+    numbers,
+    timeoutSeconds: 15,
+    actionUrl: 'https://example.com/transfer-status?callSid=CA1&x=1',
+    whisperUrl: 'https://example.com/transfer-whisper?callSid=CA1',
+  });
+  
+  assertEqual(numbers.length, 2);
+  assertTrue(twiml.includes('<Dial timeout="15" action="https://example.com/transfer-status?callSid=CA1&amp;x=1">'));
+  assertTrue(twiml.includes('<Number url="https://example.com/transfer-whisper?callSid=CA1">+18005550101</Number>'));
+});
+
+test('getCallbackTime picks the next slot in the contact window', () => {
+  const now = new Date(2026, 9, 19, 10, 30);   // Monday 10:30 local
+  
+  assertEqual(new Date(getCallbackTime('afternoon', now)).getHours(), 13);
+  assertEqual(new Date(getCallbackTime('afternoon', now)).getDate(), 19);
+  assertEqual(new Date(getCallbackTime('morning', now)).getDate(), 20, 'Morning already passed today');
+  assertEqual(new Date(getCallbackTime('weekend', now)).getDay(), 6);
+  assertEqual(new Date(getCallbackTime('tuesday_evening', now)).getHours(), 17);
+  assertEqual(getCallbackTime('anytime', now), new Date(now.getTime() + 60 * 60 * 1000).toISOString());
+});
+
+test('transfer_to_human logs the request and unanswered transfers schedule a callback', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const state = createSessionState('CA_XFER2', {});
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'Sam Reed', true);
+  setFieldValue(state, 'phone_e164', '+15551112222', true);
+  const { lead_id } = await client.createLead(state);
+  state.leadId = lead_id;
+  
+  const result = await processToolCalls([
+    { id: 'call_1', function: { name: 'transfer_to_human', arguments: '{"reason":"caller_requested"}' } },
+  ], state, { hestiaClient: client });
+  
+  assertTrue(result.shouldTransfer, 'Should signal a transfer');
+  assertEqual(result.transferReason, 'caller_requested');
+  
+  const nextFollowUpAt = getCallbackTime('morning');
+  await client.scheduleCallback(lead_id, { nextFollowUpAt, reason: 'transfer_unanswered', window: 'morning' });
+  
+  const lead = await client.getLead(lead_id);
+  assertEqual(lead.human.next_follow_up_at, nextFollowUpAt);
+  assertEqual(lead.human.state, 'unclaimed', 'Other human fields are kept');
+  
+  const events = await client.getEvents(lead_id);
+  const requested = events.find(e => e.event_type === 'voice_transfer_requested');
+  assertEqual(requested.details.trigger, 'llm');
+  assertEqual(events.find(e => e.event_type === 'callback_scheduled').details.window, 'morning');
+});
+
+// =============================================================================
+// CALL RESUME TESTS
+// =============================================================================
+
+console.log('\n🔁 Call Resume Tests\n');
+
+async function createInterruptedLead(client, callSid, phone) {
+  const state = createSessionState(callSid, { from: phone });
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'Dana Cole', true);
+  setFieldValue(state, 'phone_e164', phone, true);
+  setFieldValue(state, 'email', 'dana@example.com', true);
+  setFieldValue(state, 'preferred_contact_method', 'phone', true);
+  setFieldValue(state, 'property_zip', '63110', true);
+  setFieldValue(state, 'property_state', 'MO', false);   // Said, never confirmed
+  
+  const { lead_id } = await client.createLead(state);
+  state.leadId = lead_id;
+  await client.updateLead(lead_id, state);
+  await client.logEvent(lead_id, {
+    event_type: 'voice_call_ended',
+    details: { confirmed_fields: getConfirmedFields(state), dealer_context: state.collectedData.dealer_context },
+  });
+  return lead_id;
+}
+
+test('a returning caller is offered a resume and continues with the next field', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const leadId = await createInterruptedLead(client, 'CA_RESUME1', '+15557770001');
+  
+  const resumable = await findResumableLead(client, '+15557770001');
+  assertEqual(resumable.lead.lead_id, leadId);
+  assertEqual(resumable.progress.confirmed_fields.includes('property_zip'), true);
+  
+  const state = createSessionState('CA_RESUME2', { from: '+15557770001' });
+  state.resumeOffer = resumable;
+  const controller = new ConversationController();
+  const offer = controller.getNextAction(state);
+  assertEqual(offer.field, 'resume_call');
+  assertTrue(offer.message.includes('Dana'), 'Offer greets the caller by name');
+  
+  const result = await executeTool('extract_fields', { confirmation: true }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: offer.field, value: offer.value },
+    currentAction: offer,
+  });
+  
+  assertEqual(result.state.leadId, leadId);
+  assertTrue(isFieldConfirmed(result.state, 'email'), 'Confirmations are restored');
+  assertTrue(isFieldConfirmed(result.state, 'property_zip'));
+  assertFalse(isFieldConfirmed(result.state, 'property_state'), 'Unconfirmed values are read back');
+  
+  const next = controller.getNextAction(result.state);
+  assertEqual(next.type, 'confirm');
+  assertEqual(next.field, 'property_state');
+  
+  const events = await client.getEvents(leadId);
+  const resumed = events.find(e => e.event_type === 'voice_call_resumed');
+  assertEqual(resumed.details.call_sid, 'CA_RESUME2');
+  assertEqual(resumed.details.previous_call_sid, 'CA_RESUME1');
+});
+
+test('declining the resume offer starts a fresh intake', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  await createInterruptedLead(client, 'CA_RESUME3', '+15557770002');
+  
+  const state = createSessionState('CA_RESUME4', { from: '+15557770002' });
+  state.resumeOffer = await findResumableLead(client, '+15557770002');
+  
+  const result = await executeTool('extract_fields', { confirmation: false, contact_consent: false }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: 'resume_call' },
+  });
+  
+  assertEqual(result.state.leadId, null);
+  assertEqual(result.state.resumeOffer, null);
+  assertFalse(result.state.doNotContact, '"No" to resuming is not a do-not-contact');
+  assertEqual(new ConversationController().getNextAction(result.state).field, 'contact_consent');
+  assertEqual(await findResumableLead(client, '+15550000000'), null);
+});
+
+// =============================================================================
+// SESSION STORE TESTS
+// =============================================================================
+
+console.log('\n🗄️ Session Store Tests\n');
+
+test('InMemorySessionStore expires sessions after the TTL', async () => {
+  const store = new InMemorySessionStore({ ttlMs: 200, sweepIntervalMs: 0 });
+  
+  await store.set('CA_STORE1', { state: { phase: 'welcome' } });
+  await store.set('CA_STORE2', { state: { phase: 'contact_info' } });
+  assertEqual((await store.get('CA_STORE1')).state.phase, 'welcome');
+  assertEqual(await store.count(), 2);
+  
+  await store.delete('CA_STORE2');
+  assertEqual((await store.list()).length, 1);
+  
+  await new Promise(resolve => setTimeout(resolve, 250));
+  assertEqual(await store.get('CA_STORE1'), null);
+  assertEqual(await store.count(), 0);
+  await store.close();
+});
+
+test('session state survives the JSON round trip a networked store makes', () => {
+  const state = createSessionState('CA_STORE3', { entrypoint: 'dealer_phone' });
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'Lee Park', true);
+  setFieldValue(state, 'land_value', 45000, false);
+  state._pendingConfirmation = { field: 'land_value', value: '25k_50k' };
+  
+  const restored = JSON.parse(JSON.stringify({ state, metrics: { turns: [] } })).state;
+  const controller = new ConversationController();
+  
+  assertEqual(controller.getNextAction(restored).message, controller.getNextAction(state).message);
+  assertEqual(getRawValue(restored, 'land_value'), 45000);
+  assertTrue(isFieldConfirmed(restored, 'full_name'));
+  assertEqual(restored._pendingConfirmation.field, 'land_value');
+});
+
+// =============================================================================
+// KEYPAD ENTRY TESTS
+// =============================================================================
+
+console.log('\n🔢 Keypad Entry Tests\n');
+
+test('KeypadBuffer submits on pound or after a pause, and star starts over', async () => {
+  const entries = [];
+  const buffer = new KeypadBuffer({ onComplete: digits => entries.push(digits), timeoutMs: 20 });
+  
+  ['6', '3', '*', '7', '2', '#'].forEach(digit => buffer.push(digit));
+  assertEqual(entries[0], '72');
+  assertFalse(buffer.pending);
+  
+  ['6', '3', '1'].forEach(digit => buffer.push(digit));
+  assertTrue(buffer.pending);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assertEqual(entries[1], '631');
+});
+
+test('typed digits are validated like speech and 1 confirms', async () => {
+  let state = createSessionState('CA_KEYPAD1', {});
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'Ana Ruiz', true);
+  state = advancePhase(advancePhase(state));
+  
+  const controller = new ConversationController();
+  let action = controller.getNextAction(state);
+  assertEqual(getKeypadMode(action), 'digits');
+  
+  // Too short for a phone number - re-asked with the keypad offered
+  let result = await processToolCalls([buildKeypadToolCall(action, '55512')], state, { currentAction: action });
+  action = controller.getNextAction(result.state);
+  assertEqual(action.field, 'phone_e164');
+  assertTrue(action.message.includes('keypad'), 'Retry offers the keypad');
+  
+  result = await processToolCalls([buildKeypadToolCall(action, '5035550142')], result.state, { currentAction: action });
+  action = controller.getNextAction(result.state);
+  assertEqual(action.type, 'confirm');
+  assertEqual(action.value, '+15035550142');
+  assertEqual(getKeypadMode(action), 'yes_no');
+  assertEqual(buildKeypadToolCall(action, '9'), null);
+  
+  result = await processToolCalls([buildKeypadToolCall(action, '1')], result.state, {
+    currentAction: action,
+    pendingConfirmation: { field: action.field, value: action.value },
+  });
+  assertTrue(isFieldConfirmed(result.state, 'phone_e164'));
+  assertEqual(controller.getNextAction(result.state).message.includes('keypad'), false);
+});
+
+// =============================================================================
+// CALLER ID TESTS
+// =============================================================================
+
+console.log('\n📱 Caller ID Tests\n');
+
+test('the caller ID number is offered instead of asking for a phone number', async () => {
+  const controller = new ConversationController();
+  const startContactInfo = (callSid, from) => {
+    const state = createSessionState(callSid, { from });
+    setFieldValue(state, 'contact_consent', true, true);
+    setFieldValue(state, 'full_name', 'Sam Ortiz', true);
+    return advancePhase(advancePhase(state));
+  };
+  
+  const state = startContactInfo('CA_CALLERID1', '+13145551234');
+  const offer = controller.getNextAction(state);
+  assertEqual(offer.type, 'confirm');
+  assertEqual(offer.field, 'caller_id_phone');
+  assertTrue(offer.message.includes('one two three four'), 'Reads back the last four digits');
+  
+  const accepted = await executeTool('extract_fields', { confirmation: true }, state, {
+    pendingConfirmation: { field: offer.field, value: offer.value },
+    currentAction: offer,
+  });
+  assertEqual(getFieldValue(accepted.state, 'phone_e164'), '+13145551234');
+  assertTrue(isFieldConfirmed(accepted.state, 'phone_e164'));
+  assertEqual(controller.getNextAction(accepted.state).field, 'email');
+  
+  const declined = await executeTool('extract_fields', { confirmation: false }, startContactInfo('CA_CALLERID2', '+13145551234'), {
+    pendingConfirmation: { field: offer.field, value: offer.value },
+    currentAction: offer,
+  });
+  const ask = controller.getNextAction(declined.state);
+  assertEqual(ask.type, 'ask');
+  assertEqual(ask.field, 'phone_e164');
+  
+  assertEqual(controller.getNextAction(startContactInfo('CA_CALLERID3', 'anonymous')).field, 'phone_e164');
+  assertFalse(isUsableCallerId('+18005550100'), 'Toll-free is not a personal line');
+  assertFalse(isUsableCallerId('+266696687'), 'Blocked caller ID');
+});
+
+test('a Spanish call asks, confirms and stores the lead in Spanish', async () => {
+  const controller = new ConversationController();
+  const state = createSessionState('CA_SPANISH1', {});
+  
+  assertTrue(setLanguage(state, 'es', 'dtmf'));
+  assertEqual(state.events.at(-1).type, 'language_changed');
+  assertEqual(controller.getNextAction(state).message, '¿Está bien si TLC se comunica con usted sobre opciones de financiamiento?');
+  
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'María López', true);
+  advancePhase(advancePhase(state));
+  setFieldValue(state, 'phone_e164', '+15125550188', false);
+  const confirm = controller.getNextAction(state);
+  assertEqual(confirm.type, 'confirm');
+  assertEqual(confirm.message, 'Muy bien, cinco uno dos, cinco cinco cinco, cero uno ocho ocho. ¿Es correcto?');
+  
+  assertEqual(formatValueForSpeech(21000, 'currency', 'es'), 'veintiún mil dólares');
+  assertEqual(formatValueForSpeech(1000000, 'currency', 'es'), 'un millón de dólares');
+  assertEqual(buildLeadPayload(state).applicant.preferred_language, 'es');
+  assertEqual(buildLanguageMessage('es').ttsLanguage, 'es-US');
+  assertTrue(controller._buildCompletionMessage(state).startsWith('¡Muchas gracias, María!'));
+  state.doNotContact = true;
+  assertEqual(controller.getNextAction(state).message, getPhrase('doNotContact', 'es'));
+});
+
+test('the language comes from the dealer number, the greeting menu or what the caller says', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const setup = { from: '+15557650101', to: '+18005559876', direction: 'inbound' };
+  const attribution = await determineAttribution(setup.to, client);
+  const dealerState = createSessionState('CA_SPANISH2', buildSessionMetadata(setup, attribution));
+  assertEqual(dealerState.language, 'es');
+  assertEqual(dealerState.languageSource, 'dealer_number');
+  
+  const state = createSessionState('CA_SPANISH3', {});
+  assertTrue(isLanguageMenuChoice(state, '2'), 'Pressing 2 at the greeting picks Spanish');
+  setLanguage(state, 'es', 'dtmf');
+  assertFalse(isLanguageMenuChoice(state, '2'), 'The menu is offered once');
+  
+  assertEqual(detectLanguage('Do you speak Spanish?', 'en'), 'es');
+  assertEqual(detectLanguage('Hola, quiero comprar una casa', 'en'), 'es');
+  assertEqual(detectLanguage('Yes, I own the land', 'en'), null);
+  assertEqual(detectLanguage('¿Podemos hablar en inglés?', 'es'), 'en');
+  assertEqual(detectLanguage('No, Spanish please', 'en'), 'es');
+  
+  // Saying you don't speak a language isn't asking for it
+  assertEqual(detectLanguage("Sorry, I don't speak Spanish", 'en'), null);
+  assertEqual(detectLanguage('No hablo inglés', 'es'), null);
+});
+
+test('rule extraction reads yes/no, spoken digits, states, spelled emails and enum keywords', () => {
+  assertEqual(extractWithRules('yeah that is correct', { type: 'confirm', field: 'email' }).confirmation, true);
+  assertEqual(extractWithRules("no, that's not right", { type: 'confirm', field: 'full_name' }).confirmation, false);
+  assertEqual(extractWithRules('sure, go ahead', { type: 'ask', field: 'contact_consent' }).contact_consent, true);
+  
+  assertEqual(extractWithRules('oh, it is five oh three, double five five, one two three four', { type: 'ask', field: 'phone_e164' }).phone_e164, '5035551234');
+  const location = extractWithRules('six three one one oh in West Virginia', { type: 'ask', field: 'property_zip' });
+  assertEqual(location.property_zip, '63110');
+  assertEqual(location.property_state, 'WV');
+  const correction = extractWithRules('no, it is 63111', { type: 'confirm', field: 'property_zip' });
+  assertEqual(correction.confirmation, false);
+  assertEqual(correction.property_zip, '63111');
+  
+  assertEqual(extractWithRules('it is j o h n dot smith at gmail dot com', { type: 'ask', field: 'email' }).email, 'john.smith@gmail.com');
+  assertEqual(extractWithRules("we're still paying it off", { type: 'ask', field: 'land_status' }).land_status, 'buying');
+  assertEqual(extractWithRules('a double wide', { type: 'ask', field: 'home_type' }).home_type, 'double_wide');
+  assertEqual(extractWithRules('in about 3 months', { type: 'ask', field: 'timeline' }).timeline_raw, 'in about 3 months');
+  
+  // Only the current question is answered
+  assertEqual(Object.keys(extractWithRules('I own it', { type: 'ask', field: 'home_type' })).length, 0);
+});
+
+test('rule extraction stands in for a failed LLM call and flags disagreements', async () => {
+  const state = createSessionState('CA_RULES1', {});
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'Lee Park', true);
+  advancePhase(advancePhase(state));
+  const action = { type: 'ask', field: 'email' };
+  
+  const ruleCall = buildRuleToolCall(extractWithRules('lee at example dot com', action));
+  const result = await processToolCalls([ruleCall], state, { currentAction: action });
+  assertEqual(getFieldValue(result.state, 'email'), 'lee@example.com');
+  assertEqual(buildRuleToolCall(extractWithRules('um, hold on', action)), null);
+  
+  const llmCall = (args) => [{ id: 'call_1', type: 'function', function: { name: 'extract_fields', arguments: JSON.stringify(args) } }];
+  const ruleArgs = extractWithRules('six three one one oh, Missouri', { type: 'ask', field: 'property_zip' });
+  assertEqual(findExtractionDisagreements(llmCall({ property_zip: '63110', property_state: 'Missouri' }), ruleArgs).length, 0);
+  const disagreements = findExtractionDisagreements(llmCall({ property_zip: '63101', property_state: 'MO' }), ruleArgs);
+  assertEqual(disagreements.length, 1);
+  assertEqual(disagreements[0].field, 'property_zip');
+  assertEqual(disagreements[0].rules, '63110');
+});
+
+test('the stub extraction provider replays scripted tool calls offline', async () => {
+  const provider = new StubExtractionProvider({
+    script: [
+      { extract: { property_zip: '63110' } },
+      { tool: 'provide_info', args: { topic: 'process', response: 'It only takes a few minutes.' } },
+      { error: 'rate limited' },
+      { delayMs: 1000, extract: { confirmation: true } },
+    ],
+  });
+  const request = (text, action = { type: 'ask', field: 'property_zip' }) => ({
+    systemPrompt: '', messages: [{ role: 'user', content: text }], tools: TOOLS, action, turnMetrics: {},
+  });
+  
+  const scripted = await provider.extract(request('six three one one oh'));
+  assertEqual(scripted.toolCalls[0].function.name, 'extract_fields');
+  assertEqual(JSON.parse(scripted.toolCalls[0].function.arguments).property_zip, '63110');
+  
+  const spoken = [];
+  const info = await provider.extract({ ...request('how long is this?'), onSpeech: text => spoken.push(text) });
+  assertEqual(info.toolCalls[0].function.name, 'provide_info');
+  assertEqual(spoken.join(''), 'It only takes a few minutes.');
+  
+  let failure = null;
+  await provider.extract(request('hello')).catch(error => { failure = error.message; });
+  assertEqual(failure, 'rate limited');
+  
+  const abortController = new AbortController();
+  const slow = provider.extract({ ...request('yes'), signal: abortController.signal });
+  abortController.abort();
+  let aborted = false;
+  await slow.catch(() => { aborted = true; });
+  assertTrue(aborted, 'A slow response is aborted like a real request');
+  
+  // Script exhausted: rule-based extraction answers the current action
+  const unscripted = await provider.extract(request('it is 6 3 1 0 1'));
+  assertEqual(JSON.parse(unscripted.toolCalls[0].function.arguments).property_zip, '63101');
+  assertEqual(provider.requests.length, 5);
+});
+
+test('the server plays a scripted call end to end under the stub provider', async () => {
+  // Grab a free port for the simulator's server
+  const probe = createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+
+  const result = await new Promise((resolve) => {
+    execFile(process.execPath, [
+      'scripts/simulate-call.js', 'scripts/scenarios/keypad-zip.yaml',
+      '--start', '--url', `http://127.0.0.1:${port}`,
+    ], { cwd: new URL('..', import.meta.url), timeout: 60000 }, (error, stdout) => {
+      resolve({ code: error ? (error.code ?? 1) : 0, stdout });
+    });
+  });
+
+  assertEqual(result.code, 0, result.stdout.split('\n').filter(line => line.includes('❌')).join(' '));
+  assertTrue(result.stdout.includes('Scenario passed'));
+});
+
+test('the OpenAI provider picks the model by phase and applies generation settings', async () => {
+  const requests = [];
+  const client = {
+    chat: {
+      completions: {
+        create: async (body) => {
+          requests.push(body);
+          return (async function* () {
+            yield { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'extract_fields', arguments: '{"credit_raw":680}' } }] } }] };
+            yield { choices: [{ delta: {}, finish_reason: 'tool_calls' }] };
+          })();
+        },
+      },
+    },
+  };
+  const provider = new OpenAIExtractionProvider({
+    client,
+    model: 'gpt-4.1-nano',
+    phaseModels: parsePhaseModels('financial_snapshot=gpt-4.1-mini, not_a_phase=gpt-x'),
+    toolChoice: 'auto',
+  });
+  
+  const result = await provider.extract({ systemPrompt: 'sys', messages: [], tools: TOOLS, phase: 'financial_snapshot', turnMetrics: {} });
+  await provider.extract({ systemPrompt: 'sys', messages: [], tools: TOOLS, phase: 'contact_info', turnMetrics: {} });
+  
+  assertEqual(JSON.parse(result.toolCalls[0].function.arguments).credit_raw, 680);
+  assertEqual(requests[0].model, 'gpt-4.1-mini');
+  assertEqual(requests[1].model, 'gpt-4.1-nano');
+  assertEqual(requests[0].tool_choice, 'auto');
+  assertEqual(requests[0].max_tokens, 300);
+  assertEqual(Object.keys(provider.phaseModels).length, 1);
+});
+
+test('simulator scenarios become ConversationRelay messages and lead checks', () => {
+  const scenario = parseScenario(`
+name: Keypad ZIP
+setup:
+  from: "+13145551234"
+steps:
+  - prompt: "Dana Reed"
+    llm: { extract: { full_name: Dana Reed } }
+  - dtmf: "631#"
+  - interrupt: "wait"
+  - prompt: "yes"
+expect:
+  lead:
+    applicant.full_name: Dana Reed
+`, 'yaml');
+  
+  const setup = buildSetupMessage(scenario, 'CA_SIM1');
+  assertEqual(setup.type, 'setup');
+  assertEqual(setup.from, '+13145551234');
+  assertEqual(setup.to, '+18005550000');
+  
+  assertEqual(buildStepMessages(scenario.steps[0])[0].voicePrompt, 'Dana Reed');
+  assertEqual(buildStepMessages(scenario.steps[1]).map(m => m.digit).join(''), '631#');
+  assertFalse(scenario.steps[2].reply, 'Interrupts get no reply');
+  assertEqual(JSON.stringify(buildStubScript(scenario)), JSON.stringify([{ extract: { full_name: 'Dana Reed' } }, null]));
+  
+  const lead = { lead_id: 'lead_1', applicant: { full_name: 'Dana Reid' } };
+  assertEqual(checkLeadExpectations(lead, scenario.expect.lead).length, 1);
+  assertEqual(checkLeadExpectations(null, null).length, 0);
+});
+
+// =============================================================================
+// ZIP LOOKUP TESTS
+// =============================================================================
+
+const ZIP_DIRECTORY = new Map([
+  ['63110', { zip: '63110', city: 'Saint Louis', state: 'MO', county: 'City of Saint Louis', lat: 38.6185, lng: -90.2564 }],
+  ['62201', { zip: '62201', city: 'East Saint Louis', state: 'IL', county: 'Saint Clair', lat: 38.6186, lng: -90.1264 }],
+]);
+
+test('the state comes from the ZIP and is confirmed with it', async () => {
+  const controller = new ConversationController();
+  const askZip = { type: 'ask', field: 'property_zip' };
+  const state = createSessionState('CA_ZIP1');
+  
+  const unknown = await executeTool('extract_fields', { property_zip: '99999' }, state, {
+    currentAction: askZip,
+    zipDirectory: ZIP_DIRECTORY,
+  });
+  assertEqual(unknown.result.validationErrors[0].error, 'Unknown ZIP code');
+  assertEqual(getFieldValue(unknown.state, 'property_zip'), null);
+  assertEqual(unknown.state.retryCount, 1);
+  
+  const { state: located } = await executeTool('extract_fields', { property_zip: '63110' }, unknown.state, {
+    currentAction: askZip,
+    zipDirectory: ZIP_DIRECTORY,
+  });
+  assertEqual(getFieldValue(located, 'property_state'), 'MO');
+  
+  const confirm = controller.getNextAction(located);
+  assertEqual(confirm.field, 'property_zip');
+  assertEqual(confirm.message, "Got it - six three one one zero, that's Saint Louis, Missouri?");
+  
+  const { state: confirmed } = await executeTool('extract_fields', { confirmation: true }, located, {
+    pendingConfirmation: { field: confirm.field, value: confirm.value },
+    currentAction: confirm,
+    zipDirectory: ZIP_DIRECTORY,
+  });
+  assertTrue(isFieldConfirmed(confirmed, 'property_zip'));
+  assertTrue(isFieldConfirmed(confirmed, 'property_state'), 'The state is confirmed with the ZIP');
+  assertEqual(getUnconfirmedFields(confirmed).length, 0);
+  
+  const { home_and_site } = buildLeadPayload(confirmed);
+  assertEqual(home_and_site.property_city, 'Saint Louis');
+  assertEqual(home_and_site.property_county, 'City of Saint Louis');
+  assertEqual(home_and_site.zip_state_mismatch, null);
+  
+  // No reference file: ZIPs aren't checked and the state is asked
+  assertFalse(hasZipDirectory({ directory: null }));
+  assertEqual(lookupZip('63110', { directory: null }), null);
+  assertEqual(loadZipDirectory({ path: '/nonexistent/us_zipcodes.json' }), null);
+});
+
+test('a ZIP in a different state than the caller said is flagged and re-asked', async () => {
+  const controller = new ConversationController();
+  const state = createSessionState('CA_ZIP2');
+  setFieldValue(state, 'property_state', 'MO', true);
+  
+  const { state: mismatched } = await executeTool('extract_fields', { property_zip: '62201' }, state, {
+    currentAction: { type: 'ask', field: 'property_zip' },
+    zipDirectory: ZIP_DIRECTORY,
+  });
+  assertEqual(getFieldValue(mismatched, 'property_state'), 'IL');
+  assertEqual(JSON.stringify(buildLeadPayload(mismatched).home_and_site.zip_state_mismatch),
+    JSON.stringify({ stated_state: 'MO', zip_state: 'IL' }));
+  
+  const check = controller.getNextAction(mismatched);
+  assertEqual(check.message, 'Hmm, ZIP code six two two zero one is in East Saint Louis, Illinois, not Missouri. Is that the right ZIP code?');
+  
+  mismatched.language = 'es';
+  assertTrue(controller.getNextAction(mismatched).message.includes('no de Misuri'), 'Spanish callers hear it in Spanish');
+  mismatched.language = 'en';
+  
+  // Wrong ZIP - the caller gives the right one in the same breath
+  const { state: corrected } = await executeTool('extract_fields', { confirmation: false, property_zip: '63110' }, mismatched, {
+    pendingConfirmation: { field: check.field, value: check.value },
+    currentAction: check,
+    zipDirectory: ZIP_DIRECTORY,
+  });
+  assertEqual(getFieldValue(corrected, 'property_zip'), '63110');
+  assertEqual(getFieldValue(corrected, 'property_state'), 'MO');
+  assertEqual(corrected.collectedData.home_and_site.zip_state_mismatch, null);
+  assertTrue(controller.getNextAction(corrected).message.includes('Saint Louis, Missouri'));
+});
+
+// =============================================================================
+// DEALER COVERAGE TESTS
+// =============================================================================
+
+function confirmMinimumLead(state, phone) {
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'Dana Reed', true);
+  setFieldValue(state, 'phone_e164', phone, true);
+  setFieldValue(state, 'email', 'dana@example.com', true);
+  setFieldValue(state, 'preferred_contact_method', 'phone', true);
+}
+
+test('coverage is checked when the ZIP is confirmed and uncovered leads are tagged', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const controller = new ConversationController();
+  const state = createSessionState('CA_COVERAGE1', { from: '+15557780001' });
+  confirmMinimumLead(state, '+15557780001');
+  setFieldValue(state, 'property_zip', '63110', true);
+  setFieldValue(state, 'property_state', 'MO', false);
+  
+  const confirm = controller.getNextAction(state);
+  assertEqual(confirm.field, 'property_state');
+  assertFalse(Boolean(confirm.coverageNote), 'Nothing to say before the check');
+  
+  const { state: checked } = await executeTool('extract_fields', { confirmation: true }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: confirm.field, value: confirm.value },
+    currentAction: confirm,
+  });
+  assertEqual(checked.coverage.covered, false);
+  
+  const next = controller.getNextAction(checked);
+  assertEqual(next.field, 'land_status');
+  assertTrue(next.message.startsWith("Just so you know, we don't have a dealer partner in your area yet"));
+  assertTrue(next.coverageNote, 'The server marks the note as announced');
+  
+  checked.coverage.announced = true;
+  assertFalse(controller.getNextAction(checked).message.startsWith('Just so you know'), 'Said once');
+  
+  const lead = await client.getLead(checked.leadId);
+  assertEqual(lead.flags.no_coverage, true);
+  const events = await client.getEvents(checked.leadId);
+  const coverageEvent = events.find(e => e.event_type === 'coverage_checked');
+  assertEqual(coverageEvent.details.coverage_id, 'MO_63110');
+  assertEqual(coverageEvent.details.covered, false);
+  
+  // A failed lookup says nothing and doesn't tag the lead
+  const failing = { getZipCoverage: async () => { throw new Error('unavailable'); } };
+  const unknown = await checkZipCoverage(failing, 'MO', '63110');
+  assertEqual(unknown.covered, null);
+  assertTrue(unknown.announced);
+});
+
+test('a dealer-sourced call hears the dealer name when that dealer covers the ZIP', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const controller = new ConversationController();
+  const setup = { from: '+15557780002', to: '+18005551234', direction: 'inbound' };
+  const state = createSessionState('CA_COVERAGE2',
+    buildSessionMetadata(setup, await determineAttribution(setup.to, client)));
+  confirmMinimumLead(state, '+15557780002');
+  setFieldValue(state, 'property_state', 'MO', true);
+  setFieldValue(state, 'property_zip', '63101', false);
+  
+  const confirm = controller.getNextAction(state);
+  const { state: checked } = await executeTool('extract_fields', { confirmation: true }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: confirm.field, value: confirm.value },
+    currentAction: confirm,
+  });
+  
+  assertEqual(checked.coverage.covered, true);
+  assertEqual(checked.coverage.dealers[0].dealer_id, 'dlr_12345');
+  assertTrue(controller.getNextAction(checked).message.startsWith('Good news - ABC Homes of Missouri serves your area.'));
+  assertEqual(buildLeadPayload(checked).flags.no_coverage, false);
+  
+  checked.language = 'es';
+  assertTrue(controller.getNextAction(checked).message.startsWith('¡Buenas noticias! ABC Homes of Missouri atiende su zona.'));
+});
+
+// =============================================================================
+// ELIGIBILITY TESTS
+// =============================================================================
+
+test('eligibility rules match confirmed values only', () => {
+  assertEqual(checkEligibility({ land_status: 'own', home_type: 'double_wide', credit: '620_679' }), null);
+  assertEqual(checkEligibility({ home_type: 'mobile_pre_hud' }).status_reason, 'pre_hud_home');
+  assertEqual(checkEligibility({ land_status: 'renting_lot' }).status_reason, 'rented_lot');
+  assertEqual(checkEligibility({ has_recent_bankruptcy: true }).status_reason, 'recent_bankruptcy');
+  assertEqual(checkEligibility({ has_recent_bankruptcy: null, credit: 'under_580' }).status_reason, 'credit_below_minimum');
+  assertEqual(checkEligibility({ property_state: 'ON' }).status_reason, 'state_not_licensed');
+  assertEqual(checkEligibility({ property_state: 'CA' }).status_reason, 'state_not_licensed');
+  assertEqual(checkEligibility({ property_state: 'TX' }), null);
+  
+  // Every condition of a rule has to hold
+  const rules = [{ id: 'outside_missouri_rented', status_reason: 'x', when: { property_state: { not_in: ['MO'] }, land_status: ['renting_lot'] } }];
+  assertEqual(checkEligibility({ property_state: 'KS', land_status: 'renting_lot' }, rules).id, 'outside_missouri_rented');
+  assertEqual(checkEligibility({ property_state: 'MO', land_status: 'renting_lot' }, rules), null);
+  assertEqual(checkEligibility({ property_state: 'KS' }, rules), null);
+  
+  const state = createSessionState('CA_ELIGIBLE1');
+  setFieldValue(state, 'land_status', 'renting_lot', false);
+  assertEqual(getIneligibleRule(state), null, 'A misheard answer can still be corrected');
+  confirmField(state, 'land_status');
+  assertEqual(getIneligibleRule(state).id, 'rented_lot');
+});
+
+test('an ineligible caller is wrapped up politely and never prequalified', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const controller = new ConversationController();
+  const state = createSessionState('CA_ELIGIBLE2', { from: '+15557790001' });
+  confirmMinimumLead(state, '+15557790001');
+  setFieldValue(state, 'property_zip', '63101', true);
+  setFieldValue(state, 'property_state', 'MO', true);
+  setFieldValue(state, 'land_status', 'own', true);
+  setFieldValue(state, 'home_type', 'double_wide', true);
+  setFieldValue(state, 'timeline', '0_3_months', true);
+  setFieldValue(state, 'working_with_dealer', false, true);
+  setFieldValue(state, 'best_time_to_contact', 'morning', true);
+  setFieldValue(state, 'credit', 550, false);
+  
+  const confirm = controller.getNextAction(state);
+  assertEqual(confirm.field, 'credit');
+  
+  const { state: screened } = await executeTool('extract_fields', { confirmation: true }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: confirm.field, value: confirm.value },
+    currentAction: confirm,
+  });
+  assertEqual(getIneligibleRule(screened).status_reason, 'credit_below_minimum');
+  assertFalse(isPrequalificationReady(screened), 'Every required field is in, but the credit rule fails');
+  assertFalse(screened.prequalified, 'Not marked prequalified');
+  assertEqual((await client.getLead(screened.leadId)).status, 'collecting');
+  
+  const action = controller.getNextAction(screened);
+  assertEqual(action.type, 'end_call');
+  assertEqual(action.reason, 'ineligible');
+  assertEqual(action.statusReason, 'credit_below_minimum');
+  assertTrue(action.message.startsWith('Thank you for sharing all of that, Dana. Unfortunately, our loan programs need a credit score of at least five eighty'));
+  assertTrue(action.message.includes('HUD-approved housing counselor'), 'Points to other resources');
+  
+  screened.language = 'es';
+  assertTrue(controller.getNextAction(screened).message.includes('consejero de vivienda'));
+});
+
+test('a property in an unlicensed state moves the lead to ineligible', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const controller = new ConversationController();
+  const state = createSessionState('CA_ELIGIBLE3', { from: '+15557790002' });
+  confirmMinimumLead(state, '+15557790002');
+  setFieldValue(state, 'property_zip', '97201', false);
+  setFieldValue(state, 'property_state', 'OR', true);
+  
+  const confirm = controller.getNextAction(state);
+  const { state: screened } = await executeTool('extract_fields', { confirmation: true }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: confirm.field, value: confirm.value },
+    currentAction: confirm,
+  });
+  
+  const action = controller.getNextAction(screened);
+  assertEqual(action.type, 'end_call');
+  assertEqual(action.statusReason, 'state_not_licensed');
+  assertTrue(action.message.includes("we aren't licensed to lend in that state yet"));
+  
+  // What the server does with an ineligible end_call
+  await client.setStatus(screened.leadId, 'ineligible', action.statusReason);
+  const lead = await client.getLead(screened.leadId);
+  assertEqual(lead.status, 'ineligible');
+  assertEqual(lead.status_reason, 'state_not_licensed');
+});
+
+// =============================================================================
+// CORRECTION TESTS
+// =============================================================================
+
+test('a confirmed answer can be corrected later in the call', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const controller = new ConversationController();
+  const state = createSessionState('CA_CORRECT1', { from: '+15557800001' });
+  confirmMinimumLead(state, '+15557800001');
+  setFieldValue(state, 'property_zip', '63101', true);
+  setFieldValue(state, 'property_state', 'MO', true);
+  setFieldValue(state, 'land_status', 'own', true);
+  setFieldValue(state, 'land_value', 40000, true);
+  
+  // Saying a confirmed answer again doesn't reopen it
+  const ask = controller.getNextAction(state);
+  let result = await executeTool('extract_fields', { home_type: 'double_wide', email: 'Dana@example.com' }, state, {
+    hestiaClient: client,
+    currentAction: ask,
+  });
+  assertTrue(isFieldConfirmed(result.state, 'email'), 'Repeated email stays confirmed');
+  assertTrue(result.state.leadId !== null, 'Lead created');
+  
+  result = await executeTool('extract_fields', { email: 'dana.reed@example.com', land_status: 'renting_lot' }, result.state, {
+    hestiaClient: client,
+    currentAction: controller.getNextAction(result.state),
+  });
+  const { state: corrected } = result;
+  assertEqual(result.fieldsExtracted.map(f => f.action).join(','), 'corrected,corrected');
+  assertFalse(isFieldConfirmed(corrected, 'email'));
+  assertEqual(getFieldValue(corrected, 'land_value'), null, 'Land value no longer applies');
+  
+  const confirm = controller.getNextAction(corrected);
+  assertEqual(confirm.type, 'confirm');
+  assertEqual(confirm.field, 'email');
+  
+  const events = (await client.getEvents(corrected.leadId)).filter(e => e.event_type === 'field_corrected');
+  assertEqual(events.length, 2);
+  assertEqual(events[0].details.old_value, 'dana@example.com');
+  assertEqual(events[0].details.new_value, 'dana.reed@example.com');
+  assertEqual(events[1].details.old_value, 'own');
+});
+
+test('going back to a confirmed field asks for it again', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const controller = new ConversationController();
+  const state = createSessionState('CA_CORRECT2', { from: '+15557800002' });
+  confirmMinimumLead(state, '+15557800002');
+  setFieldValue(state, 'property_zip', '63101', true);
+  setFieldValue(state, 'property_state', 'MO', true);
+  setFieldValue(state, 'land_status', 'renting_lot', false);
+  
+  let result = await executeTool('extract_fields', { correct_field: 'property_zip' }, state, {
+    hestiaClient: client,
+    currentAction: controller.getNextAction(state),
+  });
+  assertEqual(getFieldValue(result.state, 'property_zip'), null);
+  
+  const ask = controller.getNextAction(result.state);
+  assertEqual(ask.type, 'confirm', 'The pending read-back still comes first');
+  assertEqual(ask.field, 'land_status');
+  setFieldValue(result.state, 'land_status', 'own', true);
+  
+  const reask = controller.getNextAction(result.state);
+  assertEqual(reask.field, 'property_zip');
+  assertTrue(reask.message.startsWith("No problem, let's fix that."));
+  
+  result = await executeTool('extract_fields', { property_zip: '63110' }, result.state, {
+    hestiaClient: client,
+    currentAction: reask,
+  });
+  assertEqual(result.fieldsExtracted[0].action, 'corrected');
+  assertEqual(Object.keys(result.state.reopenedFields).length, 0);
+  
+  const events = (await client.getEvents(result.state.leadId)).filter(e => e.event_type === 'field_corrected');
+  assertEqual(events.length, 1);
+  assertEqual(events[0].details.old_value, '63101');
+  assertEqual(events[0].details.new_value, '63110');
+});
+
+test('fieldsCollected only drops for cleared fields that held a value', async () => {
+  const state = createSessionState('CA_CORRECT3', { from: '+15557800003' });
+  confirmMinimumLead(state, '+15557800003');
+  setFieldValue(state, 'land_status', 'own', true);
+  setFieldValue(state, 'land_value', 40000, true);
+  setFieldValue(state, 'working_with_dealer', true, true);
+  const collected = state.fieldsCollected;
+  
+  // No dealer was named yet, so there's no dealer name to take back out
+  let result = await executeTool('extract_fields', { working_with_dealer: false }, state, {});
+  assertEqual(result.state.fieldsCollected, collected + 1);
+  
+  // The land value no longer applies
+  result = await executeTool('extract_fields', { land_status: 'renting_lot' }, result.state, {});
+  assertEqual(getFieldValue(result.state, 'land_value'), null);
+  assertEqual(result.state.fieldsCollected, collected + 1);
+});
+
+// =============================================================================
+// CONFIRMATION STRATEGY TESTS
+// =============================================================================
+
+test('grouped read-backs confirm a phase at once and re-ask only the wrong item', async () => {
+  const client = new MockHestiaClient({ verbose: false });
+  const controller = new ConversationController();
+  const state = createSessionState('CA_GROUP1', { from: '+15557810001', confirmationStrategy: 'grouped' });
+  setFieldValue(state, 'contact_consent', true, true);
+  setFieldValue(state, 'full_name', 'Dana Reed', false);
+  
+  // The read-back waits for the rest of the phase
+  assertEqual(controller.getNextAction(state).type, 'confirm');
+  assertEqual(controller.getNextAction(state).field, 'caller_id_phone');
+  
+  setFieldValue(state, 'phone_e164', '+13145551234', false);
+  setFieldValue(state, 'email', 'dana@example.com', false);
+  setFieldValue(state, 'preferred_contact_method', 'phone', false);
+  const readBack = controller.getNextAction(state);
+  assertEqual(readBack.field, GROUP_CONFIRM_FIELD);
+  assertEqual(readBack.value.join(','), 'full_name,phone_e164,email,preferred_contact_method');
+  assertTrue(readBack.message.startsWith('Let me read that back: Dana Reed,'));
+  assertTrue(readBack.message.endsWith('by phone - all correct?'));
+  
+  const result = await executeTool('extract_fields', { confirmation: false, correct_field: 'email' }, state, {
+    hestiaClient: client,
+    pendingConfirmation: { field: readBack.field, value: readBack.value },
+    currentAction: readBack,
+  });
+  assertTrue(isFieldConfirmed(result.state, 'full_name'));
+  assertTrue(isFieldConfirmed(result.state, 'preferred_contact_method'));
+  assertEqual(getFieldValue(result.state, 'email'), null);
+  assertEqual(result.fieldsExtracted.at(-1).action, 'rejected');
+  
+  const reask = controller.getNextAction(result.state);
+  assertEqual(reask.type, 'ask');
+  assertEqual(reask.field, 'email');
+});
+
+test('the confident strategy skips low-risk read-backs the rules agree with', async () => {
+  const controller = new ConversationController();
+  const action = { type: 'ask', field: 'preferred_contact_method' };
+  const toolCalls = [{ function: { name: 'extract_fields', arguments: JSON.stringify({ preferred_contact_method: 'phone' }) } }];
+  const ruleAgreements = findExtractionAgreements(toolCalls, extractWithRules('Just call me', action));
+  assertEqual(ruleAgreements.join(','), 'preferred_contact_method');
+  
+  for (const [strategy, skipped] of [['confident', true], ['grouped', false]]) {
+    const state = createSessionState(`CA_CONFIDENT_${strategy}`, { confirmationStrategy: strategy });
+    setFieldValue(state, 'contact_consent', true, true);
+    setFieldValue(state, 'full_name', 'Dana Reed', true);
+    setFieldValue(state, 'phone_e164', '+15557810002', true);
+    setFieldValue(state, 'email', 'dana@example.com', true);
+    
+    const { state: next } = await executeTool('extract_fields', { preferred_contact_method: 'phone' }, state, {
+      currentAction: action,
+      ruleAgreements,
+    });
+    assertEqual(isFieldConfirmed(next, 'preferred_contact_method'), skipped, strategy);
+    assertEqual(controller.getNextAction(next).type, skipped ? 'ask' : 'confirm', strategy);
+  }
+});
+
 // =============================================================================
 // SUMMARY
 // =============================================================================
 
 // Wait for async tests to complete
-setTimeout(() => {
+setTimeout(async () => {
+  await Promise.all(pendingTests);
   console.log('\n' + '═'.repeat(50));
   console.log(`📊 Test Results: ${testsPassed} passed, ${testsFailed} failed`);
   console.log('═'.repeat(50) + '\n');